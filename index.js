@@ -5,6 +5,7 @@
  */
 
 import { PostgreSQLMCPServer } from './src/server.js';
+import { authConfigFromEnv } from './src/services/authService.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -14,9 +15,25 @@ dotenv.config();
 const serverConfig = {
   mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:8080/mcp',
   timeout: parseInt(process.env.MCP_SERVER_TIMEOUT) || 30000,
+  healthTimeout: parseInt(process.env.MCP_HEALTH_TIMEOUT) || 5000,
+  executeTimeout: parseInt(process.env.MCP_EXECUTE_TIMEOUT) || 300000,
   autoBackup: process.env.AUTO_BACKUP === 'true' || true,
   backupDir: process.env.BACKUP_DIR || '.mcp-backups',
-  logLevel: process.env.LOG_LEVEL || 'info'
+  overrideExistingProperties: process.env.OVERRIDE_EXISTING_PROPERTIES === 'true',
+  logLevel: process.env.LOG_LEVEL || 'info',
+  generator: process.env.MCP_GENERATOR || 'auto',
+  // live, record (save /plan/* answers as fixtures) or replay (answer from them, no network)
+  mode: process.env.MCP_MODE || 'live',
+  fixturesDir: process.env.MCP_FIXTURES_DIR,
+  // Run .mcp/templates/*.js processors of the target project (they are its code)
+  templateScripts: process.env.MCP_TEMPLATE_SCRIPTS === 'true',
+  // 0 disables retries and the circuit breaker respectively
+  retries: parseInt(process.env.MCP_RETRIES ?? 3),
+  retryBaseDelay: parseInt(process.env.MCP_RETRY_BASE_DELAY) || 500,
+  retryMaxDelay: parseInt(process.env.MCP_RETRY_MAX_DELAY) || 10000,
+  circuitBreakerThreshold: parseInt(process.env.MCP_CIRCUIT_BREAKER_THRESHOLD ?? 5),
+  circuitBreakerResetTimeout: parseInt(process.env.MCP_CIRCUIT_BREAKER_RESET) || 30000,
+  ...authConfigFromEnv()
 };
 
 async function main() {
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { McpService } from '../src/services/mcpService.js';
+import { authConfigFromEnv } from '../src/services/authService.js';
 import { Logger } from '../src/utils/logger.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
@@ -9,7 +10,10 @@ dotenv.config();
 
 const config = {
   mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:8080/mcp',
-  timeout: 30000
+  timeout: 30000,
+  mode: process.env.MCP_MODE || 'live',
+  fixturesDir: process.env.MCP_FIXTURES_DIR,
+  ...authConfigFromEnv()
 };
 
 const logger = new Logger('debug');
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end run of the adapter against the stand-in generator server: starts the stand-in,
+ * creates a Spring Boot skeleton in a temp directory, launches index.js over stdio like an IDE
+ * would, and checks generation, file application, injected failures and rollback.
+ *
+ *   node scripts/e2e.js [--keep]     # --keep leaves the temp project for inspection
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { FileService } from '../src/services/fileService.js';
+import { Logger } from '../src/utils/logger.js';
+import { StandInServer } from './stand-in-server.js';
+
+const adapterRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const keep = process.argv.includes('--keep');
+
+const SCHEMA = {
+  enums: [{ name: 'order_status', values: ['NEW', 'PAID', 'SHIPPED'] }],
+  tables: [
+    {
+      name: 'customers',
+      fields: [
+        { name: 'id', type: 'BIGSERIAL', primaryKey: true },
+        { name: 'email', type: 'VARCHAR', length: 255, nullable: false, unique: true },
+        { name: 'created_at', type: 'TIMESTAMPTZ', nullable: false, defaultValue: 'CURRENT_TIMESTAMP' }
+      ]
+    },
+    {
+      name: 'orders',
+      fields: [
+        { name: 'id', type: 'BIGSERIAL', primaryKey: true },
+        { name: 'customer_id', type: 'BIGINT', nullable: false, references: { table: 'customers' } },
+        { name: 'status', type: 'order_status', nullable: false, defaultValue: 'NEW' },
+        { name: 'total', type: 'NUMERIC', precision: 12, scale: 2, nullable: false }
+      ],
+      relationships: [{ type: 'many-to-one', target: 'customers', joinColumn: 'customer_id' }]
+    }
+  ]
+};
+
+const results = [];
+
+function check(name, passed, detail = '') {
+  results.push({ name, passed });
+  console.log(`${passed ? chalk.green('✅') : chalk.red('❌')} ${name}${!passed && detail ? chalk.gray(`\n   ${detail}`) : ''}`);
+}
+
+async function read(projectRoot, relativePath) {
+  return fs.readFile(path.join(projectRoot, relativePath), 'utf8').catch(() => null);
+}
+
+const GRADLE_BUILD = `plugins {
+    java
+    id("org.springframework.boot") version "3.3.0"
+    id("io.spring.dependency-management") version "1.1.5"
+}
+
+group = "com.example"
+version = "0.0.1-SNAPSHOT"
+
+dependencies {
+    implementation("org.springframework.boot:spring-boot-starter")
+}
+`;
+
+// The build file, the application class and application.properties of a freshly generated
+// Spring Boot project; Maven unless buildTool is 'gradle' (Kotlin DSL)
+async function createSkeleton(buildTool = 'maven') {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codeforge-e2e-'));
+  const buildFiles = buildTool === 'gradle'
+    ? { 'settings.gradle.kts': 'rootProject.name = "shop"\n', 'build.gradle.kts': GRADLE_BUILD }
+    : { 'pom.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <modelVersion>4.0.0</modelVersion>
+  <parent>
+    <groupId>org.springframework.boot</groupId>
+    <artifactId>spring-boot-starter-parent</artifactId>
+    <version>3.3.0</version>
+  </parent>
+  <groupId>com.example</groupId>
+  <artifactId>shop</artifactId>
+  <version>0.0.1-SNAPSHOT</version>
+  <dependencies>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter</artifactId>
+    </dependency>
+  </dependencies>
+</project>
+` };
+  const files = {
+    ...buildFiles,
+    'src/main/java/com/example/ShopApplication.java': `package com.example;
+
+import org.springframework.boot.SpringApplication;
+import org.springframework.boot.autoconfigure.SpringBootApplication;
+
+@SpringBootApplication
+public class ShopApplication {
+    public static void main(String[] args) {
+        SpringApplication.run(ShopApplication.class, args);
+    }
+}
+`,
+    'src/main/resources/application.properties': 'spring.application.name=shop\n'
+  };
+
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(projectRoot, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, relativePath), content, 'utf8');
+  }
+  return { projectRoot, pom: files['pom.xml'], buildScript: files['build.gradle.kts'] };
+}
+
+async function connectAdapter(serverUrl) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(adapterRoot, 'index.js')],
+    env: {
+      ...process.env,
+      MCP_SERVER_URL: serverUrl,
+      MCP_GENERATOR: 'server',
+      MCP_MODE: 'live',
+      MCP_RETRIES: '2',
+      MCP_RETRY_BASE_DELAY: '50',
+      MCP_EXECUTE_TIMEOUT: '2000',
+      MCP_SERVER_TIMEOUT: '2000',
+      LOG_LEVEL: 'error'
+    },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'codeforge-e2e', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+  return client;
+}
+
+async function callTool(client, name, args) {
+  const result = await client.request({ method: 'tools/call', params: { name, arguments: args } }, CallToolResultSchema);
+  return result.content.map(item => item.text).join('\n');
+}
+
+async function run() {
+  const standIn = await new StandInServer({ quiet: true }).start();
+  const { projectRoot, pom } = await createSkeleton();
+  console.log(chalk.blue.bold('\n🧪 Adapter end-to-end run'));
+  console.log(chalk.gray(`   Stand-in server: ${standIn.url}`));
+  console.log(chalk.gray(`   Project: ${projectRoot}\n`));
+
+  let client = null;
+  let gradleRoot = null;
+  try {
+    client = await connectAdapter(standIn.url);
+    const calls = endpoint => standIn.requests.filter(request => request.endpoint === endpoint).length;
+
+    // 1. Full integration; the first execute fails with 503 and is retried. The project's JavaScript
+    // template must not run, since MCP_TEMPLATE_SCRIPTS is not set.
+    await fs.mkdir(path.join(projectRoot, '.mcp/templates'), { recursive: true });
+    await fs.writeFile(path.join(projectRoot, '.mcp/templates/entities.js'),
+      'export default content => `// processed\\n${content}`;\n', 'utf8');
+    standIn.inject('/plan/execute:503');
+    const generated = await callTool(client, 'generate_postgresql_integration', {
+      projectPath: projectRoot,
+      description: 'Customers and their orders',
+      schema: SCHEMA,
+      preferences: { useLombok: true, includeValidation: true }
+    });
+    check('generate_postgresql_integration completes', generated.includes('Completed Successfully'), generated.slice(0, 400));
+    check('post-execution steps render as numbered, titled steps',
+      generated.includes('1. **Configure the Database** 🔴 (Required)') && generated.includes('3. **Start the Application** 🟡 (Optional)'),
+      generated.slice(generated.indexOf('## 🚀 Next Steps'), generated.indexOf('## 🚀 Next Steps') + 400));
+    check('a 503 from /plan/execute is retried', calls('/plan/execute') === 2, `${calls('/plan/execute')} execute calls`);
+
+    const customer = await read(projectRoot, 'src/main/java/com/example/entity/Customer.java');
+    check('entities are written without the project segment of the server package',
+      customer?.includes('package com.example.entity;') && customer.includes('@Entity'), customer?.slice(0, 200) || 'Customer.java missing');
+    check('JavaScript templates of the project are skipped and reported',
+      generated.includes('⏭️ entities.js: not run') && !customer?.startsWith('// processed'));
+    check('order status enum is generated', (await read(projectRoot, 'src/main/java/com/example/entity/OrderStatus.java'))?.includes('enum OrderStatus'));
+    check('repositories, services and controllers are written', (await Promise.all([
+      'repository/OrderRepository.java', 'service/OrderService.java', 'controller/OrderController.java'
+    ].map(file => read(projectRoot, `src/main/java/com/example/${file}`)))).every(Boolean));
+    check('no schema snapshot is written without a migration', !(await read(projectRoot, '.mcp/schema.json')));
+    const mergedPom = await read(projectRoot, 'pom.xml');
+    check('dependencies are merged into pom.xml',
+      mergedPom.includes('<artifactId>postgresql</artifactId>') && mergedPom.includes('<artifactId>spring-boot-starter</artifactId>'));
+    const properties = await read(projectRoot, 'src/main/resources/application.properties');
+    check('datasource settings are merged into application.properties',
+      properties.includes('spring.application.name=shop') && properties.includes('spring.datasource.url'));
+    check('Hibernate is not set to validate a schema no migration creates', !properties.includes('ddl-auto'));
+
+    // 2. Broken JSON from /plan/create is reported, not retried
+    standIn.inject('/plan/create:malformed');
+    const malformed = await callTool(client, 'generate_postgresql_integration', { projectPath: projectRoot, description: 'Malformed answer', schema: SCHEMA, dryRun: true });
+    check('malformed JSON is reported', malformed.includes('Integration Failed') && malformed.includes('Invalid JSON'), malformed.slice(0, 400));
+
+    // 3. A 500 from /plan/create is reported; creating plans is never retried
+    const creates = calls('/plan/create');
+    standIn.inject('/plan/create:500');
+    const failed = await callTool(client, 'generate_postgresql_integration', { projectPath: projectRoot, description: 'Server error', schema: SCHEMA, dryRun: true });
+    check('HTTP 500 is reported', failed.includes('HTTP 500'), failed.slice(0, 400));
+    check('plan creation is not retried', calls('/plan/create') === creates + 1);
+
+    // 4. Plan and execute separately; the first execute never answers and times out
+    const plan = await callTool(client, 'create_postgresql_integration_plan', { projectPath: projectRoot, description: 'Separate plan', preferences: { useLombok: false } });
+    const planId = plan.match(/plan-[0-9a-f-]{36}/)?.[0];
+    check('create_postgresql_integration_plan returns the server plan ID', Boolean(planId), plan.slice(0, 400));
+    standIn.inject('/plan/execute:timeout');
+    const executes = calls('/plan/execute');
+    const executed = await callTool(client, 'execute_postgresql_integration', { planId, schema: SCHEMA, applyToProject: false });
+    check('a timed-out execute is retried and completes', executed.includes('Completed Successfully') && calls('/plan/execute') === executes + 2, executed.slice(0, 400));
+    check('execute_postgresql_integration renders the same steps', executed.includes('2. **Build the Project** 🔴 (Required)'));
+
+    // 5. Undo the first integration
+    const executionId = generated.match(/Execution ID:\*\* `([^`]+)`/)?.[1];
+    const rollback = await callTool(client, 'rollback_postgresql_integration', { executionId, projectPath: projectRoot });
+    check('rollback removes the generated entities', !(await read(projectRoot, 'src/main/java/com/example/entity/Customer.java')), rollback.slice(0, 400));
+    check('rollback restores pom.xml', (await read(projectRoot, 'pom.xml')) === pom);
+
+    // 6. With a Flyway migration the build file still changes once, so rollback restores it
+    const migrated = await callTool(client, 'generate_postgresql_integration', {
+      projectPath: projectRoot,
+      description: 'Customers and their orders with Flyway',
+      schema: SCHEMA,
+      migrations: 'flyway'
+    });
+    const migratedPom = await read(projectRoot, 'pom.xml');
+    check('a Flyway migration and its dependencies are written',
+      Boolean(await read(projectRoot, 'src/main/resources/db/migration/V1__create_customers_orders.sql'))
+      && migratedPom.includes('<artifactId>flyway-core</artifactId>') && migratedPom.includes('<artifactId>postgresql</artifactId>'),
+      migrated.slice(0, 400));
+    check('Hibernate validates the schema the migration creates',
+      (await read(projectRoot, 'src/main/resources/application.properties')).includes('spring.jpa.hibernate.ddl-auto=validate'));
+    check('the schema snapshot is stored with the migration, outside the generated files',
+      Boolean(await read(projectRoot, '.mcp/schema.json')) && /Files Applied to Project:\*\* (\d+)\/\1\n/.test(migrated), migrated.slice(0, 900));
+
+    // New enum values are committed in their own migration before the one that uses them
+    const altered = JSON.parse(JSON.stringify(SCHEMA));
+    altered.enums[0].values.push('CANCELLED');
+    altered.tables[1].fields.find(field => field.name === 'status').defaultValue = 'CANCELLED';
+    const alteredRun = await callTool(client, 'generate_postgresql_integration', {
+      projectPath: projectRoot,
+      description: 'Cancelled orders',
+      schema: altered,
+      migrations: 'flyway'
+    });
+    const enumMigration = await read(projectRoot, 'src/main/resources/db/migration/V2__add_order_status_values.sql');
+    const alterMigration = await read(projectRoot, 'src/main/resources/db/migration/V3__alter_orders.sql');
+    check('new enum values get their own earlier migration',
+      enumMigration?.includes('ADD VALUE') && !enumMigration.includes('SET DEFAULT') && alterMigration?.includes('SET DEFAULT'), alteredRun.slice(0, 900));
+    await callTool(client, 'rollback_postgresql_integration', { executionId: alteredRun.match(/Execution ID:\*\* `([^`]+)`/)?.[1], projectPath: projectRoot });
+
+    const migratedId = migrated.match(/Execution ID:\*\* `([^`]+)`/)?.[1];
+    await callTool(client, 'rollback_postgresql_integration', { executionId: migratedId, projectPath: projectRoot });
+    check('rollback after a Flyway run restores pom.xml', (await read(projectRoot, 'pom.xml')) === pom);
+
+    // 7. A file changed twice in one execution rolls back to its state before the execution
+    const fileService = new FileService({}, new Logger('error'));
+    fileService.setProjectRoot(projectRoot);
+    const dependency = (groupId, artifactId) => ({
+      path: 'pom.xml',
+      action: 'modify',
+      content: `<dependencies>\n  <dependency>\n    <groupId>${groupId}</groupId>\n    <artifactId>${artifactId}</artifactId>\n  </dependency>\n</dependencies>\n`
+    });
+    const twiceFiles = [
+      { category: 'Dependencies', files: [dependency('org.postgresql', 'postgresql')] },
+      { category: 'Migration Dependencies', files: [dependency('org.flywaydb', 'flyway-core')] }
+    ];
+    const preview = await fileService.applyGeneratedFiles(twiceFiles, { dryRun: true });
+    check('a dry run previews both changes of pom.xml in one diff',
+      preview.diffs.length === 1 && /^\+\s*<artifactId>postgresql</m.test(preview.diffs[0].diff)
+        && /^\+\s*<artifactId>flyway-core</m.test(preview.diffs[0].diff) && (await read(projectRoot, 'pom.xml')) === pom,
+      preview.diffs.map(diff => diff.diff).join('\n'));
+    await fileService.applyGeneratedFiles(twiceFiles, { executionId: 'e2e-twice' });
+    const twice = await read(projectRoot, 'pom.xml');
+    check('both changes of pom.xml are applied', twice.includes('<artifactId>postgresql</artifactId>') && twice.includes('<artifactId>flyway-core</artifactId>'));
+    const twiceRollback = await fileService.rollbackExecution('e2e-twice');
+    check('rollback of a file changed twice restores the original',
+      (await read(projectRoot, 'pom.xml')) === pom && twiceRollback.skipped.length === 0, JSON.stringify(twiceRollback));
+
+    // 8. A Gradle (Kotlin DSL) project: the generated pom.xml change goes into build.gradle.kts
+    const gradle = await createSkeleton('gradle');
+    gradleRoot = gradle.projectRoot;
+    const gradleRun = await callTool(client, 'generate_postgresql_integration', {
+      projectPath: gradleRoot,
+      description: 'Customers and their orders',
+      schema: SCHEMA
+    });
+    check('the pom.xml change is applied to build.gradle.kts and counted as applied',
+      gradleRun.includes('- ✅ **pom.xml**') && gradleRun.includes('Path: `pom.xml` → `build.gradle.kts`')
+        && (await read(gradleRoot, 'build.gradle.kts')).includes('runtimeOnly("org.postgresql:postgresql")'),
+      gradleRun.slice(gradleRun.indexOf('### Dependencies'), gradleRun.indexOf('### Dependencies') + 300));
+    check('next steps use the Gradle wrapper and the project\'s application.properties',
+      gradleRun.includes('./gradlew bootRun') && !gradleRun.includes('mvn spring-boot:run')
+        && gradleRun.includes('# Update your database configuration in src/main/resources/application.properties'),
+      gradleRun.slice(gradleRun.indexOf('## 💡 Quick Start Commands'), gradleRun.indexOf('## 💡 Quick Start Commands') + 300));
+
+    // A renamed and a dropped column replace the old entity fields, so Hibernate's validate still passes
+    const products = fields => ({ tables: [{ name: 'products', fields: [{ name: 'id', type: 'BIGSERIAL', primaryKey: true }, ...fields] }] });
+    const productsRun = await callTool(client, 'generate_postgresql_integration', {
+      projectPath: gradleRoot,
+      description: 'Products',
+      schema: products([{ name: 'name', type: 'VARCHAR', length: 100 }, { name: 'price', type: 'NUMERIC', precision: 10, scale: 2 }]),
+      migrations: 'flyway'
+    });
+    check('the baseline migration names the enum type it cannot create',
+      productsRun.includes('V1__create_baseline.sql') && productsRun.includes('The baseline uses order_status'), productsRun.slice(0, 900));
+    const renameRequest = {
+      projectPath: gradleRoot,
+      description: 'Products with a title and a SKU instead of a price',
+      schema: products([{ name: 'title', renamedFrom: 'name', type: 'VARCHAR', length: 100 }, { name: 'sku', type: 'VARCHAR', length: 40 }]),
+      migrations: 'flyway'
+    };
+    const withoutDrops = await callTool(client, 'generate_postgresql_integration', { ...renameRequest, dryRun: true });
+    check('a column left out of the request is kept unless allowDrops is set',
+      !withoutDrops.includes('DROP COLUMN price') && withoutDrops.includes('products.price is not in the request'), withoutDrops.slice(0, 900));
+    const renamed = await callTool(client, 'generate_postgresql_integration', { ...renameRequest, allowDrops: true });
+    check('the drop is listed as destructive before it is applied', renamed.includes('🗑️ **Destructive:** Drop column products.price'));
+    const migrationDirectory = path.join(gradleRoot, 'src/main/resources/db/migration');
+    const alterProducts = (await fs.readdir(migrationDirectory)).find(name => /^V3__alter_products\.sql$/.test(name));
+    const alterSql = alterProducts ? await read(migrationDirectory, alterProducts) : '';
+    check('the migration renames and drops the columns',
+      alterSql.includes('RENAME COLUMN name TO title') && alterSql.includes('DROP COLUMN price'), renamed.slice(0, 900));
+    const product = await read(gradleRoot, 'src/main/java/com/example/entity/Product.java') || '';
+    check('the entity replaces the renamed field and loses the dropped one',
+      /private String title;/.test(product) && /private String sku;/.test(product) && !/\b(name|price);/.test(product), product);
+  } finally {
+    await client?.close();
+    await standIn.stop();
+    if (keep) {
+      console.log(chalk.gray(`\n   Project kept at ${projectRoot}${gradleRoot ? ` and ${gradleRoot}` : ''}`));
+    } else {
+      await fs.rm(projectRoot, { recursive: true, force: true });
+      if (gradleRoot) await fs.rm(gradleRoot, { recursive: true, force: true });
+    }
+  }
+
+  const failures = results.filter(result => !result.passed).length;
+  console.log(failures === 0
+    ? chalk.green.bold(`\n🎉 All ${results.length} checks passed\n`)
+    : chalk.red.bold(`\n❌ ${failures} of ${results.length} checks failed\n`));
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+run().catch(error => {
+  console.error(chalk.red.bold('\n❌ End-to-end run failed:'), error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the Spring Boot generator server: the /health, /plan/create and /plan/execute
+ * contract in plain Node, for end-to-end runs without Java.
+ *
+ *   node scripts/stand-in-server.js [--port 8080] [--base-path /mcp] [--fault <endpoint>:<kind>[:<times>]]
+ *
+ * Faults: `--fault /plan/execute:500:2` answers the next two executes with HTTP 500,
+ * `--fault /health:timeout` never answers the next health check, `--fault /plan/create:malformed`
+ * sends broken JSON. At runtime, POST the same spec as {"fault": "..."} to <base-path>/_faults.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { LocalGenerator } from '../src/services/localGenerator.js';
+
+export const FAULT_KINDS = ['timeout', 'malformed', 'status'];
+
+const CONTRACT_ENDPOINTS = ['/health', '/plan/create', '/plan/execute'];
+
+/**
+ * The real server generates into com.example.<project>; the adapter strips the project
+ * segment again (removeProjectNameFromPath), so the stand-in does the same to exercise it.
+ */
+class ServerStyleGenerator extends LocalGenerator {
+  async analyzeProject(projectPath, buildSystem) {
+    const analysis = await super.analyzeProject(projectPath, buildSystem);
+    const project = path.basename(path.resolve(projectPath || '.')).toLowerCase().replace(/[^a-z0-9]+/g, '');
+    return { ...analysis, basePackage: `com.example.${project || 'app'}` };
+  }
+}
+
+export class StandInServer {
+  constructor({ port = 0, host = '127.0.0.1', basePath = '/mcp', faults = [], quiet = false } = {}) {
+    this.port = port;
+    this.host = host;
+    this.basePath = basePath.replace(/\/+$/, '');
+    this.quiet = quiet;
+    this.logger = {
+      trace: () => {},
+      debug: () => {},
+      info: message => this.log(message),
+      warn: message => this.log(chalk.yellow(message)),
+      error: message => this.log(chalk.red(message))
+    };
+    this.generator = new ServerStyleGenerator({}, this.logger);
+    this.plans = new Map();
+    this.executions = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.sockets = new Set();
+    faults.forEach(fault => this.inject(fault));
+  }
+
+  log(message) {
+    if (!this.quiet) console.error(chalk.gray(`[stand-in] ${message}`));
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}${this.basePath}`;
+  }
+
+  /**
+   * Fail the next `times` calls of an endpoint: { endpoint, kind: 'timeout' | 'malformed' | 'status', status, times }
+   * or the CLI form "/plan/execute:500:2".
+   */
+  inject(fault) {
+    const parsed = typeof fault === 'string' ? this.parseFault(fault) : { kind: 'status', status: 500, times: 1, ...fault };
+    if (!CONTRACT_ENDPOINTS.includes(parsed.endpoint)) {
+      throw new Error(`Unknown endpoint "${parsed.endpoint}"; faults apply to ${CONTRACT_ENDPOINTS.join(', ')}`);
+    }
+    if (!FAULT_KINDS.includes(parsed.kind)) {
+      throw new Error(`Unknown fault "${parsed.kind}"; use timeout, malformed or an HTTP status`);
+    }
+    this.faults.push(parsed);
+    this.log(`Injected ${parsed.kind === 'status' ? parsed.status : parsed.kind} for the next ${parsed.times} call(s) of ${parsed.endpoint}`);
+    return parsed;
+  }
+
+  parseFault(spec) {
+    const [endpoint, kind = '500', times = '1'] = String(spec).split(':');
+    const status = Number(kind);
+    return {
+      endpoint,
+      kind: Number.isInteger(status) ? 'status' : kind,
+      status: Number.isInteger(status) ? status : null,
+      times: Math.max(1, parseInt(times) || 1)
+    };
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  takeFault(endpoint) {
+    const fault = this.faults.find(item => item.endpoint === endpoint);
+    if (!fault) return null;
+    if (--fault.times === 0) this.faults.splice(this.faults.indexOf(fault), 1);
+    return fault;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error(`${req.method} ${req.url}: ${error.stack}`);
+        if (!res.headersSent) this.send(res, 500, this.springError(500, 'Internal Server Error', req.url, error.message));
+      });
+    });
+    // Held sockets of injected timeouts must not keep stop() waiting
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.log(`Listening on ${this.url}`);
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://stand-in');
+    const endpoint = url.pathname.startsWith(this.basePath) ? url.pathname.slice(this.basePath.length) : null;
+    const body = await this.readBody(req);
+    this.requests.push({ method: req.method, endpoint, body, headers: req.headers });
+    this.log(`${req.method} ${url.pathname}`);
+
+    if (endpoint === '/_faults' && req.method === 'POST') {
+      try {
+        return this.send(res, 200, { injected: this.inject(body?.fault ?? body) });
+      } catch (error) {
+        return this.send(res, 400, { error: { code: 'INVALID_FAULT', message: error.message } });
+      }
+    }
+
+    const route = {
+      'GET /health': () => this.health(),
+      'POST /plan/create': () => this.createPlan(body),
+      'POST /plan/execute': () => this.executePlan(body)
+    }[`${req.method} ${endpoint}`];
+    if (!route) {
+      return this.send(res, 404, this.springError(404, 'Not Found', url.pathname));
+    }
+
+    const fault = this.takeFault(endpoint);
+    if (fault?.kind === 'timeout') {
+      this.log(chalk.yellow(`Holding ${endpoint} without an answer (injected timeout)`));
+      return;
+    }
+    if (fault?.kind === 'status') {
+      return this.send(res, fault.status, this.springError(fault.status, http.STATUS_CODES[fault.status] || 'Error', url.pathname, 'Injected failure'));
+    }
+
+    const [status, data] = await route();
+    if (fault?.kind === 'malformed') {
+      const json = JSON.stringify(data);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      return res.end(json.slice(0, Math.max(1, Math.floor(json.length / 2))));
+    }
+    return this.send(res, status, data);
+  }
+
+  async readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return { invalidJson: raw };
+    }
+  }
+
+  send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  // Body of a Spring Boot error page
+  springError(status, error, requestPath, message = '') {
+    return { timestamp: new Date().toISOString(), status, error, message, path: requestPath };
+  }
+
+  health() {
+    return [200, { status: 'UP', service: 'codeforge-stand-in', version: '1.0.0', plansActive: this.plans.size }];
+  }
+
+  async createPlan(body) {
+    const projectInfo = body?.projectInfo;
+    if (body?.action !== 'create_plan' || !projectInfo?.description) {
+      return [400, { error: { code: 'INVALID_REQUEST', message: 'Expected action "create_plan" with projectInfo.description' } }];
+    }
+
+    const buildSystem = projectInfo.buildTool
+      ? { buildTool: projectInfo.buildTool, buildFile: projectInfo.buildFile, dsl: projectInfo.dsl, multiProject: projectInfo.multiProject, modules: projectInfo.modules }
+      : null;
+    const { planId: localPlanId, generator, ...plan } = await this.generator.createPlan({
+      projectPath: projectInfo.path || '.',
+      description: projectInfo.description,
+      preferences: body.preferences || {},
+      buildSystem
+    });
+
+    const planId = `plan-${crypto.randomUUID()}`;
+    this.plans.set(planId, { localPlanId, buildTool: plan.projectAnalysis.buildTool });
+    return [200, {
+      ...plan,
+      planId,
+      nextSteps: { ...plan.nextSteps, message: 'Plan created. Execute it with the database schema.' }
+    }];
+  }
+
+  // Executing a plan again answers with the same execution, like the real server
+  async executePlan(body) {
+    if (body?.action !== 'execute_plan' || !body.planId || !Array.isArray(body.schema?.tables)) {
+      return [400, { error: { code: 'INVALID_REQUEST', message: 'Expected action "execute_plan" with planId and schema.tables' } }];
+    }
+    if (this.executions.has(body.planId)) {
+      return [200, this.executions.get(body.planId)];
+    }
+
+    const plan = this.plans.get(body.planId);
+    if (!plan) {
+      return [404, { error: { code: 'PLAN_NOT_FOUND', message: `Plan ${body.planId} not found or expired` } }];
+    }
+
+    const { generator, planId, postExecutionSteps = [], ...execution } = await this.generator.executePlan({ planId: plan.localPlanId, schema: body.schema });
+    const response = {
+      ...execution,
+      executionId: `exec-${crypto.randomUUID()}`,
+      validation: {
+        compilationCheck: 'passed',
+        dependencyCheck: 'passed',
+        namingConventions: 'passed',
+        codeQuality: { score: 92, issues: [] }
+      },
+      // Numbered steps with a title as `action`, continuing the generator's own
+      postExecutionSteps: [
+        ...postExecutionSteps.map(({ step, ...rest }) => rest),
+        { action: 'Configure the Database', description: 'Set DB_HOST, DB_PORT, DB_NAME, DB_USERNAME and DB_PASSWORD', required: true },
+        {
+          action: 'Build the Project',
+          description: `Run \`${plan.buildTool === 'gradle' ? './gradlew build' : 'mvn clean install'}\` to compile the generated code`,
+          required: true
+        },
+        { action: 'Start the Application', description: 'The REST endpoints are served under /api', required: false }
+      ].map((step, index) => ({ step: index + 1, ...step }))
+    };
+    this.executions.set(body.planId, response);
+    return [200, response];
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  const faults = args.flatMap((arg, index) => (arg === '--fault' ? [args[index + 1]] : []));
+
+  const server = new StandInServer({
+    port: parseInt(option('--port') ?? process.env.PORT ?? 8080),
+    host: option('--host') || '127.0.0.1',
+    basePath: option('--base-path') || '/mcp',
+    faults
+  });
+  await server.start();
+  console.log(chalk.green.bold(`🧪 Stand-in generator server on ${server.url}`));
+  console.log(chalk.gray(`   Point the adapter at it with MCP_SERVER_URL=${server.url}`));
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  });
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { McpService } from '../src/services/mcpService.js';
+import { authConfigFromEnv } from '../src/services/authService.js';
 import { Logger } from '../src/utils/logger.js';
 import dotenv from 'dotenv';
 
@@ -8,7 +9,8 @@ dotenv.config();
 
 const config = {
   mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:8080/mcp',
-  timeout: 5000
+  timeout: 5000,
+  ...authConfigFromEnv()
 };
 
 const logger = new Logger('info');
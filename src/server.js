@@ -15,10 +15,20 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { PostgreSQLTool } from './tools/postgresqlTool.js';
+import { PlanTool } from './tools/planTool.js';
+import { ExecuteTool } from './tools/executeTool.js';
 import { StatusTool } from './tools/statusTool.js';
+import { RollbackTool } from './tools/rollbackTool.js';
+import { IntrospectTool } from './tools/introspectTool.js';
+import { EntitySchemaTool } from './tools/entitySchemaTool.js';
 import { McpService } from './services/mcpService.js';
 import { FileService } from './services/fileService.js';
+import { PlanRegistry } from './services/planRegistry.js';
+import { DatabaseService } from './services/databaseService.js';
+import { SchemaService } from './services/schemaService.js';
+import { TemplateService } from './services/templateService.js';
 import { Logger } from './utils/logger.js';
+import { ProgressReporter } from './utils/progressReporter.js';
 
 export class PostgreSQLMCPServer {
   constructor(config) {
@@ -38,6 +48,10 @@ export class PostgreSQLMCPServer {
     // Initialize services with the correct project directory
     this.mcpService = new McpService(config, this.logger);
     this.fileService = new FileService(config, this.logger);
+    this.planRegistry = new PlanRegistry(config, this.logger);
+    this.databaseService = new DatabaseService(config, this.logger);
+    this.schemaService = new SchemaService(config, this.logger);
+    this.templateService = new TemplateService(config, this.logger);
     
     // Set the project root to Cursor's working directory
     this.fileService.setProjectRoot(this.cursorProjectDirectory);
@@ -47,10 +61,24 @@ export class PostgreSQLMCPServer {
       postgresql: new PostgreSQLTool(
         this.mcpService, 
         this.fileService, 
+        this.schemaService,
+        this.templateService,
         this.logger,
         this.cursorProjectDirectory  // Pass the directory to the tool
       ),
-      status: new StatusTool(this.fileService, this.logger)
+      plan: new PlanTool(this.mcpService, this.fileService, this.planRegistry, this.logger),
+      execute: new ExecuteTool(
+        this.mcpService,
+        this.fileService,
+        this.planRegistry,
+        this.schemaService,
+        this.templateService,
+        this.logger
+      ),
+      status: new StatusTool(this.fileService, this.logger),
+      rollback: new RollbackTool(this.fileService, this.logger),
+      introspect: new IntrospectTool(this.databaseService, this.logger),
+      entities: new EntitySchemaTool(this.fileService, this.schemaService, this.logger)
     };
 
     // Initialize MCP server
@@ -76,22 +104,42 @@ export class PostgreSQLMCPServer {
       return {
         tools: [
           this.tools.postgresql.getDefinition(),
-          this.tools.status.getDefinition()
+          this.tools.plan.getDefinition(),
+          this.tools.execute.getDefinition(),
+          this.tools.status.getDefinition(),
+          this.tools.rollback.getDefinition(),
+          this.tools.introspect.getDefinition(),
+          this.tools.entities.getDefinition()
         ]
       };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      // Aborted by the SDK when the client sends notifications/cancelled for this call;
+      // progress is only reported when the client passed a progressToken
+      const context = {
+        signal: extra?.signal,
+        progress: new ProgressReporter(
+          notification => this.server.notification(notification),
+          request.params._meta?.progressToken,
+          this.logger
+        )
+      };
 
       try {
         this.logger.info(`Executing tool: ${name}`);
         this.logger.debug(`Tool arguments:`, JSON.stringify(args, null, 2));
         
+        // Executing a plan without a projectPath targets the project the plan was created for
+        const usePlanProject = name === 'execute_postgresql_integration' && !args.projectPath;
+
         // IMPORTANT: Override projectPath with Cursor's working directory if not specified
         // or if it's just '.' (relative path)
-        if (!args.projectPath || args.projectPath === '.' || args.projectPath === '/') {
+        if (usePlanProject) {
+          this.logger.info('Using the project recorded with the plan');
+        } else if (!args.projectPath || args.projectPath === '.' || args.projectPath === '/') {
           args.projectPath = this.cursorProjectDirectory;
           this.logger.info(`Using Cursor's working directory as project path: ${args.projectPath}`);
         } else if (!args.projectPath.startsWith('/') && !args.projectPath.startsWith('~')) {
@@ -103,11 +151,26 @@ export class PostgreSQLMCPServer {
 
         switch (name) {
           case 'generate_postgresql_integration':
-            return await this.tools.postgresql.execute(args);
+            return await this.tools.postgresql.execute(args, context);
+          
+          case 'create_postgresql_integration_plan':
+            return await this.tools.plan.execute(args, context);
+          
+          case 'execute_postgresql_integration':
+            return await this.tools.execute.execute(args, context);
           
           case 'get_postgresql_integration_status':
             return await this.tools.status.execute(args);
           
+          case 'rollback_postgresql_integration':
+            return await this.tools.rollback.execute(args);
+          
+          case 'introspect_postgresql_schema':
+            return await this.tools.introspect.execute(args);
+          
+          case 'derive_postgresql_schema_from_entities':
+            return await this.tools.entities.execute(args);
+          
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -158,7 +221,7 @@ export class PostgreSQLMCPServer {
           this.logger.info('✅ Project directory exists and is accessible');
           
           // Check for project markers
-          const projectMarkers = ['pom.xml', 'build.gradle', 'package.json', 'src'];
+          const projectMarkers = ['pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts', 'package.json', 'src'];
           for (const marker of projectMarkers) {
             const markerPath = path.join(this.cursorProjectDirectory, marker);
             try {
@@ -173,9 +236,19 @@ export class PostgreSQLMCPServer {
         this.logger.warn(`⚠️ Could not verify project directory: ${error.message}`);
       }
       
-      // Test connection to Spring Boot server
-      await this.mcpService.testConnection();
-      this.logger.info('✅ Connection to Spring Boot server verified');
+      // Test connection to Spring Boot server; without it only the built-in templates can generate
+      if (this.mcpService.generator === 'local') {
+        this.logger.info('📴 Generator: built-in templates (MCP_GENERATOR=local), Spring Boot server not contacted');
+      } else {
+        try {
+          await this.mcpService.testConnection();
+          this.logger.info('✅ Connection to Spring Boot server verified');
+        } catch (error) {
+          if (this.mcpService.generator === 'server') throw error;
+          this.logger.warn(`⚠️ ${error.message}`);
+          this.logger.warn('📴 Plans will be generated from the built-in templates until the server is reachable');
+        }
+      }
 
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
@@ -184,7 +257,12 @@ export class PostgreSQLMCPServer {
       this.logger.info('📁 Working with project at: ' + this.cursorProjectDirectory);
       this.logger.info('Available tools:');
       this.logger.info('  - generate_postgresql_integration: Complete PostgreSQL integration');
+      this.logger.info('  - create_postgresql_integration_plan: Create a reviewable integration plan');
+      this.logger.info('  - execute_postgresql_integration: Execute a plan with a database schema');
       this.logger.info('  - get_postgresql_integration_status: Check integration status');
+      this.logger.info('  - rollback_postgresql_integration: Undo the changes of an execution');
+      this.logger.info('  - introspect_postgresql_schema: Read the schema of an existing database');
+      this.logger.info('  - derive_postgresql_schema_from_entities: Read the schema from JPA entities');
     } catch (error) {
       this.logger.error('Failed to start server:', error);
       throw error;
@@ -0,0 +1,165 @@
+// src/services/authService.js - Credentials for requests to the Spring Boot generator server
+import fs from 'fs/promises';
+import https from 'https';
+
+export const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+
+// Auth settings of the adapter config, shared by index.js and the scripts
+export function authConfigFromEnv(env = process.env) {
+  return {
+    apiKey: env.MCP_API_KEY || env.CODEFORGE_API_KEY,
+    apiKeyHeader: env.MCP_API_KEY_HEADER,
+    authHeaders: env.MCP_AUTH_HEADERS,
+    bearerToken: env.MCP_BEARER_TOKEN,
+    bearerTokenFile: env.MCP_BEARER_TOKEN_FILE,
+    tls: {
+      cert: env.MCP_TLS_CERT,
+      key: env.MCP_TLS_KEY,
+      passphrase: env.MCP_TLS_KEY_PASSPHRASE,
+      ca: env.MCP_TLS_CA
+    }
+  };
+}
+
+/**
+ * Static API key headers, a bearer token (given directly or read from a file that an
+ * external process keeps fresh) and a client certificate for mTLS. Every credential is
+ * registered with the logger, which masks it in the log files.
+ */
+export class AuthService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+
+    this.staticHeaders = { ...this.parseHeaders(config.authHeaders) };
+    if (config.apiKey) {
+      this.staticHeaders[config.apiKeyHeader || DEFAULT_API_KEY_HEADER] = config.apiKey;
+    }
+    Object.values(this.staticHeaders).forEach(value => this.logger.registerSecret(value));
+
+    this.bearerToken = config.bearerToken || null;
+    this.bearerTokenFile = config.bearerTokenFile || null;
+    this.fileToken = null;
+    if (this.bearerToken) this.logger.registerSecret(this.bearerToken);
+
+    this.tls = config.tls || {};
+    if (this.tls.passphrase) this.logger.registerSecret(this.tls.passphrase);
+    this.agentPromise = null;
+    this.warnedPlainHttp = false;
+  }
+
+  // Extra headers as an object or a JSON object string (MCP_AUTH_HEADERS)
+  parseHeaders(headers) {
+    if (!headers) return {};
+    if (typeof headers === 'object') return headers;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(headers);
+    } catch (error) {
+      throw new Error(`MCP_AUTH_HEADERS must be a JSON object of header names and values: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('MCP_AUTH_HEADERS must be a JSON object of header names and values');
+    }
+    return Object.fromEntries(Object.entries(parsed).map(([name, value]) => [name, String(value)]));
+  }
+
+  // What is configured, without the values, for the startup log
+  describe() {
+    const methods = Object.keys(this.staticHeaders).map(header => `${header} header`);
+    if (this.bearerTokenFile) methods.push(`bearer token from ${this.bearerTokenFile}`);
+    else if (this.bearerToken) methods.push('bearer token');
+    if (this.tls.cert) methods.push(`client certificate ${this.tls.cert}`);
+    if (this.tls.ca) methods.push(`CA bundle ${this.tls.ca}`);
+    return methods;
+  }
+
+  async headers() {
+    const headers = { ...this.staticHeaders };
+    const token = await this.token();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return headers;
+  }
+
+  async token() {
+    if (!this.bearerTokenFile) {
+      return this.bearerToken;
+    }
+
+    if (this.fileToken === null) {
+      try {
+        this.fileToken = (await fs.readFile(this.bearerTokenFile, 'utf8')).trim();
+      } catch (error) {
+        throw new Error(`Cannot read the bearer token file ${this.bearerTokenFile}: ${error.message}`);
+      }
+      this.logger.registerSecret(this.fileToken);
+    }
+    return this.fileToken;
+  }
+
+  /**
+   * Called after a 401: re-read the token file. True when it now holds a different token,
+   * so the request is worth repeating; a token given directly cannot change.
+   */
+  async refresh() {
+    if (!this.bearerTokenFile) {
+      return false;
+    }
+
+    const previous = this.fileToken;
+    this.fileToken = null;
+    const token = await this.token();
+    if (!token || token === previous) {
+      this.logger.warn(`🔑 Server rejected the bearer token and ${this.bearerTokenFile} holds no newer one`);
+      return false;
+    }
+
+    this.logger.info(`🔑 Server rejected the bearer token, re-read a new one from ${this.bearerTokenFile}`);
+    return true;
+  }
+
+  // https.Agent with the client certificate and CA bundle; null when neither is configured
+  async agent(url) {
+    if (!this.tls.cert && !this.tls.ca) {
+      return null;
+    }
+    if (!url.startsWith('https:')) {
+      if (!this.warnedPlainHttp) {
+        this.logger.warn(`🔑 TLS settings are ignored for ${url}; use an https:// server URL`);
+        this.warnedPlainHttp = true;
+      }
+      return null;
+    }
+
+    this.agentPromise = this.agentPromise || this.createAgent().catch(error => {
+      this.agentPromise = null;
+      throw error;
+    });
+    return this.agentPromise;
+  }
+
+  async createAgent() {
+    const read = async (file, what) => {
+      try {
+        return await fs.readFile(file);
+      } catch (error) {
+        throw new Error(`Cannot read the ${what} ${file}: ${error.message}`);
+      }
+    };
+
+    if (Boolean(this.tls.cert) !== Boolean(this.tls.key)) {
+      throw new Error('mTLS needs both a client certificate and its private key');
+    }
+
+    return new https.Agent({
+      keepAlive: true,
+      ...(this.tls.cert ? { cert: await read(this.tls.cert, 'client certificate'), key: await read(this.tls.key, 'client key') } : {}),
+      ...(this.tls.passphrase ? { passphrase: this.tls.passphrase } : {}),
+      // Replaces the default trust store, so the bundle must hold every CA the server may use
+      ...(this.tls.ca ? { ca: await read(this.tls.ca, 'CA bundle') } : {})
+    });
+  }
+}
@@ -0,0 +1,228 @@
+// src/services/backupService.js - Per-execution backups and rollback
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MANIFEST_FILE = 'manifest.json';
+
+export class BackupService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.backupDir = config.backupDir || '.mcp-backups';
+  }
+
+  // Start a backup set for one execution: .mcp-backups/<executionId>/{manifest.json,files/...}
+  async createManifest(projectRoot, executionId) {
+    const backupRoot = path.join(projectRoot, this.backupDir);
+    const baseName = String(executionId).replace(/[^A-Za-z0-9._-]/g, '_');
+
+    let directoryName = baseName;
+    if (await this.exists(path.join(backupRoot, directoryName))) {
+      directoryName = `${baseName}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    }
+
+    const directory = path.join(backupRoot, directoryName);
+    await fs.mkdir(directory, { recursive: true });
+    this.logger.debug(`Backup set created: ${directory}`);
+
+    return {
+      executionId,
+      projectRoot,
+      directory,
+      createdAt: new Date().toISOString(),
+      rolledBackAt: null,
+      files: []
+    };
+  }
+
+  /**
+   * Record a file before it is written, copying the original when there is one. A path
+   * touched again in the same execution keeps its first entry and backup, which hold the
+   * state before the execution; only the hash moves on to the newest content.
+   */
+  async recordFile(manifest, { relativePath, fullPath, existed, finalContent }) {
+    const recorded = manifest.files.find(entry => entry.path === relativePath);
+    if (recorded) {
+      recorded.sha256 = this.hash(finalContent);
+      this.logger.debug(`Backup kept from the first change of ${relativePath}`);
+      return;
+    }
+
+    let backupPath = null;
+
+    if (existed && this.config.autoBackup !== false) {
+      const target = path.join(manifest.directory, 'files', relativePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(fullPath, target);
+      backupPath = path.relative(manifest.projectRoot, target);
+      this.logger.debug(`Created backup: ${target}`);
+    }
+
+    manifest.files.push({
+      path: relativePath,
+      originalPath: fullPath,
+      action: existed ? 'modified' : 'created',
+      backupPath,
+      sha256: this.hash(finalContent)
+    });
+  }
+
+  async saveManifest(manifest) {
+    if (manifest.files.length === 0) {
+      // Nothing was touched, so there is nothing to roll back
+      await fs.rm(manifest.directory, { recursive: true, force: true });
+      return null;
+    }
+
+    const { directory, ...data } = manifest;
+    const manifestPath = path.join(directory, MANIFEST_FILE);
+    await fs.writeFile(manifestPath, JSON.stringify(data, null, 2), 'utf8');
+    this.logger.info(`Backup manifest written: ${manifestPath}`);
+    return manifestPath;
+  }
+
+  async listManifests(projectRoot) {
+    const backupRoot = path.join(projectRoot, this.backupDir);
+    const manifests = [];
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(backupRoot, { withFileTypes: true });
+    } catch {
+      return manifests;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const directory = path.join(backupRoot, entry.name);
+      try {
+        const content = await fs.readFile(path.join(directory, MANIFEST_FILE), 'utf8');
+        manifests.push({ ...JSON.parse(content), directory });
+      } catch {
+        // Legacy backups and unrelated directories have no manifest
+      }
+    }
+
+    return manifests.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async findManifest(projectRoot, executionId) {
+    const manifests = await this.listManifests(projectRoot);
+    const matches = manifests.filter(manifest => manifest.executionId === executionId);
+    if (matches.length === 0) {
+      return null;
+    }
+
+    // Prefer the newest run that has not been rolled back yet
+    return matches.reverse().find(manifest => !manifest.rolledBackAt) || matches[0];
+  }
+
+  async rollback(projectRoot, executionId, { force = false } = {}) {
+    const manifest = await this.findManifest(projectRoot, executionId);
+    if (!manifest) {
+      throw new Error(`No backup manifest found for execution ${executionId} in ${path.join(projectRoot, this.backupDir)}`);
+    }
+
+    if (manifest.rolledBackAt && !force) {
+      throw new Error(`Execution ${executionId} was already rolled back at ${manifest.rolledBackAt}`);
+    }
+
+    this.logger.info(`=== Rolling back execution ${executionId} (${manifest.files.length} files) ===`);
+
+    const result = {
+      executionId,
+      restored: [],
+      deleted: [],
+      skipped: [],
+      errors: []
+    };
+
+    // Undo in reverse order, so directories are emptied before their parents are checked
+    for (const entry of [...manifest.files].reverse()) {
+      const fullPath = path.resolve(projectRoot, entry.path);
+
+      try {
+        if (!fullPath.startsWith(path.normalize(projectRoot))) {
+          throw new Error('Security error: path is outside project root');
+        }
+
+        const current = await this.readIfExists(fullPath);
+        if (current !== null && !force && this.hash(current) !== entry.sha256) {
+          result.skipped.push({ path: entry.path, reason: 'changed since the execution (use force to override)' });
+          continue;
+        }
+
+        if (entry.action === 'modified') {
+          if (!entry.backupPath) {
+            result.skipped.push({ path: entry.path, reason: 'no backup was taken (autoBackup disabled)' });
+            continue;
+          }
+
+          await fs.mkdir(path.dirname(fullPath), { recursive: true });
+          await fs.copyFile(path.resolve(projectRoot, entry.backupPath), fullPath);
+          result.restored.push(entry.path);
+          this.logger.info(`   ↩️ Restored: ${entry.path}`);
+        } else {
+          if (current === null) {
+            result.skipped.push({ path: entry.path, reason: 'already removed' });
+            continue;
+          }
+
+          await fs.unlink(fullPath);
+          await this.removeEmptyParents(path.dirname(fullPath), projectRoot);
+          result.deleted.push(entry.path);
+          this.logger.info(`   🗑️ Deleted: ${entry.path}`);
+        }
+      } catch (error) {
+        const errorMsg = `Failed to roll back ${entry.path}: ${error.message}`;
+        this.logger.error(`   ❌ ${errorMsg}`);
+        result.errors.push(errorMsg);
+      }
+    }
+
+    const { directory, ...data } = manifest;
+    data.rolledBackAt = new Date().toISOString();
+    await fs.writeFile(path.join(directory, MANIFEST_FILE), JSON.stringify(data, null, 2), 'utf8');
+
+    return result;
+  }
+
+  async removeEmptyParents(dir, projectRoot) {
+    const root = path.normalize(projectRoot);
+    let current = path.normalize(dir);
+
+    while (current.startsWith(root) && current !== root) {
+      try {
+        const entries = await fs.readdir(current);
+        if (entries.length > 0) break;
+        await fs.rmdir(current);
+        current = path.dirname(current);
+      } catch {
+        break;
+      }
+    }
+  }
+
+  async readIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
+  }
+}
@@ -0,0 +1,352 @@
+import fs from 'fs/promises';
+import path from 'path';
+import pg from 'pg';
+import { parseAllDocuments } from 'yaml';
+import { PropertiesMerger } from '../utils/propertiesMerger.js';
+import { canonicalType, normalizeDefault, orderTable } from '../utils/pgTypes.js';
+import { quoteReserved } from '../utils/pgIdentifiers.js';
+
+const COLUMNS_QUERY = `
+  SELECT c.table_name, c.column_name, c.data_type, c.udt_name, c.character_maximum_length,
+         c.numeric_precision, c.numeric_scale, c.datetime_precision,
+         c.is_nullable, c.column_default, c.is_identity
+  FROM information_schema.columns c
+  JOIN information_schema.tables t
+    ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+  WHERE c.table_schema = $1 AND t.table_type = 'BASE TABLE'
+  ORDER BY c.table_name, c.ordinal_position`;
+
+// Every index, including the ones behind primary key and unique constraints
+const INDEXES_QUERY = `
+  SELECT t.relname AS table_name, ic.relname AS index_name, i.indisprimary AS is_primary,
+         i.indisunique AS is_unique, am.amname AS method,
+         pg_get_expr(i.indpred, i.indrelid) AS predicate, i.indexprs IS NOT NULL AS has_expressions,
+         coalesce(array_agg(a.attname::text ORDER BY k.position) FILTER (WHERE a.attname IS NOT NULL), '{}') AS columns
+  FROM pg_index i
+  JOIN pg_class t ON t.oid = i.indrelid
+  JOIN pg_class ic ON ic.oid = i.indexrelid
+  JOIN pg_am am ON am.oid = ic.relam
+  JOIN pg_namespace n ON n.oid = t.relnamespace
+  -- Key columns only: INCLUDE columns follow the first indnkeyatts, expressions have attnum 0
+  CROSS JOIN LATERAL unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, position)
+  LEFT JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum AND k.attnum > 0
+  WHERE n.nspname = $1 AND k.position <= i.indnkeyatts
+  GROUP BY t.relname, ic.relname, i.indexrelid, i.indisprimary, i.indisunique, am.amname, i.indpred, i.indrelid, i.indexprs
+  ORDER BY t.relname, ic.relname`;
+
+// CHECK constraints and foreign keys
+const CONSTRAINTS_QUERY = `
+  SELECT t.relname AS table_name, c.conname AS constraint_name, c.contype AS type,
+         pg_get_constraintdef(c.oid) AS definition, f.relname AS referenced_table,
+         array(SELECT attname::text FROM unnest(c.conkey) k JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k) AS columns,
+         array(SELECT attname::text FROM unnest(c.confkey) k JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k) AS referenced_columns,
+         c.confdeltype AS on_delete, c.confupdtype AS on_update
+  FROM pg_constraint c
+  JOIN pg_class t ON t.oid = c.conrelid
+  JOIN pg_namespace n ON n.oid = t.relnamespace
+  LEFT JOIN pg_class f ON f.oid = c.confrelid
+  WHERE n.nspname = $1 AND c.contype IN ('c', 'f')
+  ORDER BY t.relname, c.conname`;
+
+// Enum types with their labels in declaration order
+const ENUMS_QUERY = `
+  SELECT t.typname AS name, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS values
+  FROM pg_type t
+  JOIN pg_enum e ON e.enumtypid = t.oid
+  JOIN pg_namespace n ON n.oid = t.typnamespace
+  WHERE n.nspname = $1
+  GROUP BY t.typname
+  ORDER BY t.typname`;
+
+// Fractional seconds precision PostgreSQL uses when none is declared
+const DEFAULT_FRACTION_PRECISION = 6;
+
+// pg_constraint.confdeltype / confupdtype codes; 'a' (NO ACTION) is the default and left out
+const REFERENTIAL_ACTIONS = { r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+
+export class DatabaseService {
+  constructor(config, logger) {
+    this.timeout = config.timeout || 30000;
+    this.logger = logger;
+  }
+
+  /**
+   * Read every base table of a PostgreSQL schema into the `schema.tables[].fields[]`
+   * structure accepted by generate_postgresql_integration.
+   */
+  async introspectSchema(connection, { schemaName = 'public', tables = null } = {}) {
+    const client = new pg.Client({
+      ...connection,
+      connectionTimeoutMillis: this.timeout,
+      query_timeout: this.timeout
+    });
+
+    this.logger.info(`🔌 Connecting to PostgreSQL at ${connection.host}:${connection.port}/${connection.database}`);
+    await client.connect();
+
+    try {
+      const columns = await client.query(COLUMNS_QUERY, [schemaName]);
+      const indexes = await client.query(INDEXES_QUERY, [schemaName]);
+      const constraints = await client.query(CONSTRAINTS_QUERY, [schemaName]);
+      const enums = await client.query(ENUMS_QUERY, [schemaName]);
+
+      const result = this.buildSchema(columns.rows, indexes.rows, tables, constraints.rows, enums.rows);
+      this.logger.info(`✅ Introspected ${result.tables.length} tables from schema ${schemaName}`);
+      return result;
+    } finally {
+      await client.end();
+    }
+  }
+
+  buildSchema(columnRows, indexRows, onlyTables = null, constraintRows = [], enumRows = []) {
+    const wanted = onlyTables?.length ? new Set(onlyTables) : null;
+    const tables = new Map();
+    const warnings = [];
+    const enums = new Map(enumRows.map(row => [row.name, Array.isArray(row.values) ? row.values : this.parseArray(row.values)]));
+    const usedEnums = new Set();
+
+    for (const row of columnRows) {
+      if (wanted && !wanted.has(row.table_name)) continue;
+
+      if (!tables.has(row.table_name)) {
+        tables.set(row.table_name, { name: row.table_name, fields: [], uniqueConstraints: [], indexes: [], checks: [] });
+      }
+      tables.get(row.table_name).fields.push(this.toField(row, warnings, enums, usedEnums));
+    }
+
+    for (const row of indexRows) {
+      const table = tables.get(row.table_name);
+      if (!table) continue;
+
+      const columns = Array.isArray(row.columns) ? row.columns : this.parseArray(row.columns);
+      if (row.has_expressions) {
+        warnings.push(`${row.table_name}: expression index ${row.index_name} is not represented`);
+      } else if (row.is_primary) {
+        for (const column of columns) {
+          const field = table.fields.find(item => item.name === column);
+          if (field) {
+            field.primaryKey = true;
+            if (columns.length === 1) delete field.unique;
+          }
+        }
+        if (columns.length > 1) table.primaryKey = columns;
+      } else if (row.is_unique && !row.predicate && row.method === 'btree') {
+        const field = columns.length === 1 && table.fields.find(item => item.name === columns[0]);
+        if (field) {
+          if (!field.primaryKey || table.primaryKey) field.unique = true;
+        } else {
+          table.uniqueConstraints.push({ name: row.index_name, columns });
+        }
+      } else {
+        table.indexes.push({
+          name: row.index_name,
+          columns,
+          ...(row.method !== 'btree' ? { method: row.method } : {}),
+          ...(row.is_unique ? { unique: true } : {}),
+          ...(row.predicate ? { where: row.predicate } : {})
+        });
+      }
+    }
+
+    for (const row of constraintRows) {
+      const table = tables.get(row.table_name);
+      if (!table) continue;
+
+      const columns = Array.isArray(row.columns) ? row.columns : this.parseArray(row.columns);
+      if (row.type === 'c') {
+        table.checks.push({ name: row.constraint_name, expression: row.definition.replace(/^CHECK\s*\(([\s\S]*)\)(\s+NOT VALID)?$/, '$1') });
+      } else if (columns.length === 1) {
+        const referencedColumns = Array.isArray(row.referenced_columns) ? row.referenced_columns : this.parseArray(row.referenced_columns);
+        const field = table.fields.find(item => item.name === columns[0]);
+        if (field) {
+          field.references = {
+            table: quoteReserved(row.referenced_table),
+            column: quoteReserved(referencedColumns[0]),
+            ...(REFERENTIAL_ACTIONS[row.on_delete] ? { onDelete: REFERENTIAL_ACTIONS[row.on_delete] } : {}),
+            ...(REFERENTIAL_ACTIONS[row.on_update] ? { onUpdate: REFERENTIAL_ACTIONS[row.on_update] } : {})
+          };
+        }
+      } else {
+        warnings.push(`${row.table_name}: composite foreign key ${row.constraint_name} (${columns.join(', ')}) is not represented`);
+      }
+    }
+
+    for (const table of tables.values()) {
+      if (!table.fields.some(field => field.primaryKey)) {
+        warnings.push(`${table.name}: table has no primary key`);
+      }
+    }
+
+    if (wanted) {
+      for (const name of wanted) {
+        if (!tables.has(name)) warnings.push(`${name}: table not found`);
+      }
+    }
+
+    // A reserved word can only be a table or column name if it was created quoted
+    const result = [...tables.values()].map(table => orderTable({
+      ...table,
+      name: quoteReserved(table.name),
+      fields: table.fields.map(field => ({ ...field, name: quoteReserved(field.name) })),
+      primaryKey: table.primaryKey?.map(quoteReserved),
+      uniqueConstraints: table.uniqueConstraints.map(constraint => ({ ...constraint, columns: constraint.columns.map(quoteReserved) })),
+      indexes: table.indexes.map(index => ({ ...index, columns: index.columns.map(quoteReserved) }))
+    }));
+
+    // Only the enums used by the introspected tables are part of their schema
+    const enumList = [...enums.entries()]
+      .filter(([name]) => usedEnums.has(name))
+      .map(([name, values]) => ({ name: quoteReserved(name), values }));
+
+    return { ...(enumList.length > 0 ? { enums: enumList } : {}), tables: result, warnings };
+  }
+
+  toField(row, warnings, enums = new Map(), usedEnums = new Set()) {
+    const udtName = String(row.udt_name || '');
+    const enumName = [udtName, udtName.replace(/^_/, '')].find(name => enums.has(name));
+    let { type, known } = row.data_type === 'ARRAY' || row.data_type === 'USER-DEFINED'
+      ? canonicalType(udtName)
+      : canonicalType(row.data_type);
+    if (enumName) {
+      usedEnums.add(enumName);
+      type = `${quoteReserved(enumName)}${enumName === udtName ? '' : '[]'}`;
+      known = true;
+    }
+    const field = { name: row.column_name, type };
+
+    if (row.character_maximum_length) {
+      field.length = Number(row.character_maximum_length);
+    }
+
+    if (type === 'NUMERIC' && row.numeric_precision !== null && row.numeric_precision !== undefined) {
+      field.precision = Number(row.numeric_precision);
+      field.scale = Number(row.numeric_scale || 0);
+    }
+
+    const fraction = ['TIME', 'TIMETZ', 'TIMESTAMP', 'TIMESTAMPTZ'].includes(type) && row.datetime_precision !== null && row.datetime_precision !== undefined
+      ? Number(row.datetime_precision)
+      : DEFAULT_FRACTION_PRECISION;
+    if (fraction !== DEFAULT_FRACTION_PRECISION) {
+      field.precision = fraction;
+    }
+
+    const serial = /^nextval\(/i.test(row.column_default || '');
+    if (row.is_identity === 'YES' || serial) {
+      field.autoIncrement = true;
+    }
+
+    field.nullable = row.is_nullable === 'YES';
+
+    if (row.column_default && !serial) {
+      field.defaultValue = normalizeDefault(row.column_default);
+    }
+
+    if (!known) {
+      warnings.push(`${row.table_name}.${row.column_name}: type ${row.udt_name} was passed through unchanged`);
+    }
+
+    return field;
+  }
+
+  parseArray(value) {
+    return String(value).replace(/^\{|\}$/g, '').split(',').filter(Boolean).map(item => item.replace(/^"|"$/g, ''));
+  }
+
+  /**
+   * jdbc:postgresql://host:5432/db?user=app&password=secret&sslmode=require&currentSchema=inventory
+   */
+  parseJdbcUrl(jdbcUrl, { username, password } = {}) {
+    const match = jdbcUrl.trim().match(/^(?:jdbc:)?(postgres(?:ql)?):\/\//i);
+    if (!match) {
+      throw new Error('Unsupported database URL (expected jdbc:postgresql://host:port/database)');
+    }
+
+    const url = new URL(jdbcUrl.trim().replace(/^jdbc:/i, '').replace(/^postgres(?:ql)?:/i, 'postgresql:'));
+    const params = url.searchParams;
+    const sslmode = params.get('sslmode');
+
+    return {
+      connection: {
+        host: url.hostname || 'localhost',
+        port: Number(url.port) || 5432,
+        database: decodeURIComponent(url.pathname.replace(/^\//, '')) || 'postgres',
+        user: username || decodeURIComponent(url.username) || params.get('user') || undefined,
+        password: password || decodeURIComponent(url.password) || params.get('password') || undefined,
+        ssl: sslmode && sslmode !== 'disable' ? { rejectUnauthorized: sslmode === 'verify-full' } : undefined
+      },
+      schemaName: params.get('currentSchema') || null
+    };
+  }
+
+  /**
+   * Read spring.datasource.url/username/password from the project's application.yml or
+   * application.properties, resolving ${ENV:default} placeholders.
+   */
+  async readDatasourceConfig(projectRoot, profile = null) {
+    const resources = path.join(projectRoot, 'src', 'main', 'resources');
+
+    for (const fileName of ['application.yml', 'application.yaml', 'application.properties']) {
+      const filePath = path.join(resources, fileName);
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch {
+        continue;
+      }
+
+      const values = fileName.endsWith('.properties')
+        ? this.readPropertiesDatasource(content)
+        : this.readYamlDatasource(content, profile);
+
+      if (values.url) {
+        this.logger.info(`📄 Using datasource from ${path.relative(projectRoot, filePath)}`);
+        return {
+          url: this.resolvePlaceholders(values.url),
+          username: values.username ? this.resolvePlaceholders(values.username) : undefined,
+          password: values.password ? this.resolvePlaceholders(values.password) : undefined,
+          source: path.relative(projectRoot, filePath)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  readYamlDatasource(content, profile) {
+    const documents = parseAllDocuments(content).map(doc => doc.toJSON() || {});
+    const lookup = (doc, key) => doc?.spring?.datasource?.[key] ?? doc?.[`spring.datasource.${key}`];
+    const profileOf = doc => doc?.spring?.config?.activate?.['on-profile'] ?? doc?.spring?.profiles ?? null;
+
+    // Later documents override earlier ones, profile documents override the default one
+    const active = documents.filter(doc => {
+      const docProfile = profileOf(doc);
+      return docProfile === null || (profile && String(docProfile).split(',').map(item => item.trim()).includes(profile));
+    });
+
+    const values = {};
+    for (const doc of active) {
+      for (const key of ['url', 'username', 'password']) {
+        const value = lookup(doc, key);
+        if (value !== undefined && value !== null) values[key] = String(value);
+      }
+    }
+    return values;
+  }
+
+  readPropertiesDatasource(content) {
+    const lines = content.split(/\r?\n/);
+    const { entries } = new PropertiesMerger(this.logger).parse(lines);
+    const values = {};
+    for (const entry of entries) {
+      const match = entry.key.match(/^spring\.datasource\.(url|username|password)$/);
+      if (match) values[match[1]] = entry.value;
+    }
+    return values;
+  }
+
+  resolvePlaceholders(value) {
+    return value.replace(/\$\{([^}:]+)(?::([^}]*))?\}/g, (match, name, fallback) =>
+      process.env[name] ?? process.env[name.replace(/[.-]/g, '_').toUpperCase()] ?? fallback ?? match
+    );
+  }
+}
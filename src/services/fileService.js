@@ -1,6 +1,16 @@
 // src/services/fileService.js - Fixed to properly use project root
 import fs from 'fs/promises';
 import path from 'path';
+import { createTwoFilesPatch, FILE_HEADERS_ONLY } from 'diff';
+import { BackupService } from './backupService.js';
+import { JavaMerger } from '../utils/javaMerger.js';
+import { PomMerger } from '../utils/pomMerger.js';
+import { GradleMerger } from '../utils/gradleMerger.js';
+import { YamlMerger } from '../utils/yamlMerger.js';
+import { PropertiesMerger } from '../utils/propertiesMerger.js';
+import { cancelledError } from '../utils/cancellation.js';
+
+const BUILD_FILES = ['pom.xml', 'build.gradle', 'build.gradle.kts'];
 
 export class FileService {
   constructor(config, logger) {
@@ -9,6 +19,14 @@ export class FileService {
     this.projectRoot = null; // Will be set explicitly
     this.backupDir = config.backupDir || '.mcp-backups';
     this.removeProjectNameFromPath = true;
+    this.defaultOverrideExistingProperties = config.overrideExistingProperties === true;
+    this.overrideExistingProperties = this.defaultOverrideExistingProperties;
+    this.backupService = new BackupService(config, logger);
+    this.javaMerger = new JavaMerger(logger);
+    this.pomMerger = new PomMerger(logger);
+    this.gradleMerger = new GradleMerger(logger);
+    this.yamlMerger = new YamlMerger(logger);
+    this.propertiesMerger = new PropertiesMerger(logger);
   }
 
   // Method to set the project root explicitly
@@ -47,18 +65,161 @@ export class FileService {
     return this.projectRoot;
   }
 
+  // Summarize the current project root for tools that need to validate it before writing
+  async getProjectInfo() {
+    const info = {
+      projectRoot: this.projectRoot,
+      exists: false,
+      isWritable: false,
+      buildFile: null,
+      hasSourceDirectory: false
+    };
+
+    if (!this.projectRoot) {
+      return info;
+    }
+
+    try {
+      const stats = await fs.stat(this.projectRoot);
+      info.exists = stats.isDirectory();
+    } catch {
+      return info;
+    }
+
+    try {
+      await fs.access(this.projectRoot, fs.constants.W_OK);
+      info.isWritable = true;
+    } catch {
+      info.isWritable = false;
+    }
+
+    const buildSystem = await this.detectBuildSystem();
+    info.buildFile = buildSystem.buildFile;
+    info.buildSystem = buildSystem;
+
+    info.hasSourceDirectory = await this.fileExists(path.join(this.projectRoot, 'src', 'main', 'java'));
+
+    return info;
+  }
+
+  // Work out which build tool the project uses, including Gradle DSL and multi-project layout
+  async detectBuildSystem(projectRoot = this.projectRoot) {
+    const result = {
+      buildTool: null,
+      buildFile: null,
+      dsl: null,
+      settingsFile: null,
+      multiProject: false,
+      modules: [],
+      applicationModule: null
+    };
+
+    if (!projectRoot) {
+      return result;
+    }
+
+    for (const buildFile of BUILD_FILES) {
+      if (await this.fileExists(path.join(projectRoot, buildFile))) {
+        result.buildFile = buildFile;
+        result.buildTool = buildFile === 'pom.xml' ? 'maven' : 'gradle';
+        result.dsl = buildFile === 'build.gradle.kts' ? 'kotlin' : (buildFile === 'build.gradle' ? 'groovy' : null);
+        break;
+      }
+    }
+
+    for (const settingsFile of ['settings.gradle', 'settings.gradle.kts']) {
+      const settingsPath = path.join(projectRoot, settingsFile);
+      if (!(await this.fileExists(settingsPath))) continue;
+
+      result.settingsFile = settingsFile;
+      result.buildTool = result.buildTool || 'gradle';
+      result.dsl = result.dsl || (settingsFile.endsWith('.kts') ? 'kotlin' : 'groovy');
+
+      const settings = await fs.readFile(settingsPath, 'utf8');
+      result.modules = this.parseGradleIncludes(settings);
+      result.multiProject = result.modules.length > 0;
+      break;
+    }
+
+    // In a multi-project build the dependencies belong to the module applying the Spring Boot plugin
+    if (result.buildTool === 'gradle' && result.multiProject) {
+      const rootBuild = result.buildFile ? await fs.readFile(path.join(projectRoot, result.buildFile), 'utf8') : '';
+      const application = this.appliesSpringBootPlugin(rootBuild) ? null : await this.findGradleApplicationModule(projectRoot, result.modules);
+      if (application) {
+        result.applicationModule = application.module;
+        result.buildFile = application.buildFile;
+        result.dsl = application.buildFile.endsWith('.kts') ? 'kotlin' : 'groovy';
+      }
+    }
+
+    if (result.buildTool === 'maven') {
+      const pom = await fs.readFile(path.join(projectRoot, 'pom.xml'), 'utf8');
+      result.modules = [...pom.matchAll(/<module>\s*([^<\s]+)\s*<\/module>/g)].map(match => match[1]);
+      result.multiProject = result.modules.length > 0;
+    }
+
+    this.logger.debug(`Detected build system: ${JSON.stringify(result)}`);
+    return result;
+  }
+
+  // First module whose build script applies the Spring Boot plugin: { module, buildFile } or null
+  async findGradleApplicationModule(projectRoot, modules) {
+    for (const module of modules) {
+      for (const buildFile of ['build.gradle', 'build.gradle.kts']) {
+        const content = await fs.readFile(path.join(projectRoot, module, buildFile), 'utf8').catch(() => null);
+        if (content !== null && this.appliesSpringBootPlugin(content)) {
+          return { module, buildFile: `${module}/${buildFile}` };
+        }
+      }
+    }
+    return null;
+  }
+
+  // id 'org.springframework.boot', apply plugin: 'org.springframework.boot' or alias(libs.plugins.spring.boot),
+  // but not the `apply false` declaration a root script uses to pin the version for its modules
+  appliesSpringBootPlugin(buildScript) {
+    return this.gradleMerger.stripComments(buildScript).split('\n').some(line =>
+      (/["']org\.springframework\.boot["']/.test(line) || /\balias\s*\(\s*libs\.plugins\.spring\.boot\s*\)/.test(line))
+      && !/\bapply\s*\(?\s*false\b/.test(line)
+    );
+  }
+
+  // include ':api', ':core' / include("api", "core") → ['api', 'core']
+  parseGradleIncludes(settings) {
+    const modules = [];
+    const code = settings.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+    for (const statement of code.matchAll(/\binclude\s*\(?([^)\n]*)\)?/g)) {
+      for (const name of statement[1].matchAll(/["']([^"']+)["']/g)) {
+        modules.push(name[1].replace(/^:/, '').replace(/:/g, '/'));
+      }
+    }
+    return [...new Set(modules)];
+  }
+
   // Method to control whether to remove project name from paths
   setRemoveProjectNameFromPath(remove) {
     this.removeProjectNameFromPath = remove;
     this.logger.info(`Remove project name from path: ${remove}`);
   }
 
-  async applyGeneratedFiles(generatedFiles) {
+  // Method to control whether generated .properties values replace existing ones
+  setOverrideExistingProperties(override) {
+    this.overrideExistingProperties = override ?? this.defaultOverrideExistingProperties;
+    this.logger.info(`Override existing properties: ${this.overrideExistingProperties}`);
+  }
+
+  // options.signal stops the run between two files; what was written until then stays
+  // recorded in the manifest, so a cancelled execution can be rolled back.
+  // options.onProgress(done, total, path) is awaited after every file, applied or not.
+  async applyGeneratedFiles(generatedFiles, options = {}) {
+    const { dryRun = false, signal = null, onProgress = null } = options;
+    const executionId = options.executionId || `local-${Date.now()}`;
+
     if (!this.projectRoot) {
       throw new Error('Project root is not set. Cannot apply files.');
     }
 
-    this.logger.info('=== Starting File Application Process ===');
+    this.logger.info(`=== Starting File Application Process${dryRun ? ' (dry run)' : ''} ===`);
     this.logger.info(`Project root: ${this.projectRoot}`);
     
     // Verify project root before proceeding
@@ -69,123 +230,84 @@ export class FileService {
     
     let filesApplied = 0;
     let appliedFilesList = [];
+    // Generated path → the project file it was applied to, e.g. pom.xml → app/build.gradle.kts
+    const targets = new Map();
     let errors = [];
-
-    // Create backup directory if it doesn't exist
-    if (this.config.autoBackup) {
-      await this.ensureBackupDirectory();
-    }
-
-    for (const category of generatedFiles) {
+    let diffs = [];
+    // A dry run writes nothing, so a file changed twice is previewed from its previewed content:
+    // full path → { change, index } of its entry in diffs
+    const previewed = new Map();
+    let mergeNotes = [];
+    let cancelled = false;
+    let processed = 0;
+    const totalFiles = generatedFiles.reduce((count, category) => count + category.files.length, 0);
+
+    // Generated build snippets are routed to whichever build file the project really has
+    this.buildSystem = await this.detectBuildSystem();
+
+    // Every real run records what it touched so it can be rolled back later
+    const manifest = dryRun ? null : await this.backupService.createManifest(this.projectRoot, executionId);
+
+    files: for (const category of generatedFiles) {
       this.logger.info(`\n📦 Processing category: ${category.category}`);
       this.logger.info(`   Files in category: ${category.files.length}`);
 
       for (const file of category.files) {
+        if (signal?.aborted) {
+          cancelled = true;
+          this.logger.warn(`🛑 Cancelled by the client after ${filesApplied} of ${totalFiles} files`);
+          break files;
+        }
+
         try {
-          // Process the file path
-          let correctedPath = file.path;
-          let correctedContent = file.content;
-          
-          // Remove leading slash if present
-          if (correctedPath.startsWith('/')) {
-            correctedPath = correctedPath.substring(1);
-          }
-          
-          // Handle package path corrections if needed
-          if (this.removeProjectNameFromPath && correctedPath.includes('/com/example/')) {
-            const pathPattern = /^(.*\/com\/example\/)([^\/]+)\/(.*)/;
-            const match = correctedPath.match(pathPattern);
-            
-            if (match) {
-              const basePath = match[1];
-              const middlePart = match[2];
-              const restOfPath = match[3];
-              
-              // Check if the middle part looks like a project name (has underscore or all lowercase)
-              if (middlePart.includes('_') || middlePart === middlePart.toLowerCase()) {
-                correctedPath = basePath + restOfPath;
-                this.logger.info(`   Correcting path from: ${file.path} to: ${correctedPath}`);
-                
-                // Also fix package declarations in Java files
-                if (file.content && file.path.endsWith('.java')) {
-                  correctedContent = file.content.replace(
-                    new RegExp(`com\\.example\\.${middlePart}\\.`, 'g'),
-                    'com.example.'
-                  );
-                }
-              }
-            }
-          }
+          const { correctedPath, correctedContent, fullPath, action } = this.resolveGeneratedFile(file);
           
           this.logger.info(`   📄 Processing file: ${correctedPath}`);
-          this.logger.info(`      Action: ${file.action}`);
-          
-          // Build the full path - ALWAYS relative to project root
-          const fullPath = path.resolve(this.projectRoot, correctedPath);
+          this.logger.info(`      Action: ${action}`);
           this.logger.info(`      Full path: ${fullPath}`);
-          
-          // Security check - ensure the path is within project root
-          const normalizedFullPath = path.normalize(fullPath);
-          const normalizedProjectRoot = path.normalize(this.projectRoot);
-          if (!normalizedFullPath.startsWith(normalizedProjectRoot)) {
-            throw new Error(`Security error: File would be written outside project root: ${correctedPath}`);
+
+          if (action !== 'create' && action !== 'modify' && action !== 'append') {
+            this.logger.info(`      Skipping file with action: ${action}`);
+            continue;
           }
-          
-          // Create directory if it doesn't exist
-          const dir = path.dirname(fullPath);
-          await fs.mkdir(dir, { recursive: true });
-          this.logger.debug(`      Directory ensured: ${dir}`);
 
-          if (file.action === 'create' || file.action === 'modify' || file.action === 'append') {
-            // Backup existing file if it exists
-            if (this.config.autoBackup) {
-              await this.createBackup(fullPath, correctedPath);
-            }
+          // Validate content
+          if (!correctedContent) {
+            this.logger.warn(`      ⚠️ No content for file: ${correctedPath}, skipping`);
+            continue;
+          }
 
-            // Validate content
-            if (!correctedContent) {
-              this.logger.warn(`      ⚠️ No content for file: ${correctedPath}, skipping`);
-              continue;
-            }
+          const earlier = previewed.get(fullPath);
+          const change = await this.computeFileChange({ ...file, action }, fullPath, correctedPath, correctedContent, earlier?.change.finalContent);
+          if (change.notes?.length > 0) {
+            mergeNotes.push({ path: correctedPath, notes: change.notes });
+          }
 
-            // Handle different actions
-            if (file.action === 'create') {
-              await fs.writeFile(fullPath, correctedContent, 'utf8');
-              this.logger.info(`      ✅ Created: ${correctedPath}`);
-            } else if (file.action === 'append') {
-              await fs.appendFile(fullPath, correctedContent, 'utf8');
-              this.logger.info(`      ✅ Appended to: ${correctedPath}`);
-            } else if (file.action === 'modify') {
-              // Check if file exists
-              let fileExists = false;
-              let existingContent = '';
-              
-              try {
-                existingContent = await fs.readFile(fullPath, 'utf8');
-                fileExists = true;
-              } catch (error) {
-                fileExists = false;
-              }
-
-              if (!fileExists) {
-                // File doesn't exist, create it
-                await fs.writeFile(fullPath, correctedContent, 'utf8');
-                this.logger.info(`      ✅ Created (was modify): ${correctedPath}`);
-              } else {
-                // File exists, merge content
-                const mergedContent = await this.mergeFileContent(
-                  existingContent, 
-                  correctedContent, 
-                  correctedPath,
-                  file.mergeStrategy || 'smart'
-                );
-                await fs.writeFile(fullPath, mergedContent, 'utf8');
-                this.logger.info(`      ✅ Modified: ${correctedPath}`);
-              }
-            }
-            
-            filesApplied++;
-            appliedFilesList.push(correctedPath);
+          if (dryRun) {
+            // One diff per file, from its content on disk to the result of every change
+            const combined = earlier
+              ? { ...change, exists: earlier.change.exists, existingContent: earlier.change.existingContent, notes: [...(earlier.change.notes || []), ...(change.notes || [])] }
+              : change;
+            const index = earlier ? earlier.index : diffs.length;
+            diffs[index] = this.createFileDiff(correctedPath, action, combined);
+            previewed.set(fullPath, { change: combined, index });
+            this.logger.info(`      📝 Would ${change.operation}: ${correctedPath}`);
+          } else {
+            // Create directory if it doesn't exist
+            const dir = path.dirname(fullPath);
+            await fs.mkdir(dir, { recursive: true });
+            this.logger.debug(`      Directory ensured: ${dir}`);
+
+            // Backup existing file if it exists
+            await this.backupService.recordFile(manifest, {
+              relativePath: correctedPath,
+              fullPath,
+              existed: change.exists,
+              finalContent: change.finalContent
+            });
+
+            await fs.writeFile(fullPath, change.finalContent, 'utf8');
+            this.logger.info(`      ✅ ${change.operation}: ${correctedPath}`);
             
             // Verify file was written
             try {
@@ -194,61 +316,243 @@ export class FileService {
             } catch (error) {
               this.logger.warn(`      Could not verify file: ${error.message}`);
             }
-          } else {
-            this.logger.info(`      Skipping file with action: ${file.action}`);
           }
+          
+          filesApplied++;
+          appliedFilesList.push(correctedPath);
+          targets.set(file.path, correctedPath);
         } catch (error) {
           const errorMsg = `Failed to apply ${file.path}: ${error.message}`;
           this.logger.error(`   ❌ ${errorMsg}`);
           errors.push(errorMsg);
+        } finally {
+          processed++;
+          if (onProgress) await onProgress(processed, totalFiles, file.path);
         }
       }
     }
 
+    let manifestPath = null;
+    if (manifest) {
+      try {
+        manifestPath = await this.backupService.saveManifest(manifest);
+      } catch (error) {
+        const errorMsg = `Failed to write backup manifest: ${error.message}`;
+        this.logger.error(`   ❌ ${errorMsg}`);
+        errors.push(errorMsg);
+      }
+    }
+
     this.logger.info(`\n=== File Application Summary ===`);
-    this.logger.info(`✅ Successfully applied: ${filesApplied} files`);
+    this.logger.info(`✅ Successfully ${dryRun ? 'previewed' : 'applied'}: ${filesApplied} files`);
     this.logger.info(`📁 Project root: ${this.projectRoot}`);
     if (errors.length > 0) {
       this.logger.error(`❌ Errors encountered: ${errors.length}`);
       errors.forEach(err => this.logger.error(`   - ${err}`));
     }
 
+    if (cancelled) {
+      const error = cancelledError('Applying files');
+      error.message += ` after ${filesApplied} of ${totalFiles} files`;
+      if (!dryRun && manifestPath && filesApplied > 0) {
+        error.message += `; roll back the files already written with execution ID ${executionId}`;
+      }
+      throw Object.assign(error, { executionId, files: appliedFilesList });
+    }
+
     return {
       count: filesApplied,
       files: appliedFilesList,
-      errors: errors
+      targets,
+      errors: errors,
+      dryRun,
+      diffs,
+      mergeNotes,
+      executionId,
+      manifestPath
     };
   }
 
-  async createBackup(fullPath, relativePath) {
-    try {
-      await fs.access(fullPath);
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupFileName = `${path.basename(relativePath)}.backup.${timestamp}`;
-      const backupPath = path.join(this.projectRoot, this.backupDir, backupFileName);
+  // Map a generated file onto the project: strip the project name from package paths
+  // and make sure the target stays inside the project root
+  resolveGeneratedFile(file) {
+    let correctedPath = file.path;
+    let correctedContent = file.content;
+    let action = file.action;
+    
+    // Remove leading slash if present
+    if (correctedPath.startsWith('/')) {
+      correctedPath = correctedPath.substring(1);
+    }
+
+    // A root build file is always merged into the project's own pom.xml / build.gradle(.kts),
+    // which in a multi-project Gradle build is the one of the application module
+    const projectBuildFile = this.buildSystem?.buildFile;
+    if (BUILD_FILES.includes(correctedPath) && ['create', 'modify', 'append'].includes(action)) {
+      if (projectBuildFile) {
+        if (correctedPath !== projectBuildFile) {
+          this.logger.info(`   Redirecting ${correctedPath} to the project's ${projectBuildFile}`);
+          correctedPath = projectBuildFile;
+        }
+        action = 'modify';
+      } else if (this.buildSystem?.buildTool === 'gradle') {
+        throw new Error(`no module of this Gradle build applies the Spring Boot plugin; add the generated dependencies to the application module's build script by hand`);
+      }
+    }
+    
+    // Handle package path corrections if needed
+    if (this.removeProjectNameFromPath && correctedPath.includes('/com/example/')) {
+      const pathPattern = /^(.*\/com\/example\/)([^\/]+)\/(.*)/;
+      const match = correctedPath.match(pathPattern);
       
-      await fs.mkdir(path.dirname(backupPath), { recursive: true });
-      await fs.copyFile(fullPath, backupPath);
-      this.logger.debug(`Created backup: ${backupPath}`);
-    } catch (error) {
-      // File doesn't exist, no backup needed
-      this.logger.debug(`No backup needed for ${relativePath} - file doesn't exist`);
+      if (match) {
+        const basePath = match[1];
+        const middlePart = match[2];
+        const restOfPath = match[3];
+        
+        // Check if the middle part looks like a project name (has underscore or all lowercase)
+        if (middlePart.includes('_') || middlePart === middlePart.toLowerCase()) {
+          correctedPath = basePath + restOfPath;
+          this.logger.info(`   Correcting path from: ${file.path} to: ${correctedPath}`);
+          
+          // Also fix package declarations in Java files
+          if (file.content && file.path.endsWith('.java')) {
+            correctedContent = file.content.replace(
+              new RegExp(`com\\.example\\.${middlePart}\\.`, 'g'),
+              'com.example.'
+            );
+          }
+        }
+      }
     }
+    
+    // Build the full path - ALWAYS relative to project root
+    const fullPath = path.resolve(this.projectRoot, correctedPath);
+    
+    // Security check - ensure the path is within project root
+    const normalizedFullPath = path.normalize(fullPath);
+    const normalizedProjectRoot = path.normalize(this.projectRoot);
+    if (!normalizedFullPath.startsWith(normalizedProjectRoot)) {
+      throw new Error(`Security error: File would be written outside project root: ${correctedPath}`);
+    }
+
+    return { correctedPath, correctedContent, fullPath, action };
   }
 
-  async ensureBackupDirectory() {
-    try {
-      const backupDirPath = path.join(this.projectRoot, this.backupDir);
-      await fs.mkdir(backupDirPath, { recursive: true });
-      this.logger.debug(`Backup directory ensured: ${backupDirPath}`);
-    } catch (error) {
-      this.logger.warn(`Failed to create backup directory: ${error.message}`);
+  // Work out what a create/modify/append leaves on disk without writing anything.
+  // previewedContent stands in for the file on disk when a dry run already changed it.
+  async computeFileChange(file, fullPath, correctedPath, newContent, previewedContent = undefined) {
+    let exists = false;
+    let existingContent = '';
+    
+    if (previewedContent !== undefined) {
+      existingContent = previewedContent;
+      exists = true;
+    } else {
+      try {
+        existingContent = await fs.readFile(fullPath, 'utf8');
+        exists = true;
+      } catch (error) {
+        exists = false;
+      }
+    }
+
+    if (file.action === 'create') {
+      return {
+        exists,
+        existingContent,
+        finalContent: newContent,
+        operation: exists ? 'Overwritten' : 'Created'
+      };
+    }
+
+    if (file.action === 'append') {
+      return {
+        exists,
+        existingContent,
+        finalContent: existingContent + newContent,
+        operation: 'Appended to'
+      };
     }
+
+    if (!exists) {
+      // File doesn't exist, create it
+      return {
+        exists,
+        existingContent,
+        finalContent: newContent,
+        operation: 'Created (was modify)'
+      };
+    }
+
+    // File exists, merge content
+    const notes = [];
+    const mergedContent = await this.mergeFileContent(
+      existingContent, 
+      newContent, 
+      correctedPath,
+      file.mergeStrategy || 'smart',
+      notes,
+      { replacedFields: file.replacedFields }
+    );
+
+    return {
+      exists,
+      existingContent,
+      finalContent: mergedContent,
+      operation: 'Modified',
+      notes
+    };
+  }
+
+  createFileDiff(relativePath, action, change) {
+    const patch = createTwoFilesPatch(
+      change.exists ? `a/${relativePath}` : '/dev/null',
+      `b/${relativePath}`,
+      change.existingContent,
+      change.finalContent,
+      undefined,
+      undefined,
+      { context: 3, headerOptions: FILE_HEADERS_ONLY }
+    );
+
+    let additions = 0;
+    let deletions = 0;
+    for (const line of patch.split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++')) additions++;
+      if (line.startsWith('-') && !line.startsWith('---')) deletions++;
+    }
+
+    return {
+      path: relativePath,
+      action,
+      operation: change.operation,
+      changed: change.existingContent !== change.finalContent,
+      additions,
+      deletions,
+      notes: change.notes || [],
+      diff: patch
+    };
+  }
+
+  async rollbackExecution(executionId, options = {}) {
+    if (!this.projectRoot) {
+      throw new Error('Project root is not set. Cannot roll back.');
+    }
+
+    return this.backupService.rollback(this.projectRoot, executionId, options);
+  }
+
+  async listExecutions() {
+    if (!this.projectRoot) {
+      return [];
+    }
+
+    return this.backupService.listManifests(this.projectRoot);
   }
 
   // ... rest of the merge methods remain the same ...
-  async mergeFileContent(existingContent, newContent, filePath, strategy = 'smart') {
+  async mergeFileContent(existingContent, newContent, filePath, strategy = 'smart', notes = [], options = {}) {
     const ext = path.extname(filePath).toLowerCase();
     
     this.logger.info(`Merging content for ${filePath} using strategy: ${strategy}`);
@@ -264,114 +568,84 @@ export class FileService {
     // Smart merge based on file type
     switch (ext) {
       case '.java':
-        return this.mergeJavaFile(existingContent, newContent);
+        return this.mergeJavaFile(existingContent, newContent, notes, options);
       case '.xml':
         if (filePath.includes('pom.xml')) {
-          return this.mergePomXml(existingContent, newContent);
+          return this.mergePomXml(existingContent, newContent, notes);
         }
         return this.mergeXmlFile(existingContent, newContent);
-      case '.properties':
+      case '.gradle':
+      case '.kts':
+        if (path.basename(filePath).startsWith('build.gradle')) {
+          return this.mergeGradleFile(existingContent, newContent, filePath, notes);
+        }
+        return existingContent + '\n\n' + newContent;
       case '.yml':
       case '.yaml':
-        return this.mergeConfigFile(existingContent, newContent);
+        return this.mergeYamlFile(existingContent, newContent, notes);
+      case '.properties':
+        return this.mergePropertiesFile(existingContent, newContent, notes);
       default:
         return existingContent + '\n\n' + newContent;
     }
   }
 
   // ... rest of the merge helper methods remain the same ...
-  mergeJavaFile(existingContent, newContent) {
-    const existingImports = this.extractJavaImports(existingContent);
-    const newImports = this.extractJavaImports(newContent);
-    const allImports = [...new Set([...existingImports, ...newImports])];
+  // options.replacedFields: fields of an entity whose columns were renamed, retyped or dropped
+  mergeJavaFile(existingContent, newContent, notes = [], options = {}) {
+    const result = this.javaMerger.merge(existingContent, newContent, { replacedFields: options.replacedFields || {} });
     
-    if (existingContent.includes('@RestController') || existingContent.includes('@Service')) {
-      const classMatch = existingContent.match(/^([\s\S]*?)(}\s*)$/);
-      if (classMatch) {
-        const beforeClosingBrace = classMatch[1];
-        const closingBrace = classMatch[2];
-        const newMethods = this.extractJavaMethods(newContent);
-        
-        let merged = beforeClosingBrace;
-        if (newMethods.length > 0) {
-          merged += '\n\n    // Added by MCP integration\n';
-          merged += newMethods.join('\n\n');
-        }
-        merged += closingBrace;
-        
-        return this.updateJavaImports(merged, allImports);
-      }
-    }
+    result.notes.forEach(note => this.logger.debug(`      ${note}`));
+    notes.push(...result.notes);
     
-    return existingContent + '\n\n// === Added by MCP Integration ===\n' + newContent;
+    return result.content;
   }
 
-  extractJavaImports(content) {
-    const importRegex = /import\s+(?:static\s+)?([^;]+);/g;
-    const imports = [];
-    let match;
+  mergePomXml(existingContent, newContent, notes = []) {
+    const result = this.pomMerger.merge(existingContent, newContent);
     
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push(match[0]);
-    }
+    result.notes.forEach(note => this.logger.debug(`      ${note}`));
+    notes.push(...result.notes);
     
-    return imports;
+    return result.content;
   }
 
-  extractJavaMethods(content) {
-    const methodRegex = /((?:@\w+(?:\([^)]*\))?\s*)*(?:public|private|protected)\s+[\w<>,\s]+\s+\w+\s*\([^)]*\)\s*(?:throws\s+[\w,\s]+)?\s*\{[^}]*\})/g;
-    const methods = [];
-    let match;
+  mergeGradleFile(existingContent, newContent, filePath, notes = []) {
+    const dsl = filePath.endsWith('.kts') ? 'kotlin' : 'groovy';
+    // The root script of a multi-project build only configures the modules
+    const multiProjectRoot = Boolean(this.buildSystem?.multiProject) && BUILD_FILES.includes(filePath);
+    const result = this.gradleMerger.merge(existingContent, newContent, { dsl, addBlock: !multiProjectRoot });
     
-    while ((match = methodRegex.exec(content)) !== null) {
-      methods.push('    ' + match[1].trim());
-    }
+    result.notes.forEach(note => this.logger.debug(`      ${note}`));
+    notes.push(...result.notes);
     
-    return methods;
+    return result.content;
   }
 
-  updateJavaImports(content, imports) {
-    const packageMatch = content.match(/package\s+[^;]+;/);
-    if (!packageMatch) return content;
+  mergeYamlFile(existingContent, newContent, notes = []) {
+    const result = this.yamlMerger.merge(existingContent, newContent);
     
-    const packageEnd = packageMatch.index + packageMatch[0].length;
-    const withoutImports = content.replace(/\nimport\s+(?:static\s+)?[^;]+;/g, '');
-    const importSection = imports.length > 0 ? '\n\n' + imports.join('\n') : '';
+    result.notes.forEach(note => this.logger.debug(`      ${note}`));
+    notes.push(...result.notes);
     
-    return withoutImports.slice(0, packageEnd) + importSection + withoutImports.slice(packageEnd);
+    return result.content;
   }
 
-  mergePomXml(existingContent, newContent) {
-    if (newContent.includes('<dependency>')) {
-      const dependenciesMatch = existingContent.match(/<dependencies>([\s\S]*?)<\/dependencies>/);
-      if (dependenciesMatch) {
-        const existingDeps = dependenciesMatch[1];
-        const newDepsMatch = newContent.match(/<dependency>[\s\S]*?<\/dependency>/g);
-        if (newDepsMatch) {
-          const updatedDeps = existingDeps + '\n' + newDepsMatch.join('\n') + '\n    ';
-          return existingContent.replace(
-            /<dependencies>[\s\S]*?<\/dependencies>/,
-            `<dependencies>${updatedDeps}</dependencies>`
-          );
-        }
-      }
-    }
+  mergePropertiesFile(existingContent, newContent, notes = []) {
+    const result = this.propertiesMerger.merge(existingContent, newContent, {
+      override: this.overrideExistingProperties
+    });
     
-    return existingContent + '\n\n<!-- Added by MCP Integration -->\n' + newContent;
+    result.notes.forEach(note => this.logger.debug(`      ${note}`));
+    notes.push(...result.notes);
+    
+    return result.content;
   }
 
   mergeXmlFile(existingContent, newContent) {
     return existingContent + '\n\n<!-- Added by MCP Integration -->\n' + newContent;
   }
 
-  mergeConfigFile(existingContent, newContent) {
-    const separator = existingContent.includes('=') ? 
-      '\n\n# Added by MCP Integration\n' : 
-      '\n\n# Added by MCP Integration\n';
-    
-    return existingContent + separator + newContent;
-  }
-
   // ... rest of the methods remain the same ...
   async checkIntegrationStatus(projectPath) {
     const checkPath = projectPath || this.projectRoot;
@@ -382,8 +656,7 @@ export class FileService {
     this.logger.info(`Checking integration status for: ${checkPath}`);
     
     try {
-      const pomPath = path.join(checkPath, 'pom.xml');
-      const gradlePath = path.join(checkPath, 'build.gradle');
+      const buildSystem = await this.detectBuildSystem(checkPath);
       const applicationYmlPath = path.join(checkPath, 'src/main/resources/application.yml');
       const applicationPropsPath = path.join(checkPath, 'src/main/resources/application.properties');
       
@@ -395,10 +668,8 @@ export class FileService {
       // Check build file
       try {
         let buildContent = '';
-        if (await this.fileExists(pomPath)) {
-          buildContent = await fs.readFile(pomPath, 'utf8');
-        } else if (await this.fileExists(gradlePath)) {
-          buildContent = await fs.readFile(gradlePath, 'utf8');
+        if (buildSystem.buildFile) {
+          buildContent = await fs.readFile(path.join(checkPath, buildSystem.buildFile), 'utf8');
         }
         
         hasJPA = buildContent.includes('spring-boot-starter-data-jpa');
@@ -433,6 +704,7 @@ export class FileService {
 
       return {
         configured: hasJPA && hasPostgreSQL && hasDataSourceConfig,
+        buildFile: buildSystem.buildFile,
         components: {
           dependencies: hasJPA && hasPostgreSQL,
           configuration: hasDataSourceConfig,
@@ -457,19 +729,20 @@ export class FileService {
     }
   }
 
-  async findJavaFiles(dir) {
+  // maxLength = null keeps the whole file (needed when the source is parsed, not just scanned)
+  async findJavaFiles(dir, maxLength = 1000) {
     const files = [];
     try {
       const entries = await fs.readdir(dir, { withFileTypes: true });
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
         if (entry.isDirectory()) {
-          files.push(...await this.findJavaFiles(fullPath));
+          files.push(...await this.findJavaFiles(fullPath, maxLength));
         } else if (entry.name.endsWith('.java')) {
           const content = await fs.readFile(fullPath, 'utf8');
           files.push({ 
             path: fullPath, 
-            content: content.slice(0, 1000)
+            content: maxLength === null ? content : content.slice(0, maxLength)
           });
         }
       }
@@ -0,0 +1,89 @@
+// src/services/fixtureStore.js - Recorded generator responses for MCP_MODE=record / replay
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// live: talk to the server, record: talk to it and save the answers, replay: only the saved answers
+export const MCP_MODES = ['live', 'record', 'replay'];
+
+// The health check carries no data worth keeping; replay answers it itself
+export const RECORDED_ENDPOINTS = new Set(['/plan/create', '/plan/execute']);
+
+const DEFAULT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures');
+
+export class FixtureStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.directory = path.resolve(config.fixturesDir || DEFAULT_DIRECTORY);
+  }
+
+  /**
+   * The request as far as it decides the answer: keys sorted, and the absolute project
+   * path left out so fixtures recorded on one machine replay on another.
+   */
+  normalize(endpoint, body) {
+    const sort = value => {
+      if (Array.isArray(value)) return value.map(sort);
+      if (value === null || typeof value !== 'object') return value;
+      return Object.fromEntries(Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => [key, sort(value[key])]));
+    };
+
+    const normalized = sort(body || {});
+    if (endpoint === '/plan/create' && normalized.projectInfo) {
+      delete normalized.projectInfo.path;
+    }
+    return normalized;
+  }
+
+  key(method, endpoint, body) {
+    const request = JSON.stringify({ method, endpoint, body: this.normalize(endpoint, body) });
+    return crypto.createHash('sha256').update(request).digest('hex').slice(0, 16);
+  }
+
+  // plan-create-0123456789abcdef.json
+  fileFor(method, endpoint, body) {
+    const name = endpoint.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-');
+    return path.join(this.directory, `${name}-${this.key(method, endpoint, body)}.json`);
+  }
+
+  async save(method, endpoint, body, status, response) {
+    const file = this.fileFor(method, endpoint, body);
+    const fixture = {
+      method,
+      endpoint,
+      key: this.key(method, endpoint, body),
+      recordedAt: new Date().toISOString(),
+      request: this.normalize(endpoint, body),
+      status,
+      response
+    };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    // Same masking as the request logs, in case the server echoes a credential
+    await fs.writeFile(file, `${this.logger.redact(JSON.stringify(fixture, null, 2))}\n`, 'utf8');
+    this.logger.info(`💾 Recorded ${method} ${endpoint} as ${path.relative(process.cwd(), file)}`);
+    return file;
+  }
+
+  // The recorded fixture, or null when this request was never recorded
+  async load(method, endpoint, body) {
+    const file = this.fileFor(method, endpoint, body);
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return { ...JSON.parse(content), file };
+    } catch (error) {
+      throw new Error(`Fixture ${file} is not valid JSON: ${error.message}`);
+    }
+  }
+}
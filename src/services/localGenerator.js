@@ -0,0 +1,237 @@
+// src/services/localGenerator.js - Template-based stand-in for the Spring Boot generator
+import fs from 'fs/promises';
+import path from 'path';
+import { JavaTemplates } from '../utils/javaTemplates.js';
+
+// Plans created here never reach the server, so their IDs tell McpService where to execute them
+export const LOCAL_PLAN_PREFIX = 'local-plan-';
+
+const DEFAULT_BASE_PACKAGE = 'com.example';
+
+// Versions come from the Spring Boot BOM
+const DEPENDENCIES = [
+  { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-data-jpa' },
+  { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-web' },
+  { groupId: 'org.postgresql', artifactId: 'postgresql', scope: 'runtime' },
+  { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-validation', preference: 'includeValidation' },
+  { groupId: 'org.projectlombok', artifactId: 'lombok', optional: true, preference: 'useLombok' }
+];
+
+const DATASOURCE_PROPERTIES = [
+  ['spring.datasource.url', name => `jdbc:postgresql://\${DB_HOST:localhost}:\${DB_PORT:5432}/\${DB_NAME:${name}}`],
+  ['spring.datasource.username', () => '${DB_USERNAME:postgres}'],
+  ['spring.datasource.password', () => '${DB_PASSWORD:postgres}'],
+  ['spring.datasource.driver-class-name', () => 'org.postgresql.Driver']
+];
+
+export class LocalGenerator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.templates = new JavaTemplates(logger);
+    this.plans = new Map();
+  }
+
+  isLocalPlan(planId) {
+    return typeof planId === 'string' && planId.startsWith(LOCAL_PLAN_PREFIX);
+  }
+
+  // Same response shape as POST /plan/create
+  async createPlan({ projectPath, description, preferences = {}, buildSystem = null }) {
+    const projectAnalysis = await this.analyzeProject(projectPath, buildSystem);
+    const planId = `${LOCAL_PLAN_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    this.plans.set(planId, { projectPath, description, preferences, buildSystem, projectAnalysis });
+    this.logger.info(`LocalGenerator: Created plan ${planId} (base package ${projectAnalysis.basePackage})`);
+
+    return {
+      planId,
+      status: 'ready',
+      expiresIn: '30 minutes',
+      generator: 'local',
+      projectAnalysis,
+      proposedChanges: {
+        summary: 'Generate JPA entities, repositories, services and REST controllers from built-in templates, plus the datasource configuration and dependencies',
+        components: [
+          { type: 'Entities', description: 'One JPA entity per table, enums for PostgreSQL enum types', items: [{ name: 'entity', purpose: 'Table mapping with columns, keys and associations' }] },
+          { type: 'Repositories', description: 'Spring Data JPA repositories', items: [{ name: 'repository', purpose: 'CRUD access per entity' }] },
+          { type: 'Services', description: 'Transactional services', items: [{ name: 'service', purpose: 'Find, create, update and delete' }] },
+          { type: 'Controllers', description: 'REST controllers under /api', items: [{ name: 'controller', purpose: 'HTTP endpoints per entity' }] },
+          { type: 'Configuration', description: 'PostgreSQL datasource', items: [{ name: 'datasource', purpose: 'Connection settings read from DB_* environment variables' }] }
+        ]
+      },
+      impact: {
+        filesCreated: 'four per table',
+        filesModified: projectAnalysis.existingStructure.hasDatabase ? 1 : 2,
+        estimatedLinesOfCode: 'depends on the schema',
+        breakingChanges: false,
+        requiresRestart: true
+      },
+      nextSteps: {
+        message: 'Generated offline from the adapter\'s templates. Execute the plan with the database schema.',
+        requiredInput: { description: 'Database schema definition' }
+      }
+    };
+  }
+
+  // Same response shape as POST /plan/execute
+  async executePlan({ planId, schema }) {
+    const plan = this.plans.get(planId);
+    if (!plan) {
+      throw new Error(`Local plan ${planId} is unknown; local plans do not survive an adapter restart, create a new one`);
+    }
+
+    const { basePackage } = plan.projectAnalysis;
+    const preferences = { useLombok: true, includeValidation: true, ...plan.preferences };
+    const model = this.templates.model(schema);
+    const javaFile = (folder, className, content) =>
+      this.generatedFile(`src/main/java/${basePackage.replace(/\./g, '/')}/${folder}/${className}.java`, 'modify', content);
+
+    const entities = [
+      ...model.enums.map(item => javaFile('entity', item.className, this.templates.enumType(item, basePackage))),
+      ...model.entities.flatMap(entity => [
+        javaFile('entity', entity.className, this.templates.entity(entity, basePackage, preferences)),
+        ...(entity.composite ? [javaFile('entity', entity.idClass, this.templates.idClass(entity, basePackage))] : [])
+      ])
+    ];
+    const withId = model.entities.filter(entity => entity.idType);
+    const crud = withId.filter(entity => !entity.composite);
+    const generatedFiles = [
+      { category: 'Entities', files: entities },
+      { category: 'Repositories', files: withId.map(entity => javaFile('repository', `${entity.className}Repository`, this.templates.repository(entity, basePackage))) },
+      { category: 'Services', files: crud.map(entity => javaFile('service', `${entity.className}Service`, this.templates.service(entity, basePackage))) },
+      { category: 'Controllers', files: crud.map(entity => javaFile('controller', `${entity.className}Controller`, this.templates.controller(entity, basePackage, preferences))) },
+      { category: 'Configuration', files: [await this.datasourceFile(plan.projectPath)] },
+      { category: 'Dependencies', files: [this.generatedFile('pom.xml', 'modify', this.dependencySnippet(preferences))] }
+    ].filter(category => category.files.length > 0);
+
+    const files = generatedFiles.flatMap(category => category.files);
+    const dependencies = DEPENDENCIES.filter(dependency => !dependency.preference || preferences[dependency.preference]);
+    // Numbered steps with a title as `action`, like the server's
+    const postExecutionSteps = [
+      ...model.warnings.map(warning => ({ action: 'Review the Schema', description: warning, required: false })),
+      ...model.entities.filter(entity => !entity.idType).map(entity => ({
+        action: 'Add a Primary Key',
+        description: `${entity.className} has no primary key; JPA needs an @Id before the entity can be used`,
+        required: true
+      })),
+      ...model.entities.filter(entity => entity.composite).map(entity => ({
+        action: 'Review the Composite Key',
+        description: `${entity.className} has a composite key; only its repository was generated`,
+        required: false
+      }))
+    ].map((step, index) => ({ step: index + 1, ...step }));
+
+    this.logger.info(`LocalGenerator: Generated ${files.length} files for ${schema.tables.length} tables`);
+
+    return {
+      executionId: `local-exec-${Date.now()}`,
+      planId,
+      status: 'completed',
+      generator: 'local',
+      summary: {
+        tablesProcessed: schema.tables.length,
+        filesGenerated: files.length,
+        filesModified: files.filter(file => !file.path.endsWith('.java')).length,
+        dependenciesAdded: dependencies.length,
+        totalLinesOfCode: files.reduce((total, file) => total + file.size, 0)
+      },
+      generatedFiles,
+      ...(postExecutionSteps.length > 0 ? { postExecutionSteps } : {})
+    };
+  }
+
+  async analyzeProject(projectPath, buildSystem) {
+    let buildContent = '';
+    if (buildSystem?.buildFile) {
+      buildContent = await fs.readFile(path.join(projectPath, buildSystem.buildFile), 'utf8').catch(() => '');
+    }
+
+    return {
+      detectedFramework: 'Spring Boot',
+      language: 'Java',
+      buildTool: buildSystem?.buildTool || 'maven',
+      basePackage: await this.findBasePackage(path.join(projectPath, 'src/main/java')) || DEFAULT_BASE_PACKAGE,
+      existingStructure: {
+        hasJPA: buildContent.includes('spring-boot-starter-data-jpa'),
+        hasDatabase: /org\.postgresql|postgresql/.test(buildContent),
+        hasLombok: buildContent.includes('lombok'),
+        hasValidation: buildContent.includes('spring-boot-starter-validation')
+      }
+    };
+  }
+
+  // Package of the @SpringBootApplication class, so generated code is inside its component scan
+  async findBasePackage(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+
+    for (const entry of entries.filter(item => item.isFile() && item.name.endsWith('.java'))) {
+      const content = await fs.readFile(path.join(dir, entry.name), 'utf8');
+      if (content.includes('@SpringBootApplication')) {
+        return content.match(/^\s*package\s+([\w.]+)\s*;/m)?.[1] || null;
+      }
+    }
+
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const found = await this.findBasePackage(path.join(dir, entry.name));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Datasource settings in whichever Spring config file the project already has
+  async datasourceFile(projectPath) {
+    const resources = path.join(projectPath, 'src/main/resources');
+    const database = path.basename(path.resolve(projectPath)).toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    const values = DATASOURCE_PROPERTIES.map(([key, value]) => [key, value(database)]);
+
+    for (const name of ['application.yml', 'application.yaml']) {
+      if (await fs.access(path.join(resources, name)).then(() => true, () => false)) {
+        return this.generatedFile(`src/main/resources/${name}`, 'modify', this.yaml(values));
+      }
+    }
+
+    const properties = values.map(([key, value]) => `${key}=${value}`).join('\n');
+    return this.generatedFile('src/main/resources/application.properties', 'modify', `# PostgreSQL datasource\n${properties}\n`);
+  }
+
+  // Nested YAML for dotted keys; values with ${...} placeholders are quoted
+  yaml(values) {
+    const tree = {};
+    for (const [key, value] of values) {
+      const parts = key.split('.');
+      const leaf = parts.pop();
+      const node = parts.reduce((current, part) => (current[part] = current[part] || {}), tree);
+      node[leaf] = value;
+    }
+
+    const render = (node, depth) => Object.entries(node).map(([key, value]) => typeof value === 'object'
+      ? `${'  '.repeat(depth)}${key}:\n${render(value, depth + 1)}`
+      : `${'  '.repeat(depth)}${key}: ${value.includes('$') ? `"${value}"` : value}\n`).join('');
+    return render(tree, 0);
+  }
+
+  // <dependencies> snippet; FileService routes it into pom.xml or build.gradle(.kts)
+  dependencySnippet(preferences) {
+    const dependencies = DEPENDENCIES
+      .filter(dependency => !dependency.preference || preferences[dependency.preference])
+      .map(dependency => [
+        '  <dependency>',
+        `    <groupId>${dependency.groupId}</groupId>`,
+        `    <artifactId>${dependency.artifactId}</artifactId>`,
+        ...(dependency.scope ? [`    <scope>${dependency.scope}</scope>`] : []),
+        ...(dependency.optional ? ['    <optional>true</optional>'] : []),
+        '  </dependency>'
+      ].join('\n'));
+    return `<dependencies>\n${dependencies.join('\n')}\n</dependencies>\n`;
+  }
+
+  generatedFile(filePath, action, content) {
+    return { path: filePath, action, content, size: content.split('\n').length - 1 };
+  }
+}
@@ -1,4 +1,16 @@
 import fetch from 'node-fetch';
+import path from 'path';
+import { LocalGenerator } from './localGenerator.js';
+import { AuthService } from './authService.js';
+import { FixtureStore, MCP_MODES, RECORDED_ENDPOINTS } from './fixtureStore.js';
+import { CircuitBreaker, CIRCUIT_STATES } from '../utils/circuitBreaker.js';
+import { cancelledError, delay, throwIfCancelled } from '../utils/cancellation.js';
+
+// server: Spring Boot only, local: built-in templates only, auto: server with a template fallback
+export const GENERATOR_MODES = ['auto', 'server', 'local'];
+
+// Answers of a server that is restarting, overloaded or behind a failing proxy
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
 
 export class McpService {
   constructor(config, logger) {
@@ -6,7 +18,46 @@ export class McpService {
     this.logger = logger;
     this.baseUrl = config.mcpServerUrl;
     this.timeout = config.timeout;
+    // The health check should answer at once, generating a large schema can take minutes
+    this.timeouts = {
+      '/health': config.healthTimeout || 5000,
+      '/plan/execute': config.executeTimeout || 300000
+    };
     this.requestIdMap = new Map(); // Track request IDs
+    this.localGenerator = new LocalGenerator(config, logger);
+    this.auth = new AuthService(config, logger);
+    this.fixtures = new FixtureStore(config, logger);
+
+    const count = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+    this.retry = {
+      retries: count(config.retries, 3),
+      baseDelay: count(config.retryBaseDelay, 500),
+      maxDelay: count(config.retryMaxDelay, 10000)
+    };
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: count(config.circuitBreakerThreshold, 5),
+      resetTimeout: count(config.circuitBreakerResetTimeout, 30000)
+    }, logger);
+
+    this.generator = config.generator || 'auto';
+    if (!GENERATOR_MODES.includes(this.generator)) {
+      this.logger.warn(`Unknown generator "${this.generator}", using auto (${GENERATOR_MODES.join(', ')})`);
+      this.generator = 'auto';
+    }
+
+    this.mode = config.mode || 'live';
+    if (!MCP_MODES.includes(this.mode)) {
+      this.logger.warn(`Unknown mode "${this.mode}", using live (${MCP_MODES.join(', ')})`);
+      this.mode = 'live';
+    }
+    if (this.mode !== 'live') {
+      this.logger.info(`📼 ${this.mode === 'record' ? 'Recording server responses to' : 'Replaying server responses from'} ${this.fixtures.directory}`);
+    }
+
+    const authentication = this.auth.describe();
+    if (authentication.length > 0) {
+      this.logger.info(`🔑 Authentication: ${authentication.join(', ')}`);
+    }
   }
 
   setCurrentRequestId(requestId) {
@@ -16,7 +67,7 @@ export class McpService {
   async testConnection() {
     try {
       this.logger.info('Testing connection to MCP server...');
-      const response = await this.makeRequest('/health', 'GET');
+      const response = await this.makeRequest('/health', 'GET', null, { idempotent: true });
       
       if (response.status === 'UP') {
         this.logger.info('Connection test successful');
@@ -29,7 +80,11 @@ export class McpService {
     }
   }
 
-  async createPlan({ projectPath, description, preferences }) {
+  async createPlan({ projectPath, description, preferences, buildSystem = null, signal = null }) {
+    if (this.generator === 'local') {
+      return this.localGenerator.createPlan({ projectPath, description, preferences, buildSystem });
+    }
+
     const request = {
       action: 'create_plan',
       capability: 'postgresql',
@@ -39,11 +94,22 @@ export class McpService {
       },
       preferences: preferences
     };
+
+    // Let the server emit build snippets for the right tool and DSL
+    if (buildSystem?.buildTool) {
+      Object.assign(request.projectInfo, {
+        buildTool: buildSystem.buildTool,
+        buildFile: buildSystem.buildFile,
+        dsl: buildSystem.dsl,
+        multiProject: buildSystem.multiProject,
+        modules: buildSystem.modules
+      });
+    }
     
     this.logger.info('Creating plan with request:', JSON.stringify(request, null, 2));
     
     try {
-      const response = await this.makeRequest('/plan/create', 'POST', request);
+      const response = await this.makeRequest('/plan/create', 'POST', request, { signal });
       
       this.logger.info('Plan created successfully!');
       this.logger.info('Plan ID:', response.planId);
@@ -51,12 +117,22 @@ export class McpService {
       
       return response;
     } catch (error) {
+      if (error.unreachable && this.generator === 'auto') {
+        this.logger.warn(`Spring Boot server unreachable (${error.message}), creating the plan from the built-in templates`);
+        return this.localGenerator.createPlan({ projectPath, description, preferences, buildSystem });
+      }
       this.logger.error('Failed to create plan:', error);
       throw error;
     }
   }
 
-  async executePlan({ planId, schema }) {
+  async executePlan({ planId, schema, signal = null }) {
+    // Plans live where they were created
+    if (this.localGenerator.isLocalPlan(planId)) {
+      this.logger.info(`Executing local plan ${planId} with the built-in templates`);
+      return this.localGenerator.executePlan({ planId, schema });
+    }
+
     const request = {
       action: 'execute_plan',
       planId: planId,
@@ -69,9 +145,15 @@ export class McpService {
     this.logger.info('Executing plan with request:');
     this.logger.info('Plan ID:', planId);
     this.logger.info('Tables:', schema.tables?.map(t => t.name).join(', '));
+
+    const relationships = schema.tables?.reduce((count, table) => count + (table.relationships?.length || 0), 0) || 0;
+    if (relationships > 0) {
+      this.logger.info('Relationships:', relationships);
+    }
     
     try {
-      const response = await this.makeRequest('/plan/execute', 'POST', request);
+      // Executing the same plan again returns the same result, so it is safe to retry
+      const response = await this.makeRequest('/plan/execute', 'POST', request, { idempotent: true, signal });
       
       this.logger.info('Plan executed successfully!');
       this.logger.info('Execution ID:', response.executionId);
@@ -84,10 +166,112 @@ export class McpService {
     }
   }
 
-  async makeRequest(endpoint, method = 'GET', body = null) {
-    const url = `${this.baseUrl}${endpoint}`;
+  /**
+   * Send a request to the Spring Boot server. Idempotent calls are retried with exponential
+   * backoff and jitter on connection errors and 408/429/502/503/504; every call goes through
+   * the circuit breaker, which rejects requests while the server keeps failing.
+   * Each attempt is aborted after the endpoint's timeout, the whole call when `signal` aborts.
+   */
+  async makeRequest(endpoint, method = 'GET', body = null, { idempotent = false, signal = null, timeout = this.timeouts[endpoint] || this.timeout } = {}) {
     const requestId = this.currentRequestId || 'unknown';
+    const maxAttempts = idempotent ? this.retry.retries + 1 : 1;
+    const what = `${method} ${endpoint}`;
+
+    if (this.mode === 'replay') {
+      return this.replayRequest(endpoint, method, body, requestId, signal);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      throwIfCancelled(signal, what);
+      const meta = { attempt, maxAttempts, circuit: this.circuitBreaker.state };
+
+      if (!this.circuitBreaker.allowRequest()) {
+        const retryIn = Math.ceil(this.circuitBreaker.retryIn() / 1000);
+        const message = `Circuit breaker open after repeated failures of ${this.baseUrl}; not sending ${method} ${endpoint} (next try in ${retryIn}s)`;
+        this.logger.logMcpResponse(requestId, 'CIRCUIT_OPEN', { error: message }, meta);
+        throw Object.assign(new Error(message), { unreachable: true, circuitOpen: true });
+      }
+      meta.circuit = this.circuitBreaker.state;
+
+      try {
+        const data = await this.sendRequest(endpoint, method, body, requestId, meta, { signal, timeout });
+        this.circuitBreaker.recordSuccess();
+        if (this.mode === 'record' && RECORDED_ENDPOINTS.has(endpoint)) {
+          await this.recordFixture(endpoint, method, body, data);
+        }
+        return data;
+      } catch (error) {
+        if (error.serverFailure) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          this.circuitBreaker.release();
+        }
+
+        if (!error.retryable || attempt >= maxAttempts || this.circuitBreaker.state === CIRCUIT_STATES.OPEN) {
+          if (maxAttempts > 1) error.attempts = attempt;
+          throw error;
+        }
+
+        const wait = this.backoffDelay(attempt, error.retryAfter);
+        this.logger.warn(`Retrying ${what} in ${wait}ms (attempt ${attempt + 1}/${maxAttempts}): ${error.message}`);
+        await delay(wait, signal, what);
+      }
+    }
+  }
+
+  // Only successful answers are recorded; a failed fixture write does not fail the request
+  async recordFixture(endpoint, method, body, data) {
+    try {
+      await this.fixtures.save(method, endpoint, body, 200, data);
+    } catch (error) {
+      this.logger.warn(`Could not record ${method} ${endpoint}: ${error.message}`);
+    }
+  }
+
+  // MCP_MODE=replay: answer from the fixtures without touching the network
+  async replayRequest(endpoint, method, body, requestId, signal) {
+    throwIfCancelled(signal, `${method} ${endpoint}`);
+    const meta = { mode: 'replay' };
+    this.logger.logAdapterToMcp(requestId, endpoint, method, body, meta);
+
+    if (!RECORDED_ENDPOINTS.has(endpoint)) {
+      const data = endpoint === '/health' ? { status: 'UP', mode: 'replay' } : null;
+      if (!data) throw new Error(`${method} ${endpoint} cannot be replayed; only ${[...RECORDED_ENDPOINTS].join(' and ')} are recorded`);
+      this.logger.logMcpResponse(requestId, 200, data, meta);
+      return data;
+    }
+
+    const fixture = await this.fixtures.load(method, endpoint, body);
+    if (!fixture) {
+      const file = this.fixtures.fileFor(method, endpoint, body);
+      this.logger.logMcpResponse(requestId, 'NO_FIXTURE', { error: `Missing ${file}` }, meta);
+      throw new Error(`No recorded response for ${method} ${endpoint} with this request (expected ${file}); run it once with MCP_MODE=record`);
+    }
+
+    this.logger.debug(`Replaying ${method} ${endpoint} from ${fixture.file}`);
+    this.logger.logMcpResponse(requestId, fixture.status, fixture.response, { ...meta, fixture: path.basename(fixture.file) });
+    return fixture.response;
+  }
+
+  // base * 2^(attempt - 1), capped, with the upper half randomized so clients do not retry in step
+  backoffDelay(attempt, retryAfter = null) {
+    const exponential = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempt - 1));
+    const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
+    return retryAfter !== null ? Math.min(this.retry.maxDelay, Math.max(delay, retryAfter)) : delay;
+  }
+
+  /**
+   * One HTTP round trip. Errors carry `retryable` (worth another attempt), `serverFailure`
+   * (counts for the circuit breaker) and `unreachable` (the server never answered).
+   * node-fetch v3 ignores a `timeout` option, so both the timeout and a cancellation by the
+   * client abort the request through one AbortController.
+   * A 401 is answered once more with a refreshed bearer token when one is available.
+   */
+  async sendRequest(endpoint, method, body, requestId, meta, { signal = null, timeout = this.timeout, authRefreshed = false } = {}) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const controller = new AbortController();
     
+    // Credentials go into the headers only, never into what is logged below
     const options = {
       method,
       headers: {
@@ -95,63 +279,119 @@ export class McpService {
         'Accept': 'application/json',
         'User-Agent': 'MCP-Adapter/1.0',
         'X-Request-ID': `adapter-${requestId}`,
-        'X-Adapter-Request-ID': String(requestId)
+        'X-Adapter-Request-ID': String(requestId),
+        ...await this.auth.headers()
       },
-      timeout: this.timeout
+      signal: controller.signal
     };
 
+    const agent = await this.auth.agent(url);
+    if (agent) {
+      options.agent = agent;
+    }
+
     if (body) {
       options.body = JSON.stringify(body);
     }
 
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onCancel = () => controller.abort();
+    signal?.addEventListener('abort', onCancel, { once: true });
+
     // Log the outgoing request
-    this.logger.logAdapterToMcp(requestId, endpoint, method, body);
+    this.logger.logAdapterToMcp(requestId, endpoint, method, body, meta);
 
+    let response;
+    let responseText;
     try {
       const startTime = Date.now();
-      const response = await fetch(url, options);
+      response = await fetch(url, options);
       const duration = Date.now() - startTime;
       
       this.logger.debug(`Response received in ${duration}ms - Status: ${response.status}`);
       
-      const responseText = await response.text();
-      
-      let data;
-      try {
-        data = JSON.parse(responseText);
-      } catch (e) {
-        this.logger.error(`Failed to parse response as JSON: ${responseText}`);
-        throw new Error(`Invalid JSON response: ${e.message}`);
-      }
-      
-      // Log the response
-      this.logger.logMcpResponse(requestId, response.status, data);
-      
-      if (!response.ok) {
-        this.logger.error(`HTTP Error: ${response.status} ${response.statusText}`);
-        throw new Error(`HTTP ${response.status}: ${response.statusText} - ${JSON.stringify(data)}`);
-      }
-      
-      if (data.error) {
-        this.logger.error('Server error:', data.error);
-        throw new Error(data.error.message || 'Unknown server error');
+      responseText = await response.text();
+    } catch (error) {
+      if (signal?.aborted && !timedOut) {
+        this.logger.logMcpResponse(requestId, 'CANCELLED', { error: 'Cancelled by the client' }, meta);
+        this.logger.warn(`🛑 ${method} ${endpoint} cancelled by the client`);
+        throw cancelledError(`${method} ${endpoint}`);
       }
 
-      return data;
-      
-    } catch (error) {
+      // The server never answered
+      const failure = { unreachable: true, retryable: true, serverFailure: true };
+      this.logger.logMcpResponse(requestId, 'NO_RESPONSE', { error: timedOut ? `No response within ${timeout}ms` : error.message }, meta);
+
       if (error.code === 'ECONNREFUSED') {
         this.logger.error('Connection refused. Is the MCP server running?');
-        throw new Error('Cannot connect to MCP server. Please ensure it is running on ' + this.baseUrl);
+        throw Object.assign(new Error('Cannot connect to MCP server. Please ensure it is running on ' + this.baseUrl), failure);
       }
       
-      if (error.type === 'request-timeout') {
-        this.logger.error(`Request timeout after ${this.timeout}ms`);
-        throw new Error('Request timeout. The server might be taking too long to respond.');
+      if (timedOut) {
+        this.logger.error(`Request timeout after ${timeout}ms`);
+        throw Object.assign(new Error(`Request timeout after ${timeout}ms. The server might be taking too long to respond.`), failure);
       }
       
       this.logger.error('Request failed:', error.message);
-      throw error;
+      throw Object.assign(error, failure);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCancel);
     }
+
+    if (response.status === 401 && !authRefreshed && await this.auth.refresh()) {
+      this.logger.logMcpResponse(requestId, response.status, { error: 'Unauthorized; repeating the request with the refreshed bearer token' }, meta);
+      return this.sendRequest(endpoint, method, body, requestId, meta, { signal, timeout, authRefreshed: true });
+    }
+
+    const retryable = RETRYABLE_STATUSES.has(response.status);
+    const httpFailure = {
+      status: response.status,
+      retryable,
+      serverFailure: retryable || response.status >= 500,
+      retryAfter: this.retryAfter(response.headers.get('retry-after'))
+    };
+    
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (e) {
+      // Proxies answer a restarting server with an HTML error page
+      this.logger.logMcpResponse(requestId, response.status, responseText, meta);
+      if (!response.ok) {
+        this.logger.error(`HTTP Error: ${response.status} ${response.statusText}`);
+        throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), httpFailure);
+      }
+      this.logger.error(`Failed to parse response as JSON: ${responseText}`);
+      throw new Error(`Invalid JSON response: ${e.message}`);
+    }
+    
+    // Log the response
+    this.logger.logMcpResponse(requestId, response.status, data, meta);
+    
+    if (!response.ok) {
+      this.logger.error(`HTTP Error: ${response.status} ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText} - ${JSON.stringify(data)}`), httpFailure);
+    }
+    
+    if (data.error) {
+      this.logger.error('Server error:', data.error);
+      throw new Error(data.error.message || 'Unknown server error');
+    }
+
+    return data;
+  }
+
+  // Retry-After in seconds or as an HTTP date → milliseconds
+  retryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
   }
 }
\ No newline at end of file
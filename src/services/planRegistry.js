@@ -0,0 +1,152 @@
+// src/services/planRegistry.js - Tracks plans created on the Spring Boot server
+import path from 'path';
+
+// Plans on the Spring Boot server last 10 minutes unless it tells us otherwise
+const DEFAULT_PLAN_TTL_MS = 10 * 60 * 1000;
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+export class PlanRegistry {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.plans = new Map();
+  }
+
+  register(planResponse, { projectPath, description, preferences = {} }) {
+    if (!planResponse?.planId) {
+      throw new Error('Cannot register plan: server response has no planId');
+    }
+
+    const createdAt = Date.now();
+    const ttl = this.parseExpiresIn(planResponse.expiresIn);
+    const entry = {
+      planId: planResponse.planId,
+      projectPath: path.resolve(projectPath),
+      description,
+      preferences,
+      status: planResponse.status || 'created',
+      expiresIn: planResponse.expiresIn,
+      createdAt,
+      expiresAt: createdAt + ttl,
+      projectAnalysis: planResponse.projectAnalysis || null,
+      executions: []
+    };
+
+    this.plans.set(entry.planId, entry);
+    this.logger.info(`PlanRegistry: Registered plan ${entry.planId} for ${entry.projectPath}`);
+    this.logger.debug(`PlanRegistry: Plan ${entry.planId} expires at ${new Date(entry.expiresAt).toISOString()}`);
+
+    this.pruneExpired();
+    return entry;
+  }
+
+  get(planId) {
+    return this.plans.get(planId) || null;
+  }
+
+  // Look up a plan for execution, failing with a readable message when it cannot be used
+  resolve(planId, projectPath = null) {
+    const entry = this.plans.get(planId);
+
+    if (!entry) {
+      throw new Error(`Unknown plan ID: ${planId}. Create a plan with create_postgresql_integration_plan first.`);
+    }
+
+    if (this.isExpired(entry)) {
+      entry.status = 'expired';
+      throw new Error(`Plan ${planId} expired at ${new Date(entry.expiresAt).toISOString()}. Create a new plan.`);
+    }
+
+    if (projectPath && path.resolve(projectPath) !== entry.projectPath) {
+      throw new Error(`Plan ${planId} belongs to project ${entry.projectPath}, not ${path.resolve(projectPath)}`);
+    }
+
+    return entry;
+  }
+
+  recordExecution(planId, executionResponse) {
+    const entry = this.plans.get(planId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = 'executed';
+    entry.executions.push({
+      executionId: executionResponse?.executionId || null,
+      status: executionResponse?.status || 'unknown',
+      executedAt: Date.now()
+    });
+
+    this.logger.info(`PlanRegistry: Recorded execution ${executionResponse?.executionId} for plan ${planId}`);
+    return entry;
+  }
+
+  list() {
+    return Array.from(this.plans.values()).map(entry => ({
+      ...entry,
+      expired: this.isExpired(entry),
+      remainingMs: Math.max(0, entry.expiresAt - Date.now())
+    }));
+  }
+
+  isExpired(entry) {
+    return Date.now() >= entry.expiresAt;
+  }
+
+  pruneExpired() {
+    for (const [planId, entry] of this.plans) {
+      if (this.isExpired(entry) && entry.executions.length === 0) {
+        this.plans.delete(planId);
+        this.logger.debug(`PlanRegistry: Pruned expired plan ${planId}`);
+      }
+    }
+  }
+
+  // The server reports expiresIn as e.g. "10 minutes", "600s", "PT10M" or a number of seconds
+  parseExpiresIn(expiresIn) {
+    if (typeof expiresIn === 'number' && Number.isFinite(expiresIn)) {
+      return expiresIn * 1000;
+    }
+
+    if (typeof expiresIn !== 'string' || !expiresIn.trim()) {
+      return DEFAULT_PLAN_TTL_MS;
+    }
+
+    const value = expiresIn.trim().toLowerCase();
+
+    const isoMatch = value.match(/^pt(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (isoMatch && (isoMatch[1] || isoMatch[2] || isoMatch[3])) {
+      const [, hours = 0, minutes = 0, seconds = 0] = isoMatch;
+      return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    }
+
+    const msMatch = value.match(/^(\d+(?:\.\d+)?)\s*ms$/);
+    if (msMatch) {
+      return Number(msMatch[1]);
+    }
+
+    const match = value.match(/^(\d+(?:\.\d+)?)\s*([a-z]*?)s?$/);
+    if (match) {
+      const amount = Number(match[1]);
+      const unit = match[2] || 's';
+      if (DURATION_UNITS[unit]) {
+        return amount * DURATION_UNITS[unit];
+      }
+    }
+
+    this.logger.warn(`PlanRegistry: Could not parse expiresIn "${expiresIn}", assuming 10 minutes`);
+    return DEFAULT_PLAN_TTL_MS;
+  }
+}
@@ -0,0 +1,489 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseDocument } from 'yaml';
+import { DdlParser } from '../utils/ddlParser.js';
+import { EntityParser } from '../utils/entityParser.js';
+import { SchemaValidator } from '../utils/schemaValidator.js';
+import { DdlWriter } from '../utils/ddlWriter.js';
+import { SchemaDiff } from '../utils/schemaDiff.js';
+import { identifierKey } from '../utils/pgIdentifiers.js';
+import { JavaTemplates } from '../utils/javaTemplates.js';
+import { SERIAL_TYPES, canonicalType, orderField, parseType } from '../utils/pgTypes.js';
+import { LIQUIBASE_MASTER, LIQUIBASE_MASTER_FORMATS, MIGRATION_DIRECTORY, MigrationWriter } from '../utils/migrationWriter.js';
+
+// Where the generator puts dependencies; FileService routes a pom.xml snippet to Gradle builds
+const BUILD_FILES = ['pom.xml', 'build.gradle', 'build.gradle.kts'];
+
+const CONFIG_FILES = ['application.properties', 'application.yml', 'application.yaml'];
+
+const FLYWAY_VERSIONED = /^V(\d+(?:[._]\d+)*)__.+\.sql$/i;
+const FLYWAY_REPEATABLE = /^R__.+\.sql$/i;
+const FLYWAY_UNDO = /^U\d+(?:[._]\d+)*__.+\.sql$/i;
+
+// The schema of the last applied generation, the baseline of the next schema diff
+export const SCHEMA_SNAPSHOT = '.mcp/schema.json';
+
+export class SchemaService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the tool schema from SQL DDL. ddlPath may be a single script or a directory of
+   * Flyway migrations; inline ddl is applied after any files.
+   */
+  async loadDdl({ ddlPath = null, ddl = null, projectRoot = process.cwd() }) {
+    const parser = new DdlParser(this.logger);
+    const files = [];
+
+    if (ddlPath) {
+      const fullPath = path.resolve(projectRoot, ddlPath);
+      let stats;
+      try {
+        stats = await fs.stat(fullPath);
+      } catch {
+        throw new Error(`DDL path not found: ${ddlPath}`);
+      }
+
+      const scripts = stats.isDirectory()
+        ? await this.listMigrations(fullPath, parser)
+        : [fullPath];
+
+      for (const script of scripts) {
+        const name = path.relative(projectRoot, script) || path.basename(script);
+        this.logger.info(`📜 Applying DDL from ${name}`);
+        parser.parse(await fs.readFile(script, 'utf8'), name);
+        files.push(name);
+      }
+    }
+
+    if (ddl) {
+      parser.parse(ddl, 'inline DDL');
+    }
+
+    const { enums, tables, warnings } = parser.result();
+    if (tables.length === 0) {
+      throw new Error(`No CREATE TABLE statements found in ${ddlPath || 'the inline DDL'}`);
+    }
+
+    this.logger.info(`✅ Imported ${tables.length} tables from DDL (${warnings.length} warnings)`);
+    return { schema: { ...(enums ? { enums } : {}), tables }, warnings, files };
+  }
+
+  /**
+   * Check the schema locally before it costs a round trip to the server.
+   * Returns every problem as { path, message }; an empty list means the schema is valid.
+   */
+  validate(schema) {
+    const errors = new SchemaValidator(this.logger).validate(schema);
+
+    if (errors.length > 0) {
+      this.logger.warn(`⚠️ Schema validation found ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+      errors.forEach(error => this.logger.warn(`   ${error.path}: ${error.message}`));
+    } else {
+      this.logger.info('✅ Schema validation passed');
+    }
+
+    return errors;
+  }
+
+  /**
+   * The schema as sent to the server: canonical types (int8 → BIGINT, bigserial → BIGINT with
+   * autoIncrement), inline modifiers moved to length/precision/scale and the suggested javaType
+   * of every field. Expects a schema that passed validate().
+   */
+  normalize(schema) {
+    const enums = new Map((schema.enums || []).map(item => [item.name, item.values]));
+
+    const tables = schema.tables.map(({ renamedFrom, ...table }) => ({
+      ...table,
+      fields: table.fields.map(({ renamedFrom, ...field }) => {
+        const parsed = parseType(field.type, enums);
+        const normalized = { ...field, type: parsed.type, javaType: parsed.javaType };
+
+        for (const key of ['length', 'precision', 'scale']) {
+          if (normalized[key] === undefined && parsed[key] !== undefined) normalized[key] = parsed[key];
+        }
+        if (parsed.serial) normalized.autoIncrement = true;
+
+        return orderField(normalized);
+      })
+    }));
+
+    return { ...(enums.size > 0 ? { enums: schema.enums } : {}), tables };
+  }
+
+  /**
+   * Ordered ALTER change set that turns the current model into the requested schema.
+   * Both schemas are normalized first; `renamedFrom` hints of the request are kept.
+   * Columns missing from the request are dropped only with options.allowDrops.
+   */
+  diff(current, requested, options = {}) {
+    const target = this.normalize(requested);
+    target.tables.forEach((table, tableIndex) => {
+      const source = requested.tables[tableIndex];
+      if (source.renamedFrom) table.renamedFrom = source.renamedFrom;
+      table.fields.forEach((field, fieldIndex) => {
+        if (source.fields[fieldIndex].renamedFrom) field.renamedFrom = source.fields[fieldIndex].renamedFrom;
+      });
+    });
+
+    const result = new SchemaDiff(this.logger).diff(this.normalize(current), target, options);
+    this.logger.info(`🔀 Schema diff: ${result.changes.length} change${result.changes.length === 1 ? '' : 's'}, ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}`);
+    return result;
+  }
+
+  // The schema stored by the last generation, or null when the project has none
+  async loadSnapshot(projectRoot) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(projectRoot, SCHEMA_SNAPSHOT), 'utf8');
+    } catch {
+      return null;
+    }
+
+    try {
+      const schema = JSON.parse(content);
+      return Array.isArray(schema.tables) ? schema : null;
+    } catch (error) {
+      this.logger.warn(`⚠️ Ignoring unreadable ${SCHEMA_SNAPSHOT}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Snapshot after this generation: the stored tables that were not requested, then the requested
+  // ones with the columns the diff kept instead of dropping, so a later run can still drop them
+  snapshotFile(previous, schema, keptColumns = []) {
+    const replaced = new Set(schema.tables.flatMap(table => [table.name, table.renamedFrom]).filter(Boolean).map(identifierKey));
+    const enums = new Map([...(previous?.enums || []), ...(schema.enums || [])].map(item => [identifierKey(item.name), item]));
+
+    const snapshot = this.normalize({
+      enums: [...enums.values()],
+      tables: [
+        ...(previous?.tables || []).filter(table => !replaced.has(identifierKey(table.name))),
+        ...schema.tables.map(table => {
+          const kept = keptColumns.filter(item => identifierKey(item.table) === identifierKey(table.name));
+          return kept.length > 0 ? { ...table, fields: [...table.fields, ...kept.map(item => item.field)] } : table;
+        })
+      ]
+    });
+
+    return this.generatedFile(SCHEMA_SNAPSHOT, 'create', `${JSON.stringify(snapshot, null, 2)}\n`);
+  }
+
+  // CREATE TABLE and CREATE INDEX statements for the schema, including keys, constraints and checks
+  toDdl(schema) {
+    return new DdlWriter(this.logger).write(schema);
+  }
+
+  /**
+   * Build the tool schema from JPA @Entity classes. files are { path, content } pairs as
+   * returned by FileService.findJavaFiles; only limits the result to these classes or tables.
+   */
+  fromEntities(files, { namingStrategy = 'snake_case', only = null, projectRoot = process.cwd() } = {}) {
+    const parser = new EntityParser(this.logger);
+    const sources = files.map(file => ({ ...file, path: path.relative(projectRoot, file.path) || file.path }));
+    const { tables, warnings, relationships, entities } = parser.parse(sources, { namingStrategy, only });
+
+    if (tables.length === 0) {
+      throw new Error(only?.length
+        ? `None of the requested entities were found: ${only.join(', ')}`
+        : 'No @Entity classes found');
+    }
+
+    this.logger.info(`✅ Derived ${tables.length} tables from ${entities.length} entities (${warnings.length} warnings)`);
+    return { schema: { tables }, warnings, relationships, entities };
+  }
+
+  /**
+   * Versioned migration creating the schema, numbered after the highest V<version>__ file in
+   * db/migration. With `changes` from diff() the migration holds the ALTER change set instead;
+   * new enum values then get a migration of their own before it, because PostgreSQL rejects
+   * a new value in the transaction that added it. ALTER statements need the tables to exist:
+   * with no migration in db/migration yet, `baseline` (the schema the changes were computed
+   * against) is created by a migration before them. Returns generatedFiles categories in the
+   * server's format so they go through the normal apply and merge path, and the
+   * <dependencies> snippet of the migration tool for addBuildDependencies().
+   */
+  async createMigration({ projectRoot, schema, tool, buildFile = null, changes = null, baseline = null }) {
+    const writer = new MigrationWriter(this.logger);
+    const schemaDiff = new SchemaDiff(this.logger);
+    const existing = await this.migrationVersions(path.join(projectRoot, MIGRATION_DIRECTORY));
+    const latest = existing[existing.length - 1]?.versionText || null;
+    const notes = [];
+
+    const createSet = target => {
+      const tableNames = target.tables.map(table => table.name.replace(/"/g, ''));
+      return { description: tableNames.length <= 3 ? `create_${tableNames.join('_')}` : 'create_schema', sql: this.toDdl(target) };
+    };
+    const [enumValues, otherChanges] = changes ? schemaDiff.splitEnumValues(changes) : [[], []];
+    const alterSets = [enumValues, otherChanges].filter(group => group.length > 0).map(group => ({
+      description: schemaDiff.migrationName(group),
+      sql: `${group.map(change => change.sql).join('\n\n')}\n`
+    }));
+
+    let changeSets;
+    if (!changes) {
+      changeSets = [createSet(schema)];
+    } else if (existing.length === 0 && baseline) {
+      changeSets = [{ ...createSet(this.baselineWithTypes(baseline, schema, notes)), description: 'create_baseline' }, ...alterSets];
+    } else if (existing.length === 0) {
+      notes.push('No migration creates the current tables, so the whole schema is created instead of altered');
+      changeSets = [createSet(schema)];
+    } else {
+      changeSets = alterSets;
+    }
+
+    let previous = latest;
+    const migrations = changeSets.map(({ description, sql }) => {
+      const version = previous ? this.nextVersion(previous) : '1';
+      previous = version;
+      return { version, fileName: writer.fileName(version, description), sql };
+    });
+    const { version, fileName } = migrations[migrations.length - 1];
+    if (changes && existing.length === 0 && baseline) {
+      notes.push(`${migrations[0].fileName} creates the tables as they are before these changes. On a database that already has them, mark it as applied first (${tool === 'flyway' ? '`spring.flyway.baseline-on-migrate=true`' : '`liquibase changelog-sync`'})`);
+    }
+    if (enumValues.length > 0 && otherChanges.length > 0) {
+      const enumMigration = migrations[migrations.length - 2];
+      notes.push(`The new enum values are added by ${enumMigration.fileName}, which is committed before ${fileName} uses them`);
+    }
+
+    const migrationFiles = migrations.map(migration =>
+      this.generatedFile(`${MIGRATION_DIRECTORY}/${migration.fileName}`, 'create', writer.migration(tool, migration.fileName, migration.sql))
+    );
+
+    if (tool === 'liquibase') {
+      const master = await this.liquibaseMaster(projectRoot, writer, migrations.map(migration => migration.fileName), existing, notes);
+      if (master) migrationFiles.push(master);
+    }
+
+    let dependencies = null;
+    if (buildFile) {
+      dependencies = writer.dependencySnippet(tool);
+    } else {
+      notes.push(`No build file found; add ${writer.dependencyNames(tool).join(' and ')} to your build manually`);
+    }
+
+    this.logger.info(`🗂️ ${tool} migration ${migrations.map(migration => migration.fileName).join(', ')}${latest ? ` (after V${latest})` : ''}`);
+    return {
+      tool,
+      version,
+      fileName,
+      fileNames: migrations.map(migration => migration.fileName),
+      previousVersion: latest,
+      categories: [{ category: 'Database Migrations', files: migrationFiles }],
+      dependencies,
+      notes
+    };
+  }
+
+  // The baseline with the enum types its columns use, which the entities only name: they are
+  // taken from the request, and a type neither declares is left to the user with a note
+  baselineWithTypes(baseline, schema, notes) {
+    const declared = new Map([...(schema.enums || []), ...(baseline.enums || [])].map(item => [identifierKey(item.name), item]));
+    const used = new Map();
+    const undeclared = new Set();
+    for (const field of baseline.tables.flatMap(table => table.fields)) {
+      const name = String(field.type).replace(/(\[\])+$/, '');
+      if (canonicalType(name).known || SERIAL_TYPES[name.toLowerCase()]) continue;
+      const key = identifierKey(name);
+      if (declared.has(key)) used.set(key, declared.get(key));
+      else undeclared.add(key);
+    }
+
+    if (undeclared.size > 0) {
+      notes.push(`The baseline uses ${[...undeclared].join(', ')}, which neither the entities nor the request declare; create ${undeclared.size === 1 ? 'that type' : 'these types'} before it runs`);
+    }
+    return { ...baseline, enums: [...used.values()] };
+  }
+
+  // 9 → 10, 0099 → 0100, 2_1 → 2_2; timestamps beyond Number precision stay exact
+  nextVersion(version) {
+    return version.replace(/\d+$/, number => String(BigInt(number) + 1n).padStart(number.length, '0'));
+  }
+
+  /**
+   * The master changelog including fileNames in order: a new one in Spring Boot's default
+   * location, or the existing one (YAML, XML or JSON) with the missing includes added. Null
+   * when the existing master already picks the files up or cannot be read.
+   */
+  async liquibaseMaster(projectRoot, writer, fileNames, existing, notes) {
+    const base = LIQUIBASE_MASTER.replace(/\.yaml$/, '');
+    for (const format of LIQUIBASE_MASTER_FORMATS) {
+      const masterPath = `${base}.${format}`;
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectRoot, masterPath), 'utf8');
+      } catch {
+        continue;
+      }
+
+      try {
+        const updated = fileNames.reduce((master, fileName) => writer.liquibaseMasterWithInclude(master, format, fileName) ?? master, content);
+        if (updated === content) {
+          this.logger.info(`   ${masterPath} already includes ${fileNames.join(', ')}`);
+          return null;
+        }
+        return this.generatedFile(masterPath, 'create', updated);
+      } catch (error) {
+        notes.push(`Could not read ${masterPath} (${error.message}); include ${fileNames.map(fileName => `db/migration/${fileName}`).join(' and ')} in it manually`);
+        return null;
+      }
+    }
+
+    return this.generatedFile(LIQUIBASE_MASTER, 'create', writer.liquibaseMaster([...existing.map(item => item.name), ...fileNames]));
+  }
+
+  /**
+   * Mark the generated entity of every table with renamed, retyped or dropped columns, so the
+   * Java merge replaces or removes the old fields instead of keeping them next to the new ones;
+   * otherwise the entity no longer matches the migrated table. Sets `replacedFields`
+   * ({ oldField: newField, or null when dropped }) on the entity files.
+   */
+  markReplacedFields(generatedFiles, changes) {
+    const javaTemplates = new JavaTemplates(this.logger);
+    const byClass = new Map();
+    for (const change of changes) {
+      if (!['rename_column', 'alter_column', 'drop_column'].includes(change.kind)) continue;
+
+      const className = javaTemplates.className(change.table);
+      if (!byClass.has(className)) byClass.set(className, {});
+      const fields = byClass.get(className);
+      const property = javaTemplates.propertyName(change.column);
+      if (change.kind === 'rename_column') {
+        fields[javaTemplates.propertyName(change.from)] = property;
+      } else if (change.kind === 'drop_column') {
+        fields[property] = null;
+      } else {
+        fields[property] = property;
+      }
+    }
+
+    for (const file of generatedFiles.flatMap(category => category.files)) {
+      const className = path.basename(file.path, '.java');
+      if (file.path.endsWith('.java') && byClass.has(className) && /@Entity\b/.test(file.content || '')) {
+        file.replacedFields = byClass.get(className);
+        this.logger.info(`   ${file.path}: replacing ${Object.keys(file.replacedFields).join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Add the migration tool's <dependency> elements to the build-file change the generator
+   * already made, so one execution changes pom.xml or build.gradle(.kts) once. Returns the
+   * categories still to add: a build-file change of its own when the generator made none.
+   */
+  addBuildDependencies(generatedFiles, snippet) {
+    const buildChange = generatedFiles
+      .flatMap(category => category.files)
+      .find(file => BUILD_FILES.includes(path.basename(file.path)) && file.action === 'modify' && file.content?.includes('</dependencies>'));
+
+    if (!buildChange) {
+      return [{ category: 'Migration Dependencies', files: [this.generatedFile('pom.xml', 'modify', snippet)] }];
+    }
+
+    const artifactId = element => element.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)?.[1];
+    const present = new Set((buildChange.content.match(/<dependency>[\s\S]*?<\/dependency>/g) || []).map(artifactId));
+    const missing = (snippet.match(/^[ \t]*<dependency>[\s\S]*?<\/dependency>/gm) || []).filter(element => !present.has(artifactId(element)));
+    if (missing.length > 0) {
+      const content = buildChange.content;
+      const close = content.lastIndexOf('</dependencies>');
+      const lineStart = content.lastIndexOf('\n', close) + 1;
+      // Before the line of </dependencies> at its indentation, or right before it when it shares a line
+      const ownLine = content.slice(lineStart, close).trim() === '';
+      const indent = ownLine ? content.slice(lineStart, close) : '';
+      const elements = missing.map(element => element.split('\n').map(line => `${indent}${line}`).join('\n')).join('\n');
+      buildChange.content = ownLine
+        ? `${content.slice(0, lineStart)}${elements}\n${content.slice(lineStart)}`
+        : `${content.slice(0, close)}\n${elements}\n${content.slice(close)}`;
+      buildChange.size = buildChange.content.split('\n').length - 1;
+    }
+    this.logger.info(`   Migration dependencies added to the ${buildChange.path} change`);
+    return [];
+  }
+
+  /**
+   * Let Hibernate only validate the tables once a migration tool owns them: adds
+   * spring.jpa.hibernate.ddl-auto=validate to the generator's datasource change. False when
+   * there is no such change or it already sets ddl-auto.
+   */
+  addSchemaValidation(generatedFiles) {
+    const configChange = generatedFiles
+      .flatMap(category => category.files)
+      .find(file => CONFIG_FILES.includes(path.basename(file.path)) && file.action === 'modify' && file.content);
+    if (!configChange || configChange.content.includes('ddl-auto')) {
+      return false;
+    }
+
+    if (configChange.path.endsWith('.properties')) {
+      configChange.content = `${configChange.content.replace(/\s*$/, '\n')}spring.jpa.hibernate.ddl-auto=validate\n`;
+    } else {
+      const document = parseDocument(configChange.content);
+      document.setIn(['spring', 'jpa', 'hibernate', 'ddl-auto'], 'validate');
+      configChange.content = document.toString();
+    }
+    configChange.size = configChange.content.split('\n').length - 1;
+    this.logger.info(`   spring.jpa.hibernate.ddl-auto=validate added to the ${configChange.path} change`);
+    return true;
+  }
+
+  generatedFile(filePath, action, content) {
+    return { path: filePath, action, content, size: content.split('\n').length - 1 };
+  }
+
+  // V<version>__*.sql files of a migration directory, lowest version first
+  async migrationVersions(directory) {
+    let names;
+    try {
+      names = await fs.readdir(directory);
+    } catch {
+      return [];
+    }
+
+    return names
+      .map(name => ({ name, match: name.match(FLYWAY_VERSIONED) }))
+      .filter(item => item.match)
+      .map(item => ({ name: item.name, versionText: item.match[1], version: item.match[1].split(/[._]/).map(BigInt) }))
+      .sort((a, b) => this.compareVersions(a.version, b.version));
+  }
+
+  // Plain scripts first (by name), then versioned migrations by version, then repeatable ones
+  async listMigrations(directory, parser) {
+    const names = (await fs.readdir(directory)).filter(name => name.toLowerCase().endsWith('.sql'));
+    const plain = [];
+    const versioned = [];
+    const repeatable = [];
+
+    for (const name of names) {
+      const version = name.match(FLYWAY_VERSIONED);
+      if (version) {
+        versioned.push({ name, version: version[1].split(/[._]/).map(BigInt) });
+      } else if (FLYWAY_REPEATABLE.test(name)) {
+        repeatable.push(name);
+      } else if (FLYWAY_UNDO.test(name)) {
+        parser.warnings.push(`${name}: undo migrations are not applied`);
+      } else {
+        plain.push(name);
+      }
+    }
+
+    versioned.sort((a, b) => this.compareVersions(a.version, b.version));
+
+    return [
+      ...plain.sort(),
+      ...versioned.map(item => item.name),
+      ...repeatable.sort()
+    ].map(name => path.join(directory, name));
+  }
+
+  compareVersions(a, b) {
+    for (let index = 0; index < Math.max(a.length, b.length); index++) {
+      // BigInt parts, so timestamp versions of 17 and more digits compare exactly
+      const difference = (a[index] ?? 0n) - (b[index] ?? 0n);
+      if (difference !== 0n) return difference > 0n ? 1 : -1;
+    }
+    return 0;
+  }
+}
@@ -0,0 +1,276 @@
+// src/services/templateService.js - Project templates in .mcp/templates that reshape generated files
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { identifierKey } from '../utils/pgIdentifiers.js';
+import { JavaTemplates } from '../utils/javaTemplates.js';
+import { TemplateRenderer } from '../utils/templateRenderer.js';
+
+export const TEMPLATE_DIRECTORY = '.mcp/templates';
+
+// Extra files rendered once (or once per table when the path uses {{table.*}})
+const EXTRA_FILES_DIRECTORY = 'files';
+
+// Class name suffixes of the per-table artifacts, so OrderController is matched to table orders
+const CLASS_SUFFIXES = /(Repository|ServiceImpl|Service|Controller|Mapper|Dto|DTO|Request|Response|Id)$/;
+
+// Extra files of these types are merged into existing ones instead of replacing them
+const MERGEABLE_EXTENSIONS = new Set(['.java', '.yml', '.yaml', '.properties']);
+
+// Processors are code from the target project, so they only run when this is set to true
+export const TEMPLATE_SCRIPTS_ENV = 'MCP_TEMPLATE_SCRIPTS';
+
+export class TemplateService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.renderer = new TemplateRenderer(logger);
+    this.javaTemplates = new JavaTemplates(logger);
+  }
+
+  // Entities, "JPA Entities" → entities, jpa-entities: the file name templates use for a category
+  categoryKey(category) {
+    return String(category).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Templates of a project, or null when it has no .mcp/templates directory:
+   * <category>.mustache replaces the content of every file in the category,
+   * <category>.js / .mjs post-processes it (only with config.templateScripts, otherwise it is
+   * listed in `skipped`), files/** adds files.
+   */
+  async load(projectRoot) {
+    const directory = path.join(projectRoot, TEMPLATE_DIRECTORY);
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+
+    const templates = { overrides: new Map(), processors: new Map(), files: [], errors: [], skipped: [] };
+    for (const entry of entries.filter(item => item.isFile())) {
+      const fullPath = path.join(directory, entry.name);
+      const extension = path.extname(entry.name);
+      const key = this.categoryKey(path.basename(entry.name, extension));
+
+      if (extension === '.mustache') {
+        templates.overrides.set(key, { name: entry.name, content: await fs.readFile(fullPath, 'utf8') });
+      } else if ((extension === '.js' || extension === '.mjs') && !this.config.templateScripts) {
+        templates.skipped.push(`${entry.name}: not run, JavaScript templates run only with ${TEMPLATE_SCRIPTS_ENV}=true`);
+      } else if (extension === '.js' || extension === '.mjs') {
+        try {
+          // The query string makes Node re-read a processor that changed since the last run
+          const { mtimeMs } = await fs.stat(fullPath);
+          const module = await import(`${pathToFileURL(fullPath).href}?mtime=${mtimeMs}`);
+          if (typeof module.default !== 'function') throw new Error('the default export must be a function');
+          templates.processors.set(key, { name: entry.name, process: module.default });
+        } catch (error) {
+          templates.errors.push(`${entry.name}: ${error.message}`);
+        }
+      }
+    }
+
+    const extraDirectory = path.join(directory, EXTRA_FILES_DIRECTORY);
+    for (const relativePath of await this.listFiles(extraDirectory)) {
+      templates.files.push({
+        name: `${EXTRA_FILES_DIRECTORY}/${relativePath}`,
+        path: relativePath.replace(/\.mustache$/, ''),
+        content: await fs.readFile(path.join(extraDirectory, relativePath), 'utf8')
+      });
+    }
+
+    this.logger.info(`🧩 Templates: ${templates.overrides.size} override(s), ${templates.processors.size} processor(s), ${templates.files.length} extra file(s) in ${TEMPLATE_DIRECTORY}`);
+    if (templates.skipped.length > 0) {
+      this.logger.warn(`⏭️ Skipped ${templates.skipped.length} JavaScript template(s); set ${TEMPLATE_SCRIPTS_ENV}=true to run them`);
+    }
+    return templates;
+  }
+
+  async listFiles(directory, prefix = '') {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) files.push(...await this.listFiles(path.join(directory, entry.name), relativePath));
+      else if (entry.isFile()) files.push(relativePath);
+    }
+    return files.sort();
+  }
+
+  /**
+   * Run the project's templates over the generated files before they are written.
+   * Returns the new generatedFiles plus what each template did; a failing template leaves
+   * the generated file as it was and is reported in `errors`, a processor that was not allowed
+   * to run in `skipped`.
+   */
+  async apply(generatedFiles, { projectRoot, schema, basePackage }) {
+    const templates = await this.load(projectRoot);
+    if (!templates) return { generatedFiles, applied: [], errors: [], skipped: [] };
+
+    const base = this.baseContext(schema, basePackage, projectRoot);
+    const tablesByClass = new Map(base.tables.map(table => [table.className, table]));
+    const used = new Map();
+    const errors = [...templates.errors];
+    const record = (name, filePath, outcome) => {
+      if (!used.has(name)) used.set(name, []);
+      used.get(name).push({ path: filePath, outcome });
+    };
+
+    const result = [];
+    for (const category of generatedFiles) {
+      const key = this.categoryKey(category.category);
+      const override = templates.overrides.get(key);
+      const processor = templates.processors.get(key);
+      if (!override && !processor) {
+        result.push(category);
+        continue;
+      }
+
+      const files = [];
+      for (const file of category.files) {
+        const context = this.fileContext(base, file, category.category, tablesByClass);
+        let content = file.content;
+
+        if (override) {
+          try {
+            content = this.renderer.render(override.content, context);
+            record(override.name, file.path, 'overridden');
+          } catch (error) {
+            errors.push(`${override.name} (${file.path}): ${error.message}`);
+          }
+        }
+
+        if (processor) {
+          try {
+            const processed = await processor.process(content, { ...context, content });
+            if (processed === null) {
+              record(processor.name, file.path, 'dropped');
+              continue;
+            }
+            if (typeof processed !== 'string') throw new Error('must return the new content as a string, or null to drop the file');
+            content = processed;
+            record(processor.name, file.path, 'processed');
+          } catch (error) {
+            errors.push(`${processor.name} (${file.path}): ${error.message}`);
+          }
+        }
+
+        files.push(content === file.content ? file : { ...file, content, size: content.split('\n').length - 1 });
+      }
+      result.push({ ...category, files });
+    }
+
+    const extraFiles = this.renderExtraFiles(templates.files, base, errors, record);
+    if (extraFiles.length > 0) result.push({ category: 'Project Templates', files: extraFiles });
+
+    const categories = new Set(generatedFiles.map(category => this.categoryKey(category.category)));
+    for (const [key, template] of [...templates.overrides, ...templates.processors]) {
+      if (!categories.has(key)) {
+        errors.push(`${template.name} matches no generated category (generated: ${[...categories].join(', ')})`);
+      }
+    }
+
+    const applied = [...used].map(([template, files]) => ({ template, files }));
+    return { generatedFiles: result, applied, errors, skipped: templates.skipped };
+  }
+
+  renderExtraFiles(templates, base, errors, record) {
+    const files = [];
+    for (const template of templates) {
+      // A path that names the table is rendered once per table
+      const contexts = /\{\{\s*table\./.test(template.path)
+        ? base.tables.map(table => ({ ...base, table, fields: table.fields }))
+        : [base];
+
+      for (const context of contexts) {
+        try {
+          const filePath = this.renderer.render(template.path, context);
+          const content = this.renderer.render(template.content, context);
+          const action = MERGEABLE_EXTENSIONS.has(path.extname(filePath).toLowerCase()) ? 'modify' : 'create';
+          files.push({ path: filePath, action, content, size: content.split('\n').length - 1 });
+          record(template.name, filePath, 'added');
+        } catch (error) {
+          errors.push(`${template.name}: ${error.message}`);
+        }
+      }
+    }
+    return files;
+  }
+
+  // Variables every template sees
+  baseContext(schema, basePackage, projectRoot) {
+    const packageName = basePackage || 'com.example';
+    return {
+      basePackage: packageName,
+      basePackagePath: packageName.replace(/\./g, '/'),
+      projectName: path.basename(path.resolve(projectRoot)),
+      tables: (schema?.tables || []).map(table => this.tableContext(table)),
+      enums: (schema?.enums || []).map(item => ({ name: item.name, className: this.javaTemplates.enumModel(item).className, values: item.values })),
+      table: null,
+      fields: []
+    };
+  }
+
+  tableContext(table) {
+    const className = this.javaTemplates.className(table.name);
+    const primaryKey = this.javaTemplates.primaryKeyColumns(table).map(identifierKey);
+    const fields = table.fields.map((field, index) => {
+      const { type, typeImports } = this.javaTemplates.javaType(field.javaType || 'String');
+      return {
+        name: field.name,
+        property: this.javaTemplates.propertyName(field.name),
+        type: field.type,
+        javaType: type,
+        javaTypeImport: typeImports[0] || null,
+        primaryKey: primaryKey.includes(identifierKey(field.name)),
+        autoIncrement: Boolean(field.autoIncrement),
+        nullable: field.nullable !== false,
+        unique: Boolean(field.unique),
+        length: field.length ?? null,
+        precision: field.precision ?? null,
+        scale: field.scale ?? null,
+        defaultValue: field.defaultValue ?? null,
+        references: field.references || null,
+        first: index === 0,
+        last: index === table.fields.length - 1
+      };
+    });
+    const idFields = fields.filter(field => field.primaryKey);
+
+    return {
+      name: table.name,
+      className,
+      variableName: this.javaTemplates.variableName(className),
+      resource: identifierKey(table.name).replace(/[^A-Za-z0-9]+/g, '-').toLowerCase(),
+      idType: idFields.length === 1 ? idFields[0].javaType : (idFields.length > 1 ? `${className}Id` : null),
+      compositeKey: idFields.length > 1,
+      imports: [...new Set(fields.map(field => field.javaTypeImport).filter(Boolean))].sort(),
+      fields,
+      relationships: table.relationships || []
+    };
+  }
+
+  // The table a generated file belongs to comes from its class name: OrderRepository.java → orders
+  fileContext(base, file, category, tablesByClass) {
+    const name = path.basename(file.path);
+    const className = name.endsWith('.java') ? name.slice(0, -'.java'.length) : null;
+    const table = className
+      ? tablesByClass.get(className) || tablesByClass.get(className.replace(CLASS_SUFFIXES, '')) || null
+      : null;
+
+    return {
+      ...base,
+      table,
+      fields: table?.fields || [],
+      file: { path: file.path, name, className, action: file.action, category },
+      content: file.content
+    };
+  }
+}
@@ -0,0 +1,135 @@
+import path from 'path';
+
+export class EntitySchemaTool {
+  constructor(fileService, schemaService, logger) {
+    this.fileService = fileService;
+    this.schemaService = schemaService;
+    this.logger = logger;
+  }
+
+  getDefinition() {
+    return {
+      name: 'derive_postgresql_schema_from_entities',
+      description: 'Read the JPA @Entity classes of a project into the schema format used by generate_postgresql_integration',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          projectPath: {
+            type: 'string',
+            description: 'Path to the Spring Boot project',
+            default: '.'
+          },
+          sourceRoot: {
+            type: 'string',
+            description: 'Java source directory, relative to the project',
+            default: 'src/main/java'
+          },
+          entities: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only include these entity classes or tables'
+          },
+          namingStrategy: {
+            type: 'string',
+            enum: ['snake_case', 'camelCase'],
+            description: 'How class and field names become table and column names (snake_case matches Spring Boot\'s default)',
+            default: 'snake_case'
+          }
+        }
+      }
+    };
+  }
+
+  async execute(args) {
+    const { projectPath = '.', sourceRoot = 'src/main/java', entities, namingStrategy = 'snake_case' } = args;
+
+    try {
+      const projectRoot = path.resolve(projectPath);
+      const sourceDirectory = path.resolve(projectRoot, sourceRoot);
+
+      this.logger.info(`Deriving schema from entities in ${sourceDirectory}`);
+
+      const files = await this.fileService.findJavaFiles(sourceDirectory, null);
+      if (files.length === 0) {
+        throw new Error(`No Java files found in ${sourceRoot}`);
+      }
+
+      const result = this.schemaService.fromEntities(files, { namingStrategy, only: entities, projectRoot });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatEntitySchemaResponse(result, sourceRoot, namingStrategy)
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error(`Deriving schema from entities failed: ${error.message}`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatErrorResponse(error)
+          }
+        ]
+      };
+    }
+  }
+
+  formatEntitySchemaResponse(result, sourceRoot, namingStrategy) {
+    const entityTables = new Map(result.entities.map(entity => [entity.table, entity]));
+    const tableList = result.schema.tables.map(table => {
+      const entity = entityTables.get(table.name);
+      const primaryKey = table.fields.filter(field => field.primaryKey).map(field => field.name);
+      const origin = entity ? ` (\`${entity.className}\`)` : ' (join table)';
+      return `- **${table.name}**${origin} — ${table.fields.length} columns${primaryKey.length > 0 ? `, primary key (${primaryKey.join(', ')})` : ''}`;
+    }).join('\n');
+
+    let response = `# 🧩 Schema Derived From Entities
+
+- **Source Root:** \`${sourceRoot}\`
+- **Naming Strategy:** ${namingStrategy}
+- **Entities:** ${result.entities.length}
+- **Tables:** ${result.schema.tables.length}
+
+## 📋 Tables
+${tableList}
+`;
+
+    if (result.relationships.length > 0) {
+      response += `\n## 🔗 Relationships\n${result.relationships.map(relationship => `- ${relationship}`).join('\n')}\n`;
+    }
+
+    if (result.warnings.length > 0) {
+      response += `\n## ⚠️ Warnings\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
+
+    response += `
+## 🧬 Schema
+\`\`\`json
+${JSON.stringify(result.schema, null, 2)}
+\`\`\`
+
+---
+🚀 **Next Step:** Pass this \`schema\` to \`generate_postgresql_integration\` to generate the integration for these tables.`;
+
+    return response;
+  }
+
+  formatErrorResponse(error) {
+    return `# ❌ Deriving Schema From Entities Failed
+
+- **Error:** ${error.message}
+
+## 🔧 Troubleshooting
+1. **Check the source root:**
+   - Use \`sourceRoot\` if your Java sources are not in \`src/main/java\`
+   - In multi-module builds, point \`projectPath\` at the module that contains the entities
+
+2. **Check the entities:**
+   - Classes must be annotated with \`@Entity\` (jakarta.persistence or javax.persistence)
+   - Names in \`entities\` may be class names or table names`;
+  }
+}
@@ -1,9 +1,14 @@
 import path from 'path';
+import { schemaDefinition } from './schemaDefinition.js';
+import { ProgressReporter, formatDuration } from '../utils/progressReporter.js';
 
 export class ExecuteTool {
-  constructor(mcpService, fileService, logger) {
+  constructor(mcpService, fileService, planRegistry, schemaService, templateService, logger) {
     this.mcpService = mcpService;
     this.fileService = fileService;
+    this.planRegistry = planRegistry;
+    this.schemaService = schemaService;
+    this.templateService = templateService;
     this.logger = logger;
   }
 
@@ -18,52 +23,10 @@ export class ExecuteTool {
             type: 'string',
             description: 'Plan ID from create_postgresql_integration_plan'
           },
-          schema: {
-            type: 'object',
-            description: 'Database schema definition',
-            properties: {
-              tables: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  properties: {
-                    name: { type: 'string' },
-                    fields: {
-                      type: 'array',
-                      items: {
-                        type: 'object',
-                        properties: {
-                          name: { type: 'string' },
-                          type: { type: 'string' },
-                          length: { type: 'integer' },
-                          primaryKey: { type: 'boolean', default: false },
-                          autoIncrement: { type: 'boolean', default: false },
-                          nullable: { type: 'boolean', default: true },
-                          unique: { type: 'boolean', default: false },
-                          defaultValue: { type: 'string' },
-                          foreignKey: {
-                            type: 'object',
-                            properties: {
-                              table: { type: 'string' },
-                              column: { type: 'string' },
-                              onDelete: { type: 'string', default: 'CASCADE' }
-                            }
-                          }
-                        },
-                        required: ['name', 'type']
-                      }
-                    }
-                  },
-                  required: ['name', 'fields']
-                }
-              }
-            },
-            required: ['tables']
-          },
+          schema: schemaDefinition('Database schema definition'),
           projectPath: {
             type: 'string',
-            description: 'Path to the project directory (usually current directory)',
-            default: '.'
+            description: 'Path to the project directory (defaults to the project the plan was created for)'
           },
           applyToProject: {
             type: 'boolean',
@@ -76,41 +39,64 @@ export class ExecuteTool {
     };
   }
 
-  async execute(args) {
-    const { planId, schema, projectPath = '.', applyToProject = true } = args;
+  async execute(args, { signal, progress = new ProgressReporter(null, null, this.logger) } = {}) {
+    const { planId, schema, applyToProject = true } = args;
 
     this.logger.info(`🚀 Starting PostgreSQL integration execution`);
     this.logger.info(`📋 Plan ID: ${planId}`);
     this.logger.info(`📊 Tables to process: ${schema.tables?.length || 0}`);
-    this.logger.info(`📁 Target project: ${projectPath}`);
     this.logger.info(`💾 Apply to project: ${applyToProject ? 'Yes' : 'No'}`);
 
-    // Set the project context in FileService
-    if (applyToProject) {
-      this.fileService.setProjectRoot(projectPath);
-      const projectInfo = await this.fileService.getProjectInfo();
-      
-      this.logger.info(`📂 Project root resolved to: ${projectInfo.projectRoot}`);
-      this.logger.info(`📝 Project writable: ${projectInfo.isWritable ? 'Yes' : 'No'}`);
-      this.logger.info(`📁 Project exists: ${projectInfo.exists ? 'Yes' : 'No'}`);
+    let projectPath = args.projectPath;
 
-      if (!projectInfo.exists) {
-        throw new Error(`Project directory does not exist: ${projectInfo.projectRoot}`);
+    try {
+      // The plan remembers which project it was created for
+      const plan = this.planRegistry.resolve(planId, projectPath);
+      projectPath = projectPath || plan.projectPath;
+
+      const validationErrors = this.schemaService.validate(schema);
+      if (validationErrors.length > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: this.formatValidationResponse(validationErrors, planId)
+            }
+          ]
+        };
       }
 
-      if (!projectInfo.isWritable) {
-        throw new Error(`Project directory is not writable: ${projectInfo.projectRoot}`);
+      this.logger.info(`📁 Target project: ${projectPath}`);
+
+      // Set the project context in FileService
+      this.fileService.setProjectRoot(projectPath);
+      this.fileService.setRemoveProjectNameFromPath(plan.preferences?.removeProjectNameFromPath !== false);
+      this.fileService.setOverrideExistingProperties(plan.preferences?.overrideExistingProperties);
+
+      if (applyToProject) {
+        const projectInfo = await this.fileService.getProjectInfo();
+        
+        this.logger.info(`📂 Project root resolved to: ${projectInfo.projectRoot}`);
+        this.logger.info(`📝 Project writable: ${projectInfo.isWritable ? 'Yes' : 'No'}`);
+        this.logger.info(`📁 Project exists: ${projectInfo.exists ? 'Yes' : 'No'}`);
+
+        if (!projectInfo.exists) {
+          throw new Error(`Project directory does not exist: ${projectInfo.projectRoot}`);
+        }
+
+        if (!projectInfo.isWritable) {
+          throw new Error(`Project directory is not writable: ${projectInfo.projectRoot}`);
+        }
       }
-    }
 
-    try {
       this.logger.info(`🔄 Phase 1: Calling Spring Boot MCP server...`);
       
-      const executionData = await this.mcpService.executePlan({
+      const normalizedSchema = this.schemaService.normalize(schema);
+      const executionData = await progress.phase('Plan execution', () => this.mcpService.executePlan({
         planId,
-        schema,
-        applyToProject: false // Let our adapter handle file application
-      });
+        schema: normalizedSchema,
+        signal
+      }));
 
       if (executionData.status === 'error') {
         const errorMsg = executionData.error?.message || 'Unknown error from Spring Boot server';
@@ -118,24 +104,56 @@ export class ExecuteTool {
         throw new Error(`Plan execution failed: ${errorMsg}`);
       }
 
-      this.logger.info(`✅ Phase 1 completed - code generated by Spring Boot server`);
+      this.planRegistry.recordExecution(planId, executionData);
+
+      // The built-in templates already use the project's own base package
+      if (executionData.generator === 'local') {
+        this.fileService.setRemoveProjectNameFromPath(false);
+      }
+
+      this.logger.info(`✅ Phase 1 completed - code generated by ${executionData.generator === 'local' ? 'the built-in templates' : 'Spring Boot server'}`);
       this.logger.info(`📊 Generated ${this.getTotalFileCount(executionData.generatedFiles)} files`);
 
+      // House conventions from .mcp/templates reshape the files before anything is written
+      let templates = null;
+      if (executionData.generatedFiles) {
+        templates = await this.templateService.apply(executionData.generatedFiles, {
+          projectRoot: projectPath,
+          schema: normalizedSchema,
+          basePackage: plan.projectAnalysis?.basePackage
+        });
+        if (executionData.summary) {
+          executionData.summary.filesGenerated += this.getTotalFileCount(templates.generatedFiles) - this.getTotalFileCount(executionData.generatedFiles);
+        }
+        executionData.generatedFiles = templates.generatedFiles;
+      }
+
+      // The execution is the first step, every file to apply adds one
+      const filesToApply = applyToProject ? this.getTotalFileCount(executionData.generatedFiles) : 0;
+      await progress.report(1, 1 + filesToApply);
+
       // Apply files to project if requested
       let filesApplied = 0;
+      let applicationErrors = [];
+      let mergeNotes = [];
       if (applyToProject && executionData.generatedFiles) {
         this.logger.info(`🔄 Phase 2: Applying generated files to project...`);
         
         try {
-          filesApplied = await this.fileService.applyGeneratedFiles(
+          const result = await progress.phase('File application', () => this.fileService.applyGeneratedFiles(
             executionData.generatedFiles,
-            projectPath
-          );
+            { executionId: executionData.executionId, signal, onProgress: done => progress.report(1 + done) }
+          ));
+          filesApplied = result.count;
+          applicationErrors = result.errors || [];
+          mergeNotes = result.mergeNotes || [];
           this.logger.info(`✅ Phase 2 completed - ${filesApplied} files applied to project`);
         } catch (error) {
+          if (error.cancelled) throw error;
           this.logger.error(`❌ Phase 2 failed: ${error.message}`);
           // Don't throw here - we still want to show the generated code even if file application failed
           filesApplied = 0;
+          applicationErrors.push(error.message);
         }
       }
 
@@ -143,7 +161,7 @@ export class ExecuteTool {
         content: [
           {
             type: 'text',
-            text: this.formatExecutionResponse(executionData, applyToProject, filesApplied, projectPath)
+            text: this.formatExecutionResponse(executionData, applyToProject, filesApplied, projectPath, applicationErrors, mergeNotes, templates, progress)
           }
         ]
       };
@@ -152,6 +170,12 @@ export class ExecuteTool {
       return result;
 
     } catch (error) {
+      // The client no longer waits for an answer; the response only reaches scripts and logs
+      if (error.cancelled) {
+        this.logger.warn(`🛑 ${error.message}`);
+        return { content: [{ type: 'text', text: `# 🛑 PostgreSQL Integration Cancelled\n\n${error.message}\n` }] };
+      }
+
       this.logger.error(`💥 Integration execution failed: ${error.message}`);
       this.logger.error(`🔍 Error stack: ${error.stack}`);
       
@@ -166,21 +190,21 @@ export class ExecuteTool {
     }
   }
 
-  formatExecutionResponse(executionData, applyToProject, filesApplied, projectPath) {
+  formatExecutionResponse(executionData, applyToProject, filesApplied, projectPath, errors = [], mergeNotes = [], templates = null, progress = null) {
     const summary = executionData.summary || {};
     const validation = executionData.validation || {};
-    const projectInfo = this.fileService.getProjectRoot();
+    const projectInfo = this.fileService.getProjectRoot() || projectPath;
 
     let response = `# 🎉 PostgreSQL Integration Completed Successfully!
 
 ## 📊 Execution Summary
 - **Execution ID:** \`${executionData.executionId || 'N/A'}\`
 - **Plan ID:** \`${executionData.planId || 'N/A'}\`
-- **Tables Processed:** ${summary.tablesProcessed || 0}
+${executionData.generator === 'local' ? '- **Generator:** built-in templates (Spring Boot server not used)\n' : ''}- **Tables Processed:** ${summary.tablesProcessed || 0}
 - **Files Generated:** ${summary.filesGenerated || 0}
 - **Dependencies Added:** ${summary.dependenciesAdded || 0}
 - **Total Lines of Code:** ${summary.totalLinesOfCode || 0}
-${applyToProject ? `- **Files Applied to Project:** ${filesApplied}` : ''}
+${applyToProject ? `- **Files Applied to Project:** ${filesApplied} of ${this.getTotalFileCount(executionData.generatedFiles)}` : ''}
 
 ## 📂 Project Information
 - **Project Directory:** \`${projectInfo}\`
@@ -198,6 +222,30 @@ ${category.files?.map(file =>
 ).join('\n') || ''}`
 ).join('\n\n') || 'No files generated'}`;
 
+    if (templates && (templates.applied.length > 0 || templates.errors.length > 0)) {
+      response += `\n\n## 🧩 Project Templates\n\n${[
+        ...templates.applied.map(({ template, files }) =>
+          `- \`${template}\`: ${files.map(file => `${file.outcome} \`${file.path}\``).join(', ')}`),
+        ...templates.errors.map(error => `- ⚠️ ${error}`)
+      ].join('\n')}`;
+    }
+
+    if (progress?.phases.length > 0) {
+      response += `\n\n## ⏱️ Timings\n\n${progress.phases.map(phase =>
+        `- **${phase.name}:** ${formatDuration(phase.duration)}`
+      ).join('\n')}\n- **Total:** ${formatDuration(progress.elapsed())}`;
+    }
+
+    if (mergeNotes.length > 0) {
+      response += `\n\n## 🔀 Merge Notes\n\n${mergeNotes.map(entry =>
+        `**${entry.path}**\n${entry.notes.map(note => `- ${note}`).join('\n')}`
+      ).join('\n\n')}`;
+    }
+
+    if (errors.length > 0) {
+      response += `\n\n## ⚠️ File Application Issues\n\n${errors.map(error => `- ❌ ${error}`).join('\n')}`;
+    }
+
     // Add validation results if available
     if (validation.compilationCheck || validation.dependencyCheck) {
       response += `\n\n## ✅ Quality Validation
@@ -230,7 +278,9 @@ ${executionData.postExecutionSteps.map(step =>
 You can now:
 1. 🔄 Restart your Spring Boot application
 2. 📊 Check the generated files in your IDE
-3. 🧪 Test the new API endpoints`;
+3. 🧪 Test the new API endpoints
+
+↩️ To undo these changes, run \`rollback_postgresql_integration\` with execution ID \`${executionData.executionId}\`.`;
     } else if (applyToProject && filesApplied === 0) {
       response += `\n⚠️ **Files generated but not applied to project.**
 The code was generated successfully but couldn't be written to your project directory.
@@ -251,8 +301,17 @@ Set \`applyToProject: true\` to automatically apply files to your project.`;
     return response;
   }
 
+  formatValidationResponse(errors, planId) {
+    return `# ❌ Schema Validation Failed
+
+The schema was not sent to the server: ${errors.length} problem${errors.length === 1 ? '' : 's'} found. Plan \`${planId}\` is still available, so fix the schema and execute it again.
+
+## 🚫 Problems
+${errors.map(error => `- \`${error.path}\`: ${error.message}`).join('\n')}`;
+  }
+
   formatErrorResponse(error, planId, projectPath) {
-    const projectInfo = this.fileService.getProjectRoot();
+    const projectInfo = projectPath || this.fileService.getProjectRoot();
     
     return `# ❌ PostgreSQL Integration Failed
 
@@ -0,0 +1,153 @@
+export class IntrospectTool {
+  constructor(databaseService, logger) {
+    this.databaseService = databaseService;
+    this.logger = logger;
+  }
+
+  getDefinition() {
+    return {
+      name: 'introspect_postgresql_schema',
+      description: 'Read the tables of an existing PostgreSQL database into the schema format used by generate_postgresql_integration',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          projectPath: {
+            type: 'string',
+            description: 'Path to the project whose application.yml/properties datasource is used when no jdbcUrl is given',
+            default: '.'
+          },
+          jdbcUrl: {
+            type: 'string',
+            description: 'Database URL, e.g. jdbc:postgresql://localhost:5432/shop'
+          },
+          username: {
+            type: 'string',
+            description: 'Database user (overrides the one in the URL or datasource)'
+          },
+          password: {
+            type: 'string',
+            description: 'Database password (overrides the one in the URL or datasource)'
+          },
+          profile: {
+            type: 'string',
+            description: 'Spring profile whose datasource settings should be used'
+          },
+          schemaName: {
+            type: 'string',
+            description: 'PostgreSQL schema to read',
+            default: 'public'
+          },
+          tables: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only include these tables'
+          }
+        }
+      }
+    };
+  }
+
+  async execute(args) {
+    const { projectPath = '.', jdbcUrl, username, password, profile, tables } = args;
+
+    try {
+      let url = jdbcUrl;
+      let source = 'jdbcUrl argument';
+      let credentials = { username, password };
+
+      if (!url) {
+        const datasource = await this.databaseService.readDatasourceConfig(projectPath, profile);
+        if (!datasource) {
+          throw new Error('No jdbcUrl given and no spring.datasource.url found in src/main/resources/application.yml or application.properties');
+        }
+        url = datasource.url;
+        source = datasource.source;
+        credentials = {
+          username: username || datasource.username,
+          password: password || datasource.password
+        };
+      }
+
+      const { connection, schemaName: urlSchema } = this.databaseService.parseJdbcUrl(url, credentials);
+      const schemaName = args.schemaName || urlSchema || 'public';
+
+      this.logger.info(`Introspecting schema ${schemaName} (datasource from ${source})`);
+
+      const result = await this.databaseService.introspectSchema(connection, { schemaName, tables });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatIntrospectionResponse(result, connection, schemaName, source)
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error(`Schema introspection failed: ${error.message}`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatErrorResponse(error)
+          }
+        ]
+      };
+    }
+  }
+
+  formatIntrospectionResponse(result, connection, schemaName, source) {
+    const schema = { ...(result.enums ? { enums: result.enums } : {}), tables: result.tables };
+    const tableList = result.tables.length > 0
+      ? result.tables.map(table => {
+        const primaryKey = table.fields.filter(field => field.primaryKey).map(field => field.name);
+        return `- **${table.name}** — ${table.fields.length} columns${primaryKey.length > 0 ? `, primary key (${primaryKey.join(', ')})` : ''}`;
+      }).join('\n')
+      : '- No tables found';
+
+    let response = `# 🔎 PostgreSQL Schema Introspected
+
+- **Database:** \`${connection.host}:${connection.port}/${connection.database}\`
+- **Schema:** \`${schemaName}\`
+- **Datasource:** ${source}
+- **Tables:** ${result.tables.length}
+
+## 📋 Tables
+${tableList}
+`;
+
+    if (result.warnings.length > 0) {
+      response += `\n## ⚠️ Warnings\n${result.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
+
+    response += `
+## 🧬 Schema
+\`\`\`json
+${JSON.stringify(schema, null, 2)}
+\`\`\`
+
+---
+🚀 **Next Step:** Pass this \`schema\` to \`generate_postgresql_integration\` to generate the integration for these tables.`;
+
+    return response;
+  }
+
+  formatErrorResponse(error) {
+    return `# ❌ Schema Introspection Failed
+
+- **Error:** ${error.message}
+
+## 🔧 Troubleshooting
+1. **Check the connection:**
+   - Is PostgreSQL running and reachable from this machine?
+   - Are the host, port and database name in the URL correct?
+
+2. **Check the credentials:**
+   - Pass \`username\`/\`password\` or set them in \`spring.datasource\`
+   - Placeholders such as \`\${DB_PASSWORD}\` are read from the environment
+
+3. **Check the schema:**
+   - Use \`schemaName\` if your tables are not in \`public\``;
+  }
+}
@@ -1,6 +1,8 @@
 export class PlanTool {
-  constructor(mcpService, logger) {
+  constructor(mcpService, fileService, planRegistry, logger) {
     this.mcpService = mcpService;
+    this.fileService = fileService;
+    this.planRegistry = planRegistry;
     this.logger = logger;
   }
 
@@ -30,6 +32,16 @@ export class PlanTool {
                 type: 'string', 
                 enum: ['snake_case', 'camelCase', 'PascalCase'],
                 default: 'snake_case' 
+              },
+              removeProjectNameFromPath: {
+                type: 'boolean',
+                default: true,
+                description: 'Remove project name from package paths'
+              },
+              overrideExistingProperties: {
+                type: 'boolean',
+                default: false,
+                description: 'Replace values of keys that already exist in application.properties'
               }
             }
           }
@@ -39,12 +51,23 @@ export class PlanTool {
     };
   }
 
-  async execute(args) {
+  async execute(args, { signal, progress = null } = {}) {
     const { projectPath = '.', description, preferences = {} } = args;
 
     this.logger.info(`Creating integration plan for: ${description}`);
 
+    const buildSystem = await this.fileService.detectBuildSystem(projectPath);
+
     const planData = await this.mcpService.createPlan({
+      projectPath,
+      description,
+      preferences,
+      buildSystem,
+      signal
+    });
+    await progress?.report(1, 1);
+
+    const plan = this.planRegistry.register(planData, {
       projectPath,
       description,
       preferences
@@ -54,19 +77,20 @@ export class PlanTool {
       content: [
         {
           type: 'text',
-          text: this.formatPlanResponse(planData)
+          text: this.formatPlanResponse(planData, plan)
         }
       ]
     };
   }
 
-  formatPlanResponse(planData) {
+  formatPlanResponse(planData, plan) {
     return `# 🗂️ PostgreSQL Integration Plan Created
 
 **Plan ID:** \`${planData.planId}\`
 **Status:** ${planData.status}
-**Expires in:** ${planData.expiresIn}
-
+**Expires in:** ${planData.expiresIn} (at ${new Date(plan.expiresAt).toISOString()})
+**Project:** \`${plan.projectPath}\`
+${planData.generator === 'local' ? '**Generator:** built-in templates (Spring Boot server not used)\n' : ''}
 ## 📊 Project Analysis
 - **Framework:** ${planData.projectAnalysis?.detectedFramework}
 - **Language:** ${planData.projectAnalysis?.language}
@@ -104,6 +128,6 @@ ${planData.nextSteps?.message}
 **Required Input:** ${planData.nextSteps?.requiredInput?.description || 'Database schema definition'}
 
 ---
-⚡ **Ready to execute!** Use this Plan ID for code generation: \`${planData.planId}\``;
+⚡ **Ready to execute!** Review the plan, adjust the schema if needed, then call \`execute_postgresql_integration\` with Plan ID \`${planData.planId}\``;
   }
 }
\ No newline at end of file
@@ -1,10 +1,16 @@
 import path from 'path';
 import fs from 'fs';
+import { schemaDefinition } from './schemaDefinition.js';
+import { MIGRATION_TOOLS } from '../utils/migrationWriter.js';
+import { SCHEMA_SNAPSHOT } from '../services/schemaService.js';
+import { ProgressReporter, formatDuration } from '../utils/progressReporter.js';
 
 export class PostgreSQLTool {
-  constructor(mcpService, fileService, logger, defaultProjectDirectory = null) {
+  constructor(mcpService, fileService, schemaService, templateService, logger, defaultProjectDirectory = null) {
     this.mcpService = mcpService;
     this.fileService = fileService;
+    this.schemaService = schemaService;
+    this.templateService = templateService;
     this.logger = logger;
     this.defaultProjectDirectory = defaultProjectDirectory || process.cwd();
   }
@@ -25,42 +31,14 @@ export class PostgreSQLTool {
             type: 'string',
             description: 'Description of what you want to build'
           },
-          schema: {
-            type: 'object',
-            description: 'Database schema definition',
-            properties: {
-              tables: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  properties: {
-                    name: { 
-                      type: 'string',
-                      description: 'Table name' 
-                    },
-                    fields: {
-                      type: 'array',
-                      items: {
-                        type: 'object',
-                        properties: {
-                          name: { type: 'string' },
-                          type: { type: 'string' },
-                          length: { type: 'integer' },
-                          primaryKey: { type: 'boolean' },
-                          autoIncrement: { type: 'boolean' },
-                          nullable: { type: 'boolean' },
-                          unique: { type: 'boolean' },
-                          defaultValue: { type: 'string' }
-                        },
-                        required: ['name', 'type']
-                      }
-                    }
-                  },
-                  required: ['name', 'fields']
-                }
-              }
-            },
-            required: ['tables']
+          schema: schemaDefinition('Database schema definition (or use ddlPath / ddl)'),
+          ddlPath: {
+            type: 'string',
+            description: 'SQL script or Flyway migration directory (e.g. src/main/resources/db/migration) to read the schema from instead of `schema`'
+          },
+          ddl: {
+            type: 'string',
+            description: 'Inline CREATE TABLE / ALTER TABLE statements to read the schema from instead of `schema`'
           },
           preferences: {
             type: 'object',
@@ -95,27 +73,53 @@ export class PostgreSQLTool {
                 type: 'boolean',
                 default: true,
                 description: 'Remove project name from package paths'
+              },
+              overrideExistingProperties: {
+                type: 'boolean',
+                default: false,
+                description: 'Replace values of keys that already exist in application.properties'
               }
             }
           },
+          migrations: {
+            type: 'string',
+            enum: MIGRATION_TOOLS,
+            default: 'none',
+            description: 'Also write a versioned Flyway or Liquibase migration for the schema to src/main/resources/db/migration and add the dependency to the build file'
+          },
+          allowDrops: {
+            type: 'boolean',
+            description: 'Drop the columns of existing tables that the schema leaves out. They and their data are kept otherwise',
+            default: false
+          },
           applyToProject: {
             type: 'boolean',
             description: 'Automatically apply generated files to project',
             default: true
+          },
+          dryRun: {
+            type: 'boolean',
+            description: 'Preview the changes as unified diffs without writing any files',
+            default: false
           }
         },
-        required: ['description', 'schema']
+        required: ['description']
       }
     };
   }
 
-  async execute(args) {
+  async execute(args, { signal, progress = new ProgressReporter(null, null, this.logger) } = {}) {
     const { 
       projectPath, 
       description, 
-      schema, 
+      schema: inputSchema, 
+      ddlPath,
+      ddl,
       preferences = {}, 
-      applyToProject = true 
+      migrations = 'none',
+      allowDrops = false,
+      applyToProject = true,
+      dryRun = false
     } = args;
 
     // CRITICAL: Use the project path that was already resolved in server.js
@@ -124,13 +128,19 @@ export class PostgreSQLTool {
     
     this.logger.info('=== PostgreSQL Integration Tool Execution ===');
     this.logger.info(`Description: ${description}`);
-    this.logger.info(`Tables: ${schema.tables.map(t => t.name).join(', ')}`);
     this.logger.info(`Project Path (received): ${projectPath}`);
     this.logger.info(`Project Path (resolved): ${resolvedProjectPath}`);
     this.logger.info(`Default Project Directory: ${this.defaultProjectDirectory}`);
     this.logger.info(`Apply to Project: ${applyToProject}`);
+    this.logger.info(`Dry Run: ${dryRun}`);
+    this.logger.info(`Migrations: ${migrations}`);
+
+    if (!MIGRATION_TOOLS.includes(migrations)) {
+      throw new Error(`Unknown migrations option "${migrations}"; use one of ${MIGRATION_TOOLS.join(', ')}`);
+    }
 
     // Verify the project path exists and contains a Spring Boot project
+    let buildSystem = null;
     try {
       const stats = await fs.promises.stat(resolvedProjectPath);
       if (!stats.isDirectory()) {
@@ -138,30 +148,13 @@ export class PostgreSQLTool {
       }
 
       // Check for Spring Boot project markers
-      const pomPath = path.join(resolvedProjectPath, 'pom.xml');
-      const gradlePath = path.join(resolvedProjectPath, 'build.gradle');
       const srcPath = path.join(resolvedProjectPath, 'src', 'main', 'java');
+      buildSystem = await this.fileService.detectBuildSystem(resolvedProjectPath);
       
-      let isSpringBootProject = false;
-      let buildFile = null;
-      
-      try {
-        await fs.promises.access(pomPath);
-        buildFile = 'pom.xml';
-        isSpringBootProject = true;
-      } catch {
-        try {
-          await fs.promises.access(gradlePath);
-          buildFile = 'build.gradle';
-          isSpringBootProject = true;
-        } catch {
-          this.logger.warn('No pom.xml or build.gradle found in project directory');
-        }
-      }
-      
-      if (isSpringBootProject) {
-        this.logger.info(`✅ Found Spring Boot project with ${buildFile}`);
+      if (buildSystem.buildFile) {
+        this.logger.info(`✅ Found Spring Boot project with ${buildSystem.buildFile}${buildSystem.multiProject ? ` (modules: ${buildSystem.modules.join(', ')})` : ''}`);
       } else {
+        this.logger.warn('No pom.xml, build.gradle or build.gradle.kts found in project directory');
         this.logger.warn('⚠️ Spring Boot project markers not found, continuing anyway...');
       }
       
@@ -181,17 +174,58 @@ export class PostgreSQLTool {
     // Update the file service with the correct project root
     this.fileService.setProjectRoot(resolvedProjectPath);
     this.fileService.setRemoveProjectNameFromPath(preferences.removeProjectNameFromPath !== false);
+    this.fileService.setOverrideExistingProperties(preferences.overrideExistingProperties);
+
+    let schema = inputSchema;
+    let schemaImport = null;
 
     try {
+      // Phase 0: Read the schema from DDL when no JSON schema was given
+      if (!schema) {
+        if (!ddlPath && !ddl) {
+          throw new Error('Provide either `schema`, `ddlPath` or `ddl`');
+        }
+
+        this.logger.info('\n📜 Phase 0: Importing schema from DDL...');
+        schemaImport = await progress.phase('Schema import', () =>
+          this.schemaService.loadDdl({ ddlPath, ddl, projectRoot: resolvedProjectPath }));
+        schema = schemaImport.schema;
+      } else if (ddlPath || ddl) {
+        this.logger.warn('Both schema and DDL were given; using schema');
+      }
+
+      // Catch schema mistakes locally instead of after a round trip to the server
+      const validationErrors = this.schemaService.validate(schema);
+      if (validationErrors.length > 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: this.formatValidationResponse(validationErrors, resolvedProjectPath, schemaImport)
+          }]
+        };
+      }
+
+      this.logger.info(`Tables: ${schema.tables.map(t => t.name).join(', ')}`);
+
+      // Compare with the current model so the response shows the changes before they are applied
+      const currentModel = await this.loadCurrentModel(resolvedProjectPath);
+      const schemaChanges = currentModel
+        ? { source: currentModel.source, ...this.schemaService.diff(currentModel.schema, schema, { allowDrops }) }
+        : null;
+
       // Phase 1: Create Plan
       this.logger.info('\n📋 Phase 1: Creating integration plan...');
       
       // Send the resolved project path to the MCP server
-      const planResponse = await this.mcpService.createPlan({
+      const planResponse = await progress.phase('Plan creation', () => this.mcpService.createPlan({
         projectPath: resolvedProjectPath,
         description,
-        preferences
-      });
+        preferences,
+        buildSystem,
+        signal
+      }));
+      // Plan and execution are the first two steps, every file to apply adds one
+      await progress.report(1, 2);
 
       this.logger.info(`✅ Plan created: ${planResponse.planId}`);
       this.logger.info(`   Status: ${planResponse.status}`);
@@ -200,12 +234,19 @@ export class PostgreSQLTool {
       // Phase 2: Execute Plan
       this.logger.info('\n🚀 Phase 2: Executing plan with schema...');
       
-      const executionResponse = await this.mcpService.executePlan({
+      const normalizedSchema = this.schemaService.normalize(schema);
+      const executionResponse = await progress.phase('Plan execution', () => this.mcpService.executePlan({
         planId: planResponse.planId,
-        schema: schema
-      });
+        schema: normalizedSchema,
+        signal
+      }));
 
       this.logger.info(`✅ Execution completed: ${executionResponse.executionId}`);
+
+      // The built-in templates already use the project's own base package
+      if (executionResponse.generator === 'local') {
+        this.fileService.setRemoveProjectNameFromPath(false);
+      }
       this.logger.info(`   Status: ${executionResponse.status}`);
       this.logger.info(`   Files generated: ${executionResponse.summary.filesGenerated}`);
       this.logger.info(`   Total lines of code: ${executionResponse.summary.totalLinesOfCode}`);
@@ -221,24 +262,96 @@ export class PostgreSQLTool {
         });
       }
 
+      // Versioned migration next to the generated code, applied and merged like any other file.
+      // Against an existing model it holds only the ALTER change set.
+      let migration = null;
+      const categories = [];
+      if (migrations !== 'none' && schemaChanges?.changes.length !== 0) {
+        this.logger.info(`\n🗂️ Writing ${migrations} migration...`);
+        migration = await this.schemaService.createMigration({
+          projectRoot: resolvedProjectPath,
+          schema: normalizedSchema,
+          tool: migrations,
+          buildFile: buildSystem?.buildFile,
+          changes: schemaChanges?.changes || null,
+          baseline: currentModel?.schema || null
+        });
+        categories.push(...migration.categories);
+        if (migration.dependencies) {
+          categories.push(...this.schemaService.addBuildDependencies(executionResponse.generatedFiles || [], migration.dependencies));
+        }
+        migration.schemaValidation = this.schemaService.addSchemaValidation(executionResponse.generatedFiles || []);
+      }
+
+      // Renamed, retyped and dropped columns replace the old entity fields instead of sitting next to them
+      if (schemaChanges?.changes.length > 0) {
+        this.schemaService.markReplacedFields(executionResponse.generatedFiles || [], schemaChanges.changes);
+      }
+
+      const added = categories.reduce((count, category) => count + category.files.length, 0);
+      executionResponse.generatedFiles = [...(executionResponse.generatedFiles || []), ...categories];
+      executionResponse.summary.filesGenerated += added;
+
+      // House conventions from .mcp/templates reshape the files before anything is written
+      const templates = await this.templateService.apply(executionResponse.generatedFiles, {
+        projectRoot: resolvedProjectPath,
+        schema: normalizedSchema,
+        basePackage: planResponse.projectAnalysis?.basePackage
+      });
+      const fileCount = files => files.reduce((count, category) => count + category.files.length, 0);
+      executionResponse.summary.filesGenerated += fileCount(templates.generatedFiles) - fileCount(executionResponse.generatedFiles);
+      executionResponse.generatedFiles = templates.generatedFiles;
+
+      // The migrated schema is the baseline of the next diff. It is adapter state written with the
+      // files, so it is rolled back with them, but not part of the generated code.
+      const filesToWrite = migration
+        ? [...executionResponse.generatedFiles, { category: 'Schema Snapshot', files: [this.schemaService.snapshotFile(currentModel?.snapshot, schema, schemaChanges?.keptColumns)] }]
+        : executionResponse.generatedFiles;
+
+      const filesToApply = (dryRun || applyToProject) ? fileCount(filesToWrite) : 0;
+      await progress.report(2, 2 + filesToApply);
+      const onProgress = done => progress.report(2 + done);
+
       // Phase 3: Apply files if requested
       let filesApplied = 0;
       let appliedFiles = [];
+      let appliedTargets = new Map();
       let applicationErrors = [];
+      let fileDiffs = [];
+      let mergeNotes = [];
       
-      if (applyToProject && executionResponse.generatedFiles) {
+      if (dryRun && executionResponse.generatedFiles) {
+        this.logger.info('\n📝 Phase 3: Previewing changes (dryRun = true)...');
+        
+        try {
+          const result = await progress.phase('File preview', () => this.fileService.applyGeneratedFiles(
+            filesToWrite,
+            { dryRun: true, signal, onProgress }
+          ));
+          fileDiffs = result.diffs;
+          applicationErrors = result.errors;
+          this.logger.info(`✅ Previewed ${result.count} files, nothing was written`);
+        } catch (error) {
+          if (error.cancelled) throw error;
+          this.logger.error('Failed to preview files:', error);
+          applicationErrors.push(error.message);
+        }
+      } else if (applyToProject && executionResponse.generatedFiles) {
         this.logger.info('\n📁 Phase 3: Applying files to project...');
         this.logger.info(`   Target directory: ${resolvedProjectPath}`);
         
         try {
-          const result = await this.fileService.applyGeneratedFiles(
-            executionResponse.generatedFiles
-          );
+          const result = await progress.phase('File application', () => this.fileService.applyGeneratedFiles(
+            filesToWrite,
+            { executionId: executionResponse.executionId, signal, onProgress }
+          ));
           
           if (typeof result === 'object' && result.count !== undefined) {
-            filesApplied = result.count;
-            appliedFiles = result.files || [];
+            appliedFiles = (result.files || []).filter(file => file !== SCHEMA_SNAPSHOT);
+            filesApplied = appliedFiles.length;
+            appliedTargets = result.targets || new Map();
             applicationErrors = result.errors || [];
+            mergeNotes = result.mergeNotes || [];
           } else {
             filesApplied = result;
           }
@@ -259,6 +372,7 @@ export class PostgreSQLTool {
             });
           }
         } catch (error) {
+          if (error.cancelled) throw error;
           this.logger.error('Failed to apply files:', error);
           this.logger.error('Error details:', error.stack);
           applicationErrors.push(error.message);
@@ -267,18 +381,39 @@ export class PostgreSQLTool {
         this.logger.info('\n📁 Phase 3: Skipping file application (applyToProject = false)');
       }
 
+      const project = dryRun ? null : await this.projectCommands(resolvedProjectPath, buildSystem);
+
       // Return combined response
       const response = {
         content: [{
           type: 'text',
-          text: this.formatCombinedResponse(
+          text: dryRun ? this.formatDryRunResponse(
+            planResponse,
+            executionResponse,
+            fileDiffs,
+            resolvedProjectPath,
+            applicationErrors,
+            schemaImport,
+            migration,
+            schemaChanges,
+            templates,
+            progress
+          ) : this.formatCombinedResponse(
             planResponse, 
             executionResponse, 
             applyToProject, 
             filesApplied,
             appliedFiles,
             resolvedProjectPath,
-            applicationErrors
+            applicationErrors,
+            mergeNotes,
+            schemaImport,
+            migration,
+            schemaChanges,
+            templates,
+            progress,
+            appliedTargets,
+            project
           )
         }]
       };
@@ -287,6 +422,12 @@ export class PostgreSQLTool {
       return response;
 
     } catch (error) {
+      // The client no longer waits for an answer; the response only reaches scripts and logs
+      if (error.cancelled) {
+        this.logger.warn(`🛑 ${error.message}`);
+        return { content: [{ type: 'text', text: `# 🛑 PostgreSQL Integration Cancelled\n\n${error.message}\n` }] };
+      }
+
       this.logger.error('Integration failed:', error);
       this.logger.error('Error stack:', error.stack);
       
@@ -299,15 +440,16 @@ export class PostgreSQLTool {
     }
   }
 
-  formatCombinedResponse(planResponse, executionResponse, applyToProject, filesApplied, appliedFiles = [], projectPath, errors = []) {
+  formatCombinedResponse(planResponse, executionResponse, applyToProject, filesApplied, appliedFiles = [], projectPath, errors = [], mergeNotes = [], schemaImport = null, migration = null, schemaChanges = null, templates = null, progress = null, appliedTargets = new Map(), project = null) {
     const summary = executionResponse.summary;
+    const { runCommand, configFile } = project || { runCommand: 'mvn spring-boot:run', configFile: 'application.properties' };
     const validation = executionResponse.validation || {};
 
     let response = `# 🎉 PostgreSQL Integration Completed Successfully!
 
 ## 📋 Plan Details
 - **Plan ID:** \`${planResponse.planId}\`
-- **Framework:** ${planResponse.projectAnalysis?.detectedFramework || 'Spring Boot'}
+${planResponse.generator === 'local' ? '- **Generator:** built-in templates (Spring Boot server not used)\n' : ''}- **Framework:** ${planResponse.projectAnalysis?.detectedFramework || 'Spring Boot'}
 - **Base Package:** \`${planResponse.projectAnalysis?.basePackage || 'com.example'}\`
 - **Project Path:** \`${projectPath}\`
 
@@ -325,16 +467,23 @@ ${applyToProject ? `- **Files Applied to Project:** ${filesApplied}/${summary.fi
 ${executionResponse.generatedFiles?.map(category => 
   `### ${category.category}
 ${category.files?.map(file => {
-  const applied = appliedFiles.some(f => f.includes(path.basename(file.path)));
-  const status = applied ? '✅' : (applyToProject ? '⚠️' : '📄');
+  // A build file may have been applied to another file than the generated one, e.g. build.gradle.kts
+  const target = appliedTargets.get(file.path) || file.path;
+  const status = appliedFiles.includes(target) ? '✅' : (applyToProject ? '⚠️' : '📄');
   return `- ${status} **${path.basename(file.path)}** (${file.size || 0} lines)
-  - 📂 Path: \`${file.path}\`
+  - 📂 Path: \`${file.path}\`${target !== file.path ? ` → \`${target}\`` : ''}
   - 🔧 Action: ${file.action}`;
 }).join('\n')}`
 ).join('\n\n') || 'No files information available'}
 
 `;
 
+    response += this.formatSchemaImport(schemaImport);
+    response += this.formatSchemaChanges(schemaChanges, migration);
+    response += this.formatMigration(migration);
+    response += this.formatTemplates(templates);
+    response += this.formatTimings(progress);
+
     // Add applied files section if any
     if (appliedFiles.length > 0) {
       response += `## ✅ Successfully Applied Files\n\n`;
@@ -353,6 +502,14 @@ ${category.files?.map(file => {
       response += '\n';
     }
 
+    // Add merge notes for files that were merged into existing ones
+    if (mergeNotes.length > 0) {
+      response += `## 🔀 Merge Notes\n\n`;
+      mergeNotes.forEach(entry => {
+        response += `**${entry.path}**\n${entry.notes.map(note => `- ${note}`).join('\n')}\n\n`;
+      });
+    }
+
     // Add validation section
     if (validation.compilationCheck || validation.dependencyCheck) {
       response += `## ✅ Quality Validation
@@ -371,10 +528,14 @@ ${executionResponse.postExecutionSteps?.map(step =>
   `${step.step}. **${step.action}**${step.required ? ' 🔴 (Required)' : ' 🟡 (Optional)'}
    ${step.description}`
 ).join('\n\n') || `1. **Update Database Configuration** 🔴 (Required)
-   Configure your PostgreSQL connection in application.yml
+   Configure your PostgreSQL connection in ${configFile}
    
 2. **Run Database Migrations** 🔴 (Required)
-   Create the database schema or let Hibernate auto-create it
+   ${migration
+    ? `${migration.tool === 'flyway' ? 'Flyway' : 'Liquibase'} applies ${migration.fileNames.map(fileName => `\`${fileName}\``).join(' and ')} when the application starts`
+    : schemaChanges?.changes.length === 0
+      ? 'The database schema is unchanged; no migration is needed'
+      : 'Create the tables with your migration tool, or run again with `migrations: \'flyway\'` or `\'liquibase\'` to generate the migration'}
    
 3. **Restart Application** 🔴 (Required)
    Restart your Spring Boot application to load the new components`}
@@ -382,9 +543,9 @@ ${executionResponse.postExecutionSteps?.map(step =>
 ## 💡 Quick Start Commands
 
 \`\`\`bash
-# Update your database configuration in application.yml
+# Update your database configuration in ${configFile}
 # Then run your application:
-mvn spring-boot:run
+${runCommand}
 
 # Test the REST endpoints:
 curl http://localhost:8080/api/${executionResponse.generatedFiles?.[0]?.files?.[0]?.path?.includes('users') ? 'users' : 'entities'}
@@ -393,6 +554,10 @@ curl http://localhost:8080/api/${executionResponse.generatedFiles?.[0]?.files?.[
 ---
 `;
 
+    if (applyToProject && filesApplied > 0) {
+      response += `↩️ To undo these changes, run \`rollback_postgresql_integration\` with execution ID \`${executionResponse.executionId}\`.\n\n`;
+    }
+
     if (applyToProject) {
       if (filesApplied === summary.filesGenerated) {
         response += '✅ **All files have been successfully applied to your project!**';
@@ -408,6 +573,209 @@ curl http://localhost:8080/api/${executionResponse.generatedFiles?.[0]?.files?.[
     return response;
   }
 
+  formatDryRunResponse(planResponse, executionResponse, diffs, projectPath, errors = [], schemaImport = null, migration = null, schemaChanges = null, templates = null, progress = null) {
+    const summary = executionResponse.summary || {};
+    const changed = diffs.filter(diff => diff.changed);
+
+    let response = `# 📝 PostgreSQL Integration Preview (Dry Run)
+
+## 📋 Plan Details
+- **Plan ID:** \`${planResponse.planId}\`
+${planResponse.generator === 'local' ? '- **Generator:** built-in templates (Spring Boot server not used)\n' : ''}- **Execution ID:** \`${executionResponse.executionId}\`
+- **Project Path:** \`${projectPath}\`
+- **Files Generated:** ${summary.filesGenerated ?? diffs.length}
+- **Files That Would Change:** ${changed.length}
+
+`;
+
+    response += this.formatSchemaImport(schemaImport);
+    response += this.formatSchemaChanges(schemaChanges, migration);
+    response += this.formatMigration(migration);
+    response += this.formatTemplates(templates);
+    response += this.formatTimings(progress);
+
+    if (diffs.length > 0) {
+      response += `## 📊 Changes\n\n`;
+      diffs.forEach(diff => {
+        response += `- **${diff.path}** — ${diff.operation} (+${diff.additions} -${diff.deletions})${diff.changed ? '' : ' — no changes'}\n`;
+      });
+      response += '\n';
+    }
+
+    changed.forEach(diff => {
+      response += `### ${diff.path}\n\n\`\`\`diff\n${diff.diff.trimEnd()}\n\`\`\`\n\n`;
+      if (diff.notes.length > 0) {
+        response += `${diff.notes.map(note => `- ${note}`).join('\n')}\n\n`;
+      }
+    });
+
+    if (errors.length > 0) {
+      response += `## ⚠️ Preview Issues\n\n`;
+      errors.forEach(error => {
+        response += `- ❌ ${error}\n`;
+      });
+      response += '\n';
+    }
+
+    response += `---
+📋 **Dry run: nothing was written to your project.** Run again without \`dryRun\` to apply these changes.`;
+
+    return response;
+  }
+
+  // How the project is started and which file holds its datasource settings, for the next steps
+  async projectCommands(projectRoot, buildSystem) {
+    const module = buildSystem?.applicationModule;
+    const runCommand = buildSystem?.buildTool === 'gradle'
+      ? `./gradlew ${module ? `:${module.replace(/\//g, ':')}:` : ''}bootRun`
+      : 'mvn spring-boot:run';
+
+    const directories = [...new Set([path.join(module || '', 'src/main/resources'), 'src/main/resources'])];
+    for (const directory of directories) {
+      for (const name of ['application.properties', 'application.yml', 'application.yaml']) {
+        const exists = await fs.promises.access(path.join(projectRoot, directory, name)).then(() => true, () => false);
+        if (exists) return { runCommand, configFile: path.join(directory, name) };
+      }
+    }
+    return { runCommand, configFile: 'src/main/resources/application.properties' };
+  }
+
+  // Last stored schema, or the tables of the project's JPA entities when nothing was stored yet
+  async loadCurrentModel(projectRoot) {
+    const snapshot = await this.schemaService.loadSnapshot(projectRoot);
+    if (snapshot) {
+      return { schema: snapshot, snapshot, source: `\`${SCHEMA_SNAPSHOT}\`` };
+    }
+
+    const files = await this.fileService.findJavaFiles(path.join(projectRoot, 'src', 'main', 'java'), null);
+    if (files.length === 0) {
+      return null;
+    }
+
+    try {
+      const { schema, entities } = this.schemaService.fromEntities(files, { projectRoot });
+      return { schema, snapshot: null, source: `${entities.length} JPA entit${entities.length === 1 ? 'y' : 'ies'}` };
+    } catch (error) {
+      this.logger.info(`No current model to compare with: ${error.message}`);
+      return null;
+    }
+  }
+
+  formatSchemaChanges(schemaChanges, migration) {
+    if (!schemaChanges) {
+      return '';
+    }
+
+    if (schemaChanges.changes.length === 0) {
+      return `## 🔀 Schema Changes
+No changes compared with ${schemaChanges.source}.
+
+`;
+    }
+
+    let section = `## 🔀 Schema Changes
+Compared with ${schemaChanges.source}:
+
+${schemaChanges.changes.map((change, index) => `${index + 1}. ${change.destructive ? '🗑️ **Destructive:** ' : ''}${change.description}`).join('\n')}
+
+\`\`\`sql
+${schemaChanges.changes.map(change => change.sql).join('\n\n')}
+\`\`\`
+`;
+
+    if (schemaChanges.warnings.length > 0) {
+      section += `\n${schemaChanges.warnings.map(warning => `- ⚠️ ${warning}`).join('\n')}\n`;
+    }
+    if (!migration) {
+      section += '\nRun again with `migrations: \'flyway\'` or `\'liquibase\'` to write these changes as a migration.\n';
+    }
+
+    return section + '\n';
+  }
+
+  formatMigration(migration) {
+    if (!migration) {
+      return '';
+    }
+
+    const name = migration.tool === 'flyway' ? 'Flyway' : 'Liquibase';
+    let section = `## 🗂️ Database Migration
+- **Tool:** ${name}
+- **File${migration.fileNames.length > 1 ? 's' : ''}:** ${migration.fileNames.map(fileName => `\`src/main/resources/db/migration/${fileName}\``).join(', ')}
+- **Version:** ${migration.version}${migration.previousVersion ? ` (after V${migration.previousVersion})` : ' (first migration)'}
+- **Hibernate:** ${migration.schemaValidation ? '' : 'set '}\`spring.jpa.hibernate.ddl-auto=validate\`${migration.schemaValidation ? ' is set,' : ''} so ${name} alone manages the tables
+`;
+
+    if (migration.notes.length > 0) {
+      section += migration.notes.map(note => `- ⚠️ ${note}`).join('\n') + '\n';
+    }
+
+    return section + '\n';
+  }
+
+  formatTemplates(templates) {
+    if (!templates || (templates.applied.length === 0 && templates.errors.length === 0 && templates.skipped.length === 0)) {
+      return '';
+    }
+
+    const outcomes = { overridden: 'overrode', processed: 'processed', dropped: 'dropped', added: 'added' };
+    let section = '## 🧩 Project Templates\n';
+    for (const { template, files } of templates.applied) {
+      const counts = Object.entries(outcomes)
+        .map(([outcome, verb]) => [verb, files.filter(file => file.outcome === outcome).length])
+        .filter(([, count]) => count > 0)
+        .map(([verb, count]) => `${verb} ${count} file${count === 1 ? '' : 's'}`);
+      section += `- \`${template}\`: ${counts.join(', ')}\n`;
+    }
+    section += templates.skipped.map(skipped => `- ⏭️ ${skipped}\n`).join('');
+    section += templates.errors.map(error => `- ⚠️ ${error}`).join('\n');
+
+    return `${section.trimEnd()}\n\n`;
+  }
+
+  formatTimings(progress) {
+    if (!progress || progress.phases.length === 0) {
+      return '';
+    }
+
+    const phases = progress.phases.map(phase => `- **${phase.name}:** ${formatDuration(phase.duration)}`);
+    return `## ⏱️ Timings\n${phases.join('\n')}\n- **Total:** ${formatDuration(progress.elapsed())}\n\n`;
+  }
+
+  formatSchemaImport(schemaImport) {
+    if (!schemaImport) {
+      return '';
+    }
+
+    let section = `## 📜 Schema Imported From DDL
+- **Tables:** ${schemaImport.schema.tables.map(table => table.name).join(', ')}
+${schemaImport.schema.enums ? `- **Enums:** ${schemaImport.schema.enums.map(item => item.name).join(', ')}\n` : ''}${schemaImport.files.length > 0 ? `- **Scripts Applied (in order):** ${schemaImport.files.map(file => `\`${file}\``).join(', ')}\n` : ''}`;
+
+    if (schemaImport.warnings.length > 0) {
+      section += `\n### ⚠️ DDL Warnings\n${schemaImport.warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+    }
+
+    return section + '\n';
+  }
+
+  formatValidationResponse(errors, projectPath, schemaImport = null) {
+    let response = `# ❌ Schema Validation Failed
+
+The schema was not sent to the server: ${errors.length} problem${errors.length === 1 ? '' : 's'} found. Fix the schema and try again.
+
+- **Project Path:** \`${projectPath}\`
+
+## 🚫 Problems
+${errors.map(error => `- \`${error.path}\`: ${error.message}`).join('\n')}
+`;
+
+    if (schemaImport) {
+      response += `\n${this.formatSchemaImport(schemaImport)}`;
+    }
+
+    return response;
+  }
+
   formatErrorResponse(error, description, projectPath) {
     return `# ❌ PostgreSQL Integration Failed
 
@@ -420,7 +788,7 @@ curl http://localhost:8080/api/${executionResponse.generatedFiles?.[0]?.files?.[
 
 1. **Verify Project Directory**
    - Ensure Cursor is opened in your Spring Boot project root
-   - Check that the directory contains pom.xml or build.gradle
+   - Check that the directory contains pom.xml, build.gradle or build.gradle.kts
    - Current detected path: \`${projectPath}\`
 
 2. **Check MCP Server Connection**
@@ -0,0 +1,117 @@
+export class RollbackTool {
+  constructor(fileService, logger) {
+    this.fileService = fileService;
+    this.logger = logger;
+  }
+
+  getDefinition() {
+    return {
+      name: 'rollback_postgresql_integration',
+      description: 'Undo the file changes of a previous PostgreSQL integration execution',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          executionId: {
+            type: 'string',
+            description: 'Execution ID reported by generate_postgresql_integration or execute_postgresql_integration'
+          },
+          projectPath: {
+            type: 'string',
+            description: 'Path to the project directory (defaults to current Cursor project)',
+            default: '.'
+          },
+          force: {
+            type: 'boolean',
+            description: 'Roll back files even if they were edited after the execution',
+            default: false
+          }
+        },
+        required: ['executionId']
+      }
+    };
+  }
+
+  async execute(args) {
+    const { executionId, projectPath = '.', force = false } = args;
+
+    this.logger.info(`Rolling back execution ${executionId} in: ${projectPath}`);
+
+    this.fileService.setProjectRoot(projectPath);
+
+    try {
+      const result = await this.fileService.rollbackExecution(executionId, { force });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatRollbackResponse(result, projectPath)
+          }
+        ]
+      };
+    } catch (error) {
+      this.logger.error(`Rollback failed: ${error.message}`);
+
+      const executions = await this.fileService.listExecutions();
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatErrorResponse(error, executionId, projectPath, executions)
+          }
+        ]
+      };
+    }
+  }
+
+  formatRollbackResponse(result, projectPath) {
+    let response = `# ↩️ PostgreSQL Integration Rolled Back
+
+- **Execution ID:** \`${result.executionId}\`
+- **Project Path:** \`${projectPath}\`
+- **Files Restored:** ${result.restored.length}
+- **Files Deleted:** ${result.deleted.length}
+- **Files Skipped:** ${result.skipped.length}
+`;
+
+    if (result.restored.length > 0) {
+      response += `\n## ♻️ Restored\n${result.restored.map(file => `- ${file}`).join('\n')}\n`;
+    }
+
+    if (result.deleted.length > 0) {
+      response += `\n## 🗑️ Deleted\n${result.deleted.map(file => `- ${file}`).join('\n')}\n`;
+    }
+
+    if (result.skipped.length > 0) {
+      response += `\n## ⏭️ Skipped\n${result.skipped.map(item => `- ${item.path}: ${item.reason}`).join('\n')}\n`;
+    }
+
+    if (result.errors.length > 0) {
+      response += `\n## ⚠️ Errors\n${result.errors.map(error => `- ❌ ${error}`).join('\n')}\n`;
+    }
+
+    response += `\n---\n${result.errors.length === 0 && result.skipped.length === 0
+      ? '✅ **All changes from this execution have been undone.**'
+      : '⚠️ **Some files were not rolled back. Review the list above.**'}`;
+
+    return response;
+  }
+
+  formatErrorResponse(error, executionId, projectPath, executions) {
+    const available = executions.length > 0
+      ? executions.map(manifest =>
+        `- \`${manifest.executionId}\` — ${manifest.createdAt} (${manifest.files.length} files)${manifest.rolledBackAt ? ' ↩️ rolled back' : ''}`
+      ).join('\n')
+      : '- No executions with a backup manifest were found';
+
+    return `# ❌ Rollback Failed
+
+- **Execution ID:** \`${executionId}\`
+- **Project Path:** \`${projectPath}\`
+- **Error:** ${error.message}
+
+## 📦 Available Executions
+${available}`;
+  }
+}
@@ -0,0 +1,167 @@
+// src/tools/schemaDefinition.js - JSON Schema of the `schema` argument shared by the generating tools
+import { CASCADE_TYPES, FETCH_TYPES, INDEX_METHODS, REFERENTIAL_ACTIONS, RELATIONSHIP_TYPES } from '../utils/schemaValidator.js';
+
+const fieldDefinition = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: {
+      type: 'string',
+      description: 'PostgreSQL type or alias, e.g. BIGINT, int8, bigserial, NUMERIC(12,2), TEXT[], TIMESTAMPTZ, JSONB, UUID or the name of an enum in `enums`'
+    },
+    length: { type: 'integer', description: 'Length of VARCHAR, CHAR, BIT and VARBIT' },
+    precision: { type: 'integer', description: 'Precision of NUMERIC, or fractional seconds of TIME, TIMESTAMP and TIMESTAMPTZ' },
+    scale: { type: 'integer', description: 'Scale of NUMERIC (requires precision)' },
+    primaryKey: { type: 'boolean', default: false },
+    autoIncrement: { type: 'boolean', default: false },
+    nullable: { type: 'boolean', default: true },
+    unique: { type: 'boolean', default: false },
+    defaultValue: { type: 'string' },
+    renamedFrom: { type: 'string', description: 'Previous column name, so the migration renames instead of dropping and adding' },
+    references: {
+      type: 'object',
+      description: 'Foreign key to another table in the schema',
+      properties: {
+        table: { type: 'string' },
+        column: { type: 'string', description: 'Referenced column (defaults to the primary key of `table`)' },
+        onDelete: { type: 'string', enum: REFERENTIAL_ACTIONS },
+        onUpdate: { type: 'string', enum: REFERENTIAL_ACTIONS }
+      },
+      required: ['table']
+    },
+    foreignKey: {
+      type: 'object',
+      description: 'Deprecated: use `references`',
+      properties: {
+        table: { type: 'string' },
+        column: { type: 'string' },
+        onDelete: { type: 'string', default: 'CASCADE' }
+      }
+    }
+  },
+  required: ['name', 'type']
+};
+
+const relationshipDefinition = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: RELATIONSHIP_TYPES },
+    target: { type: 'string', description: 'Related table' },
+    name: { type: 'string', description: 'Property name on the entity (defaults to one derived from `target`)' },
+    joinColumn: {
+      type: 'string',
+      description: 'Foreign key column: in this table for one-to-one and many-to-one, in `target` for one-to-many'
+    },
+    joinTable: {
+      type: 'object',
+      description: 'Join table of a many-to-many relationship',
+      properties: {
+        name: { type: 'string' },
+        joinColumn: { type: 'string', description: 'Column referencing this table' },
+        inverseJoinColumn: { type: 'string', description: 'Column referencing `target`' }
+      }
+    },
+    cascade: { type: 'array', items: { type: 'string', enum: CASCADE_TYPES } },
+    fetch: { type: 'string', enum: FETCH_TYPES }
+  },
+  required: ['type', 'target']
+};
+
+const enumDefinition = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    values: { type: 'array', items: { type: 'string' }, minItems: 1 }
+  },
+  required: ['name', 'values']
+};
+
+const columnList = { type: 'array', items: { type: 'string' }, minItems: 1 };
+
+const constraintDefinitions = {
+  primaryKey: {
+    ...columnList,
+    description: 'Composite primary key columns (use the field-level `primaryKey` flag for a single column)'
+  },
+  uniqueConstraints: {
+    type: 'array',
+    description: 'Unique constraints over one or more columns',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        columns: columnList
+      },
+      required: ['columns']
+    }
+  },
+  indexes: {
+    type: 'array',
+    description: 'Secondary indexes',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        columns: columnList,
+        method: { type: 'string', enum: INDEX_METHODS, default: 'btree' },
+        unique: { type: 'boolean', default: false },
+        where: { type: 'string', description: 'Predicate of a partial index, e.g. "deleted_at IS NULL"' }
+      },
+      required: ['columns']
+    }
+  },
+  checks: {
+    type: 'array',
+    description: 'CHECK constraints',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        expression: { type: 'string', description: 'Boolean SQL expression, e.g. "price >= 0"' }
+      },
+      required: ['expression']
+    }
+  }
+};
+
+export function schemaDefinition(description) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      enums: {
+        type: 'array',
+        description: 'Enum types (CREATE TYPE … AS ENUM) that fields can use as their type',
+        items: enumDefinition
+      },
+      tables: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Table name'
+            },
+            renamedFrom: {
+              type: 'string',
+              description: 'Previous table name, so the migration renames the table'
+            },
+            fields: {
+              type: 'array',
+              items: fieldDefinition
+            },
+            ...constraintDefinitions,
+            relationships: {
+              type: 'array',
+              description: 'JPA associations of this table\'s entity',
+              items: relationshipDefinition
+            }
+          },
+          required: ['name', 'fields']
+        }
+      }
+    },
+    required: ['tables']
+  };
+}
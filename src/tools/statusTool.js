@@ -43,6 +43,8 @@ export class StatusTool {
 
 ## Overall Status: ${status.configured ? '✅ CONFIGURED' : '❌ NOT CONFIGURED'}
 
+- **Build File:** ${status.buildFile ? `\`${status.buildFile}\`` : '❓ not found'}
+
 ## 🧩 Component Status
 - **Dependencies:** ${status.components.dependencies ? '✅' : '❌'} JPA and PostgreSQL dependencies
 - **Configuration:** ${status.components.configuration ? '✅' : '❌'} Database connection configuration
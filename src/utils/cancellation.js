@@ -0,0 +1,31 @@
+// src/utils/cancellation.js - Stop work the MCP client cancelled (notifications/cancelled)
+//
+// The SDK aborts the `signal` it passes to a request handler when the client cancels the
+// request, and drops whatever the handler returns afterwards. Errors created here carry
+// `cancelled: true` so callers can tell them apart from failures: they are neither retried
+// nor counted by the circuit breaker, and never trigger the template fallback.
+
+export function cancelledError(what) {
+  return Object.assign(new Error(`${what} cancelled by the client`), { cancelled: true });
+}
+
+export function throwIfCancelled(signal, what) {
+  if (signal?.aborted) throw cancelledError(what);
+}
+
+// setTimeout as a promise that rejects as soon as the signal is aborted
+export function delay(ms, signal, what = 'Wait') {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError(what));
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(what));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,85 @@
+// src/utils/circuitBreaker.js - Fail fast while the Spring Boot server keeps failing
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Closed: requests go through and consecutive failures are counted.
+ * Open: after `failureThreshold` failures every request is rejected until `resetTimeout` has passed.
+ * Half-open: one trial request decides whether the circuit closes again or reopens.
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30000 } = {}, logger) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.logger = logger;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may be sent now; moves an expired open circuit to half-open
+  allowRequest() {
+    if (this.failureThreshold <= 0) return true;
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) return false;
+      this.transition(CIRCUIT_STATES.HALF_OPEN, `trying one request after ${this.resetTimeout}ms`);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  // Milliseconds until an open circuit lets a trial request through
+  retryIn() {
+    return this.state === CIRCUIT_STATES.OPEN
+      ? Math.max(0, this.resetTimeout - (Date.now() - this.openedAt))
+      : 0;
+  }
+
+  recordSuccess() {
+    this.trialInFlight = false;
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED, 'server answered again');
+    }
+  }
+
+  recordFailure() {
+    this.trialInFlight = false;
+    this.failures++;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.open('trial request failed');
+    } else if (this.state === CIRCUIT_STATES.CLOSED && this.failureThreshold > 0 && this.failures >= this.failureThreshold) {
+      this.open(`${this.failures} consecutive failures`);
+    }
+  }
+
+  // A request that ended without telling anything about the server's health
+  release() {
+    this.trialInFlight = false;
+  }
+
+  open(reason) {
+    this.openedAt = Date.now();
+    this.transition(CIRCUIT_STATES.OPEN, `${reason}; failing fast for ${this.resetTimeout}ms`);
+  }
+
+  transition(state, reason) {
+    this.logger.warn(`⚡ Circuit breaker ${this.state} → ${state}: ${reason}`);
+    this.state = state;
+  }
+
+  snapshot() {
+    return { state: this.state, failures: this.failures };
+  }
+}
@@ -0,0 +1,936 @@
+// src/utils/ddlParser.js - Replays CREATE/ALTER/DROP TABLE statements into the tool schema
+import { normalizeDefault, orderTable, parseType, SERIAL_TYPES } from './pgTypes.js';
+import { quoteReserved } from './pgIdentifiers.js';
+
+// Keywords that end a DEFAULT expression inside a column definition
+const COLUMN_CONSTRAINT_KEYWORDS = new Set([
+  'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'CHECK', 'REFERENCES', 'CONSTRAINT', 'GENERATED', 'COLLATE', 'DEFAULT'
+]);
+
+// Statements that never affect the table structure and are skipped without a warning
+const SILENT_STATEMENTS = new Set(['SET', 'BEGIN', 'COMMIT', 'START', 'END', 'ROLLBACK', 'SELECT']);
+
+export class DdlParser {
+  constructor(logger) {
+    this.logger = logger;
+    this.tables = new Map();
+    this.enums = new Map();
+    this.warnings = [];
+    this.ignored = new Map();
+  }
+
+  /**
+   * Apply every statement of a SQL script in order. Problems never abort the import;
+   * they are collected as warnings that point at `source:line`.
+   */
+  parse(sql, source = 'inline DDL') {
+    for (const statement of this.splitStatements(sql)) {
+      const where = `${source}:${statement.line}`;
+      try {
+        this.applyStatement(new TokenCursor(this.tokenize(statement.text)), where, source);
+      } catch (error) {
+        this.warnings.push(`${where}: ${error.message}`);
+      }
+    }
+  }
+
+  result() {
+    const warnings = [...this.warnings];
+    for (const [key, count] of this.ignored) {
+      const [source, kind] = key.split('\u0000');
+      warnings.push(`${source}: ignored ${count} ${kind} statement${count === 1 ? '' : 's'}`);
+    }
+
+    // Reserved words only parse as names when quoted, so keep them quoted
+    const tables = [...this.tables.values()].map(table => orderTable({
+      name: quoteReserved(table.name),
+      fields: table.fields.map(field => ({
+        ...field,
+        name: quoteReserved(field.name),
+        ...(field.references ? { references: this.quoteReference(field.references) } : {})
+      })),
+      ...this.tableConstraints(table)
+    }));
+
+    const enums = [...this.enums.entries()].map(([name, values]) => ({ name: quoteReserved(name), values }));
+
+    return { ...(enums.length > 0 ? { enums } : {}), tables, warnings };
+  }
+
+  // Composite keys, multi-column unique constraints, indexes and checks of the table
+  tableConstraints(table) {
+    const constraints = [...table.constraints.entries()];
+    const columns = list => list.map(quoteReserved);
+    const named = (name, constraint) => (constraint.named ? { name: quoteReserved(name) } : {});
+
+    const primary = constraints.find(([, constraint]) => constraint.type === 'primary')?.[1];
+
+    return {
+      primaryKey: primary?.columns.length > 1 ? columns(primary.columns) : undefined,
+      uniqueConstraints: constraints
+        .filter(([, constraint]) => constraint.type === 'unique' && constraint.columns.length > 1)
+        .map(([name, constraint]) => ({ ...named(name, constraint), columns: columns(constraint.columns) })),
+      indexes: constraints
+        .filter(([, constraint]) => constraint.type === 'index')
+        .map(([name, constraint]) => ({
+          ...named(name, constraint),
+          columns: columns(constraint.columns),
+          ...(constraint.method !== 'btree' ? { method: constraint.method } : {}),
+          ...(constraint.unique ? { unique: true } : {}),
+          ...(constraint.where ? { where: constraint.where } : {})
+        })),
+      checks: constraints
+        .filter(([, constraint]) => constraint.type === 'check')
+        .map(([name, constraint]) => ({ ...named(name, constraint), expression: constraint.expression }))
+    };
+  }
+
+  quoteReference(reference) {
+    return {
+      ...reference,
+      table: quoteReserved(reference.table),
+      ...(reference.column ? { column: quoteReserved(reference.column) } : {})
+    };
+  }
+
+  // Split on top-level semicolons, dropping comments and keeping the starting line of each statement
+  splitStatements(sql) {
+    const statements = [];
+    let text = '';
+    let line = 1;
+    let startLine = null;
+    let index = 0;
+
+    const push = () => {
+      if (text.trim()) statements.push({ text: text.trim(), line: startLine });
+      text = '';
+      startLine = null;
+    };
+    const take = (length) => {
+      const chunk = sql.slice(index, index + length);
+      line += (chunk.match(/\n/g) || []).length;
+      index += length;
+      return chunk;
+    };
+
+    while (index < sql.length) {
+      const char = sql[index];
+      const rest = sql.slice(index, index + 2);
+
+      if (startLine === null && /\S/.test(char) && rest !== '--' && rest !== '/*') {
+        startLine = line;
+      }
+
+      if (rest === '--') {
+        const end = sql.indexOf('\n', index);
+        take((end === -1 ? sql.length : end) - index);
+        text += ' ';
+      } else if (rest === '/*') {
+        const end = sql.indexOf('*/', index + 2);
+        take((end === -1 ? sql.length : end + 2) - index);
+        text += ' ';
+      } else if (char === '\'' || char === '"') {
+        let end = index + 1;
+        while (end < sql.length) {
+          if (sql[end] === char && sql[end + 1] === char) {
+            end += 2;
+          } else if (sql[end] === char) {
+            break;
+          } else {
+            end++;
+          }
+        }
+        text += take(end + 1 - index);
+      } else if (char === '$' && /^\$[A-Za-z_]*\$/.test(sql.slice(index))) {
+        const tag = sql.slice(index).match(/^\$[A-Za-z_]*\$/)[0];
+        const end = sql.indexOf(tag, index + tag.length);
+        text += take((end === -1 ? sql.length : end + tag.length) - index);
+      } else if (char === ';') {
+        take(1);
+        push();
+      } else {
+        text += take(1);
+      }
+    }
+    push();
+
+    return statements;
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    const pattern = /\s+|("(?:[^"]|"")*")|('(?:[^']|'')*')|(\$[A-Za-z_]*\$[\s\S]*?\$[A-Za-z_]*\$)|([A-Za-z_][\w$]*)|(\d+(?:\.\d+)?)|(::|[(),.;[\]])|([^\s\w"'(),.;[\]]+)/gy;
+    let match;
+
+    while (pattern.lastIndex < text.length) {
+      match = pattern.exec(text);
+      if (match === null) {
+        throw new Error(`cannot read statement near "${text.slice(pattern.lastIndex, pattern.lastIndex + 20)}"`);
+      }
+
+      const [value, quoted, string, dollar, word, number, punct] = match;
+      const start = match.index;
+      const end = start + value.length;
+
+      if (quoted) tokens.push({ kind: 'ident', value: quoted.slice(1, -1).replace(/""/g, '"'), quoted: true, start, end });
+      else if (string || dollar) tokens.push({ kind: 'string', value, start, end });
+      else if (word) tokens.push({ kind: 'word', value: word, upper: word.toUpperCase(), start, end });
+      else if (number) tokens.push({ kind: 'number', value: number, start, end });
+      else if (punct) tokens.push({ kind: 'punct', value: punct, start, end });
+      else if (value.trim()) tokens.push({ kind: 'op', value, start, end });
+    }
+
+    return tokens.map(token => ({ ...token, source: text }));
+  }
+
+  applyStatement(cursor, where, source) {
+    const first = cursor.peek();
+    if (!first) return;
+
+    if (cursor.accept('CREATE')) {
+      cursor.accept('OR', 'REPLACE');
+      const temporary = cursor.acceptAny('GLOBAL', 'LOCAL');
+      if (cursor.acceptAny('TEMP', 'TEMPORARY') || temporary) {
+        this.ignore(source, 'CREATE TEMPORARY TABLE');
+        return;
+      }
+      cursor.accept('UNLOGGED');
+
+      if (cursor.accept('TABLE')) return this.createTable(cursor, where);
+      if (cursor.accept('UNIQUE', 'INDEX')) return this.createIndex(cursor, where, true);
+      if (cursor.accept('INDEX')) return this.createIndex(cursor, where, false);
+      if (cursor.accept('TYPE')) return this.createType(cursor, where, source);
+      return this.ignore(source, `CREATE ${cursor.peek()?.upper || ''}`.trim());
+    }
+
+    if (cursor.accept('ALTER', 'TABLE')) return this.alterTable(cursor, where);
+    if (cursor.accept('DROP', 'TABLE')) return this.dropTable(cursor);
+    if (cursor.accept('DROP', 'INDEX')) return this.dropIndex(cursor);
+    if (cursor.accept('ALTER', 'TYPE')) return this.alterType(cursor, where);
+    if (cursor.accept('DROP', 'TYPE')) return this.dropType(cursor);
+
+    if (first.kind === 'word' && SILENT_STATEMENTS.has(first.upper)) return;
+
+    const kind = first.kind === 'word' ? [first.upper, cursor.peek(1)?.kind === 'word' ? cursor.peek(1).upper : null] : [first.value];
+    this.ignore(source, ['ALTER', 'DROP', 'CREATE', 'COMMENT'].includes(kind[0]) ? kind.filter(Boolean).join(' ') : kind[0]);
+  }
+
+  ignore(source, kind) {
+    const key = `${source}\u0000${kind}`;
+    this.ignored.set(key, (this.ignored.get(key) || 0) + 1);
+  }
+
+  createTable(cursor, where) {
+    const ifNotExists = cursor.accept('IF', 'NOT', 'EXISTS');
+    const name = this.qualifiedName(cursor);
+
+    if (cursor.accept('PARTITION', 'OF') || cursor.accept('AS') || cursor.accept('OF')) {
+      this.warnings.push(`${where}: CREATE TABLE ${name} … AS/OF/PARTITION OF is not supported; table skipped`);
+      return;
+    }
+
+    if (this.tables.has(name)) {
+      if (ifNotExists) return;
+      this.warnings.push(`${where}: table ${name} is created twice; the later definition wins`);
+    }
+
+    const table = { name, fields: [], constraints: new Map() };
+    cursor.expect('(');
+    for (const element of cursor.splitUntilClose()) {
+      this.tableElement(table, new TokenCursor(element), where);
+    }
+
+    const option = cursor.peek();
+    if (option) {
+      this.warnings.push(`${where}: table option ${option.upper || option.value} on ${name} is ignored`);
+    }
+
+    this.tables.set(name, table);
+  }
+
+  // CREATE TYPE name AS ENUM ('a', 'b'); composite and range types are not part of the schema
+  createType(cursor, where, source) {
+    const name = this.qualifiedName(cursor);
+    if (!cursor.accept('AS', 'ENUM')) {
+      this.ignore(source, 'CREATE TYPE');
+      return;
+    }
+
+    if (this.enums.has(name)) {
+      this.warnings.push(`${where}: type ${name} is created twice; the later definition wins`);
+    }
+
+    cursor.expect('(');
+    const values = cursor.splitUntilClose()
+      .filter(tokens => tokens.length > 0)
+      .map(tokens => this.stringLiteral(tokens[0]));
+    this.enums.set(name, values);
+  }
+
+  // ALTER TYPE name ADD VALUE [IF NOT EXISTS] 'x' [BEFORE | AFTER 'y'] and RENAME VALUE 'x' TO 'y'
+  alterType(cursor, where) {
+    const name = this.qualifiedName(cursor);
+    const values = this.enums.get(name);
+    if (!values) {
+      this.warnings.push(`${where}: ALTER TYPE on unknown enum ${name} is ignored`);
+      return;
+    }
+
+    if (cursor.accept('ADD', 'VALUE')) {
+      const ifNotExists = cursor.accept('IF', 'NOT', 'EXISTS');
+      const value = this.stringLiteral(cursor.next());
+      if (values.includes(value)) {
+        if (!ifNotExists) this.warnings.push(`${where}: enum ${name} already has the value '${value}'`);
+        return;
+      }
+
+      const position = cursor.acceptAny('BEFORE', 'AFTER') ? cursor.previous().upper : null;
+      const anchor = position ? values.indexOf(this.stringLiteral(cursor.next())) : -1;
+      if (anchor === -1) {
+        values.push(value);
+      } else {
+        values.splice(position === 'BEFORE' ? anchor : anchor + 1, 0, value);
+      }
+    } else if (cursor.accept('RENAME', 'VALUE')) {
+      const from = this.stringLiteral(cursor.next());
+      cursor.expect('TO');
+      const index = values.indexOf(from);
+      if (index !== -1) values[index] = this.stringLiteral(cursor.next());
+    } else {
+      this.warnings.push(`${where}: ALTER TYPE ${name} ${cursor.peek()?.upper || ''} is ignored`.trim());
+    }
+  }
+
+  dropType(cursor) {
+    cursor.accept('IF', 'EXISTS');
+    for (const part of cursor.splitTopLevel()) {
+      this.enums.delete(this.qualifiedName(new TokenCursor(part)));
+    }
+  }
+
+  stringLiteral(token) {
+    if (token?.kind !== 'string' || !token.value.startsWith('\'')) {
+      throw new Error(`expected a string literal, found ${token ? token.value : 'end of statement'}`);
+    }
+    return token.value.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  // Column definition or table constraint inside CREATE TABLE / ALTER TABLE … ADD
+  tableElement(table, cursor, where) {
+    let constraintName = null;
+    if (cursor.accept('CONSTRAINT')) {
+      constraintName = this.identifier(cursor.next());
+    }
+
+    if (cursor.accept('PRIMARY', 'KEY')) {
+      this.setPrimaryKey(table, this.identifierList(cursor), constraintName, where);
+    } else if (cursor.accept('UNIQUE')) {
+      if (cursor.accept('NULLS')) {
+        cursor.accept('NOT');
+        cursor.accept('DISTINCT');
+      }
+      this.addUnique(table, this.identifierList(cursor), constraintName, where);
+    } else if (cursor.accept('FOREIGN', 'KEY')) {
+      const columns = this.identifierList(cursor);
+      cursor.expect('REFERENCES');
+      const reference = this.reference(cursor);
+      if (columns.length === 1) {
+        this.addReference(table, columns[0], reference, constraintName, where);
+      } else {
+        this.warnings.push(`${where}: composite foreign key ${table.name}(${columns.join(', ')}) is not represented in the schema`);
+      }
+    } else if (cursor.accept('CHECK')) {
+      this.addCheck(table, cursor.groupText(), [], constraintName);
+    } else if (cursor.acceptAny('EXCLUDE', 'LIKE')) {
+      this.warnings.push(`${where}: ${cursor.previous().upper} clause on ${table.name} is not supported`);
+    } else if (constraintName) {
+      this.warnings.push(`${where}: constraint ${constraintName} on ${table.name} is not supported`);
+    } else {
+      const field = this.column(table, cursor, where);
+      if (table.fields.some(existing => existing.name === field.name)) {
+        this.warnings.push(`${where}: column ${table.name}.${field.name} is defined twice`);
+        table.fields = table.fields.filter(existing => existing.name !== field.name);
+      }
+      table.fields.push(field);
+    }
+  }
+
+  column(table, cursor, where) {
+    const name = this.identifier(cursor.next());
+    const type = this.dataType(cursor, `${table.name}.${name}`, where);
+    const field = { name, type: type.type, nullable: true };
+
+    this.applyModifiers(field, type);
+    if (type.serial) {
+      field.autoIncrement = true;
+      field.nullable = false;
+    }
+
+    let constraintName = null;
+    while (cursor.peek()) {
+      if (cursor.accept('CONSTRAINT')) {
+        constraintName = this.identifier(cursor.next());
+      } else if (cursor.accept('NOT', 'NULL')) {
+        field.nullable = false;
+      } else if (cursor.accept('NULL')) {
+        field.nullable = true;
+      } else if (cursor.accept('PRIMARY', 'KEY')) {
+        field.primaryKey = true;
+        field.nullable = false;
+        table.constraints.set(constraintName || `${table.name}_pkey`, { type: 'primary', columns: [name] });
+      } else if (cursor.accept('UNIQUE')) {
+        field.unique = true;
+        table.constraints.set(constraintName || `${table.name}_${name}_key`, { type: 'unique', columns: [name] });
+      } else if (cursor.accept('DEFAULT')) {
+        this.applyDefault(field, cursor.takeExpression(COLUMN_CONSTRAINT_KEYWORDS));
+      } else if (cursor.accept('GENERATED')) {
+        if (cursor.accept('ALWAYS', 'AS', 'IDENTITY') || cursor.accept('BY', 'DEFAULT', 'AS', 'IDENTITY')) {
+          field.autoIncrement = true;
+          field.nullable = false;
+          if (cursor.peekValue('(')) cursor.skipGroup();
+        } else {
+          cursor.accept('ALWAYS');
+          cursor.accept('AS');
+          cursor.skipGroup();
+          cursor.accept('STORED');
+          this.warnings.push(`${where}: generated column ${table.name}.${name} is imported as a plain column`);
+        }
+      } else if (cursor.accept('REFERENCES')) {
+        field.references = this.reference(cursor);
+        table.constraints.set(constraintName || `${table.name}_${name}_fkey`, { type: 'foreign', columns: [name] });
+      } else if (cursor.accept('CHECK')) {
+        this.addCheck(table, cursor.groupText(), [name], constraintName);
+      } else if (cursor.accept('COLLATE')) {
+        this.qualifiedName(cursor);
+      } else {
+        const token = cursor.next();
+        this.warnings.push(`${where}: unsupported column option ${token.upper || token.value} on ${table.name}.${name}`);
+        break;
+      }
+    }
+
+    return field;
+  }
+
+  // REFERENCES target [(column)] [ON DELETE …] [ON UPDATE …]; MATCH and DEFERRABLE are skipped
+  reference(cursor) {
+    const reference = { table: this.qualifiedName(cursor) };
+    if (cursor.peekValue('(')) {
+      const columns = this.identifierList(cursor);
+      if (columns.length === 1) reference.column = columns[0];
+    }
+
+    for (;;) {
+      if (cursor.accept('ON')) {
+        const event = cursor.acceptAny('DELETE', 'UPDATE') ? cursor.previous().upper : null;
+        let action = null;
+        if (cursor.accept('SET', 'NULL')) action = 'SET NULL';
+        else if (cursor.accept('SET', 'DEFAULT')) action = 'SET DEFAULT';
+        else if (cursor.accept('NO', 'ACTION')) action = 'NO ACTION';
+        else if (cursor.acceptAny('CASCADE', 'RESTRICT')) action = cursor.previous().upper;
+        if (event && action) reference[event === 'DELETE' ? 'onDelete' : 'onUpdate'] = action;
+      } else if (cursor.accept('MATCH') || cursor.accept('INITIALLY')) {
+        cursor.next();
+      } else if (!cursor.accept('NOT', 'DEFERRABLE') && !cursor.accept('DEFERRABLE')) {
+        return reference;
+      }
+    }
+  }
+
+  applyModifiers(field, type) {
+    for (const key of ['length', 'precision', 'scale']) {
+      if (type[key] !== undefined) field[key] = type[key];
+      else delete field[key];
+    }
+  }
+
+  applyDefault(field, expression) {
+    if (/^NULL$/i.test(expression)) {
+      delete field.defaultValue;
+    } else if (/^nextval\s*\(/i.test(expression)) {
+      field.autoIncrement = true;
+      delete field.defaultValue;
+    } else {
+      field.defaultValue = normalizeDefault(expression);
+    }
+  }
+
+  // Type name with optional modifiers: varchar(100), double precision, timestamp(6) with time zone, int[]
+  dataType(cursor, column, where) {
+    const written = this.qualifiedName(cursor, false);
+    let name = written.toLowerCase();
+
+    if (name === 'double' && cursor.accept('PRECISION')) name = 'double precision';
+    if ((name === 'character' || name === 'bit') && cursor.accept('VARYING')) name = `${name} varying`;
+
+    let modifiers = [];
+    if (cursor.peekValue('(')) {
+      modifiers = cursor.splitGroup().map(tokens => tokens.map(token => token.value).join(''));
+    }
+
+    if ((name === 'timestamp' || name === 'time') && cursor.acceptAny('WITH', 'WITHOUT')) {
+      const withZone = cursor.previous().upper === 'WITH';
+      cursor.accept('TIME', 'ZONE');
+      name = `${name} ${withZone ? 'with' : 'without'} time zone`;
+    }
+
+    let arraySuffix = '';
+    while (cursor.peekValue('[')) {
+      cursor.next();
+      while (cursor.peek() && !cursor.peekValue(']')) cursor.next();
+      cursor.expect(']');
+      arraySuffix += '[]';
+    }
+    if (cursor.accept('ARRAY')) arraySuffix = '[]';
+
+    if (SERIAL_TYPES[name]) {
+      return { type: SERIAL_TYPES[name], serial: true };
+    }
+
+    const enumName = [written, name].find(candidate => this.enums.has(candidate));
+    const text = `${enumName || name}${modifiers.length > 0 ? `(${modifiers.join(',')})` : ''}${arraySuffix}`;
+    const parsed = parseType(text, this.enums);
+    if (!parsed.known) {
+      this.warnings.push(`${where}: unknown type ${name} for ${column} was passed through unchanged`);
+    } else if (parsed.invalidModifiers) {
+      this.warnings.push(`${where}: type modifiers of ${name} for ${column} are ignored`);
+    }
+
+    const result = { type: parsed.type };
+    for (const key of ['length', 'precision', 'scale']) {
+      if (parsed[key] !== undefined) result[key] = parsed[key];
+    }
+    return result;
+  }
+
+  alterTable(cursor, where) {
+    const ifExists = cursor.accept('IF', 'EXISTS');
+    cursor.accept('ONLY');
+    const name = this.qualifiedName(cursor);
+    const table = this.tables.get(name);
+
+    if (!table) {
+      if (!ifExists) {
+        this.warnings.push(`${where}: ALTER TABLE on unknown table ${name} is ignored`);
+      }
+      return;
+    }
+
+    for (const action of cursor.splitTopLevel()) {
+      this.alterAction(table, new TokenCursor(action), where);
+    }
+  }
+
+  alterAction(table, cursor, where) {
+    if (cursor.accept('ADD')) {
+      if (cursor.accept('COLUMN') || !cursor.peekAny('CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'EXCLUDE')) {
+        if (cursor.accept('IF', 'NOT', 'EXISTS') && table.fields.some(field => field.name === this.identifier(cursor.peek()))) {
+          return;
+        }
+      }
+      this.tableElement(table, cursor, where);
+      return;
+    }
+
+    if (cursor.accept('DROP', 'CONSTRAINT')) {
+      cursor.accept('IF', 'EXISTS');
+      this.dropConstraint(table, this.identifier(cursor.next()));
+      return;
+    }
+
+    if (cursor.accept('DROP')) {
+      cursor.accept('COLUMN');
+      cursor.accept('IF', 'EXISTS');
+      const column = this.identifier(cursor.next());
+      table.fields = table.fields.filter(field => field.name !== column);
+      for (const [constraintName, constraint] of table.constraints) {
+        if (constraint.columns.includes(column)) table.constraints.delete(constraintName);
+      }
+      return;
+    }
+
+    if (cursor.accept('RENAME', 'CONSTRAINT')) {
+      const from = this.identifier(cursor.next());
+      cursor.expect('TO');
+      const to = this.identifier(cursor.next());
+      const constraint = table.constraints.get(from);
+      if (constraint) {
+        table.constraints.delete(from);
+        table.constraints.set(to, { ...constraint, named: true });
+      }
+      return;
+    }
+
+    if (cursor.accept('RENAME', 'TO')) {
+      const to = this.identifier(cursor.next());
+      // Rebuild the map so the renamed table keeps its position
+      this.tables = new Map([...this.tables].map(([name, item]) => (item === table ? [to, item] : [name, item])));
+      this.eachReference(reference => {
+        if (reference.table === table.name) reference.table = to;
+      });
+      table.name = to;
+      return;
+    }
+
+    if (cursor.accept('RENAME')) {
+      cursor.accept('COLUMN');
+      const from = this.identifier(cursor.next());
+      cursor.expect('TO');
+      const to = this.identifier(cursor.next());
+      const field = table.fields.find(item => item.name === from);
+      if (field) field.name = to;
+      for (const constraint of table.constraints.values()) {
+        constraint.columns = constraint.columns.map(column => (column === from ? to : column));
+      }
+      this.eachReference(reference => {
+        if (reference.table === table.name && reference.column === from) reference.column = to;
+      });
+      return;
+    }
+
+    if (cursor.accept('ALTER')) {
+      cursor.accept('COLUMN');
+      const column = this.identifier(cursor.next());
+      const field = table.fields.find(item => item.name === column);
+      if (!field) {
+        this.warnings.push(`${where}: ALTER COLUMN on unknown column ${table.name}.${column} is ignored`);
+        return;
+      }
+      this.alterColumn(table, field, cursor, where);
+      return;
+    }
+
+    const token = cursor.peek();
+    this.warnings.push(`${where}: ALTER TABLE ${table.name} ${token?.upper || token?.value || ''} is ignored`);
+  }
+
+  alterColumn(table, field, cursor, where) {
+    if (cursor.accept('TYPE') || cursor.accept('SET', 'DATA', 'TYPE')) {
+      const type = this.dataType(cursor, `${table.name}.${field.name}`, where);
+      field.type = type.type;
+      this.applyModifiers(field, type);
+    } else if (cursor.accept('SET', 'NOT', 'NULL')) {
+      field.nullable = false;
+    } else if (cursor.accept('DROP', 'NOT', 'NULL')) {
+      field.nullable = true;
+    } else if (cursor.accept('SET', 'DEFAULT')) {
+      this.applyDefault(field, cursor.takeExpression(new Set()));
+    } else if (cursor.accept('DROP', 'DEFAULT')) {
+      delete field.defaultValue;
+    } else if (cursor.accept('ADD', 'GENERATED')) {
+      field.autoIncrement = true;
+      field.nullable = false;
+    } else if (cursor.accept('DROP', 'IDENTITY')) {
+      delete field.autoIncrement;
+    } else {
+      const token = cursor.peek();
+      this.warnings.push(`${where}: ALTER COLUMN ${table.name}.${field.name} ${token?.upper || token?.value || ''} is ignored`);
+    }
+  }
+
+  createIndex(cursor, where, unique) {
+    cursor.accept('CONCURRENTLY');
+    cursor.accept('IF', 'NOT', 'EXISTS');
+    const indexName = cursor.peekAny('ON') ? null : this.identifier(cursor.next());
+    cursor.expect('ON');
+    cursor.accept('ONLY');
+    const tableName = this.qualifiedName(cursor);
+    const method = cursor.accept('USING') ? cursor.next().value.toLowerCase() : 'btree';
+
+    const table = this.tables.get(tableName);
+    const parts = cursor.splitGroup();
+    const simple = parts.every(part => part.length === 1 && part[0].kind !== 'string');
+    const columns = simple ? parts.map(part => this.identifier(part[0])) : [];
+
+    let predicate = null;
+    const ignored = [];
+    while (cursor.peek()) {
+      if (cursor.accept('WHERE')) {
+        predicate = cursor.restText();
+      } else if (cursor.acceptAny('INCLUDE', 'WITH')) {
+        ignored.push(cursor.previous().upper);
+        if (cursor.peekValue('(')) cursor.skipGroup();
+      } else {
+        const token = cursor.next();
+        ignored.push(token.upper || token.value);
+      }
+    }
+
+    const label = `${unique ? 'unique ' : ''}index ${indexName || ''} on ${tableName}`.replace('  ', ' ');
+    if (!table) {
+      this.warnings.push(`${where}: index on unknown table ${tableName} is ignored`);
+    } else if (!simple || columns.some(column => !table.fields.some(item => item.name === column))) {
+      this.warnings.push(`${where}: ${label} uses expressions or unknown columns and is not represented in the schema`);
+    } else if (unique && method === 'btree' && !predicate && columns.length === 1) {
+      table.fields.find(item => item.name === columns[0]).unique = true;
+      table.constraints.set(indexName || `${tableName}_${columns[0]}_idx`, { type: 'unique', columns });
+    } else {
+      table.constraints.set(indexName || `${tableName}_${columns.join('_')}_idx`, {
+        type: 'index', columns, method, unique, where: predicate, named: Boolean(indexName)
+      });
+    }
+
+    if (table && ignored.length > 0) {
+      this.warnings.push(`${where}: ${ignored.join(' ')} options of ${label} are ignored`);
+    }
+  }
+
+  dropTable(cursor) {
+    cursor.accept('IF', 'EXISTS');
+    for (const part of cursor.splitTopLevel()) {
+      const name = this.qualifiedName(new TokenCursor(part));
+      this.tables.delete(name);
+
+      // Only DROP … CASCADE succeeds on a referenced table, and it drops the foreign keys with it
+      for (const table of this.tables.values()) {
+        for (const [constraintName, constraint] of table.constraints) {
+          const field = table.fields.find(item => item.name === constraint.columns[0]);
+          if (constraint.type === 'foreign' && field?.references?.table === name) {
+            this.dropConstraint(table, constraintName);
+          }
+        }
+      }
+    }
+  }
+
+  dropIndex(cursor) {
+    cursor.accept('CONCURRENTLY');
+    cursor.accept('IF', 'EXISTS');
+    for (const part of cursor.splitTopLevel()) {
+      const name = this.qualifiedName(new TokenCursor(part));
+      for (const table of this.tables.values()) {
+        if (table.constraints.has(name)) this.dropConstraint(table, name);
+      }
+    }
+  }
+
+  setPrimaryKey(table, columns, constraintName, where) {
+    for (const column of columns) {
+      const field = table.fields.find(item => item.name === column);
+      if (!field) {
+        this.warnings.push(`${where}: primary key column ${table.name}.${column} does not exist`);
+        continue;
+      }
+      field.primaryKey = true;
+      field.nullable = false;
+      if (columns.length === 1) delete field.unique;
+    }
+    table.constraints.set(constraintName || `${table.name}_pkey`, { type: 'primary', columns });
+  }
+
+  addReference(table, column, reference, constraintName, where) {
+    const field = table.fields.find(item => item.name === column);
+    if (!field) {
+      this.warnings.push(`${where}: foreign key column ${table.name}.${column} does not exist`);
+      return;
+    }
+    field.references = reference;
+    table.constraints.set(constraintName || `${table.name}_${column}_fkey`, { type: 'foreign', columns: [column] });
+  }
+
+  addUnique(table, columns, constraintName, where) {
+    const missing = columns.filter(column => !table.fields.some(item => item.name === column));
+    if (missing.length > 0) {
+      this.warnings.push(`${where}: unique constraint column ${table.name}.${missing[0]} does not exist`);
+      return;
+    }
+    if (columns.length === 1) {
+      const field = table.fields.find(item => item.name === columns[0]);
+      const primary = [...table.constraints.values()].find(constraint => constraint.type === 'primary');
+      if (!field.primaryKey || primary?.columns.length > 1) field.unique = true;
+    }
+    table.constraints.set(constraintName || `${table.name}_${columns.join('_')}_key`, { type: 'unique', columns, named: Boolean(constraintName) });
+  }
+
+  // Unnamed checks get PostgreSQL's default name: table_column_check, then table_column_check1, …
+  addCheck(table, expression, columns, constraintName) {
+    let name = constraintName;
+    if (!name) {
+      const base = `${table.name}${columns.length > 0 ? `_${columns[0]}` : ''}_check`;
+      name = base;
+      for (let suffix = 1; table.constraints.has(name); suffix++) name = `${base}${suffix}`;
+    }
+    table.constraints.set(name, { type: 'check', columns, expression, named: Boolean(constraintName) });
+  }
+
+  dropConstraint(table, name) {
+    const constraint = table.constraints.get(name);
+    if (!constraint) return;
+
+    for (const column of constraint.columns) {
+      const field = table.fields.find(item => item.name === column);
+      if (!field) continue;
+      if (constraint.type === 'primary') delete field.primaryKey;
+      if (constraint.type === 'unique' && constraint.columns.length === 1) delete field.unique;
+      if (constraint.type === 'foreign') delete field.references;
+    }
+    table.constraints.delete(name);
+  }
+
+  eachReference(callback) {
+    for (const table of this.tables.values()) {
+      for (const field of table.fields) {
+        if (field.references) callback(field.references);
+      }
+    }
+  }
+
+  // schema.table → table; unquoted identifiers fold to lower case like PostgreSQL does
+  qualifiedName(cursor, fold = true) {
+    let name = this.identifier(cursor.next(), fold);
+    while (cursor.peekValue('.')) {
+      cursor.next();
+      name = this.identifier(cursor.next(), fold);
+    }
+    return name;
+  }
+
+  identifier(token, fold = true) {
+    if (!token) throw new Error('unexpected end of statement');
+    if (token.quoted) return token.value;
+    if (token.kind !== 'word') throw new Error(`expected a name but found "${token.value}"`);
+    return fold ? token.value.toLowerCase() : token.value;
+  }
+
+  identifierList(cursor) {
+    return cursor.splitGroup().map(part => this.identifier(part[0]));
+  }
+}
+
+class TokenCursor {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  previous() {
+    return this.tokens[this.index - 1] || null;
+  }
+
+  peekValue(value) {
+    return this.peek()?.value === value;
+  }
+
+  peekAny(...words) {
+    return words.includes(this.peek()?.upper);
+  }
+
+  // Consume a keyword sequence only if all of it matches
+  accept(...words) {
+    const matches = words.every((word, offset) => this.peek(offset)?.upper === word);
+    if (matches) this.index += words.length;
+    return matches;
+  }
+
+  acceptAny(...words) {
+    if (this.peekAny(...words)) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (!token || (token.value !== value && token.upper !== value)) {
+      throw new Error(`expected "${value}" but found "${token?.value ?? 'end of statement'}"`);
+    }
+    return token;
+  }
+
+  skipGroup() {
+    this.splitGroup();
+  }
+
+  // Consume "( a, b c, (d) )" and return the comma separated token lists
+  splitGroup() {
+    this.expect('(');
+    return this.splitUntilClose();
+  }
+
+  splitUntilClose() {
+    const parts = [[]];
+    let depth = 0;
+
+    while (this.peek()) {
+      const token = this.next();
+      if (token.value === '(') depth++;
+      if (token.value === ')') {
+        if (depth === 0) return parts.filter(part => part.length > 0);
+        depth--;
+      }
+      if (token.value === ',' && depth === 0) {
+        parts.push([]);
+      } else {
+        parts[parts.length - 1].push(token);
+      }
+    }
+
+    throw new Error('missing closing parenthesis');
+  }
+
+  // Remaining tokens split on top-level commas
+  splitTopLevel() {
+    const parts = [[]];
+    let depth = 0;
+
+    while (this.peek()) {
+      const token = this.next();
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      if (token.value === ',' && depth === 0) {
+        parts.push([]);
+      } else {
+        parts[parts.length - 1].push(token);
+      }
+    }
+
+    return parts.filter(part => part.length > 0);
+  }
+
+  // Source text inside "( … )", e.g. the expression of CHECK (price > 0)
+  groupText() {
+    const open = this.expect('(');
+    const parts = this.splitUntilClose();
+    const close = this.previous();
+    return parts.length > 0 ? open.source.slice(open.end, close.start).trim() : '';
+  }
+
+  // Source text of all remaining tokens
+  restText() {
+    const tokens = [];
+    while (this.peek()) tokens.push(this.next());
+    return tokens.length > 0 ? tokens[0].source.slice(tokens[0].start, tokens[tokens.length - 1].end) : '';
+  }
+
+  // Source text of an expression up to the next top-level stop keyword or comma
+  takeExpression(stopWords) {
+    const start = this.peek();
+    if (!start) throw new Error('missing expression');
+
+    let depth = 0;
+    let last = start;
+    let first = true;
+    while (this.peek()) {
+      const token = this.peek();
+      if (depth === 0 && !first && (token.value === ',' || stopWords.has(token.upper))) break;
+      if (token.value === '(') depth++;
+      if (token.value === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      last = this.next();
+      first = false;
+    }
+
+    return start.source.slice(start.start, last.end);
+  }
+}
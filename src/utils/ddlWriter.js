@@ -0,0 +1,206 @@
+// src/utils/ddlWriter.js - Renders the tool schema as PostgreSQL DDL
+import { parseType, SERIAL_TYPES } from './pgTypes.js';
+import { identifierKey, quoteReserved } from './pgIdentifiers.js';
+
+// Defaults that are SQL expressions rather than literal values
+const SQL_DEFAULT = /^(?:-?\d+(?:\.\d+)?|true|false|null|CURRENT_(?:TIMESTAMP|DATE|TIME|USER)|LOCALTIMESTAMP|LOCALTIME|[\w.]+\(.*\))$/i;
+
+export class DdlWriter {
+  constructor(logger) {
+    this.logger = logger;
+    this.enums = new Map();
+  }
+
+  /**
+   * CREATE TYPE statements for the enums and CREATE TABLE statements for every table, ordered
+   * so that referenced tables come first, followed by the indexes. Foreign keys inside
+   * reference cycles are added with ALTER TABLE.
+   */
+  write(schema) {
+    this.setEnums(schema.enums);
+    const tables = this.sortByReferences(schema.tables);
+    const created = new Set();
+    const statements = (schema.enums || []).map(item => this.createType(item));
+    const deferred = [];
+
+    for (const table of tables) {
+      const { statement, foreignKeys } = this.createTable(table, created);
+      statements.push(statement);
+      deferred.push(...foreignKeys);
+      created.add(identifierKey(table.name));
+    }
+
+    for (const table of tables) {
+      statements.push(...this.createIndexes(table));
+    }
+
+    statements.push(...deferred);
+    return statements.join('\n\n') + '\n';
+  }
+
+  // Enum names that fields may use as their type
+  setEnums(enums = []) {
+    this.enums = new Map((enums || []).map(item => [item.name, item.values]));
+  }
+
+  createType(item) {
+    this.enums.set(item.name, item.values);
+    return `CREATE TYPE ${this.name(item.name)} AS ENUM (${item.values.map(value => this.literal(value)).join(', ')});`;
+  }
+
+  createTable(table, created = null) {
+    const composite = this.compositePrimaryKey(table);
+    const lines = [];
+    const foreignKeys = [];
+
+    for (const field of table.fields) {
+      let line = `  ${this.columnDefinition(field, composite)}`;
+
+      if (field.references) {
+        const target = identifierKey(field.references.table);
+        if (!created || created.has(target) || target === identifierKey(table.name)) {
+          line += ` ${this.references(field.references)}`;
+        } else {
+          foreignKeys.push(`ALTER TABLE ${this.name(table.name)} ADD FOREIGN KEY (${this.name(field.name)}) ${this.references(field.references)};`);
+        }
+      }
+
+      lines.push(line);
+    }
+
+    if (composite) {
+      lines.push(`  PRIMARY KEY (${this.columns(composite)})`);
+    }
+
+    for (const constraint of table.uniqueConstraints || []) {
+      lines.push(`  ${this.constraintName(constraint.name)}UNIQUE (${this.columns(constraint.columns)})`);
+    }
+
+    for (const check of table.checks || []) {
+      lines.push(`  ${this.constraintName(check.name)}CHECK (${check.expression})`);
+    }
+
+    return {
+      statement: `CREATE TABLE ${this.name(table.name)} (\n${lines.join(',\n')}\n);`,
+      foreignKeys
+    };
+  }
+
+  // Name, type, identity, key, NOT NULL, UNIQUE and DEFAULT of a column; references are added by the caller
+  columnDefinition(field, composite = null) {
+    let line = `${this.name(field.name)} ${this.columnType(field)}`;
+
+    if (field.autoIncrement && !this.isSerial(field.type)) line += ' GENERATED BY DEFAULT AS IDENTITY';
+    if (field.primaryKey && !composite) {
+      line += ' PRIMARY KEY';
+    } else if (field.nullable === false && !composite?.includes(field.name)) {
+      line += ' NOT NULL';
+    }
+    if (field.unique && !(field.primaryKey && !composite)) line += ' UNIQUE';
+    if (field.defaultValue !== undefined && field.defaultValue !== null) line += ` DEFAULT ${this.defaultValue(field.defaultValue)}`;
+
+    return line;
+  }
+
+  createIndexes(table) {
+    return (table.indexes || []).map(index => this.createIndex(table, index));
+  }
+
+  createIndex(table, index) {
+    const method = (index.method || 'btree').toLowerCase();
+    return `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${this.name(this.indexName(table, index))} ON ${this.name(table.name)}` +
+      `${method === 'btree' ? '' : ` USING ${method}`} (${this.columns(index.columns)})` +
+      `${index.where ? ` WHERE ${index.where}` : ''};`;
+  }
+
+  indexName(table, index) {
+    return index.name || `${identifierKey(table.name)}_${index.columns.map(identifierKey).join('_')}_idx`;
+  }
+
+  // Table-level primaryKey, or several fields flagged primaryKey
+  compositePrimaryKey(table) {
+    if (Array.isArray(table.primaryKey) && table.primaryKey.length > 0) return table.primaryKey;
+    const flagged = table.fields.filter(field => field.primaryKey).map(field => field.name);
+    return flagged.length > 1 ? flagged : null;
+  }
+
+  // Canonical type with its modifiers: VARCHAR(100), NUMERIC(12,2), TIMESTAMPTZ(3), TEXT[]
+  columnType(field) {
+    const serial = SERIAL_TYPES[String(field.type).toLowerCase()];
+    if (serial) return field.type.toUpperCase();
+
+    const parsed = parseType(field.type, this.enums);
+    const length = field.length ?? parsed.length;
+    const precision = field.precision ?? parsed.precision;
+    const scale = field.scale ?? parsed.scale;
+
+    let modifiers = '';
+    if (parsed.modifier === 'length' && length) {
+      modifiers = `(${length})`;
+    } else if (parsed.modifier === 'numeric' && precision !== undefined && precision !== null) {
+      modifiers = scale !== undefined && scale !== null ? `(${precision},${scale})` : `(${precision})`;
+    } else if (parsed.modifier === 'fraction' && precision !== undefined && precision !== null) {
+      modifiers = `(${precision})`;
+    }
+
+    const base = parsed.enum ? this.name(parsed.base) : parsed.base;
+    return `${base}${modifiers}${parsed.array ? '[]' : ''}`;
+  }
+
+  isSerial(type) {
+    return Boolean(SERIAL_TYPES[String(type).toLowerCase()]);
+  }
+
+  defaultValue(value) {
+    const text = String(value);
+    return SQL_DEFAULT.test(text) ? text : this.literal(text);
+  }
+
+  literal(value) {
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+  }
+
+  references(reference) {
+    let clause = `REFERENCES ${this.name(reference.table)}`;
+    if (reference.column) clause += ` (${this.name(reference.column)})`;
+    if (reference.onDelete) clause += ` ON DELETE ${reference.onDelete.toUpperCase()}`;
+    if (reference.onUpdate) clause += ` ON UPDATE ${reference.onUpdate.toUpperCase()}`;
+    return clause;
+  }
+
+  // Referenced tables first; tables in a cycle keep their schema order
+  sortByReferences(tables) {
+    const byKey = new Map(tables.map(table => [identifierKey(table.name), table]));
+    const sorted = [];
+    const state = new Map();
+
+    const visit = table => {
+      const key = identifierKey(table.name);
+      if (state.get(key)) return;
+      state.set(key, 'visiting');
+
+      for (const field of table.fields) {
+        const target = field.references && byKey.get(identifierKey(field.references.table));
+        if (target && !state.has(identifierKey(target.name))) visit(target);
+      }
+
+      state.set(key, 'done');
+      sorted.push(table);
+    };
+
+    tables.forEach(visit);
+    return sorted;
+  }
+
+  constraintName(name) {
+    return name ? `CONSTRAINT ${this.name(name)} ` : '';
+  }
+
+  columns(columns) {
+    return columns.map(column => this.name(column)).join(', ');
+  }
+
+  name(name) {
+    return quoteReserved(name);
+  }
+}
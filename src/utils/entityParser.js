@@ -0,0 +1,504 @@
+// src/utils/entityParser.js - Reads JPA entity classes back into the tool schema
+import { JavaMerger } from './javaMerger.js';
+import { DdlParser } from './ddlParser.js';
+import { normalizeDefault, orderTable } from './pgTypes.js';
+import { identifierKey } from './pgIdentifiers.js';
+
+// Java attribute types → column types, following Hibernate's PostgreSQL dialect defaults
+const JAVA_TYPES = {
+  'String': { type: 'VARCHAR', length: 255 },
+  'Long': { type: 'BIGINT' },
+  'long': { type: 'BIGINT' },
+  'Integer': { type: 'INTEGER' },
+  'int': { type: 'INTEGER' },
+  'Short': { type: 'SMALLINT' },
+  'short': { type: 'SMALLINT' },
+  'Byte': { type: 'SMALLINT' },
+  'byte': { type: 'SMALLINT' },
+  'Boolean': { type: 'BOOLEAN' },
+  'boolean': { type: 'BOOLEAN' },
+  'BigDecimal': { type: 'NUMERIC' },
+  'BigInteger': { type: 'NUMERIC' },
+  'Double': { type: 'DOUBLE PRECISION' },
+  'double': { type: 'DOUBLE PRECISION' },
+  'Float': { type: 'REAL' },
+  'float': { type: 'REAL' },
+  'Character': { type: 'CHAR', length: 1 },
+  'char': { type: 'CHAR', length: 1 },
+  'LocalDate': { type: 'DATE' },
+  'LocalTime': { type: 'TIME' },
+  'LocalDateTime': { type: 'TIMESTAMP' },
+  'OffsetDateTime': { type: 'TIMESTAMPTZ' },
+  'ZonedDateTime': { type: 'TIMESTAMPTZ' },
+  'Instant': { type: 'TIMESTAMPTZ' },
+  'Date': { type: 'TIMESTAMP' },
+  'Timestamp': { type: 'TIMESTAMP' },
+  'Duration': { type: 'INTERVAL' },
+  'UUID': { type: 'UUID' },
+  'byte[]': { type: 'BYTEA' },
+  'Byte[]': { type: 'BYTEA' }
+};
+
+const PRIMITIVES = new Set(['long', 'int', 'short', 'byte', 'boolean', 'double', 'float', 'char']);
+const RELATIONSHIPS = ['ManyToOne', 'OneToOne', 'OneToMany', 'ManyToMany'];
+const NOT_NULL_ANNOTATIONS = ['NotNull', 'NonNull', 'NotBlank', 'NotEmpty'];
+
+export class EntityParser {
+  constructor(logger) {
+    this.logger = logger;
+    this.javaMerger = new JavaMerger(logger);
+  }
+
+  /**
+   * Parse @Entity classes from the given { path, content } files into schema tables.
+   * namingStrategy 'snake_case' mirrors Spring Boot's default physical naming,
+   * 'camelCase' keeps the Java names as they are.
+   */
+  parse(files, { namingStrategy = 'snake_case', only = null } = {}) {
+    this.namingStrategy = namingStrategy;
+    const warnings = [];
+    const types = [];
+
+    for (const file of files) {
+      if (!/@(?:[\w.]+\.)?(Entity|MappedSuperclass)\b/.test(file.content)) continue;
+
+      try {
+        const unit = this.javaMerger.describeCompilationUnit(file.content, file.path);
+        this.collectTypes(unit.types, file.path, types);
+      } catch (error) {
+        warnings.push(`${file.path}: ${error.message.replace('; the file was left unchanged', '')}`);
+      }
+    }
+
+    const enums = new Set(types.filter(type => type.kind === 'enum').map(type => type.name));
+    const byName = new Map(types.map(type => [type.name, type]));
+
+    let entities = types.filter(type => type.annotations.Entity);
+    if (only?.length) {
+      entities = entities.filter(type => only.includes(type.name) || only.includes(this.tableName(type)));
+    }
+
+    // Pass 1: basic columns, so that relationships can look up the target's primary key
+    const models = entities.map(type => {
+      const model = { type, table: { name: this.tableName(type), fields: [], relationships: [] }, relations: [] };
+      for (const owner of this.inheritanceChain(type, byName, warnings)) {
+        for (const member of owner.fields) {
+          this.addMember(model, member, enums, warnings);
+        }
+      }
+      const ids = model.table.fields.filter(field => field.primaryKey);
+      if (ids.length === 0) {
+        warnings.push(`${type.file}: entity ${type.name} has no @Id field`);
+      } else if (ids.length > 1) {
+        model.table.primaryKey = ids.map(field => field.name);
+      }
+      Object.assign(model.table, this.tableConstraints(type));
+      return model;
+    });
+
+    const allModels = new Map(models.map(model => [model.type.name, model]));
+    const joinTables = [];
+    const relationships = [];
+
+    // Pass 2: foreign key columns and join tables on the owning sides
+    for (const model of models) {
+      for (const relation of model.relations) {
+        this.addRelation(model, relation, allModels, joinTables, relationships, warnings);
+      }
+    }
+
+    // Pass 3: @OneToMany(mappedBy) reuses the join column of the owning @ManyToOne
+    for (const model of models) {
+      for (const relation of model.relations.filter(item => item.kind === 'OneToMany' && item.annotations.OneToMany.mappedBy)) {
+        this.addInverseRelation(model, relation, allModels, warnings);
+      }
+    }
+
+    const tables = [...models.map(model => model.table), ...joinTables].map(orderTable);
+
+    return {
+      tables,
+      warnings,
+      relationships,
+      entities: models.map(model => ({ className: model.type.name, table: model.table.name, file: model.type.file }))
+    };
+  }
+
+  collectTypes(types, file, result) {
+    for (const type of types) {
+      const source = type.source.slice(type.start, type.bodyStart);
+      result.push({
+        name: type.name,
+        kind: type.kind,
+        file,
+        annotations: this.annotationMap(type.annotations),
+        superclass: source.match(/\bextends\s+([\w.]+)/)?.[1].split('.').pop() || null,
+        fields: type.members.filter(member => member.kind === 'field')
+      });
+      this.collectTypes(type.members.filter(member => member.kind === 'type').map(member => member.type), file, result);
+    }
+  }
+
+  // Fields of @MappedSuperclass parents come first, like Hibernate orders them
+  inheritanceChain(type, byName, warnings) {
+    const chain = [type];
+    let current = type;
+
+    while (current.superclass && byName.has(current.superclass)) {
+      const parent = byName.get(current.superclass);
+      if (parent.annotations.Entity) {
+        warnings.push(`${type.file}: entity inheritance ${type.name} extends ${parent.name} is not supported; only ${type.name}'s own and mapped superclass fields are read`);
+        break;
+      }
+      if (!parent.annotations.MappedSuperclass) break;
+      chain.unshift(parent);
+      current = parent;
+    }
+
+    return chain;
+  }
+
+  addMember(model, member, enums, warnings) {
+    if (member.modifiers.includes('static') || member.modifiers.includes('transient')) return;
+
+    const annotations = this.annotationMap(member.annotations);
+    if (annotations.Transient) return;
+
+    const javaType = this.simpleType(member.fieldType);
+    const location = `${model.type.file}: ${model.type.name}`;
+
+    for (const fieldName of member.names) {
+      const relation = RELATIONSHIPS.find(name => annotations[name]);
+      if (relation) {
+        model.relations.push({ kind: relation, fieldName, javaType, fieldType: member.fieldType, annotations });
+        continue;
+      }
+
+      if (annotations.Embedded || annotations.EmbeddedId || annotations.ElementCollection) {
+        const kind = Object.keys(annotations).find(name => ['Embedded', 'EmbeddedId', 'ElementCollection'].includes(name));
+        warnings.push(`${location}.${fieldName}: @${kind} is not supported and was skipped`);
+        continue;
+      }
+
+      const field = this.column(fieldName, javaType, annotations, enums);
+      if (!field) {
+        warnings.push(`${location}.${fieldName}: cannot map Java type ${member.fieldType} to a column; field skipped`);
+        continue;
+      }
+      model.table.fields.push(field);
+    }
+  }
+
+  column(fieldName, javaType, annotations, enums) {
+    const column = annotations.Column || {};
+    let field;
+
+    if (column.columnDefinition) {
+      field = this.columnDefinition(this.columnName(column.name, fieldName), column.columnDefinition);
+    } else {
+      const mapped = this.mapJavaType(javaType, annotations, enums);
+      if (!mapped) return null;
+
+      field = { name: this.columnName(column.name, fieldName), type: mapped.type, nullable: true };
+      if (mapped.length) {
+        field.length = column.length !== undefined ? Number(column.length) : mapped.length;
+      }
+      if (mapped.type === 'NUMERIC' && Number(column.precision) > 0) {
+        field.precision = Number(column.precision);
+        if (column.scale !== undefined) field.scale = Number(column.scale);
+      }
+    }
+
+    if (annotations.Id) {
+      field.primaryKey = true;
+      field.nullable = false;
+    }
+
+    if (annotations.GeneratedValue && field.type !== 'UUID' && annotations.GeneratedValue.strategy !== 'UUID') {
+      field.autoIncrement = true;
+    }
+
+    if (PRIMITIVES.has(javaType) || column.nullable === false || annotations.Basic?.optional === false ||
+      NOT_NULL_ANNOTATIONS.some(name => annotations[name])) {
+      field.nullable = false;
+    }
+
+    if (column.unique === true && !field.primaryKey) {
+      field.unique = true;
+    }
+
+    if (annotations.ColumnDefault?.value !== undefined) {
+      field.defaultValue = normalizeDefault(String(annotations.ColumnDefault.value));
+    }
+
+    return field;
+  }
+
+  mapJavaType(javaType, annotations, enums) {
+    if (annotations.Lob) {
+      return javaType === 'String' || javaType === 'char[]' ? { type: 'TEXT' } : { type: 'BYTEA' };
+    }
+    if (annotations.JdbcTypeCode && /JSON/.test(String(annotations.JdbcTypeCode.value))) {
+      return { type: 'JSONB' };
+    }
+    if (enums.has(javaType) || annotations.Enumerated) {
+      return annotations.Enumerated?.value === 'STRING' ? { type: 'VARCHAR', length: 255 } : { type: 'SMALLINT' };
+    }
+    return JAVA_TYPES[javaType] || null;
+  }
+
+  // @Column(columnDefinition = "varchar(20) default 'new' not null") is plain DDL
+  columnDefinition(name, definition) {
+    const parser = new DdlParser(this.logger);
+    parser.parse(`CREATE TABLE t (c ${definition})`);
+    const field = parser.result().tables[0]?.fields[0];
+    return field ? { ...field, name } : { name, type: definition.split(/\s|\(/)[0].toUpperCase(), nullable: true };
+  }
+
+  addRelation(model, relation, models, joinTables, relationships, warnings) {
+    const { kind, fieldName, annotations } = relation;
+    const settings = annotations[kind];
+    const location = `${model.type.file}: ${model.type.name}.${fieldName}`;
+
+    if (settings.mappedBy) return;
+
+    const targetName = kind === 'OneToMany' || kind === 'ManyToMany'
+      ? this.collectionElement(relation.fieldType)
+      : relation.javaType;
+    const target = models.get(targetName);
+    const targetKey = target?.table.fields.find(field => field.primaryKey);
+
+    if (!target || !targetKey) {
+      warnings.push(`${location}: target entity ${targetName} was not found or has no @Id; relationship skipped`);
+      return;
+    }
+    if (target.table.primaryKey || model.table.primaryKey && kind === 'ManyToMany') {
+      warnings.push(`${location}: associations with composite keys are not supported; relationship skipped`);
+      return;
+    }
+
+    if (kind === 'ManyToOne' || kind === 'OneToOne') {
+      const joinColumn = annotations.JoinColumn || {};
+      const field = {
+        name: joinColumn.name ? this.quotedName(joinColumn.name) : this.physicalName(`${fieldName}_${identifierKey(targetKey.name)}`),
+        type: targetKey.type,
+        nullable: !(joinColumn.nullable === false || settings.optional === false)
+      };
+      if (targetKey.length) field.length = targetKey.length;
+      if (kind === 'OneToOne' || joinColumn.unique === true) field.unique = true;
+      field.references = { table: target.table.name, column: targetKey.name };
+
+      model.table.fields.push(field);
+      relation.joinColumn = field.name;
+      model.table.relationships.push(this.relationship(kind === 'OneToOne' ? 'one-to-one' : 'many-to-one', target, relation, {
+        joinColumn: field.name
+      }));
+      relationships.push(`${model.table.name}.${field.name} → ${target.table.name}.${targetKey.name} (@${kind})`);
+      return;
+    }
+
+    if (kind === 'OneToMany') {
+      warnings.push(`${location}: unidirectional @OneToMany without mappedBy is not represented`);
+      return;
+    }
+
+    // Owning side of @ManyToMany: a join table with a composite primary key
+    const ownerKey = model.table.fields.find(field => field.primaryKey);
+    if (!ownerKey) {
+      warnings.push(`${location}: ${model.type.name} has no @Id; join table skipped`);
+      return;
+    }
+
+    const joinTable = annotations.JoinTable || {};
+    const raw = joinTable.raw || '';
+    const ownerColumn = raw.match(/\bjoinColumns\s*=\s*\{?\s*@(?:[\w.]+\.)?JoinColumn\s*\(\s*(?:name\s*=\s*)?"([^"]+)"/)?.[1] ||
+      this.physicalName(`${model.type.name}_${identifierKey(ownerKey.name)}`);
+    const targetColumn = raw.match(/\binverseJoinColumns\s*=\s*\{?\s*@(?:[\w.]+\.)?JoinColumn\s*\(\s*(?:name\s*=\s*)?"([^"]+)"/)?.[1] ||
+      this.physicalName(`${fieldName}_${identifierKey(targetKey.name)}`);
+    const name = joinTable.name
+      ? this.quotedName(joinTable.name)
+      : `${identifierKey(model.table.name)}_${identifierKey(target.table.name)}`;
+
+    const keyColumn = (columnName, key, table) => ({
+      name: columnName,
+      type: key.type,
+      ...(key.length ? { length: key.length } : {}),
+      primaryKey: true,
+      nullable: false,
+      references: { table, column: key.name }
+    });
+
+    joinTables.push({
+      name,
+      fields: [keyColumn(ownerColumn, ownerKey, model.table.name), keyColumn(targetColumn, targetKey, target.table.name)]
+    });
+    model.table.relationships.push(this.relationship('many-to-many', target, relation, {
+      joinTable: { name, joinColumn: ownerColumn, inverseJoinColumn: targetColumn }
+    }));
+    relationships.push(`${name} joins ${model.table.name} ↔ ${target.table.name} (@ManyToMany)`);
+  }
+
+  // @Table(indexes = @Index(...), uniqueConstraints = @UniqueConstraint(...)) and Hibernate's @Check
+  tableConstraints(type) {
+    const raw = type.annotations.Table?.raw || '';
+    const nested = name => [...raw.matchAll(new RegExp(`@(?:[\\w.]+\\.)?${name}\\s*\\(([^()]*)\\)`, 'g'))]
+      .map(match => this.annotationArguments(`@${name}(${match[1]})`));
+
+    const indexes = nested('Index').map(index => ({
+      ...(index.name ? { name: this.quotedName(index.name) } : {}),
+      columns: String(index.columnList || '').split(',')
+        .map(column => column.trim().split(/\s+/)[0])
+        .filter(Boolean)
+        .map(column => this.quotedName(column)),
+      ...(index.unique === true ? { unique: true } : {})
+    }));
+
+    const uniqueConstraints = nested('UniqueConstraint').map(constraint => ({
+      ...(constraint.name ? { name: this.quotedName(constraint.name) } : {}),
+      columns: [...String(constraint.raw).replace(/\bname\s*=\s*"[^"]*"/, '').matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+        .map(match => this.quotedName(match[1].replace(/\\"/g, '"')))
+    }));
+
+    const checks = type.annotations.Check?.constraints
+      ? [{ expression: type.annotations.Check.constraints }]
+      : [];
+
+    return { uniqueConstraints, indexes, checks };
+  }
+
+  addInverseRelation(model, relation, models, warnings) {
+    const { mappedBy } = relation.annotations.OneToMany;
+    const target = models.get(this.collectionElement(relation.fieldType));
+    const owner = target?.relations.find(item => item.fieldName === mappedBy && item.joinColumn);
+
+    if (!owner) {
+      warnings.push(`${model.type.file}: ${model.type.name}.${relation.fieldName}: mappedBy "${mappedBy}" does not match a @ManyToOne of the target entity; relationship skipped`);
+      return;
+    }
+
+    model.table.relationships.push(this.relationship('one-to-many', target, relation, { joinColumn: owner.joinColumn }));
+  }
+
+  // Table-level relationship entry of the schema, with the association's cascade and fetch settings
+  relationship(type, target, relation, columns) {
+    const settings = relation.annotations[relation.kind];
+    const cascade = this.enumList(settings.cascade);
+
+    return {
+      type,
+      target: target.table.name,
+      name: relation.fieldName,
+      ...columns,
+      ...(cascade.length > 0 ? { cascade } : {}),
+      ...(settings.fetch ? { fetch: settings.fetch } : {})
+    };
+  }
+
+  // CascadeType.ALL or {CascadeType.PERSIST, CascadeType.MERGE} → ['PERSIST', 'MERGE']
+  enumList(value) {
+    if (value === undefined) return [];
+    return String(value).replace(/^\{|\}$/g, '').split(',')
+      .map(item => item.trim().split('.').pop())
+      .filter(Boolean);
+  }
+
+  tableName(type) {
+    const name = type.annotations.Table?.name || type.annotations.Entity?.name;
+    return name ? this.quotedName(name) : this.physicalName(type.name);
+  }
+
+  columnName(explicit, fieldName) {
+    return explicit ? this.quotedName(explicit) : this.physicalName(fieldName);
+  }
+
+  // @Table(name = "\"order\"") and the backtick form both ask Hibernate to quote the name
+  quotedName(name) {
+    const quoted = name.match(/^(?:"(.*)"|`(.*)`)$/);
+    return quoted ? `"${quoted[1] ?? quoted[2]}"` : name;
+  }
+
+  // Spring Boot's CamelCaseToUnderscoresNamingStrategy: orderItem → order_item, URLValue → urlvalue
+  physicalName(name) {
+    if (this.namingStrategy === 'camelCase') return name;
+
+    let result = name.replace(/\./g, '_');
+    for (let index = 1; index < result.length - 1; index++) {
+      const [before, current, after] = [result[index - 1], result[index], result[index + 1]];
+      if (/[a-z]/.test(before) && /[A-Z]/.test(current) && /[a-z]/.test(after)) {
+        result = `${result.slice(0, index)}_${result.slice(index)}`;
+        index++;
+      }
+    }
+    return result.toLowerCase();
+  }
+
+  simpleType(typeText) {
+    const withoutGenerics = typeText.replace(/\s+/g, '').replace(/<.*>/, '');
+    return withoutGenerics.split('.').pop();
+  }
+
+  // List<Tag> → Tag
+  collectionElement(typeText) {
+    const element = typeText.replace(/\s+/g, '').match(/<([\w.]+)>$/)?.[1];
+    return element ? element.split('.').pop() : this.simpleType(typeText);
+  }
+
+  annotationMap(annotations) {
+    const map = {};
+    for (const annotation of annotations) {
+      map[annotation.name] = this.annotationArguments(annotation.text);
+    }
+    return map;
+  }
+
+  // @Column(name = "user_name", nullable = false) → { name: 'user_name', nullable: false, raw }
+  annotationArguments(text) {
+    const open = text.indexOf('(');
+    const args = { raw: open === -1 ? '' : text.slice(open + 1, text.lastIndexOf(')')) };
+    if (!args.raw.trim()) return args;
+
+    for (const part of this.splitTopLevel(args.raw)) {
+      const pair = part.match(/^\s*(\w+)\s*=\s*([\s\S]*?)\s*$/);
+      const [key, value] = pair ? [pair[1], pair[2]] : ['value', part.trim()];
+      args[key] = this.annotationValue(value);
+    }
+    return args;
+  }
+
+  annotationValue(value) {
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) return value.slice(1, -1).replace(/\\"/g, '"');
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+$/.test(value)) return Number(value);
+    if (/^[\w.]+$/.test(value)) return value.split('.').pop();
+    return value;
+  }
+
+  splitTopLevel(text) {
+    const parts = [''];
+    let depth = 0;
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (quoted) {
+        if (char === '\\') {
+          parts[parts.length - 1] += char + text[++index];
+          continue;
+        }
+        if (char === '"') quoted = false;
+      } else if (char === '"') {
+        quoted = true;
+      } else if ('({'.includes(char)) {
+        depth++;
+      } else if (')}'.includes(char)) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push('');
+        continue;
+      }
+      parts[parts.length - 1] += char;
+    }
+
+    return parts.filter(part => part.trim());
+  }
+}
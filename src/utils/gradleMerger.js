@@ -0,0 +1,297 @@
+// src/utils/gradleMerger.js - Dependency merge for build.gradle and build.gradle.kts
+import { XmlDocument } from './xmlDocument.js';
+import { SPRING_BOOT_MANAGED_GROUPS } from './pomMerger.js';
+
+const CONFIGURATIONS = [
+  'implementation',
+  'api',
+  'compileOnly',
+  'runtimeOnly',
+  'annotationProcessor',
+  'developmentOnly',
+  'testImplementation',
+  'testCompileOnly',
+  'testRuntimeOnly',
+  'testAnnotationProcessor',
+  'kapt'
+];
+
+const PROCESSOR_CONFIGURATIONS = new Set(['annotationProcessor', 'testAnnotationProcessor', 'kapt']);
+
+const MAVEN_SCOPE_TO_CONFIGURATION = {
+  compile: 'implementation',
+  runtime: 'runtimeOnly',
+  provided: 'compileOnly',
+  test: 'testImplementation'
+};
+
+export class GradleMerger {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Merge dependencies from newContent into the top-level dependencies {} block of an
+   * existing Gradle build script. newContent may be a Gradle snippet in either DSL or
+   * Maven <dependency> XML. Existing declarations are never duplicated. Without a top-level
+   * dependencies {} block one is added, unless addBlock is false (the root script of a
+   * multi-project build); the script is then left unchanged with a warning.
+   */
+  merge(existingContent, newContent, { dsl = 'groovy', addBlock = true } = {}) {
+    const notes = [];
+    const incoming = newContent.trim().startsWith('<')
+      ? this.fromMavenXml(newContent)
+      : this.parseDependencies(newContent);
+
+    if (incoming.length === 0) {
+      notes.push('No dependencies found in generated build content');
+      return { content: existingContent, notes };
+    }
+
+    const existing = this.parseDependencies(existingContent);
+    const managedBy = this.springBootManagement(existingContent);
+    const additions = [];
+
+    for (const dependency of incoming) {
+      // Annotation processors are declared next to the compile dependency, not instead of it
+      const processor = PROCESSOR_CONFIGURATIONS.has(dependency.configuration);
+      const current = existing.find(item =>
+        item.key === dependency.key && PROCESSOR_CONFIGURATIONS.has(item.configuration) === processor
+      );
+
+      if (current) {
+        if (current.version && dependency.version && current.version !== dependency.version) {
+          notes.push(`⚠️ Version conflict for ${dependency.key}: kept existing ${current.version}, generated version was ${dependency.version}`);
+        } else if (current.configuration !== dependency.configuration) {
+          notes.push(`Skipped ${dependency.key}: already declared as ${current.configuration} (generated ${dependency.configuration})`);
+        } else {
+          notes.push(`Skipped duplicate dependency ${dependency.key}`);
+        }
+        continue;
+      }
+
+      if (dependency.version && managedBy && SPRING_BOOT_MANAGED_GROUPS.includes(dependency.group)) {
+        notes.push(`Dropped version ${dependency.version} of ${dependency.key} (managed by ${managedBy})`);
+        dependency.version = null;
+      }
+
+      additions.push(dependency);
+      existing.push(dependency);
+      notes.push(`Added ${dependency.configuration} ${dependency.key}`);
+    }
+
+    if (additions.length === 0) {
+      return { content: existingContent, notes };
+    }
+
+    if (!addBlock && !this.findTopLevelBlock(existingContent, 'dependencies')) {
+      return {
+        content: existingContent,
+        notes: [`⚠️ Not added: this multi-project root has no dependencies {} block; declare ${additions.map(dependency => dependency.key).join(', ')} in the application module`]
+      };
+    }
+
+    const lines = additions.map(dependency => this.format(dependency, dsl));
+    return {
+      content: this.insertIntoDependencies(existingContent, lines),
+      notes
+    };
+  }
+
+  // Collect `configuration 'g:a:v'`, `configuration("g:a:v")` and map-style declarations
+  parseDependencies(content) {
+    const dependencies = [];
+    const code = this.stripComments(content);
+    const pattern = new RegExp(
+      `\\b(${CONFIGURATIONS.join('|')})\\s*\\(?\\s*(?:` +
+        `["']([^"':]+):([^"':]+)(?::([^"']+))?["']` +
+        `|group\\s*[:=]\\s*["']([^"']+)["']\\s*,\\s*name\\s*[:=]\\s*["']([^"']+)["'](?:\\s*,\\s*version\\s*[:=]\\s*["']([^"']+)["'])?` +
+      `)`,
+      'g'
+    );
+
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const group = match[2] || match[5];
+      const artifact = match[3] || match[6];
+      const version = match[4] || match[7] || null;
+      dependencies.push({
+        configuration: match[1],
+        group,
+        artifact,
+        version,
+        key: `${group}:${artifact}`
+      });
+    }
+
+    return dependencies;
+  }
+
+  fromMavenXml(content) {
+    const doc = XmlDocument.parse(content);
+    const nodes = [];
+    const visit = node => {
+      for (const child of doc.elements(node)) {
+        if (child.name === 'dependency') {
+          nodes.push(child);
+        } else if (child.name !== 'dependencyManagement' && child.name !== 'plugins') {
+          visit(child);
+        }
+      }
+    };
+    visit(doc.root);
+
+    const dependencies = [];
+    for (const node of nodes) {
+      const value = name => doc.text(doc.element(node, name)) || null;
+      const group = value('groupId');
+      const artifact = value('artifactId');
+      if (!group || !artifact) continue;
+
+      const version = value('version');
+      const dependency = {
+        configuration: MAVEN_SCOPE_TO_CONFIGURATION[value('scope') || 'compile'] || 'implementation',
+        group,
+        artifact,
+        version: version && !version.includes('${') ? version : null,
+        key: `${group}:${artifact}`
+      };
+
+      if (group === 'org.projectlombok' && artifact === 'lombok') {
+        dependencies.push({ ...dependency, configuration: 'compileOnly' });
+        dependencies.push({ ...dependency, configuration: 'annotationProcessor' });
+      } else {
+        dependencies.push(dependency);
+      }
+    }
+
+    return dependencies;
+  }
+
+  format(dependency, dsl) {
+    const notation = [dependency.group, dependency.artifact, dependency.version].filter(Boolean).join(':');
+    return dsl === 'kotlin'
+      ? `${dependency.configuration}("${notation}")`
+      : `${dependency.configuration} '${notation}'`;
+  }
+
+  insertIntoDependencies(content, lines) {
+    const block = this.findTopLevelBlock(content, 'dependencies');
+
+    if (!block) {
+      const separator = content.endsWith('\n') ? '\n' : '\n\n';
+      return `${content}${separator}dependencies {\n${lines.map(line => `    ${line}`).join('\n')}\n}\n`;
+    }
+
+    const body = content.slice(block.open + 1, block.close);
+    const indent = body.match(/\n([ \t]+)\S/)?.[1] || '    ';
+    const lineStart = content.lastIndexOf('\n', block.close - 1) + 1;
+    const text = lines.map(line => `${indent}${line}`).join('\n');
+
+    if (lineStart > block.open && content.slice(lineStart, block.close).trim() === '') {
+      return content.slice(0, lineStart) + text + '\n' + content.slice(lineStart);
+    }
+    return content.slice(0, block.close) + `\n${text}\n` + content.slice(block.close);
+  }
+
+  // Locate `name {` at nesting depth 0, skipping strings and comments
+  findTopLevelBlock(content, name) {
+    let depth = 0;
+    let index = 0;
+
+    while (index < content.length) {
+      const char = content[index];
+      const next = content[index + 1];
+
+      if (char === '/' && next === '/') {
+        index = content.indexOf('\n', index);
+        if (index === -1) break;
+        continue;
+      }
+      if (char === '/' && next === '*') {
+        const end = content.indexOf('*/', index + 2);
+        index = end === -1 ? content.length : end + 2;
+        continue;
+      }
+      if (char === '"' || char === '\'') {
+        const triple = content.startsWith(char.repeat(3), index);
+        const terminator = triple ? char.repeat(3) : char;
+        let cursor = index + terminator.length;
+        while (cursor < content.length && !content.startsWith(terminator, cursor)) {
+          cursor += content[cursor] === '\\' ? 2 : 1;
+        }
+        index = cursor + terminator.length;
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+
+      if (depth === 0 && content.startsWith(name, index) &&
+        !/[\w.]/.test(content[index - 1] || '') && !/\w/.test(content[index + name.length] || '')) {
+        const open = content.slice(index + name.length).search(/\S/) + index + name.length;
+        if (content[open] === '{') {
+          const close = this.findMatchingBrace(content, open);
+          if (close !== -1) return { start: index, open, close };
+        }
+      }
+
+      index++;
+    }
+
+    return null;
+  }
+
+  findMatchingBrace(content, open) {
+    let depth = 0;
+    for (let index = open; index < content.length; index++) {
+      const char = content[index];
+      if (char === '"' || char === '\'') {
+        let cursor = index + 1;
+        while (cursor < content.length && content[cursor] !== char && content[cursor] !== '\n') {
+          cursor += content[cursor] === '\\' ? 2 : 1;
+        }
+        index = cursor;
+        continue;
+      }
+      if (char === '/' && content[index + 1] === '/') {
+        const end = content.indexOf('\n', index);
+        if (end === -1) return -1;
+        index = end;
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') {
+        depth--;
+        if (depth === 0) return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * What manages the versions of Spring Boot's dependencies in a build script, or null.
+   * The Spring Boot plugin alone does not: it takes the io.spring.dependency-management
+   * plugin or an import of the spring-boot-dependencies BOM.
+   */
+  springBootManagement(content) {
+    const lines = this.stripComments(content).split('\n');
+    if (lines.some(line =>
+      (/["']io\.spring\.dependency-management["']/.test(line) || /\balias\s*\(\s*libs\.plugins\.[\w.]*dependency\.management\s*\)/.test(line))
+      && !/\bapply\s*\(?\s*false\b/.test(line)
+    )) {
+      return 'the io.spring.dependency-management plugin';
+    }
+
+    const bom = /spring-boot-dependencies|SpringBootPlugin\.BOM_COORDINATES/;
+    if (lines.some(line => /\b(?:platform|enforcedPlatform|mavenBom)\b/.test(line) && bom.test(line))) {
+      return 'the Spring Boot BOM';
+    }
+    return null;
+  }
+
+  stripComments(content) {
+    return content
+      .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+      .replace(/(^|[^:"'])\/\/.*$/gm, (match, prefix) => prefix);
+  }
+}
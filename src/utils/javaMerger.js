@@ -0,0 +1,664 @@
+// src/utils/javaMerger.js - Syntax-aware merge of generated Java sources into existing ones
+import { parse } from 'java-parser';
+
+const FIELD_KINDS = new Set(['field', 'constant']);
+
+export class JavaMerger {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Merge the imports, type annotations and members of newContent into existingContent.
+   * Members that already exist (fields by name, methods and constructors by erased
+   * signature, nested types by name) are kept as they are. replacedFields maps a field of
+   * the existing top-level types to the generated field that takes its place, or to null
+   * when it goes away (a renamed or dropped column); the field and its accessors are then
+   * replaced or removed instead of kept. Returns the merged source and a list of human
+   * readable notes about what was added, replaced, removed or skipped.
+   */
+  merge(existingContent, newContent, { replacedFields = {} } = {}) {
+    const existing = this.describeCompilationUnit(existingContent, 'existing');
+    const incoming = this.describeCompilationUnit(newContent, 'generated');
+
+    const edits = [];
+    const notes = [];
+
+    this.mergeImports(existing, incoming, edits, notes);
+
+    for (const incomingType of incoming.types) {
+      const existingType = existing.types.find(type => type.name === incomingType.name);
+
+      if (existingType) {
+        this.mergeType(existingType, incomingType, edits, notes, replacedFields);
+      } else {
+        const text = this.extractWithComments(newContent, incomingType);
+        this.addEdit(edits, existingContent.length, `${existingContent.endsWith('\n') ? '' : '\n'}\n${text}\n`);
+        notes.push(`Added type ${incomingType.name}`);
+      }
+    }
+
+    return {
+      content: this.applyEdits(existingContent, edits),
+      notes
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Merging
+  // ---------------------------------------------------------------------------
+
+  mergeImports(existing, incoming, edits, notes) {
+    const existingKeys = new Set(existing.imports.map(item => item.key));
+    const wildcardPackages = existing.imports
+      .filter(item => !item.isStatic && item.key.endsWith('.*'))
+      .map(item => item.key.slice(0, -2));
+
+    const missing = incoming.imports.filter(item => {
+      if (existingKeys.has(item.key)) return false;
+      const owner = item.key.slice(0, item.key.lastIndexOf('.'));
+      return item.isStatic || !wildcardPackages.includes(owner);
+    });
+
+    if (missing.length === 0) return;
+
+    const text = missing.map(item => item.text).join('\n');
+
+    if (existing.imports.length > 0) {
+      const last = existing.imports[existing.imports.length - 1];
+      this.addEdit(edits, last.end + 1, `\n${text}`);
+    } else if (existing.packageEnd !== null) {
+      this.addEdit(edits, existing.packageEnd + 1, `\n\n${text}`);
+    } else {
+      this.addEdit(edits, 0, `${text}\n\n`);
+    }
+
+    missing.forEach(item => notes.push(`Added ${item.text}`));
+  }
+
+  mergeType(existingType, incomingType, edits, notes, replacedFields = {}) {
+    const source = existingType.source;
+    const { handled: replaced, inPlace } = this.replaceFields(existingType, incomingType, replacedFields, edits, notes);
+    const members = existingType.members.filter(member => !replaced.has(member));
+
+    // Type-level annotations, e.g. @Transactional or @Validated on a service
+    const missingAnnotations = incomingType.annotations
+      .filter(annotation => !existingType.annotations.some(other => other.name === annotation.name));
+    this.insertAnnotations(existingType, missingAnnotations, edits);
+    missingAnnotations.forEach(annotation =>
+      notes.push(`Added ${annotation.text} to ${existingType.name}`)
+    );
+
+    const memberIndent = this.detectMemberIndent(existingType);
+    const newFields = [];
+    const newMembers = [];
+    const newConstants = [];
+
+    for (const member of incomingType.members) {
+      if (replaced.has(member)) continue;
+      const match = members.find(other =>
+        other.keys.some(key => member.keys.includes(key))
+      );
+
+      if (match) {
+        if (member.kind === 'type' && match.kind === 'type') {
+          this.mergeType(match.type, member.type, edits, notes);
+          continue;
+        }
+
+        const missing = member.annotations
+          .filter(annotation => !match.annotations.some(other => other.name === annotation.name));
+        if (missing.length > 0) {
+          this.insertAnnotations(match, missing, edits);
+          missing.forEach(annotation => notes.push(`Added ${annotation.text} to ${match.label}`));
+        }
+
+        notes.push(`Kept existing ${match.label} in ${existingType.name}`);
+        continue;
+      }
+
+      if (member.kind === 'enumConstant') {
+        newConstants.push(member);
+        continue;
+      }
+
+      // The kept constructors would leave a new final field unassigned, which does not compile
+      if (member.kind === 'field' && member.modifiers.includes('final') && !member.modifiers.includes('static') && !member.initialized
+        && members.some(other => other.kind === 'constructor')) {
+        notes.push(`⚠️ Skipped final ${member.label}: the existing constructors of ${existingType.name} do not initialize it; add it to them by hand`);
+        continue;
+      }
+
+      const text = this.reindent(
+        this.extractWithComments(incomingType.source, member),
+        memberIndent
+      );
+
+      if (FIELD_KINDS.has(member.kind)) {
+        newFields.push(text);
+      } else {
+        newMembers.push(text);
+      }
+      notes.push(`Added ${member.label} to ${existingType.name}`);
+    }
+
+    if (newConstants.length > 0) {
+      const constants = newConstants.map(member => member.label.replace(/^enum constant /, ''));
+      const last = members.filter(member => member.kind === 'enumConstant').pop();
+      if (last) {
+        this.addEdit(edits, last.end + 1, `, ${constants.join(', ')}`);
+      } else {
+        this.addEdit(edits, existingType.bodyStart + 1, ` ${constants.join(', ')}`);
+      }
+      constants.forEach(name => notes.push(`Added enum constant ${name} to ${existingType.name}`));
+    }
+
+    // Enums need a ';' after their constants before any other member
+    const needsEnumSeparator = existingType.kind === 'enum' &&
+      !existingType.hasBodyDeclarations &&
+      (newFields.length > 0 || newMembers.length > 0);
+
+    if (newFields.length > 0) {
+      // A field replaced in place still holds its position
+      const fields = existingType.members.filter(member => FIELD_KINDS.has(member.kind) && (!replaced.has(member) || inPlace.has(member)));
+      const lastField = fields[fields.length - 1];
+      if (lastField) {
+        const separator = this.fieldSeparator(source, fields, newFields);
+        if (inPlace.has(lastField)) {
+          // After the lines the replacement takes over
+          this.addEdit(edits, this.memberLines(source, lastField)[1], `${separator.slice(1)}${newFields.join(separator)}\n`);
+        } else {
+          // After the end of the line so trailing comments stay with their field
+          const lineEnd = source.indexOf('\n', lastField.end + 1);
+          this.addEdit(edits, lineEnd === -1 ? lastField.end + 1 : lineEnd, `${separator}${newFields.join(separator)}`);
+        }
+      } else if (existingType.kind === 'enum') {
+        newMembers.unshift(...newFields);
+      } else {
+        this.addEdit(edits, existingType.bodyStart + 1, `\n${newFields.join('\n')}\n`);
+      }
+    }
+
+    if (needsEnumSeparator) {
+      this.addEdit(edits, this.enumConstantsEnd(existingType), ';');
+    }
+
+    if (newMembers.length > 0) {
+      const closing = existingType.bodyEnd;
+      const lineStart = source.lastIndexOf('\n', closing - 1) + 1;
+
+      if (lineStart > existingType.bodyStart && source.slice(lineStart, closing).trim() === '') {
+        // Closing brace on its own line: insert the members right above it
+        this.addEdit(edits, lineStart, `\n${newMembers.join('\n\n')}\n`);
+      } else {
+        const closingIndent = this.lineIndent(source, existingType.start);
+        this.addEdit(edits, closing, `\n${newMembers.join('\n\n')}\n${closingIndent}`);
+      }
+    }
+  }
+
+  /**
+   * Replace or remove the fields named in replacedFields, with their getters and setters, so
+   * the class keeps matching its table after a column was renamed, retyped or dropped. A
+   * replacement takes the old field's place. Returns the existing and generated members that
+   * were dealt with here, for mergeType to skip, and the existing fields replaced in place.
+   */
+  replaceFields(existingType, incomingType, replacedFields, edits, notes) {
+    const handled = new Set();
+    const inPlace = new Set();
+    const source = existingType.source;
+    const capitalize = name => name[0].toUpperCase() + name.slice(1);
+    const fieldNamed = (type, name) => type.members.find(member => member.kind === 'field' && member.names.length === 1 && member.names[0] === name);
+    const accessors = (type, name) => type.members.filter(member => member.kind === 'method' && member.keys.some(key =>
+      key === `method:get${capitalize(name)}()` || key === `method:is${capitalize(name)}()` || key.startsWith(`method:set${capitalize(name)}(`)
+    ));
+
+    for (const [oldName, newName] of Object.entries(replacedFields)) {
+      const field = fieldNamed(existingType, oldName);
+      if (!field) continue;
+
+      const replacement = newName ? fieldNamed(incomingType, newName) : null;
+      const [start, end] = this.memberLines(source, field);
+      if (replacement) {
+        const indent = this.lineIndent(source, field.start);
+        this.addEdit(edits, start, `${this.reindent(this.extractWithComments(incomingType.source, replacement), indent)}\n`, end - start);
+        handled.add(replacement);
+        inPlace.add(field);
+        notes.push(oldName === newName
+          ? `Replaced ${field.label} in ${existingType.name} with the generated one (column changed)`
+          : `Replaced ${field.label} in ${existingType.name} with field ${newName} (column renamed)`);
+      } else {
+        this.removeMember(source, field, edits);
+        notes.push(`Removed ${field.label} from ${existingType.name} (column ${newName ? `renamed to ${newName}` : 'dropped'})`);
+      }
+      handled.add(field);
+
+      // Accessors of the old field go; the generated ones for the new field are added as usual
+      for (const accessor of accessors(existingType, oldName)) {
+        this.removeMember(source, accessor, edits);
+        handled.add(accessor);
+        notes.push(`Removed ${accessor.label} from ${existingType.name}`);
+      }
+    }
+    return { handled, inPlace };
+  }
+
+  // Remove a member with its comments and lines, and one of the blank lines around it
+  removeMember(source, member, edits) {
+    let [start, end] = this.memberLines(source, member);
+    const blankBefore = start >= 2 && source[start - 1] === '\n' && source.slice(source.lastIndexOf('\n', start - 2) + 1, start - 1).trim() === '';
+    const nextLineEnd = source.indexOf('\n', end);
+    if (blankBefore && nextLineEnd !== -1 && source.slice(end, nextLineEnd).trim() === '') {
+      end = nextLineEnd + 1;
+    }
+    this.addEdit(edits, start, '', end - start);
+  }
+
+  // [start, end) of the whole lines a member occupies, including the comments above it
+  memberLines(source, member) {
+    const text = this.extractWithComments(source, member);
+    const start = member.end + 1 - text.length;
+    const lineEnd = source.indexOf('\n', member.end + 1);
+    return [start, lineEnd === -1 ? source.length : lineEnd + 1];
+  }
+
+  // Blank line between fields when the type already separates them that way, or when the fields
+  // are annotated over several lines as entity columns usually are; otherwise one per line
+  fieldSeparator(source, fields, newFields) {
+    const gaps = fields.slice(1).map((field, index) => source.slice(fields[index].end + 1, field.start));
+    const blankLine = /\n[ \t]*\n/;
+    if (gaps.length > 0) {
+      return gaps.some(gap => blankLine.test(gap)) ? '\n\n' : '\n';
+    }
+    const multiLine = [source.slice(fields[0].start, fields[0].end), ...newFields].some(text => text.trim().includes('\n'));
+    return multiLine ? '\n\n' : '\n';
+  }
+
+  insertAnnotations(target, annotations, edits) {
+    if (annotations.length === 0) return;
+
+    const source = target.source;
+    const indent = this.lineIndent(source, target.start);
+
+    if (target.annotations.length > 0) {
+      const last = target.annotations[target.annotations.length - 1];
+      const text = annotations.map(annotation => `\n${indent}${annotation.text}`).join('');
+      this.addEdit(edits, last.end + 1, text);
+    } else {
+      const text = annotations.map(annotation => `${annotation.text}\n${indent}`).join('');
+      this.addEdit(edits, target.start, text);
+    }
+  }
+
+  enumConstantsEnd(type) {
+    const constants = type.members.filter(member => member.kind === 'enumConstant');
+    return constants.length > 0 ? constants[constants.length - 1].end + 1 : type.bodyStart + 1;
+  }
+
+  detectMemberIndent(type) {
+    const member = type.members.find(item => item.kind !== 'enumConstant');
+    if (member) {
+      return this.lineIndent(type.source, member.start);
+    }
+    return this.lineIndent(type.source, type.start) + '    ';
+  }
+
+  lineIndent(source, offset) {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    const match = source.slice(lineStart, offset).match(/^[ \t]*/);
+    return match ? match[0] : '';
+  }
+
+  // Member text including the comments and annotations directly above it
+  extractWithComments(source, node) {
+    let start = node.start;
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    if (source.slice(lineStart, start).trim() === '') {
+      start = lineStart;
+    }
+
+    // Walk upwards over comment lines that belong to this member
+    const limit = node.leadingLimit ?? 0;
+    let cursor = start;
+    while (cursor > limit) {
+      const previousLineStart = source.lastIndexOf('\n', cursor - 2) + 1;
+      if (previousLineStart < limit) break;
+      const line = source.slice(previousLineStart, cursor - 1).trim();
+      if (line.startsWith('//') || line.startsWith('/*') || line.startsWith('*')) {
+        cursor = previousLineStart;
+      } else {
+        break;
+      }
+    }
+
+    return source.slice(cursor, node.end + 1);
+  }
+
+  reindent(text, targetIndent) {
+    const lines = text.split('\n');
+    const currentIndent = (lines.find(line => line.trim() !== '') || '').match(/^[ \t]*/)[0];
+
+    return lines.map(line => {
+      if (line.trim() === '') return '';
+      if (line.startsWith(currentIndent)) {
+        return targetIndent + line.slice(currentIndent.length);
+      }
+      return targetIndent + line.trimStart();
+    }).join('\n');
+  }
+
+  // Insert text at offset, or replace the `length` characters that start there
+  addEdit(edits, offset, text, length = 0) {
+    if (text || length > 0) {
+      edits.push({ offset, text, length, seq: edits.length });
+    }
+  }
+
+  applyEdits(source, edits) {
+    const ordered = [...edits].sort((a, b) => (b.offset - a.offset) || (b.seq - a.seq));
+    let result = source;
+    for (const edit of ordered) {
+      result = result.slice(0, edit.offset) + edit.text + result.slice(edit.offset + edit.length);
+    }
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // CST inspection
+  // ---------------------------------------------------------------------------
+
+  describeCompilationUnit(source, label) {
+    let cst;
+    try {
+      cst = parse(source);
+    } catch (error) {
+      const position = error.message.match(/line: (\d+), column: (\d+)/);
+      const where = position ? ` (line ${position[1]}, column ${position[2]})` : '';
+      throw new Error(`Cannot parse ${label} Java source${where}; the file was left unchanged`);
+    }
+
+    const unit = this.child(cst, 'ordinaryCompilationUnit');
+    if (!unit) {
+      throw new Error(`Unsupported ${label} Java source: module declarations cannot be merged`);
+    }
+
+    const packageDeclaration = this.child(unit, 'packageDeclaration');
+    const imports = this.children(unit, 'importDeclaration')
+      .filter(node => node.children.Import)
+      .map(node => {
+        const text = this.text(source, node);
+        return {
+          text,
+          key: text.replace(/^import\s+/, '').replace(/\s*;$/, '').replace(/\s+/g, ' ').replace(/^static /, ''),
+          isStatic: Boolean(node.children.Static),
+          start: node.location.startOffset,
+          end: node.location.endOffset
+        };
+      });
+
+    let previousEnd = imports.length > 0
+      ? imports[imports.length - 1].end + 1
+      : (packageDeclaration ? packageDeclaration.location.endOffset + 1 : 0);
+
+    const types = [];
+    for (const typeDeclaration of this.children(unit, 'typeDeclaration')) {
+      const declaration = this.child(typeDeclaration, 'classDeclaration') ||
+        this.child(typeDeclaration, 'interfaceDeclaration');
+      if (!declaration) continue;
+
+      const type = this.describeType(source, declaration, previousEnd);
+      if (type) types.push(type);
+      previousEnd = typeDeclaration.location.endOffset + 1;
+    }
+
+    return {
+      source,
+      packageEnd: packageDeclaration ? packageDeclaration.location.endOffset : null,
+      imports,
+      types
+    };
+  }
+
+  describeType(source, declaration, leadingLimit) {
+    const isInterface = declaration.name === 'interfaceDeclaration';
+    const modifiers = this.children(declaration, isInterface ? 'interfaceModifier' : 'classModifier');
+
+    let kind;
+    let inner;
+    let body;
+    if (isInterface) {
+      inner = this.child(declaration, 'normalInterfaceDeclaration');
+      kind = 'interface';
+      body = inner && this.child(inner, 'interfaceBody');
+    } else if ((inner = this.child(declaration, 'normalClassDeclaration'))) {
+      kind = 'class';
+      body = this.child(inner, 'classBody');
+    } else if ((inner = this.child(declaration, 'enumDeclaration'))) {
+      kind = 'enum';
+      body = this.child(inner, 'enumBody');
+    } else if ((inner = this.child(declaration, 'recordDeclaration'))) {
+      kind = 'record';
+      body = this.child(inner, 'recordBody');
+    }
+
+    if (!inner || !body) {
+      return null;
+    }
+
+    const type = {
+      kind,
+      name: this.identifier(this.child(inner, 'typeIdentifier')),
+      source,
+      start: declaration.location.startOffset,
+      end: declaration.location.endOffset,
+      leadingLimit,
+      bodyStart: body.children.LCurly[0].startOffset,
+      bodyEnd: body.children.RCurly[0].startOffset,
+      annotations: this.annotationsOf(source, modifiers),
+      hasBodyDeclarations: false,
+      members: []
+    };
+
+    let previousEnd = type.bodyStart + 1;
+    const pushMember = (node) => {
+      const member = this.describeMember(source, node, previousEnd);
+      previousEnd = node.location.endOffset + 1;
+      if (member) type.members.push(member);
+    };
+
+    if (kind === 'class') {
+      this.children(body, 'classBodyDeclaration').forEach(pushMember);
+    } else if (kind === 'interface') {
+      this.children(body, 'interfaceMemberDeclaration').forEach(pushMember);
+    } else if (kind === 'record') {
+      this.children(body, 'recordBodyDeclaration').forEach(pushMember);
+    } else {
+      const constantList = this.child(body, 'enumConstantList');
+      for (const constant of constantList ? this.children(constantList, 'enumConstant') : []) {
+        const name = this.identifier(constant);
+        type.members.push({
+          kind: 'enumConstant',
+          keys: [`constant:${name}`],
+          label: `enum constant ${name}`,
+          source,
+          start: constant.location.startOffset,
+          end: constant.location.endOffset,
+          annotations: []
+        });
+        previousEnd = constant.location.endOffset + 1;
+      }
+
+      const declarations = this.child(body, 'enumBodyDeclarations');
+      if (declarations) {
+        type.hasBodyDeclarations = true;
+        previousEnd = declarations.children.Semicolon[0].endOffset + 1;
+        this.children(declarations, 'classBodyDeclaration').forEach(pushMember);
+      }
+    }
+
+    return type;
+  }
+
+  describeMember(source, node, leadingLimit) {
+    const declaration = this.unwrapMember(node);
+    if (!declaration) return null;
+
+    const base = {
+      source,
+      start: node.location.startOffset,
+      end: node.location.endOffset,
+      leadingLimit
+    };
+
+    switch (declaration.name) {
+      case 'fieldDeclaration':
+      case 'constantDeclaration': {
+        const names = this.children(this.child(declaration, 'variableDeclaratorList'), 'variableDeclarator')
+          .map(declarator => this.identifier(this.child(declarator, 'variableDeclaratorId')));
+        const modifierName = declaration.name === 'fieldDeclaration' ? 'fieldModifier' : 'constantModifier';
+        const modifiers = this.children(declaration, modifierName);
+        return {
+          ...base,
+          kind: declaration.name === 'fieldDeclaration' ? 'field' : 'constant',
+          keys: names.map(name => `field:${name}`),
+          label: `field ${names.join(', ')}`,
+          names,
+          initialized: this.children(this.child(declaration, 'variableDeclaratorList'), 'variableDeclarator')
+            .every(declarator => this.child(declarator, 'variableInitializer')),
+          fieldType: this.text(source, this.child(declaration, 'unannType')),
+          modifiers: modifiers.filter(modifier => !this.child(modifier, 'annotation')).map(modifier => this.text(source, modifier)),
+          annotations: this.annotationsOf(source, modifiers)
+        };
+      }
+
+      case 'methodDeclaration':
+      case 'interfaceMethodDeclaration': {
+        const header = this.child(declaration, 'methodHeader');
+        const declarator = this.child(header, 'methodDeclarator');
+        const name = this.identifier(declarator);
+        const signature = `${name}(${this.parameterTypes(source, declarator).join(', ')})`;
+        const modifierName = declaration.name === 'methodDeclaration' ? 'methodModifier' : 'interfaceMethodModifier';
+        return {
+          ...base,
+          kind: 'method',
+          keys: [`method:${signature}`],
+          label: `method ${signature}`,
+          annotations: this.annotationsOf(source, this.children(declaration, modifierName))
+        };
+      }
+
+      case 'constructorDeclaration': {
+        const declarator = this.child(declaration, 'constructorDeclarator');
+        const signature = `(${this.parameterTypes(source, declarator).join(', ')})`;
+        return {
+          ...base,
+          kind: 'constructor',
+          keys: [`constructor:${signature}`],
+          label: `constructor ${signature}`,
+          annotations: this.annotationsOf(source, this.children(declaration, 'constructorModifier'))
+        };
+      }
+
+      case 'compactConstructorDeclaration':
+        return {
+          ...base,
+          kind: 'constructor',
+          keys: ['constructor:compact'],
+          label: 'compact constructor',
+          annotations: []
+        };
+
+      case 'classDeclaration':
+      case 'interfaceDeclaration': {
+        const type = this.describeType(source, declaration, leadingLimit);
+        if (!type) return null;
+        return {
+          ...base,
+          kind: 'type',
+          keys: [`type:${type.name}`],
+          label: `${type.kind} ${type.name}`,
+          annotations: type.annotations,
+          type
+        };
+      }
+
+      default: {
+        // Initializer blocks have no name, so identical text is the only sensible match
+        const text = this.text(source, node).replace(/\s+/g, ' ');
+        return {
+          ...base,
+          kind: 'initializer',
+          keys: [`block:${text}`],
+          label: declaration.name === 'staticInitializer' ? 'static initializer' : 'initializer block',
+          annotations: []
+        };
+      }
+    }
+  }
+
+  unwrapMember(node) {
+    let current = node;
+    while (current && ['classBodyDeclaration', 'classMemberDeclaration', 'interfaceMemberDeclaration', 'recordBodyDeclaration'].includes(current.name)) {
+      const next = Object.values(current.children).flat().find(child => child.children);
+      current = next;
+    }
+    return current || null;
+  }
+
+  // Erased parameter types so that overloads differing only in generics count as equal
+  parameterTypes(source, declarator) {
+    const list = this.child(declarator, 'formalParameterList');
+    if (!list) return [];
+
+    return this.children(list, 'formalParameter').map(parameter => {
+      const regular = this.child(parameter, 'variableParaRegularParameter');
+      const variadic = this.child(parameter, 'variableArityParameter');
+      const typeNode = this.child(regular || variadic, 'unannType');
+      let type = this.text(source, typeNode).replace(/\s+/g, '');
+
+      while (/<[^<>]*>/.test(type)) {
+        type = type.replace(/<[^<>]*>/g, '');
+      }
+      type = type.replace(/^([\w$]+\.)+/, '');
+
+      return variadic ? `${type}[]` : type;
+    });
+  }
+
+  annotationsOf(source, modifiers) {
+    return modifiers
+      .map(modifier => this.child(modifier, 'annotation'))
+      .filter(Boolean)
+      .map(annotation => {
+        const typeName = this.child(annotation, 'typeName');
+        const identifiers = typeName.children.Identifier || [];
+        return {
+          name: identifiers[identifiers.length - 1].image,
+          text: this.text(source, annotation),
+          start: annotation.location.startOffset,
+          end: annotation.location.endOffset
+        };
+      });
+  }
+
+  identifier(node) {
+    if (!node) return null;
+    if (node.children.Identifier) {
+      return node.children.Identifier[0].image;
+    }
+    const typeIdentifier = this.child(node, 'typeIdentifier');
+    return typeIdentifier ? this.identifier(typeIdentifier) : null;
+  }
+
+  child(node, name) {
+    return node?.children?.[name]?.[0] || null;
+  }
+
+  children(node, name) {
+    return node?.children?.[name] || [];
+  }
+
+  text(source, node) {
+    return source.slice(node.location.startOffset, node.location.endOffset + 1);
+  }
+}
@@ -0,0 +1,606 @@
+// src/utils/javaTemplates.js - Spring Boot sources rendered from a normalized schema (offline generator)
+import { identifierKey, quoteReserved } from './pgIdentifiers.js';
+import { enumClassName, normalizeDefault } from './pgTypes.js';
+
+const JAVA_KEYWORDS = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+  'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+  'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp',
+  'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+  'volatile', 'while', 'true', 'false', 'null', 'record', 'var', 'yield'
+]);
+
+const TEMPORAL_TYPES = new Set(['LocalDate', 'LocalTime', 'LocalDateTime', 'OffsetDateTime', 'OffsetTime']);
+
+const INDENT = '    ';
+
+export class JavaTemplates {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  // orders → Order, order_items → OrderItem, categories → Category
+  className(tableName) {
+    const words = this.words(tableName);
+    words[words.length - 1] = this.singular(words[words.length - 1]);
+    return words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  }
+
+  // customer_id → customerId, "firstName" → firstName, class → classValue
+  propertyName(columnName) {
+    const [first, ...rest] = this.words(columnName);
+    let name = first[0].toLowerCase() + first.slice(1) + rest.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    if (/^\d/.test(name)) name = `_${name}`;
+    return JAVA_KEYWORDS.has(name) ? `${name}Value` : name;
+  }
+
+  // OrderItem → orderItem for variables; OrderItem → order_item for default join columns
+  variableName(className) {
+    return className[0].toLowerCase() + className.slice(1);
+  }
+
+  snakeName(className) {
+    return className.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  words(name) {
+    const words = identifierKey(name).split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return words.length > 0 ? words : ['value'];
+  }
+
+  singular(word) {
+    if (/ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+    if (/(ss|x|ch|sh|us)es$/i.test(word)) return word.slice(0, -2);
+    if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  plural(word) {
+    if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|ch|sh)$/i.test(word)) return `${word}es`;
+    return `${word}s`;
+  }
+
+  /**
+   * Entity model of every table except pure many-to-many join tables: class name, id type and
+   * the members the entity template renders. Enum labels that are no Java identifier are reported
+   * in `warnings` because EnumType.STRING stores the constant name.
+   */
+  model(schema) {
+    const tables = new Map(schema.tables.map(table => [identifierKey(table.name), table]));
+    const joinTables = new Set(schema.tables
+      .flatMap(table => table.relationships || [])
+      .filter(relationship => relationship.type === 'many-to-many' && relationship.joinTable?.name)
+      .map(relationship => identifierKey(relationship.joinTable.name)));
+
+    const enums = (schema.enums || []).map(item => this.enumModel(item));
+    const warnings = enums.flatMap(item => item.warnings);
+    const enumsByClass = new Map(enums.map(item => [item.className, item]));
+
+    const entities = schema.tables
+      .filter(table => !joinTables.has(identifierKey(table.name)))
+      .map(table => this.entityModel(table, tables, enumsByClass));
+
+    return { entities, enums, warnings, skippedTables: [...joinTables] };
+  }
+
+  enumModel({ name, values }) {
+    const className = enumClassName(name);
+    const warnings = [];
+    const constants = values.map(value => {
+      if (/^[A-Za-z_$][\w$]*$/.test(value) && !JAVA_KEYWORDS.has(value)) return value;
+      const constant = value.toUpperCase().replace(/[^A-Z0-9_$]+/g, '_').replace(/^(\d)/, '_$1');
+      warnings.push(`Enum ${name}: label "${value}" is written as ${className}.${constant}; map it with an AttributeConverter if rows must keep the label`);
+      return constant;
+    });
+
+    return { name, className, values, constants, warnings };
+  }
+
+  entityModel(table, tables, enumsByClass) {
+    const className = this.className(table.name);
+    const primaryKey = this.primaryKeyColumns(table).map(identifierKey);
+    const composite = primaryKey.length > 1;
+    const imports = new Set(['jakarta.persistence.Column', 'jakarta.persistence.Entity', 'jakarta.persistence.Id', 'jakarta.persistence.Table']);
+    const associations = (table.relationships || []).map(relationship => this.association(table, relationship, tables, imports));
+    const replaced = new Set(associations.filter(item => item.replacesColumn).map(item => item.joinColumn));
+
+    const members = [];
+    const idMembers = [];
+    for (const field of table.fields) {
+      const key = identifierKey(field.name);
+      if (replaced.has(key) && !primaryKey.includes(key)) continue;
+
+      const member = this.fieldMember(field, primaryKey.includes(key), composite, enumsByClass, imports);
+      members.push(member);
+      if (member.id) idMembers.push(member);
+    }
+    members.push(...associations.map(item => item.member));
+
+    if (composite) imports.add('jakarta.persistence.IdClass');
+
+    return {
+      table,
+      className,
+      composite,
+      idClass: composite ? `${className}Id` : null,
+      idType: composite ? `${className}Id` : idMembers[0]?.type || null,
+      idProperty: composite ? null : idMembers[0]?.name || null,
+      idImports: composite ? [] : idMembers[0]?.imports || [],
+      idMembers,
+      members,
+      imports
+    };
+  }
+
+  primaryKeyColumns(table) {
+    if (Array.isArray(table.primaryKey) && table.primaryKey.length > 0) return table.primaryKey;
+    return table.fields.filter(field => field.primaryKey).map(field => field.name);
+  }
+
+  fieldMember(field, id, composite, enumsByClass, imports) {
+    const { type, typeImports } = this.javaType(field.javaType || 'String');
+    typeImports.forEach(item => imports.add(item));
+    const element = type.replace(/\[\]$/, '');
+    const annotations = [];
+    let initializer = null;
+
+    if (id) {
+      annotations.push('@Id');
+      if (field.autoIncrement && !composite) {
+        annotations.push('@GeneratedValue(strategy = GenerationType.IDENTITY)');
+        imports.add('jakarta.persistence.GeneratedValue').add('jakarta.persistence.GenerationType');
+      } else if (type === 'UUID' && /gen_random_uuid|uuid_generate/i.test(String(field.defaultValue || ''))) {
+        annotations.push('@GeneratedValue(strategy = GenerationType.UUID)');
+        imports.add('jakarta.persistence.GeneratedValue').add('jakarta.persistence.GenerationType');
+      }
+    }
+
+    const column = [`name = ${this.javaString(quoteReserved(field.name))}`];
+    if (!id && field.nullable === false) column.push('nullable = false');
+    if (!id && field.unique) column.push('unique = true');
+    if (field.length !== undefined && element === 'String') column.push(`length = ${field.length}`);
+    if (/^NUMERIC/.test(field.type) && field.precision !== undefined) {
+      column.push(`precision = ${field.precision}`);
+      if (field.scale !== undefined) column.push(`scale = ${field.scale}`);
+    }
+
+    const enumType = enumsByClass.get(element);
+    if (enumType) {
+      column.push(`columnDefinition = ${this.javaString(quoteReserved(enumType.name))}`);
+      annotations.push('@Enumerated(EnumType.STRING)', '@JdbcTypeCode(SqlTypes.NAMED_ENUM)');
+      imports.add('jakarta.persistence.EnumType').add('jakarta.persistence.Enumerated');
+      imports.add('org.hibernate.annotations.JdbcTypeCode').add('org.hibernate.type.SqlTypes');
+    } else if (/^JSONB?$/.test(field.type)) {
+      annotations.push('@JdbcTypeCode(SqlTypes.JSON)');
+      imports.add('org.hibernate.annotations.JdbcTypeCode').add('org.hibernate.type.SqlTypes');
+    } else if (/^INTERVAL/.test(field.type)) {
+      annotations.push('@JdbcTypeCode(SqlTypes.INTERVAL_SECOND)');
+      imports.add('org.hibernate.annotations.JdbcTypeCode').add('org.hibernate.type.SqlTypes');
+    }
+    annotations.push(`@Column(${column.join(', ')})`);
+
+    // Column defaults only apply when the INSERT leaves the column out, which Hibernate never does
+    if (field.defaultValue !== undefined && field.defaultValue !== null && !id) {
+      const value = normalizeDefault(String(field.defaultValue));
+      if (value === 'CURRENT_TIMESTAMP' && TEMPORAL_TYPES.has(type)) {
+        annotations.push('@CreationTimestamp');
+        imports.add('org.hibernate.annotations.CreationTimestamp');
+      } else {
+        initializer = this.initializer(value, type, enumType);
+      }
+    }
+
+    const validation = [];
+    if (!id && field.nullable === false && initializer === null && !annotations.includes('@CreationTimestamp')) {
+      validation.push('@NotNull');
+    }
+    if (field.length !== undefined && type === 'String') validation.push(`@Size(max = ${field.length})`);
+
+    return { name: this.propertyName(field.name), type, imports: typeImports, annotations, validation, initializer, id };
+  }
+
+  // Java literal for a column default, or null when it is an expression the database has to evaluate
+  initializer(value, type, enumType) {
+    if (enumType) {
+      const index = enumType.values.indexOf(value);
+      return index === -1 ? null : `${enumType.className}.${enumType.constants[index]}`;
+    }
+
+    const number = /^-?\d+(\.\d+)?$/.test(value);
+    switch (type) {
+      case 'String': return this.javaString(value);
+      case 'Boolean': return /^(true|false)$/i.test(value) ? value.toLowerCase() : null;
+      case 'Integer': return /^-?\d+$/.test(value) ? value : null;
+      case 'Short': return /^-?\d+$/.test(value) ? `(short) ${value}` : null;
+      case 'Long': return /^-?\d+$/.test(value) ? `${value}L` : null;
+      case 'Double': return number ? `${value}d` : null;
+      case 'Float': return number ? `${value}f` : null;
+      case 'BigDecimal': return number ? `new BigDecimal("${value}")` : null;
+      default: return null;
+    }
+  }
+
+  // java.util.Map<String, Object> → Map<String, Object> plus the import
+  javaType(javaType) {
+    const typeImports = [];
+    const type = javaType.replace(/\b((?:[a-z_]\w*\.)+)([A-Z]\w*)/g, (match, pkg, name) => {
+      if (pkg !== 'java.lang.') typeImports.push(`${pkg}${name}`);
+      return name;
+    });
+    return { type, typeImports };
+  }
+
+  association(table, relationship, tables, imports) {
+    const target = tables.get(identifierKey(relationship.target));
+    const targetClass = this.className(target.name);
+    const settings = [];
+    if (relationship.cascade?.length > 0) {
+      const cascade = relationship.cascade.map(value => `CascadeType.${String(value).toUpperCase()}`);
+      settings.push(`cascade = ${cascade.length === 1 ? cascade[0] : `{${cascade.join(', ')}}`}`);
+      imports.add('jakarta.persistence.CascadeType');
+    }
+
+    if (relationship.type === 'many-to-one' || relationship.type === 'one-to-one') {
+      const annotation = relationship.type === 'many-to-one' ? 'ManyToOne' : 'OneToOne';
+      const joinColumn = this.joinColumn(table, target, relationship.joinColumn);
+      const field = table.fields.find(item => identifierKey(item.name) === joinColumn);
+      const primaryKey = this.primaryKeyColumns(table).map(identifierKey);
+      const fetch = String(relationship.fetch || 'LAZY').toUpperCase();
+      imports.add(`jakarta.persistence.${annotation}`).add('jakarta.persistence.JoinColumn').add('jakarta.persistence.FetchType');
+      imports.add('com.fasterxml.jackson.annotation.JsonIgnoreProperties');
+
+      // A key column stays a plain attribute; the association then only reads it
+      const join = [`name = ${this.javaString(quoteReserved(field?.name || joinColumn))}`];
+      if (primaryKey.includes(joinColumn)) join.push('insertable = false', 'updatable = false');
+      else if (field?.nullable === false) join.push('nullable = false');
+
+      return {
+        joinColumn,
+        replacesColumn: true,
+        member: {
+          name: relationship.name || this.variableName(targetClass),
+          type: targetClass,
+          annotations: [
+            `@${annotation}(${[`fetch = FetchType.${fetch}`, ...settings].join(', ')})`,
+            `@JoinColumn(${join.join(', ')})`,
+            '@JsonIgnoreProperties({"hibernateLazyInitializer", "handler"})'
+          ],
+          validation: [],
+          initializer: null
+        }
+      };
+    }
+
+    imports.add('com.fasterxml.jackson.annotation.JsonIgnore');
+    if (relationship.fetch) {
+      settings.unshift(`fetch = FetchType.${String(relationship.fetch).toUpperCase()}`);
+      imports.add('jakarta.persistence.FetchType');
+    }
+
+    if (relationship.type === 'one-to-many') {
+      const joinColumn = this.joinColumn(target, table, relationship.joinColumn);
+      const inverse = (target.relationships || []).find(item => item.type === 'many-to-one'
+        && identifierKey(item.target) === identifierKey(table.name)
+        && this.joinColumn(target, table, item.joinColumn) === joinColumn);
+      const annotations = [];
+      imports.add('jakarta.persistence.OneToMany').add('java.util.ArrayList').add('java.util.List');
+
+      if (inverse) {
+        annotations.push(`@OneToMany(${[`mappedBy = "${inverse.name || this.variableName(this.className(table.name))}"`, ...settings].join(', ')})`);
+      } else {
+        // The target keeps the foreign key as a plain attribute, so this side only reads it
+        const field = target.fields.find(item => identifierKey(item.name) === joinColumn);
+        annotations.push(settings.length > 0 ? `@OneToMany(${settings.join(', ')})` : '@OneToMany');
+        annotations.push(`@JoinColumn(name = ${this.javaString(quoteReserved(field?.name || joinColumn))}, insertable = false, updatable = false)`);
+        imports.add('jakarta.persistence.JoinColumn');
+      }
+      annotations.push('@JsonIgnore');
+
+      return {
+        replacesColumn: false,
+        member: {
+          name: relationship.name || this.plural(this.variableName(targetClass)),
+          type: `List<${targetClass}>`,
+          annotations,
+          validation: [],
+          initializer: 'new ArrayList<>()'
+        }
+      };
+    }
+
+    const joinTable = relationship.joinTable || {};
+    const ownColumn = joinTable.joinColumn || `${this.snakeName(this.className(table.name))}_id`;
+    const targetColumn = joinTable.inverseJoinColumn || `${this.snakeName(targetClass)}_id`;
+    const name = joinTable.name || `${identifierKey(table.name)}_${identifierKey(target.name)}`;
+    imports.add('jakarta.persistence.ManyToMany').add('jakarta.persistence.JoinTable').add('jakarta.persistence.JoinColumn');
+    imports.add('java.util.HashSet').add('java.util.Set');
+
+    return {
+      replacesColumn: false,
+      member: {
+        name: relationship.name || this.plural(this.variableName(targetClass)),
+        type: `Set<${targetClass}>`,
+        annotations: [
+          settings.length > 0 ? `@ManyToMany(${settings.join(', ')})` : '@ManyToMany',
+          `@JoinTable(\n${INDENT}${INDENT}name = ${this.javaString(quoteReserved(name))},\n` +
+            `${INDENT}${INDENT}joinColumns = @JoinColumn(name = ${this.javaString(quoteReserved(ownColumn))}),\n` +
+            `${INDENT}${INDENT}inverseJoinColumns = @JoinColumn(name = ${this.javaString(quoteReserved(targetColumn))})\n${INDENT})`,
+          '@JsonIgnore'
+        ],
+        validation: [],
+        initializer: 'new HashSet<>()'
+      }
+    };
+  }
+
+  // Foreign key column of `holder` pointing at `referenced`: the explicit one or the only referencing field
+  joinColumn(holder, referenced, explicit) {
+    if (explicit) return identifierKey(explicit);
+    const field = holder.fields.find(item => item.references?.table
+      && identifierKey(item.references.table) === identifierKey(referenced.name));
+    return field ? identifierKey(field.name) : `${this.snakeName(this.className(referenced.name))}_id`;
+  }
+
+  entity(model, basePackage, { useLombok = true, includeValidation = true } = {}) {
+    const imports = new Set(model.imports);
+    if (useLombok) ['lombok.Getter', 'lombok.NoArgsConstructor', 'lombok.Setter'].forEach(item => imports.add(item));
+
+    const members = model.members.map(member => {
+      const validation = includeValidation ? member.validation : [];
+      if (validation.some(item => item === '@NotNull')) imports.add('jakarta.validation.constraints.NotNull');
+      if (validation.some(item => item.startsWith('@Size'))) imports.add('jakarta.validation.constraints.Size');
+
+      const lines = [...member.annotations, ...validation].map(annotation => `${INDENT}${annotation}`);
+      lines.push(`${INDENT}private ${member.type} ${member.name}${member.initializer ? ` = ${member.initializer}` : ''};`);
+      return lines.join('\n');
+    });
+
+    const annotations = ['@Entity', `@Table(name = ${this.javaString(quoteReserved(model.table.name))})`];
+    if (model.composite) annotations.push(`@IdClass(${model.idClass}.class)`);
+    if (useLombok) annotations.push('@Getter', '@Setter', '@NoArgsConstructor');
+
+    const body = [members.join('\n\n')];
+    if (!useLombok) body.push(this.accessors(model.members));
+
+    return `package ${basePackage}.entity;
+
+${this.importBlock(imports, `${basePackage}.entity`)}
+
+${annotations.join('\n')}
+public class ${model.className} {
+
+${body.join('\n\n')}
+}
+`;
+  }
+
+  accessors(members) {
+    return members.map(member => {
+      const suffix = member.name[0].toUpperCase() + member.name.slice(1);
+      return `${INDENT}public ${member.type} get${suffix}() {\n${INDENT}${INDENT}return ${member.name};\n${INDENT}}\n\n` +
+        `${INDENT}public void set${suffix}(${member.type} ${member.name}) {\n${INDENT}${INDENT}this.${member.name} = ${member.name};\n${INDENT}}`;
+    }).join('\n\n');
+  }
+
+  // Serializable key class for @IdClass with the same attribute names as the entity's @Id members
+  idClass(model, basePackage) {
+    const fields = model.idMembers;
+    const imports = new Set(['java.io.Serializable', 'java.util.Objects', ...fields.flatMap(field => field.imports)]);
+
+    const names = fields.map(field => field.name);
+    const parameters = fields.map(field => `${field.type} ${field.name}`).join(', ');
+
+    return `package ${basePackage}.entity;
+
+${this.importBlock(imports, `${basePackage}.entity`)}
+
+public class ${model.idClass} implements Serializable {
+
+${fields.map(field => `${INDENT}private ${field.type} ${field.name};`).join('\n')}
+
+${INDENT}public ${model.idClass}() {
+${INDENT}}
+
+${INDENT}public ${model.idClass}(${parameters}) {
+${names.map(name => `${INDENT}${INDENT}this.${name} = ${name};`).join('\n')}
+${INDENT}}
+
+${this.accessors(fields)}
+
+${INDENT}@Override
+${INDENT}public boolean equals(Object other) {
+${INDENT}${INDENT}if (this == other) return true;
+${INDENT}${INDENT}if (!(other instanceof ${model.idClass} that)) return false;
+${INDENT}${INDENT}return ${names.map(name => `Objects.equals(${name}, that.${name})`).join(' && ')};
+${INDENT}}
+
+${INDENT}@Override
+${INDENT}public int hashCode() {
+${INDENT}${INDENT}return Objects.hash(${names.join(', ')});
+${INDENT}}
+}
+`;
+  }
+
+  enumType(item, basePackage) {
+    return `package ${basePackage}.entity;
+
+public enum ${item.className} {
+${item.constants.map(constant => `${INDENT}${constant}`).join(',\n')}
+}
+`;
+  }
+
+  repository(model, basePackage) {
+    const imports = new Set([
+      `${basePackage}.entity.${model.className}`,
+      'org.springframework.data.jpa.repository.JpaRepository',
+      'org.springframework.stereotype.Repository',
+      ...model.idImports
+    ]);
+    if (model.composite) imports.add(`${basePackage}.entity.${model.idClass}`);
+
+    return `package ${basePackage}.repository;
+
+${this.importBlock(imports, null)}
+
+@Repository
+public interface ${model.className}Repository extends JpaRepository<${model.className}, ${model.idType}> {
+}
+`;
+  }
+
+  service(model, basePackage) {
+    const entity = model.className;
+    const repository = `${this.variableName(entity)}Repository`;
+    const variable = this.variableName(entity);
+    const idType = model.idType;
+    const setter = `set${model.idProperty[0].toUpperCase()}${model.idProperty.slice(1)}`;
+    const imports = new Set([
+      `${basePackage}.entity.${entity}`,
+      `${basePackage}.repository.${entity}Repository`,
+      'java.util.List',
+      'java.util.Optional',
+      'org.springframework.stereotype.Service',
+      'org.springframework.transaction.annotation.Transactional',
+      ...model.idImports
+    ]);
+
+    return `package ${basePackage}.service;
+
+${this.importBlock(imports, null)}
+
+@Service
+@Transactional
+public class ${entity}Service {
+
+${INDENT}private final ${entity}Repository ${repository};
+
+${INDENT}public ${entity}Service(${entity}Repository ${repository}) {
+${INDENT}${INDENT}this.${repository} = ${repository};
+${INDENT}}
+
+${INDENT}@Transactional(readOnly = true)
+${INDENT}public List<${entity}> findAll() {
+${INDENT}${INDENT}return ${repository}.findAll();
+${INDENT}}
+
+${INDENT}@Transactional(readOnly = true)
+${INDENT}public Optional<${entity}> findById(${idType} id) {
+${INDENT}${INDENT}return ${repository}.findById(id);
+${INDENT}}
+
+${INDENT}public ${entity} create(${entity} ${variable}) {
+${INDENT}${INDENT}return ${repository}.save(${variable});
+${INDENT}}
+
+${INDENT}public Optional<${entity}> update(${idType} id, ${entity} ${variable}) {
+${INDENT}${INDENT}if (!${repository}.existsById(id)) {
+${INDENT}${INDENT}${INDENT}return Optional.empty();
+${INDENT}${INDENT}}
+${INDENT}${INDENT}${variable}.${setter}(id);
+${INDENT}${INDENT}return Optional.of(${repository}.save(${variable}));
+${INDENT}}
+
+${INDENT}public boolean delete(${idType} id) {
+${INDENT}${INDENT}if (!${repository}.existsById(id)) {
+${INDENT}${INDENT}${INDENT}return false;
+${INDENT}${INDENT}}
+${INDENT}${INDENT}${repository}.deleteById(id);
+${INDENT}${INDENT}return true;
+${INDENT}}
+}
+`;
+  }
+
+  controller(model, basePackage, { includeValidation = true } = {}) {
+    const entity = model.className;
+    const service = `${this.variableName(entity)}Service`;
+    const variable = this.variableName(entity);
+    const idType = model.idType;
+    const getter = `get${model.idProperty[0].toUpperCase()}${model.idProperty.slice(1)}`;
+    const resource = `/api/${identifierKey(model.table.name).replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`;
+    const valid = includeValidation ? '@Valid ' : '';
+    const imports = new Set([
+      `${basePackage}.entity.${entity}`,
+      `${basePackage}.service.${entity}Service`,
+      'java.net.URI',
+      'java.util.List',
+      'org.springframework.http.ResponseEntity',
+      'org.springframework.web.bind.annotation.DeleteMapping',
+      'org.springframework.web.bind.annotation.GetMapping',
+      'org.springframework.web.bind.annotation.PathVariable',
+      'org.springframework.web.bind.annotation.PostMapping',
+      'org.springframework.web.bind.annotation.PutMapping',
+      'org.springframework.web.bind.annotation.RequestBody',
+      'org.springframework.web.bind.annotation.RequestMapping',
+      'org.springframework.web.bind.annotation.RestController',
+      ...model.idImports
+    ]);
+    if (includeValidation) imports.add('jakarta.validation.Valid');
+
+    return `package ${basePackage}.controller;
+
+${this.importBlock(imports, null)}
+
+@RestController
+@RequestMapping("${resource}")
+public class ${entity}Controller {
+
+${INDENT}private final ${entity}Service ${service};
+
+${INDENT}public ${entity}Controller(${entity}Service ${service}) {
+${INDENT}${INDENT}this.${service} = ${service};
+${INDENT}}
+
+${INDENT}@GetMapping
+${INDENT}public List<${entity}> findAll() {
+${INDENT}${INDENT}return ${service}.findAll();
+${INDENT}}
+
+${INDENT}@GetMapping("/{id}")
+${INDENT}public ResponseEntity<${entity}> findById(@PathVariable ${idType} id) {
+${INDENT}${INDENT}return ${service}.findById(id)
+${INDENT}${INDENT}${INDENT}${INDENT}.map(ResponseEntity::ok)
+${INDENT}${INDENT}${INDENT}${INDENT}.orElse(ResponseEntity.notFound().build());
+${INDENT}}
+
+${INDENT}@PostMapping
+${INDENT}public ResponseEntity<${entity}> create(${valid}@RequestBody ${entity} ${variable}) {
+${INDENT}${INDENT}${entity} created = ${service}.create(${variable});
+${INDENT}${INDENT}return ResponseEntity.created(URI.create("${resource}/" + created.${getter}())).body(created);
+${INDENT}}
+
+${INDENT}@PutMapping("/{id}")
+${INDENT}public ResponseEntity<${entity}> update(@PathVariable ${idType} id, ${valid}@RequestBody ${entity} ${variable}) {
+${INDENT}${INDENT}return ${service}.update(id, ${variable})
+${INDENT}${INDENT}${INDENT}${INDENT}.map(ResponseEntity::ok)
+${INDENT}${INDENT}${INDENT}${INDENT}.orElse(ResponseEntity.notFound().build());
+${INDENT}}
+
+${INDENT}@DeleteMapping("/{id}")
+${INDENT}public ResponseEntity<Void> delete(@PathVariable ${idType} id) {
+${INDENT}${INDENT}return ${service}.delete(id)
+${INDENT}${INDENT}${INDENT}${INDENT}? ResponseEntity.noContent().build()
+${INDENT}${INDENT}${INDENT}${INDENT}: ResponseEntity.notFound().build();
+${INDENT}}
+}
+`;
+  }
+
+  // Sorted imports without the ones from the class's own package
+  importBlock(imports, ownPackage) {
+    return [...imports]
+      .filter(item => !ownPackage || item.slice(0, item.lastIndexOf('.')) !== ownPackage)
+      .sort()
+      .map(item => `import ${item};`)
+      .join('\n');
+  }
+
+  // Java string literal; "order" → "\"order\"" keeps the quoting Hibernate needs
+  javaString(value) {
+    return JSON.stringify(String(value));
+  }
+}
@@ -32,6 +32,9 @@ export class Logger {
     
     // Request counter
     this.requestCounter = 0;
+
+    // Credentials that must never reach the log files
+    this.secrets = new Set();
     
     // Write startup message
     this.writeToFile('='.repeat(80));
@@ -42,9 +45,27 @@ export class Logger {
     this.writeToFile('='.repeat(80));
   }
 
+  // Mask a credential wherever it shows up in the log files; very short values are
+  // skipped because masking them would garble unrelated text
+  registerSecret(value) {
+    if (typeof value === 'string' && value.length >= 4) {
+      this.secrets.add(value);
+      // The escaped form is what ends up in JSON.stringify output
+      this.secrets.add(JSON.stringify(value).slice(1, -1));
+    }
+  }
+
+  redact(text) {
+    let redacted = String(text);
+    for (const secret of this.secrets) {
+      redacted = redacted.split(secret).join('***');
+    }
+    return redacted;
+  }
+
   writeToFile(message, file = this.mainLogFile) {
     const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}\n`;
+    const logEntry = `[${timestamp}] ${this.redact(message)}\n`;
     
     try {
       fs.appendFileSync(file, logEntry);
@@ -62,7 +83,7 @@ export class Logger {
           logs = JSON.parse(content);
         }
       }
-      logs.push(data);
+      logs.push(this.secrets.size > 0 ? JSON.parse(this.redact(JSON.stringify(data))) : data);
       fs.writeFileSync(this.jsonLogFile, JSON.stringify(logs, null, 2));
     } catch (error) {
       console.error('Failed to write JSON log:', error);
@@ -153,7 +174,8 @@ export class Logger {
     return requestId;
   }
 
-  logAdapterToMcp(requestId, endpoint, method, body) {
+  // meta carries the retry attempt and circuit breaker state of the call
+  logAdapterToMcp(requestId, endpoint, method, body, meta = {}) {
     const timestamp = new Date().toISOString();
     
     const logEntry = {
@@ -162,13 +184,15 @@ export class Logger {
       direction: 'ADAPTER_TO_MCP',
       endpoint,
       method,
-      body
+      body,
+      ...meta
     };
     
     // Write to request log
     this.writeToFile(`\n[REQUEST #${requestId}] ADAPTER → MCP SERVER`, this.requestLogFile);
     this.writeToFile(`Endpoint: ${endpoint}`, this.requestLogFile);
     this.writeToFile(`Method: ${method}`, this.requestLogFile);
+    if (meta.attempt) this.writeToFile(this.formatAttempt(meta), this.requestLogFile);
     this.writeToFile(`Body: ${JSON.stringify(body, null, 2)}`, this.requestLogFile);
     
     // Write to JSON log
@@ -178,9 +202,10 @@ export class Logger {
     console.error(chalk.yellow.bold(`\n🟡 [REQUEST #${requestId}] ADAPTER → MCP`));
     console.error(chalk.yellow(`   Endpoint: ${endpoint}`));
     console.error(chalk.yellow(`   Method: ${method}`));
+    if (meta.attempt) console.error(chalk.yellow(`   ${this.formatAttempt(meta)}`));
   }
 
-  logMcpResponse(requestId, status, response) {
+  logMcpResponse(requestId, status, response, meta = {}) {
     const timestamp = new Date().toISOString();
     
     const logEntry = {
@@ -188,12 +213,14 @@ export class Logger {
       timestamp,
       direction: 'MCP_TO_ADAPTER',
       status,
-      response
+      response,
+      ...meta
     };
     
     // Write to request log
     this.writeToFile(`\n[REQUEST #${requestId}] MCP → ADAPTER RESPONSE`, this.requestLogFile);
     this.writeToFile(`Status: ${status}`, this.requestLogFile);
+    if (meta.attempt) this.writeToFile(this.formatAttempt(meta), this.requestLogFile);
     this.writeToFile(`Response: ${JSON.stringify(response, null, 2)}`, this.requestLogFile);
     
     // Write to JSON log
@@ -202,6 +229,11 @@ export class Logger {
     // Console log
     console.error(chalk.green.bold(`\n🟢 [REQUEST #${requestId}] MCP → ADAPTER`));
     console.error(chalk.green(`   Status: ${status}`));
+    if (meta.attempt) console.error(chalk.green(`   ${this.formatAttempt(meta)}`));
+  }
+
+  formatAttempt({ attempt, maxAttempts, circuit }) {
+    return `Attempt: ${attempt}/${maxAttempts}${circuit ? ` | Circuit: ${circuit}` : ''}`;
   }
 
   logAdapterResponse(requestId, response, jsonrpcId) {
@@ -0,0 +1,108 @@
+// src/utils/migrationWriter.js - Flyway and Liquibase migration files in the generatedFiles format
+import { parse as parseYaml } from 'yaml';
+
+export const MIGRATION_TOOLS = ['flyway', 'liquibase', 'none'];
+
+export const MIGRATION_DIRECTORY = 'src/main/resources/db/migration';
+
+// Spring Boot's default spring.liquibase.change-log
+export const LIQUIBASE_MASTER = 'src/main/resources/db/changelog/db.changelog-master.yaml';
+
+// An existing master may be written in any format Liquibase reads
+export const LIQUIBASE_MASTER_FORMATS = ['yaml', 'yml', 'xml', 'json'];
+
+// Versions come from the Spring Boot BOM; Flyway 10+ needs the PostgreSQL module next to the core
+const DEPENDENCIES = {
+  flyway: [
+    { groupId: 'org.flywaydb', artifactId: 'flyway-core' },
+    { groupId: 'org.flywaydb', artifactId: 'flyway-database-postgresql' }
+  ],
+  liquibase: [
+    { groupId: 'org.liquibase', artifactId: 'liquibase-core' }
+  ]
+};
+
+export class MigrationWriter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  // V3__create_orders.sql; Liquibase uses the same name as a formatted SQL changelog
+  fileName(version, description) {
+    const slug = description.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'schema';
+    return `V${version}__${slug}.sql`;
+  }
+
+  migration(tool, fileName, sql) {
+    if (tool === 'liquibase') {
+      const id = fileName.replace(/\.sql$/, '');
+      return `-- liquibase formatted sql\n\n-- changeset mcp-adapter:${id}\n${sql}`;
+    }
+    return sql;
+  }
+
+  // Master changelog including every versioned file in order (includeAll would sort V10 before V2)
+  liquibaseMaster(fileNames) {
+    return `databaseChangeLog:\n${fileNames.map(name => this.liquibaseInclude(name)).join('')}`;
+  }
+
+  liquibaseInclude(fileName, indent = '  ') {
+    return `${indent}- include:\n${indent}    file: db/migration/${fileName}\n`;
+  }
+
+  /**
+   * The existing master changelog with an include of fileName added in its own format, or
+   * null when it already includes the file or an includeAll of db/migration picks it up.
+   */
+  liquibaseMasterWithInclude(content, format, fileName) {
+    if (format === 'xml') {
+      const includes = [...content.matchAll(/<include\s[^>]*\bfile\s*=\s*["']([^"']+)["']/g)].map(match => match[1]);
+      const includeAll = [...content.matchAll(/<includeAll\s[^>]*\bpath\s*=\s*["']([^"']+)["']/g)].map(match => match[1]);
+      if (this.isIncluded(fileName, includes, includeAll)) return null;
+
+      const close = content.lastIndexOf('</databaseChangeLog>');
+      if (close === -1) {
+        throw new Error('The master changelog has no </databaseChangeLog> element');
+      }
+      const indent = content.match(/^([ \t]+)<include/m)?.[1] || '    ';
+      const lineStart = content.lastIndexOf('\n', close) + 1;
+      const before = content.slice(lineStart, close).trim() === '' ? lineStart : close;
+      return `${content.slice(0, before)}${indent}<include file="db/migration/${fileName}"/>\n${content.slice(before)}`;
+    }
+
+    const changelog = format === 'json' ? JSON.parse(content) : parseYaml(content);
+    const entries = changelog?.databaseChangeLog;
+    if (!Array.isArray(entries)) {
+      throw new Error('The master changelog has no databaseChangeLog list');
+    }
+    const includes = entries.map(entry => entry?.include?.file).filter(Boolean);
+    const includeAll = entries.map(entry => entry?.includeAll?.path).filter(Boolean);
+    if (this.isIncluded(fileName, includes, includeAll)) return null;
+
+    if (format === 'json') {
+      changelog.databaseChangeLog.push({ include: { file: `db/migration/${fileName}` } });
+      return `${JSON.stringify(changelog, null, 2)}\n`;
+    }
+    // Appended as text, so comments and formatting of the existing entries stay as they are
+    const indent = content.match(/^([ \t]*)- (?:include|includeAll|changeSet)\b/m)?.[1] ?? '  ';
+    return `${content.replace(/\s*$/, '\n')}${this.liquibaseInclude(fileName, indent)}`;
+  }
+
+  isIncluded(fileName, includes, includeAll) {
+    const classpath = value => value.replace(/\\/g, '/').replace(/^classpath:\/?/, '').replace(/\/+$/, '');
+    return includes.some(file => classpath(file).split('/').pop() === fileName)
+      || includeAll.some(value => classpath(value).endsWith('db/migration'));
+  }
+
+  // <dependencies> snippet; FileService routes it into pom.xml or build.gradle(.kts)
+  dependencySnippet(tool) {
+    const dependencies = DEPENDENCIES[tool].map(dependency =>
+      `  <dependency>\n    <groupId>${dependency.groupId}</groupId>\n    <artifactId>${dependency.artifactId}</artifactId>\n  </dependency>`
+    );
+    return `<dependencies>\n${dependencies.join('\n')}\n</dependencies>\n`;
+  }
+
+  dependencyNames(tool) {
+    return DEPENDENCIES[tool].map(dependency => `${dependency.groupId}:${dependency.artifactId}`);
+  }
+}
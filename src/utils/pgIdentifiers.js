@@ -0,0 +1,35 @@
+// src/utils/pgIdentifiers.js - Table and column names as PostgreSQL reads them
+
+// Keywords PostgreSQL reserves for table and column names (reserved and "can be function or type")
+export const RESERVED_WORDS = new Set([
+  'all', 'analyse', 'analyze', 'and', 'any', 'array', 'as', 'asc', 'asymmetric', 'authorization',
+  'binary', 'both', 'case', 'cast', 'check', 'collate', 'collation', 'column', 'concurrently',
+  'constraint', 'create', 'cross', 'current_catalog', 'current_date', 'current_role',
+  'current_schema', 'current_time', 'current_timestamp', 'current_user', 'default', 'deferrable',
+  'desc', 'distinct', 'do', 'else', 'end', 'except', 'false', 'fetch', 'for', 'foreign', 'freeze',
+  'from', 'full', 'grant', 'group', 'having', 'ilike', 'in', 'initially', 'inner', 'intersect',
+  'into', 'is', 'isnull', 'join', 'lateral', 'leading', 'left', 'like', 'limit', 'localtime',
+  'localtimestamp', 'natural', 'not', 'notnull', 'null', 'offset', 'on', 'only', 'or', 'order',
+  'outer', 'overlaps', 'placing', 'primary', 'references', 'returning', 'right', 'select',
+  'session_user', 'similar', 'some', 'symmetric', 'system_user', 'table', 'tablesample', 'then',
+  'to', 'trailing', 'true', 'union', 'unique', 'user', 'using', 'variadic', 'verbose', 'when',
+  'where', 'window', 'with'
+]);
+
+export function isQuoted(name) {
+  return /^".*"$/.test(name);
+}
+
+export function isReservedWord(name) {
+  return !isQuoted(name) && RESERVED_WORDS.has(name.toLowerCase());
+}
+
+// Quote reserved names the way they have to appear in SQL: user → "user"
+export function quoteReserved(name) {
+  return isReservedWord(name) ? `"${name}"` : name;
+}
+
+// Unquoted names fold to lower case, so "Users" and users are different tables but USERS and users are not
+export function identifierKey(name) {
+  return isQuoted(name) ? name.slice(1, -1) : name.toLowerCase();
+}
@@ -0,0 +1,225 @@
+// src/utils/pgTypes.js - PostgreSQL type names as used in the tool schema
+import { identifierKey } from './pgIdentifiers.js';
+
+// Every spelling PostgreSQL accepts (DDL aliases, information_schema and udt names)
+const TYPE_ALIASES = {
+  'smallint': 'SMALLINT',
+  'int2': 'SMALLINT',
+  'integer': 'INTEGER',
+  'int': 'INTEGER',
+  'int4': 'INTEGER',
+  'bigint': 'BIGINT',
+  'int8': 'BIGINT',
+  'numeric': 'NUMERIC',
+  'decimal': 'NUMERIC',
+  'real': 'REAL',
+  'float4': 'REAL',
+  'double precision': 'DOUBLE PRECISION',
+  'float8': 'DOUBLE PRECISION',
+  'float': 'DOUBLE PRECISION',
+  'boolean': 'BOOLEAN',
+  'bool': 'BOOLEAN',
+  'character varying': 'VARCHAR',
+  'varchar': 'VARCHAR',
+  'character': 'CHAR',
+  'char': 'CHAR',
+  'bpchar': 'CHAR',
+  'text': 'TEXT',
+  'date': 'DATE',
+  'time': 'TIME',
+  'time without time zone': 'TIME',
+  'time with time zone': 'TIMETZ',
+  'timetz': 'TIMETZ',
+  'timestamp': 'TIMESTAMP',
+  'timestamp without time zone': 'TIMESTAMP',
+  'timestamp with time zone': 'TIMESTAMPTZ',
+  'timestamptz': 'TIMESTAMPTZ',
+  'interval': 'INTERVAL',
+  'uuid': 'UUID',
+  'json': 'JSON',
+  'jsonb': 'JSONB',
+  'bytea': 'BYTEA',
+  'inet': 'INET',
+  'cidr': 'CIDR',
+  'macaddr': 'MACADDR',
+  'money': 'MONEY',
+  'xml': 'XML',
+  'tsvector': 'TSVECTOR',
+  'bit': 'BIT',
+  'bit varying': 'VARBIT',
+  'varbit': 'VARBIT'
+};
+
+/**
+ * Canonical types with the Java type suggested for the entity attribute and the type
+ * modifier they accept: length (VARCHAR(100)), numeric (NUMERIC(12,2)) or fraction
+ * (fractional seconds, TIMESTAMP(3)).
+ */
+const TYPE_REGISTRY = {
+  'SMALLINT': { javaType: 'Short', integer: true },
+  'INTEGER': { javaType: 'Integer', integer: true },
+  'BIGINT': { javaType: 'Long', integer: true },
+  'NUMERIC': { javaType: 'java.math.BigDecimal', modifier: 'numeric' },
+  'REAL': { javaType: 'Float' },
+  'DOUBLE PRECISION': { javaType: 'Double' },
+  'MONEY': { javaType: 'java.math.BigDecimal' },
+  'BOOLEAN': { javaType: 'Boolean' },
+  'VARCHAR': { javaType: 'String', modifier: 'length' },
+  'CHAR': { javaType: 'String', modifier: 'length' },
+  'TEXT': { javaType: 'String' },
+  'DATE': { javaType: 'java.time.LocalDate' },
+  'TIME': { javaType: 'java.time.LocalTime', modifier: 'fraction' },
+  'TIMETZ': { javaType: 'java.time.OffsetTime', modifier: 'fraction' },
+  'TIMESTAMP': { javaType: 'java.time.LocalDateTime', modifier: 'fraction' },
+  'TIMESTAMPTZ': { javaType: 'java.time.OffsetDateTime', modifier: 'fraction' },
+  'INTERVAL': { javaType: 'java.time.Duration', modifier: 'fraction' },
+  'UUID': { javaType: 'java.util.UUID' },
+  'JSON': { javaType: 'java.util.Map<String, Object>' },
+  'JSONB': { javaType: 'java.util.Map<String, Object>' },
+  'BYTEA': { javaType: 'byte[]' },
+  'INET': { javaType: 'java.net.InetAddress' },
+  'CIDR': { javaType: 'String' },
+  'MACADDR': { javaType: 'String' },
+  'XML': { javaType: 'String' },
+  'TSVECTOR': { javaType: 'String' },
+  'BIT': { javaType: 'String', modifier: 'length' },
+  'VARBIT': { javaType: 'String', modifier: 'length' }
+};
+
+// serial pseudo-types are integer columns backed by a sequence
+export const SERIAL_TYPES = {
+  'smallserial': 'SMALLINT',
+  'serial2': 'SMALLINT',
+  'serial': 'INTEGER',
+  'serial4': 'INTEGER',
+  'bigserial': 'BIGINT',
+  'serial8': 'BIGINT'
+};
+
+// Property order of a field in the tool's inputSchema
+const FIELD_ORDER = ['name', 'type', 'javaType', 'length', 'precision', 'scale', 'primaryKey', 'autoIncrement', 'nullable', 'unique', 'defaultValue', 'references'];
+
+// Known properties in FIELD_ORDER, anything else (e.g. the deprecated foreignKey) after them
+export function orderField(field) {
+  return Object.fromEntries([
+    ...FIELD_ORDER.filter(key => field[key] !== undefined).map(key => [key, field[key]]),
+    ...Object.entries(field).filter(([key, value]) => !FIELD_ORDER.includes(key) && value !== undefined)
+  ]);
+}
+
+// Property order of a table; empty constraint lists are left out
+const TABLE_ORDER = ['name', 'fields', 'primaryKey', 'uniqueConstraints', 'indexes', 'checks', 'relationships'];
+
+export function orderTable(table) {
+  return Object.fromEntries(TABLE_ORDER
+    .filter(key => table[key] !== undefined && !(Array.isArray(table[key]) && table[key].length === 0 && key !== 'fields'))
+    .map(key => [key, key === 'fields' ? table.fields.map(orderField) : table[key]]));
+}
+
+/**
+ * Canonical upper-case type name, e.g. "character varying" → VARCHAR, "_int4" → INTEGER[].
+ * Unknown names are returned upper-cased with `known: false`.
+ */
+export function canonicalType(name) {
+  const normalized = name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (normalized.endsWith('[]')) {
+    const element = canonicalType(normalized.slice(0, -2));
+    return { type: `${element.type}[]`, known: element.known };
+  }
+  if (normalized.startsWith('_')) {
+    const element = canonicalType(normalized.slice(1));
+    return { type: `${element.type}[]`, known: element.known };
+  }
+
+  const type = TYPE_ALIASES[normalized];
+  return type ? { type, known: true } : { type: normalized.toUpperCase(), known: false };
+}
+
+/**
+ * Read a field type as written in the schema: "int8", "NUMERIC(12, 2)", "varchar(40)[]",
+ * "timestamp(3) with time zone", "bigserial" or the name of an enum declared in the schema.
+ * Inline modifiers are returned as length/precision/scale; `invalidModifiers` is set when
+ * the type does not take them.
+ */
+export function parseType(text, enums = new Map()) {
+  let name = String(text).trim();
+  let array = '';
+  while (name.endsWith('[]')) {
+    array += '[]';
+    name = name.slice(0, -2).trim();
+  }
+
+  const modifiers = name.match(/\(\s*(\d+)\s*(?:,\s*(-?\d+)\s*)?\)/);
+  if (modifiers) {
+    name = (name.slice(0, modifiers.index) + name.slice(modifiers.index + modifiers[0].length)).trim();
+  }
+
+  const key = name.toLowerCase().replace(/\s+/g, ' ');
+  const serial = SERIAL_TYPES[key];
+  const enumName = [...enums.keys()].find(item => identifierKey(item) === identifierKey(name));
+
+  let result;
+  if (serial) {
+    result = { type: serial, known: !array, serial: true };
+  } else if (enumName) {
+    result = { type: enumName, known: true, enum: true };
+  } else {
+    result = canonicalType(name);
+    if (result.type.endsWith('[]')) {
+      array = '[]';
+      result = { ...result, type: result.type.slice(0, -2) };
+    }
+  }
+
+  const info = TYPE_REGISTRY[result.type] || {};
+  result.base = result.type;
+  result.integer = Boolean(info.integer);
+  result.modifier = info.modifier || null;
+
+  if (modifiers) {
+    const [first, second] = [Number(modifiers[1]), modifiers[2] === undefined ? undefined : Number(modifiers[2])];
+    if (info.modifier === 'length' && second === undefined) {
+      result.length = first;
+    } else if (info.modifier === 'numeric') {
+      result.precision = first;
+      if (second !== undefined) result.scale = second;
+    } else if (info.modifier === 'fraction' && second === undefined) {
+      result.precision = first;
+    } else {
+      result.invalidModifiers = true;
+    }
+  }
+
+  result.type += array;
+  result.array = Boolean(array);
+  result.javaType = result.known ? javaType(result) : null;
+  return result;
+}
+
+// Suggested Java attribute type: BIGINT → Long, TEXT[] → String[], order_status → OrderStatus
+function javaType(parsed) {
+  const element = parsed.enum
+    ? enumClassName(parsed.base)
+    : TYPE_REGISTRY[parsed.base]?.javaType || 'String';
+
+  return parsed.array ? `${element.replace(/<.*>$/, '')}[]` : element;
+}
+
+export function enumClassName(name) {
+  return name.replace(/^"|"$/g, '').split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
+
+// 'active'::character varying → active, now() → CURRENT_TIMESTAMP
+export function normalizeDefault(expression) {
+  const value = expression.trim().replace(/::[\w\s."[\]]+$/g, '').trim();
+
+  if (/^now\(\)$|^CURRENT_TIMESTAMP$/i.test(value)) return 'CURRENT_TIMESTAMP';
+
+  const quoted = value.match(/^'((?:[^']|'')*)'$/);
+  if (quoted) return quoted[1].replace(/''/g, '\'');
+
+  return value.replace(/^\((.*)\)$/, '$1');
+}
@@ -0,0 +1,411 @@
+// src/utils/pomMerger.js - Structural merge of generated Maven fragments into an existing pom.xml
+import { XmlDocument } from './xmlDocument.js';
+
+// Artifacts whose versions the Spring Boot parent / spring-boot-dependencies BOM manages
+export const SPRING_BOOT_MANAGED_GROUPS = [
+  'org.springframework.boot',
+  'org.springframework.data',
+  'org.postgresql',
+  'org.projectlombok',
+  'org.flywaydb',
+  'org.liquibase',
+  'com.h2database',
+  'org.hibernate.orm',
+  'org.hibernate.validator',
+  'com.zaxxer',
+  'jakarta.validation',
+  'jakarta.persistence',
+  'org.testcontainers',
+  'com.fasterxml.jackson.core'
+];
+
+const SPRING_BOOT_BOMS = ['spring-boot-starter-parent', 'spring-boot-dependencies'];
+
+const DEFAULT_PLUGIN_GROUP = 'org.apache.maven.plugins';
+
+export class PomMerger {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Merge dependencies, properties and plugins from newContent (a full pom, a
+   * <dependencies> block or loose <dependency> elements) into existingContent.
+   * Only the places that change are touched, so the rest of the file keeps its
+   * formatting. Duplicates and version conflicts are reported through notes.
+   */
+  merge(existingContent, newContent) {
+    let existing;
+    let incoming;
+    try {
+      existing = XmlDocument.parse(existingContent);
+    } catch (error) {
+      throw new Error(`Cannot parse existing pom.xml: ${error.message}`);
+    }
+    try {
+      incoming = XmlDocument.parse(newContent);
+    } catch (error) {
+      throw new Error(`Cannot parse generated pom.xml content: ${error.message}`);
+    }
+
+    const project = existing.element(existing.root, 'project');
+    if (!project) {
+      throw new Error('Existing pom.xml has no <project> element');
+    }
+
+    const context = {
+      doc: existing,
+      project,
+      unit: existing.detectIndentUnit(),
+      edits: [],
+      notes: [],
+      properties: this.readProperties(existing, project),
+      managed: this.readManagedVersions(existing, project),
+      bom: this.detectSpringBootBom(existing, project)
+    };
+
+    const fragment = this.collectFragment(incoming);
+
+    this.mergeProperties(context, incoming, fragment.properties);
+    this.mergeDependencies(context, incoming, fragment.dependencies);
+    this.mergePlugins(context, incoming, fragment.plugins);
+
+    if (context.edits.length === 0 && context.notes.length === 0) {
+      context.notes.push('Nothing to merge into pom.xml');
+    }
+
+    return {
+      content: this.applyEdits(existingContent, context.edits),
+      notes: context.notes
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  collectFragment(doc) {
+    const fragment = { dependencies: [], properties: [], plugins: [] };
+    const project = doc.element(doc.root, 'project');
+
+    if (project) {
+      fragment.dependencies = doc.elements(doc.element(project, 'dependencies'), 'dependency');
+      fragment.properties = doc.elements(doc.element(project, 'properties'));
+      fragment.plugins = doc.elements(doc.element(project, 'build', 'plugins'), 'plugin');
+      return fragment;
+    }
+
+    // Loose snippets: <dependency>, <dependencies>, <properties>, <plugin>, <plugins>
+    for (const node of doc.elements(doc.root)) {
+      if (node.name === 'dependency') fragment.dependencies.push(node);
+      if (node.name === 'dependencies') fragment.dependencies.push(...doc.elements(node, 'dependency'));
+      if (node.name === 'properties') fragment.properties.push(...doc.elements(node));
+      if (node.name === 'plugin') fragment.plugins.push(node);
+      if (node.name === 'plugins') fragment.plugins.push(...doc.elements(node, 'plugin'));
+      if (node.name === 'build') fragment.plugins.push(...doc.elements(doc.element(node, 'plugins'), 'plugin'));
+    }
+
+    return fragment;
+  }
+
+  readProperties(doc, project) {
+    const properties = new Map();
+    for (const node of doc.elements(doc.element(project, 'properties'))) {
+      properties.set(node.name, { node, value: doc.text(node) });
+    }
+    return properties;
+  }
+
+  readManagedVersions(doc, project) {
+    const managed = new Map();
+    const dependencies = doc.element(project, 'dependencyManagement', 'dependencies');
+    for (const node of doc.elements(dependencies, 'dependency')) {
+      const coordinates = this.coordinates(doc, node);
+      managed.set(coordinates.key, coordinates);
+    }
+    return managed;
+  }
+
+  detectSpringBootBom(doc, project) {
+    const parent = doc.element(project, 'parent');
+    if (parent && SPRING_BOOT_BOMS.includes(doc.text(doc.element(parent, 'artifactId')))) {
+      return 'spring-boot-starter-parent';
+    }
+
+    for (const managed of this.readManagedVersions(doc, project).values()) {
+      if (managed.artifactId === 'spring-boot-dependencies' && managed.scope === 'import') {
+        return 'spring-boot-dependencies BOM';
+      }
+    }
+
+    return null;
+  }
+
+  coordinates(doc, node, defaultGroup = null) {
+    const value = name => doc.text(doc.element(node, name)) || null;
+    const groupId = value('groupId') || defaultGroup;
+    const artifactId = value('artifactId');
+    return {
+      groupId,
+      artifactId,
+      version: value('version'),
+      scope: value('scope'),
+      key: `${groupId}:${artifactId}`
+    };
+  }
+
+  resolveVersion(context, version) {
+    if (!version) return null;
+    return version.replace(/\$\{([^}]+)\}/g, (match, name) =>
+      context.properties.get(name)?.value ?? match
+    );
+  }
+
+  isManaged(context, coordinates) {
+    if (context.managed.has(coordinates.key)) {
+      return 'dependencyManagement';
+    }
+    if (context.bom && SPRING_BOOT_MANAGED_GROUPS.includes(coordinates.groupId)) {
+      return context.bom;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Merging
+  // ---------------------------------------------------------------------------
+
+  mergeProperties(context, incoming, nodes) {
+    const { doc, project, notes } = context;
+    const additions = [];
+
+    for (const node of nodes) {
+      const value = incoming.text(node);
+      const current = context.properties.get(node.name);
+
+      if (!current) {
+        additions.push(node);
+        context.properties.set(node.name, { node, value });
+        notes.push(`Added property ${node.name} = ${value}`);
+      } else if (current.value !== value) {
+        notes.push(`⚠️ Property conflict for ${node.name}: kept existing ${current.value}, generated value was ${value}`);
+      }
+    }
+
+    if (additions.length === 0) return;
+
+    const properties = doc.element(project, 'properties');
+    if (properties) {
+      this.appendChildren(context, properties, additions, incoming);
+    } else {
+      const before = doc.element(project, 'dependencyManagement') ||
+        doc.element(project, 'dependencies') ||
+        doc.element(project, 'build');
+      this.insertContainer(context, 'properties', additions, incoming, before);
+    }
+  }
+
+  mergeDependencies(context, incoming, nodes) {
+    const { doc, project, notes } = context;
+    const dependencies = doc.element(project, 'dependencies');
+    const existing = new Map(
+      doc.elements(dependencies, 'dependency').map(node => {
+        const coordinates = this.coordinates(doc, node);
+        return [coordinates.key, coordinates];
+      })
+    );
+
+    const additions = [];
+    for (const node of nodes) {
+      const coordinates = this.coordinates(incoming, node);
+
+      if (!coordinates.artifactId) {
+        notes.push('⚠️ Skipped a generated <dependency> without artifactId');
+        continue;
+      }
+
+      const current = existing.get(coordinates.key);
+      if (current) {
+        const currentVersion = this.resolveVersion(context, current.version);
+        const newVersion = this.resolveVersion(context, coordinates.version);
+        if (newVersion && currentVersion && currentVersion !== newVersion) {
+          notes.push(`⚠️ Version conflict for ${coordinates.key}: kept existing ${currentVersion}, generated version was ${newVersion}`);
+        } else {
+          notes.push(`Skipped duplicate dependency ${coordinates.key}`);
+        }
+        continue;
+      }
+
+      const managedBy = this.isManaged(context, coordinates);
+      let removeVersion = false;
+      if (coordinates.version && managedBy) {
+        const managedVersion = this.resolveVersion(context, context.managed.get(coordinates.key)?.version);
+        const newVersion = this.resolveVersion(context, coordinates.version);
+        if (managedVersion && newVersion !== managedVersion) {
+          notes.push(`⚠️ Version conflict for ${coordinates.key}: using ${managedVersion} from dependencyManagement, generated version was ${newVersion}`);
+        } else {
+          notes.push(`Dropped version ${coordinates.version} of ${coordinates.key} (managed by ${managedBy})`);
+        }
+        removeVersion = true;
+      }
+
+      existing.set(coordinates.key, coordinates);
+      additions.push({ node, removeVersion });
+      notes.push(`Added dependency ${coordinates.key}${coordinates.scope ? ` (${coordinates.scope})` : ''}`);
+    }
+
+    if (additions.length === 0) return;
+
+    const render = (indent) => additions
+      .map(({ node, removeVersion }) => this.renderElement(incoming, node, indent, context.unit, removeVersion ? ['version'] : []))
+      .join('\n');
+
+    if (dependencies) {
+      this.appendRendered(context, dependencies, render);
+    } else {
+      const before = doc.element(project, 'build') || doc.element(project, 'profiles');
+      this.insertRenderedContainer(context, 'dependencies', render, before);
+    }
+  }
+
+  mergePlugins(context, incoming, nodes) {
+    const { doc, project, notes } = context;
+    if (nodes.length === 0) return;
+
+    const build = doc.element(project, 'build');
+    const plugins = build && doc.element(build, 'plugins');
+    const existing = new Map(
+      doc.elements(plugins, 'plugin').map(node => {
+        const coordinates = this.coordinates(doc, node, DEFAULT_PLUGIN_GROUP);
+        return [coordinates.key, coordinates];
+      })
+    );
+
+    const additions = [];
+    for (const node of nodes) {
+      const coordinates = this.coordinates(incoming, node, DEFAULT_PLUGIN_GROUP);
+      const current = existing.get(coordinates.key);
+
+      if (current) {
+        const currentVersion = this.resolveVersion(context, current.version);
+        const newVersion = this.resolveVersion(context, coordinates.version);
+        if (newVersion && currentVersion && currentVersion !== newVersion) {
+          notes.push(`⚠️ Version conflict for plugin ${coordinates.key}: kept existing ${currentVersion}, generated version was ${newVersion}`);
+        } else {
+          notes.push(`Skipped duplicate plugin ${coordinates.key}`);
+        }
+        continue;
+      }
+
+      existing.set(coordinates.key, coordinates);
+      additions.push(node);
+      notes.push(`Added plugin ${coordinates.key}`);
+    }
+
+    if (additions.length === 0) return;
+
+    if (plugins) {
+      this.appendChildren(context, plugins, additions, incoming);
+    } else if (build) {
+      this.insertContainer(context, 'plugins', additions, incoming, null, build);
+    } else {
+      const unit = context.unit;
+      const render = indent => {
+        const children = additions.map(node => this.renderElement(incoming, node, indent + unit + unit, unit)).join('\n');
+        return `${indent}<build>\n${indent}${unit}<plugins>\n${children}\n${indent}${unit}</plugins>\n${indent}</build>`;
+      };
+      this.insertRendered(context, project, render, null);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Editing helpers
+  // ---------------------------------------------------------------------------
+
+  renderElement(sourceDoc, node, indent, unit, omit = []) {
+    if (omit.length === 0) {
+      return sourceDoc.serialize(node, indent, unit);
+    }
+
+    const filtered = {
+      ...node,
+      children: node.children.filter(child => !(child.type === 'element' && omit.includes(child.name)))
+    };
+    return sourceDoc.serialize(filtered, indent, unit);
+  }
+
+  childIndent(context, parent) {
+    const { doc, unit } = context;
+    const last = doc.elements(parent).pop();
+    return last ? doc.lineIndent(last.start) : doc.lineIndent(parent.start) + unit;
+  }
+
+  appendChildren(context, parent, nodes, sourceDoc) {
+    this.appendRendered(context, parent, indent =>
+      nodes.map(node => this.renderElement(sourceDoc, node, indent, context.unit)).join('\n')
+    );
+  }
+
+  // Insert rendered children just before the closing tag of parent
+  appendRendered(context, parent, render) {
+    const { doc } = context;
+    const indent = this.childIndent(context, parent);
+    const text = render(indent);
+
+    if (parent.selfClosing) {
+      const parentIndent = doc.lineIndent(parent.start);
+      this.addEdit(context, parent.start, `<${parent.name}${parent.attributes.replace(/\s+$/, '')}>\n${text}\n${parentIndent}</${parent.name}>`);
+      this.addEdit(context, parent.start, null, parent.end);
+      return;
+    }
+
+    const lineStart = doc.source.lastIndexOf('\n', parent.closeStart - 1) + 1;
+    if (lineStart > parent.openEnd && doc.source.slice(lineStart, parent.closeStart).trim() === '') {
+      this.addEdit(context, lineStart, `${text}\n`);
+    } else {
+      this.addEdit(context, parent.closeStart, `\n${text}\n${doc.lineIndent(parent.start)}`);
+    }
+  }
+
+  insertContainer(context, name, nodes, sourceDoc, before, parent = context.project) {
+    this.insertRenderedContainer(context, name, indent =>
+      nodes.map(node => this.renderElement(sourceDoc, node, indent, context.unit)).join('\n'),
+    before, parent);
+  }
+
+  insertRenderedContainer(context, name, renderChildren, before, parent = context.project) {
+    const unit = context.unit;
+    this.insertRendered(context, parent, indent =>
+      `${indent}<${name}>\n${renderChildren(indent + unit)}\n${indent}</${name}>`, before);
+  }
+
+  // Insert a new child element of parent, before the given sibling or at the end
+  insertRendered(context, parent, render, before) {
+    const { doc } = context;
+
+    if (before) {
+      const indent = doc.lineIndent(before.start);
+      this.addEdit(context, before.start, `${render(indent).slice(indent.length)}\n\n${indent}`);
+      return;
+    }
+
+    this.appendRendered(context, parent, indent => `\n${render(indent)}`);
+  }
+
+  addEdit(context, offset, text, removeUntil = null) {
+    context.edits.push({ offset, text, removeUntil, seq: context.edits.length });
+  }
+
+  applyEdits(source, edits) {
+    const ordered = [...edits].sort((a, b) => (b.offset - a.offset) || (b.seq - a.seq));
+    let result = source;
+    for (const edit of ordered) {
+      if (edit.removeUntil !== null) {
+        result = result.slice(0, edit.offset) + result.slice(edit.removeUntil);
+      } else {
+        result = result.slice(0, edit.offset) + edit.text + result.slice(edit.offset);
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,62 @@
+// src/utils/progressReporter.js - MCP progress notifications and phase timings of a tool call
+
+/**
+ * Sends `notifications/progress` for the request's `_meta.progressToken`; without a token
+ * (the client did not ask, or the tool runs from a script) only the timings are kept.
+ * `progress` never decreases, and `total` grows once the number of generated files is known.
+ */
+export class ProgressReporter {
+  constructor(notify, progressToken, logger) {
+    this.notify = notify;
+    this.progressToken = progressToken;
+    this.logger = logger;
+    this.progress = 0;
+    this.total = undefined;
+    this.phases = [];
+    this.startedAt = Date.now();
+  }
+
+  get enabled() {
+    return Boolean(this.notify) && this.progressToken !== undefined && this.progressToken !== null;
+  }
+
+  // Run one phase of the tool and record how long it took, also when it fails
+  async phase(name, work) {
+    const startedAt = Date.now();
+    try {
+      return await work();
+    } finally {
+      this.phases.push({ name, duration: Date.now() - startedAt });
+    }
+  }
+
+  async report(progress, total = this.total) {
+    this.progress = Math.max(this.progress, progress);
+    this.total = total === undefined ? undefined : Math.max(total, this.progress);
+    this.logger.debug(`📶 Progress ${this.progress}${this.total ? `/${this.total}` : ''}`);
+    if (!this.enabled) return;
+
+    try {
+      await this.notify({
+        method: 'notifications/progress',
+        params: {
+          progressToken: this.progressToken,
+          progress: this.progress,
+          ...(this.total !== undefined ? { total: this.total } : {})
+        }
+      });
+    } catch (error) {
+      // A client that went away must not fail the generation
+      this.logger.debug(`Progress notification failed: ${error.message}`);
+    }
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+}
+
+// 850 → 850ms, 12345 → 12.3s
+export function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
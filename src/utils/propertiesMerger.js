@@ -0,0 +1,155 @@
+// src/utils/propertiesMerger.js - Key-by-key merge for .properties files
+
+export class PropertiesMerger {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Merge generated properties into an existing file. Only missing keys are added; keys
+   * that already exist keep their value unless `override` is set. Comments, blank lines
+   * and backslash line continuations of the existing file are preserved.
+   */
+  merge(existingContent, newContent, { override = false } = {}) {
+    const notes = [];
+    const eol = existingContent.includes('\r\n') ? '\r\n' : '\n';
+    const lines = existingContent.split(/\r?\n/);
+    const existing = this.parse(lines);
+    const incomingLines = newContent.split(/\r?\n/);
+    const incoming = this.parse(incomingLines);
+
+    const byKey = new Map(existing.entries.map(entry => [entry.key, entry]));
+    const replacements = new Map();
+    const additions = [];
+
+    for (const entry of incoming.entries) {
+      const current = byKey.get(entry.key);
+
+      if (!current) {
+        additions.push(entry);
+        byKey.set(entry.key, entry);
+        notes.push(`Added ${entry.key}`);
+        continue;
+      }
+
+      if (current.value === entry.value) {
+        notes.push(`Skipped ${entry.key} (already set to the same value)`);
+        continue;
+      }
+
+      if (override && current.start !== undefined && !additions.includes(current)) {
+        replacements.set(current.start, { current, entry });
+        notes.push(`⚠️ Overrode ${entry.key}: was ${current.value}, now ${entry.value}`);
+      } else {
+        notes.push(`⚠️ Skipped ${entry.key}: kept existing ${current.value}, generated value was ${entry.value}`);
+      }
+    }
+
+    if (additions.length === 0 && replacements.size === 0) {
+      return { content: existingContent, notes };
+    }
+
+    const output = [];
+    for (let index = 0; index < lines.length; index++) {
+      const replacement = replacements.get(index);
+      if (replacement) {
+        output.push(...incomingLines.slice(replacement.entry.start, replacement.entry.end + 1));
+        index = replacement.current.end;
+      } else {
+        output.push(lines[index]);
+      }
+    }
+
+    if (additions.length > 0) {
+      // Drop trailing blank lines so the added block is separated by exactly one
+      while (output.length > 0 && output[output.length - 1].trim() === '') {
+        output.pop();
+      }
+      if (output.length > 0) {
+        output.push('');
+      }
+      output.push('# Added by MCP Integration');
+
+      for (const entry of additions) {
+        if (entry.blankBefore && output[output.length - 1] !== '# Added by MCP Integration') {
+          output.push('');
+        }
+        output.push(...incomingLines.slice(entry.commentStart, entry.end + 1));
+      }
+      output.push('');
+    }
+
+    return { content: output.join(eol), notes };
+  }
+
+  // Logical entries with their line span and the comment block directly above them
+  parse(lines) {
+    const entries = [];
+    let commentStart = null;
+    let blankBefore = false;
+
+    for (let index = 0; index < lines.length; index++) {
+      const trimmed = lines[index].trimStart();
+
+      if (trimmed === '') {
+        commentStart = null;
+        blankBefore = true;
+        continue;
+      }
+
+      if (trimmed.startsWith('#') || trimmed.startsWith('!')) {
+        if (commentStart === null) commentStart = index;
+        continue;
+      }
+
+      const start = index;
+      let logical = trimmed;
+      while (this.continues(lines[index]) && index + 1 < lines.length) {
+        logical = logical.slice(0, -1) + lines[++index].trimStart();
+      }
+
+      const { key, value } = this.splitEntry(logical);
+      entries.push({
+        key,
+        value,
+        start,
+        end: index,
+        commentStart: commentStart ?? start,
+        blankBefore
+      });
+
+      commentStart = null;
+      blankBefore = false;
+    }
+
+    return { entries };
+  }
+
+  // A line continues when it ends in an odd number of backslashes
+  continues(line) {
+    const trailing = line.match(/\\+$/);
+    return trailing !== null && trailing[0].length % 2 === 1;
+  }
+
+  // Key ends at the first unescaped '=', ':' or whitespace
+  splitEntry(logical) {
+    let index = 0;
+    while (index < logical.length) {
+      const char = logical[index];
+      if (char === '\\') {
+        index += 2;
+        continue;
+      }
+      if (char === '=' || char === ':' || /\s/.test(char)) break;
+      index++;
+    }
+
+    const key = this.unescape(logical.slice(0, index));
+    const value = logical.slice(index).replace(/^\s*[=:]?\s*/, '');
+    return { key, value };
+  }
+
+  unescape(text) {
+    return text.replace(/\\(.)/g, '$1');
+  }
+}
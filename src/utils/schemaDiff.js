@@ -0,0 +1,362 @@
+// src/utils/schemaDiff.js - Ordered ALTER change set from the current model to the requested schema
+import { DdlWriter } from './ddlWriter.js';
+import { identifierKey } from './pgIdentifiers.js';
+
+// Order in which the statements run: new types and tables first, destructive changes last
+const CHANGE_ORDER = [
+  'create_enum',
+  'add_enum_value',
+  'rename_table',
+  'create_table',
+  'rename_column',
+  'add_column',
+  'alter_column',
+  'drop_constraint',
+  'drop_index',
+  'add_constraint',
+  'add_index',
+  'drop_column'
+];
+
+export class SchemaDiff {
+  constructor(logger) {
+    this.logger = logger;
+    this.writer = new DdlWriter(logger);
+  }
+
+  /**
+   * Compare two normalized schemas. Tables that are missing from `requested` are left alone,
+   * so a request may cover only some tables; renames need `renamedFrom` on the table or field.
+   * Returns { changes, warnings }; every change is { kind, table, column?, description, sql },
+   * and a rename_column also has the previous name in `from`. A column missing from a requested
+   * table is only dropped with allowDrops, as a change marked `destructive`; otherwise it is
+   * kept, listed in `keptColumns` ({ table, field }) and warned about.
+   * PostgreSQL only lets a transaction use an enum value added by an earlier, committed one,
+   * so migrations put `add_enum_value` changes in a migration of their own (see splitEnumValues).
+   */
+  diff(current, requested, { allowDrops = false } = {}) {
+    this.writer.setEnums(requested.enums);
+    const changes = [];
+    const warnings = [];
+    const keptColumns = [];
+
+    this.diffEnums(current.enums || [], requested.enums || [], changes, warnings);
+
+    const currentTables = new Map(current.tables.map(table => [identifierKey(table.name), table]));
+    const existing = new Set(currentTables.keys());
+    const created = [];
+
+    for (const table of requested.tables) {
+      const key = identifierKey(table.name);
+      const previous = currentTables.get(key) || (table.renamedFrom && currentTables.get(identifierKey(table.renamedFrom)));
+
+      if (!previous) {
+        created.push(table);
+        continue;
+      }
+
+      if (identifierKey(previous.name) !== key) {
+        changes.push({
+          kind: 'rename_table',
+          table: table.name,
+          description: `Rename table ${previous.name} to ${table.name}`,
+          sql: `ALTER TABLE ${this.writer.name(previous.name)} RENAME TO ${this.writer.name(table.name)};`
+        });
+        existing.add(key);
+      }
+      this.diffTable(previous, table, changes, warnings, { allowDrops, keptColumns });
+    }
+
+    // New tables reference existing ones or come after the new tables they reference
+    for (const table of this.writer.sortByReferences(created)) {
+      const { statement, foreignKeys } = this.writer.createTable(table, existing);
+      existing.add(identifierKey(table.name));
+      changes.push({ kind: 'create_table', table: table.name, description: `Create table ${table.name}`, sql: statement });
+
+      for (const foreignKey of foreignKeys) {
+        changes.push({ kind: 'add_constraint', table: table.name, description: `Add deferred foreign key on ${table.name}`, sql: foreignKey });
+      }
+      for (const index of table.indexes || []) {
+        changes.push(this.addIndex(table, index));
+      }
+    }
+
+    // Array.prototype.sort is stable, so changes of one kind keep their schema order
+    changes.sort((a, b) => CHANGE_ORDER.indexOf(a.kind) - CHANGE_ORDER.indexOf(b.kind));
+    return { changes, warnings, keptColumns };
+  }
+
+  // [enum value additions, everything else]; the first must be committed before the second runs
+  splitEnumValues(changes) {
+    return [
+      changes.filter(change => change.kind === 'add_enum_value'),
+      changes.filter(change => change.kind !== 'add_enum_value')
+    ];
+  }
+
+  diffEnums(currentEnums, requestedEnums, changes, warnings) {
+    const byName = new Map(currentEnums.map(item => [identifierKey(item.name), item]));
+
+    for (const item of requestedEnums) {
+      const previous = byName.get(identifierKey(item.name));
+      if (!previous) {
+        changes.push({ kind: 'create_enum', table: null, description: `Create enum ${item.name}`, sql: this.writer.createType(item) });
+        continue;
+      }
+
+      item.values.forEach((value, index) => {
+        if (previous.values.includes(value)) return;
+
+        // Keep the declared order by inserting before the next value that already exists
+        const next = item.values.slice(index + 1).find(candidate => previous.values.includes(candidate));
+        changes.push({
+          kind: 'add_enum_value',
+          table: null,
+          enum: item.name,
+          description: `Add value '${value}' to enum ${item.name}`,
+          sql: `ALTER TYPE ${this.writer.name(item.name)} ADD VALUE ${this.writer.literal(value)}${next ? ` BEFORE ${this.writer.literal(next)}` : ''};`
+        });
+      });
+
+      const removed = previous.values.filter(value => !item.values.includes(value));
+      if (removed.length > 0) {
+        warnings.push(`Enum ${item.name} no longer lists ${removed.join(', ')}; PostgreSQL cannot drop enum values, so they are kept`);
+      }
+    }
+  }
+
+  diffTable(previous, table, changes, warnings, { allowDrops = false, keptColumns = [] } = {}) {
+    const tableName = this.writer.name(table.name);
+    const composite = this.writer.compositePrimaryKey(table);
+    const previousFields = new Map(previous.fields.map(field => [identifierKey(field.name), field]));
+    const kept = new Set();
+
+    for (const field of table.fields) {
+      const key = identifierKey(field.name);
+      const old = previousFields.get(key) || (field.renamedFrom && previousFields.get(identifierKey(field.renamedFrom)));
+
+      if (!old) {
+        let definition = this.writer.columnDefinition(field, composite);
+        if (field.references) definition += ` ${this.writer.references(field.references)}`;
+        changes.push({
+          kind: 'add_column',
+          table: table.name,
+          column: field.name,
+          description: `Add column ${table.name}.${field.name} (${this.writer.columnType(field)})`,
+          sql: `ALTER TABLE ${tableName} ADD COLUMN ${definition};`
+        });
+        if (field.nullable === false && !field.primaryKey && field.defaultValue === undefined && !field.autoIncrement) {
+          warnings.push(`${table.name}.${field.name} is NOT NULL without a default; the migration fails if ${table.name} already has rows`);
+        }
+        continue;
+      }
+
+      kept.add(identifierKey(old.name));
+      if (identifierKey(old.name) !== key) {
+        changes.push({
+          kind: 'rename_column',
+          table: table.name,
+          column: field.name,
+          from: old.name,
+          description: `Rename column ${table.name}.${old.name} to ${field.name}`,
+          sql: `ALTER TABLE ${tableName} RENAME COLUMN ${this.writer.name(old.name)} TO ${this.writer.name(field.name)};`
+        });
+      }
+      this.diffField(previous, table, old, field, changes);
+    }
+
+    // A field left out of the request may be an oversight; dropping it deletes its data
+    for (const field of previous.fields) {
+      if (kept.has(identifierKey(field.name))) continue;
+      if (!allowDrops) {
+        keptColumns.push({ table: table.name, field });
+        warnings.push(`${table.name}.${field.name} is not in the request; the column and its data are kept. Pass \`allowDrops: true\` to drop it`);
+        continue;
+      }
+      changes.push({
+        kind: 'drop_column',
+        table: table.name,
+        column: field.name,
+        destructive: true,
+        description: `Drop column ${table.name}.${field.name}`,
+        sql: `ALTER TABLE ${tableName} DROP COLUMN ${this.writer.name(field.name)};`
+      });
+      warnings.push(`Dropping ${table.name}.${field.name} deletes its data when the migration runs`);
+    }
+
+    if (this.primaryKeyKey(previous) !== this.primaryKeyKey(table)) {
+      warnings.push(`The primary key of ${table.name} changed; write that migration by hand`);
+    }
+
+    this.diffConstraints(previous, table, changes, warnings);
+  }
+
+  diffField(previousTable, table, old, field, changes) {
+    const tableName = this.writer.name(table.name);
+    const column = this.writer.name(field.name);
+    const label = `${table.name}.${field.name}`;
+    const alter = (description, clause) => changes.push({
+      kind: 'alter_column',
+      table: table.name,
+      column: field.name,
+      description,
+      sql: `ALTER TABLE ${tableName} ALTER COLUMN ${column} ${clause};`
+    });
+
+    const oldType = this.writer.columnType(old);
+    const newType = this.writer.columnType(field);
+    if (oldType !== newType) {
+      alter(`Change type of ${label} from ${oldType} to ${newType}`, `TYPE ${newType} USING ${column}::${newType}`);
+    }
+
+    const inKey = candidate => candidate.primaryKey || this.writer.compositePrimaryKey(table)?.some(name => identifierKey(name) === identifierKey(candidate.name));
+    if (!inKey(field) && (old.nullable === false) !== (field.nullable === false)) {
+      alter(field.nullable === false ? `Make ${label} NOT NULL` : `Make ${label} nullable`, field.nullable === false ? 'SET NOT NULL' : 'DROP NOT NULL');
+    }
+
+    const oldDefault = old.defaultValue ?? null;
+    const newDefault = field.defaultValue ?? null;
+    if (String(oldDefault) !== String(newDefault)) {
+      alter(newDefault === null ? `Drop the default of ${label}` : `Set the default of ${label} to ${newDefault}`,
+        newDefault === null ? 'DROP DEFAULT' : `SET DEFAULT ${this.writer.defaultValue(newDefault)}`);
+    }
+
+    if (Boolean(old.autoIncrement) !== Boolean(field.autoIncrement)) {
+      alter(field.autoIncrement ? `Make ${label} an identity column` : `Stop generating values for ${label}`,
+        field.autoIncrement ? 'ADD GENERATED BY DEFAULT AS IDENTITY' : 'DROP IDENTITY IF EXISTS');
+    }
+
+    // Constraints created with the column keep PostgreSQL's default names: <table>_<column>_key / _fkey
+    const defaultName = suffix => this.writer.name(`${identifierKey(previousTable.name)}_${identifierKey(old.name)}_${suffix}`);
+    const unique = candidate => Boolean(candidate.unique) && !(candidate.primaryKey && !this.writer.compositePrimaryKey(table));
+    if (unique(old) !== unique(field)) {
+      changes.push(unique(field)
+        ? { kind: 'add_constraint', table: table.name, column: field.name, description: `Make ${label} unique`, sql: `ALTER TABLE ${tableName} ADD UNIQUE (${column});` }
+        : { kind: 'drop_constraint', table: table.name, column: field.name, description: `Drop the unique constraint of ${label}`, sql: `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${defaultName('key')};` });
+    }
+
+    if (this.referenceKey(old.references) !== this.referenceKey(field.references)) {
+      if (old.references) {
+        changes.push({ kind: 'drop_constraint', table: table.name, column: field.name, description: `Drop the foreign key of ${label}`, sql: `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${defaultName('fkey')};` });
+      }
+      if (field.references) {
+        changes.push({
+          kind: 'add_constraint',
+          table: table.name,
+          column: field.name,
+          description: `Add foreign key ${label} → ${field.references.table}`,
+          sql: `ALTER TABLE ${tableName} ADD FOREIGN KEY (${column}) ${this.writer.references(field.references)};`
+        });
+      }
+    }
+  }
+
+  // Multi-column unique constraints, indexes and checks, matched by their definition
+  diffConstraints(previous, table, changes, warnings) {
+    const tableName = this.writer.name(table.name);
+    const columnsKey = columns => columns.map(identifierKey).join(',');
+
+    const uniqueKey = constraint => columnsKey(constraint.columns);
+    this.diffList(previous.uniqueConstraints, table.uniqueConstraints, uniqueKey, {
+      add: constraint => ({
+        kind: 'add_constraint',
+        table: table.name,
+        description: `Add unique constraint on ${table.name} (${constraint.columns.join(', ')})`,
+        sql: `ALTER TABLE ${tableName} ADD ${this.writer.constraintName(constraint.name)}UNIQUE (${this.writer.columns(constraint.columns)});`
+      }),
+      drop: constraint => ({
+        kind: 'drop_constraint',
+        table: table.name,
+        description: `Drop unique constraint on ${table.name} (${constraint.columns.join(', ')})`,
+        sql: `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${this.writer.name(constraint.name || `${identifierKey(previous.name)}_${constraint.columns.map(identifierKey).join('_')}_key`)};`
+      })
+    }, changes);
+
+    const indexKey = index => [columnsKey(index.columns), (index.method || 'btree').toLowerCase(), Boolean(index.unique), index.where || ''].join('|');
+    this.diffList(previous.indexes, table.indexes, indexKey, {
+      add: index => this.addIndex(table, index),
+      drop: index => ({
+        kind: 'drop_index',
+        table: table.name,
+        description: `Drop index ${this.writer.indexName(previous, index)}`,
+        sql: `DROP INDEX IF EXISTS ${this.writer.name(this.writer.indexName(previous, index))};`
+      })
+    }, changes);
+
+    const checkKey = check => check.expression.replace(/\s+/g, ' ').trim().toLowerCase();
+    this.diffList(previous.checks, table.checks, checkKey, {
+      add: check => ({
+        kind: 'add_constraint',
+        table: table.name,
+        description: `Add check ${check.expression} on ${table.name}`,
+        sql: `ALTER TABLE ${tableName} ADD ${this.writer.constraintName(check.name)}CHECK (${check.expression});`
+      }),
+      drop: check => {
+        if (!check.name) {
+          warnings.push(`CHECK (${check.expression}) on ${table.name} has no name; drop it by hand`);
+          return null;
+        }
+        return {
+          kind: 'drop_constraint',
+          table: table.name,
+          description: `Drop check ${check.name} on ${table.name}`,
+          sql: `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${this.writer.name(check.name)};`
+        };
+      }
+    }, changes);
+  }
+
+  diffList(previous = [], requested = [], key, { add, drop }, changes) {
+    const before = new Set(previous.map(key));
+    const after = new Set(requested.map(key));
+
+    for (const item of previous) {
+      const change = !after.has(key(item)) && drop(item);
+      if (change) changes.push(change);
+    }
+    for (const item of requested) {
+      if (!before.has(key(item))) changes.push(add(item));
+    }
+  }
+
+  addIndex(table, index) {
+    return {
+      kind: 'add_index',
+      table: table.name,
+      description: `Create index ${this.writer.indexName(table, index)} on ${table.name} (${index.columns.join(', ')})`,
+      sql: this.writer.createIndex(table, index)
+    };
+  }
+
+  primaryKeyKey(table) {
+    const columns = this.writer.compositePrimaryKey(table) || table.fields.filter(field => field.primaryKey).map(field => field.name);
+    return columns.map(identifierKey).join(',');
+  }
+
+  referenceKey(reference) {
+    if (!reference) return '';
+    return [
+      identifierKey(reference.table),
+      reference.column ? identifierKey(reference.column) : '',
+      String(reference.onDelete || '').toUpperCase(),
+      String(reference.onUpdate || '').toUpperCase()
+    ].join('|');
+  }
+
+  // Migration name for the change set: add_note_to_orders, add_order_status_values, alter_orders or alter_schema
+  migrationName(changes) {
+    if (changes.every(change => change.kind === 'add_enum_value')) {
+      const enums = [...new Set(changes.map(change => identifierKey(change.enum)))];
+      return enums.length === 1 ? `add_${enums[0]}_values` : 'add_enum_values';
+    }
+    if (changes.every(change => change.kind === 'create_table' || change.kind === 'create_enum')) {
+      const tables = changes.filter(change => change.kind === 'create_table').map(change => identifierKey(change.table));
+      return tables.length > 0 && tables.length <= 3 ? `create_${tables.join('_')}` : 'create_schema';
+    }
+    if (changes.length === 1 && changes[0].kind === 'add_column') {
+      return `add_${identifierKey(changes[0].column)}_to_${identifierKey(changes[0].table)}`;
+    }
+    const tables = [...new Set(changes.map(change => change.table).filter(Boolean).map(identifierKey))];
+    return tables.length === 1 ? `alter_${tables[0]}` : 'alter_schema';
+  }
+}
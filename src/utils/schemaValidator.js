@@ -0,0 +1,464 @@
+// src/utils/schemaValidator.js - Semantic checks of the schema argument before it is sent to the server
+import { canonicalType, parseType, SERIAL_TYPES } from './pgTypes.js';
+import { identifierKey, isReservedWord } from './pgIdentifiers.js';
+
+// Largest precision PostgreSQL accepts for NUMERIC and for fractional seconds
+const MAX_NUMERIC_PRECISION = 1000;
+const MAX_FRACTION_PRECISION = 6;
+
+export const RELATIONSHIP_TYPES = ['one-to-one', 'many-to-one', 'one-to-many', 'many-to-many'];
+export const CASCADE_TYPES = ['ALL', 'PERSIST', 'MERGE', 'REMOVE', 'REFRESH', 'DETACH'];
+export const FETCH_TYPES = ['LAZY', 'EAGER'];
+export const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+export const INDEX_METHODS = ['btree', 'hash', 'gin', 'gist', 'brin', 'spgist'];
+
+export class SchemaValidator {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Collect every problem instead of stopping at the first one. Each error is
+   * { path, message } where path points into the schema, e.g. tables[0].fields[2].type.
+   */
+  validate(schema) {
+    const errors = [];
+
+    if (!schema || !Array.isArray(schema.tables) || schema.tables.length === 0) {
+      errors.push({ path: 'tables', message: 'The schema must contain at least one table' });
+      return errors;
+    }
+
+    // Field types are resolved against the enums declared in this schema
+    this.enums = this.checkEnums(schema.enums, errors);
+
+    const tableNames = new Map();
+    const indexNames = new Map();
+    schema.tables.forEach((table, tableIndex) => {
+      const tablePath = `tables[${tableIndex}]`;
+
+      if (!table || typeof table.name !== 'string' || !table.name.trim()) {
+        errors.push({ path: `${tablePath}.name`, message: 'Table name is missing' });
+      } else {
+        this.checkName(table.name, `${tablePath}.name`, 'Table', tableNames, errors);
+      }
+
+      const label = table?.name ? `Table "${table.name}"` : 'Table';
+      if (!Array.isArray(table?.fields) || table.fields.length === 0) {
+        errors.push({ path: `${tablePath}.fields`, message: `${label} has no fields` });
+        return;
+      }
+
+      const fieldNames = new Map();
+      table.fields.forEach((field, fieldIndex) => {
+        this.checkField(field, `${tablePath}.fields[${fieldIndex}]`, fieldNames, errors);
+      });
+
+      this.checkConstraints(table, tablePath, indexNames, errors);
+
+      if (this.primaryKeyColumns(table).length === 0) {
+        errors.push({ path: tablePath, message: `${label} has no primary key` });
+      }
+    });
+
+    // Foreign keys and relationships can point at any table, so they are checked once all names are known
+    const tables = this.indexTables(schema.tables);
+    schema.tables.forEach((table, tableIndex) => {
+      const tablePath = `tables[${tableIndex}]`;
+      if (!table || !Array.isArray(table.fields)) return;
+
+      table.fields.forEach((field, fieldIndex) => {
+        if (field?.references) {
+          this.checkReference(field, `${tablePath}.fields[${fieldIndex}].references`, tables, errors);
+        }
+      });
+
+      this.list(table.relationships, `${tablePath}.relationships`, errors).forEach((relationship, index) => {
+        this.checkRelationship(table, relationship, `${tablePath}.relationships[${index}]`, tables, errors);
+      });
+    });
+
+    return errors;
+  }
+
+  // Enum types declared with the schema as [{ name, values }]; returns name → values
+  checkEnums(enums, errors) {
+    const declared = new Map();
+    const names = new Map();
+
+    this.list(enums, 'enums', errors).forEach((item, index) => {
+      const enumPath = `enums[${index}]`;
+      if (!item || typeof item.name !== 'string' || !item.name.trim()) {
+        errors.push({ path: `${enumPath}.name`, message: 'Enum name is missing' });
+        return;
+      }
+
+      this.checkName(item.name, `${enumPath}.name`, 'Enum', names, errors);
+      const builtIn = canonicalType(item.name).known || SERIAL_TYPES[item.name.toLowerCase()];
+      if (builtIn) {
+        errors.push({ path: `${enumPath}.name`, message: `Enum name "${item.name}" is already a PostgreSQL type` });
+      }
+
+      if (!Array.isArray(item.values) || item.values.length === 0) {
+        errors.push({ path: `${enumPath}.values`, message: `Enum "${item.name}" has no values` });
+      } else {
+        const seen = new Set();
+        item.values.forEach((value, valueIndex) => {
+          if (typeof value !== 'string' || !value) {
+            errors.push({ path: `${enumPath}.values[${valueIndex}]`, message: 'Enum value must be a non-empty string' });
+          } else if (seen.has(value)) {
+            errors.push({ path: `${enumPath}.values[${valueIndex}]`, message: `Enum value "${value}" is listed twice` });
+          }
+          seen.add(value);
+        });
+      }
+
+      if (!builtIn && !declared.has(item.name)) declared.set(item.name, item.values);
+    });
+
+    return declared;
+  }
+
+  // Table-level primaryKey, uniqueConstraints, indexes and checks
+  checkConstraints(table, tablePath, indexNames, errors) {
+    const fields = new Map(table.fields
+      .filter(field => typeof field?.name === 'string')
+      .map(field => [identifierKey(field.name), field]));
+
+    const checkColumns = (columns, columnsPath) => {
+      if (!Array.isArray(columns) || columns.length === 0) {
+        errors.push({ path: columnsPath, message: 'At least one column is required' });
+        return false;
+      }
+
+      const seen = new Set();
+      columns.forEach((column, index) => {
+        const key = identifierKey(String(column));
+        if (!fields.has(key)) {
+          errors.push({ path: `${columnsPath}[${index}]`, message: `Column "${column}" does not exist in table "${table.name}"` });
+        } else if (seen.has(key)) {
+          errors.push({ path: `${columnsPath}[${index}]`, message: `Column "${column}" is listed twice` });
+        }
+        seen.add(key);
+      });
+      return true;
+    };
+
+    // Index names share one namespace across the whole schema
+    const checkIndexName = (name, namePath) => {
+      if (name === undefined) return;
+      const key = identifierKey(String(name));
+      if (indexNames.has(key)) {
+        errors.push({ path: namePath, message: `Duplicate index or constraint name "${name}" (already used at ${indexNames.get(key)})` });
+      } else {
+        indexNames.set(key, namePath);
+      }
+    };
+
+    if (table.primaryKey !== undefined) {
+      const keyPath = `${tablePath}.primaryKey`;
+      if (checkColumns(table.primaryKey, keyPath)) {
+        const columns = new Set(table.primaryKey.map(column => identifierKey(String(column))));
+        table.fields.forEach((field, index) => {
+          if (field?.primaryKey && typeof field.name === 'string' && !columns.has(identifierKey(field.name))) {
+            errors.push({ path: `${tablePath}.fields[${index}].primaryKey`, message: `Field "${field.name}" is marked primaryKey but is not part of the table primaryKey` });
+          }
+        });
+      }
+    }
+
+    this.list(table.uniqueConstraints, `${tablePath}.uniqueConstraints`, errors).forEach((constraint, index) => {
+      const constraintPath = `${tablePath}.uniqueConstraints[${index}]`;
+      checkColumns(constraint?.columns, `${constraintPath}.columns`);
+      checkIndexName(constraint?.name, `${constraintPath}.name`);
+    });
+
+    this.list(table.indexes, `${tablePath}.indexes`, errors).forEach((index, position) => {
+      const indexPath = `${tablePath}.indexes[${position}]`;
+      checkIndexName(index?.name, `${indexPath}.name`);
+
+      const method = String(index?.method || 'btree').toLowerCase();
+      if (!INDEX_METHODS.includes(method)) {
+        errors.push({ path: `${indexPath}.method`, message: `Unknown index method "${index.method}"; use one of ${INDEX_METHODS.join(', ')}` });
+      }
+      if (index?.unique && method !== 'btree') {
+        errors.push({ path: `${indexPath}.unique`, message: `Only btree indexes can be unique, not ${method}` });
+      }
+      if (index?.where !== undefined && (typeof index.where !== 'string' || !index.where.trim())) {
+        errors.push({ path: `${indexPath}.where`, message: 'Partial index predicate must be a non-empty SQL expression' });
+      }
+
+      if (!checkColumns(index?.columns, `${indexPath}.columns`) || method !== 'gin') return;
+
+      // gin has default operator classes only for jsonb, arrays and full-text columns
+      index.columns.forEach((column, columnIndex) => {
+        const field = fields.get(identifierKey(String(column)));
+        const type = field && typeof field.type === 'string' ? this.resolveType(field.type) : null;
+        if (type?.known && type.type !== 'JSONB' && !type.type.endsWith('[]')) {
+          errors.push({ path: `${indexPath}.columns[${columnIndex}]`, message: `gin cannot index ${type.type} column "${column}"; use it for JSONB or array columns` });
+        }
+      });
+    });
+
+    this.list(table.checks, `${tablePath}.checks`, errors).forEach((check, index) => {
+      const checkPath = `${tablePath}.checks[${index}]`;
+      if (typeof check?.expression !== 'string' || !check.expression.trim()) {
+        errors.push({ path: `${checkPath}.expression`, message: 'CHECK expression is missing' });
+      }
+    });
+  }
+
+  list(value, listPath, errors) {
+    if (value === undefined) return [];
+    if (Array.isArray(value)) return value;
+    errors.push({ path: listPath, message: 'Must be a list' });
+    return [];
+  }
+
+  primaryKeyColumns(table) {
+    if (Array.isArray(table.primaryKey) && table.primaryKey.length > 0) return table.primaryKey;
+    return table.fields.filter(field => field?.primaryKey).map(field => field.name);
+  }
+
+  // identifierKey(table name) → { table, fields: identifierKey(field name) → field }; first definition wins
+  indexTables(tables) {
+    const index = new Map();
+    for (const table of tables) {
+      if (typeof table?.name !== 'string' || !Array.isArray(table.fields) || index.has(identifierKey(table.name))) continue;
+
+      const fields = new Map();
+      for (const field of table.fields) {
+        if (typeof field?.name === 'string' && !fields.has(identifierKey(field.name))) {
+          fields.set(identifierKey(field.name), field);
+        }
+      }
+      index.set(identifierKey(table.name), { table, fields });
+    }
+    return index;
+  }
+
+  checkReference(field, referencePath, tables, errors) {
+    const { table: tableName, column, onDelete, onUpdate } = field.references;
+
+    for (const [key, action] of Object.entries({ onDelete, onUpdate })) {
+      if (action !== undefined && !REFERENTIAL_ACTIONS.includes(String(action).toUpperCase())) {
+        errors.push({ path: `${referencePath}.${key}`, message: `Unknown referential action "${action}"; use one of ${REFERENTIAL_ACTIONS.join(', ')}` });
+      }
+    }
+
+    if (typeof tableName !== 'string' || !tableName) {
+      errors.push({ path: `${referencePath}.table`, message: 'Referenced table is missing' });
+      return;
+    }
+
+    const target = tables.get(identifierKey(tableName));
+    if (!target) {
+      errors.push({ path: `${referencePath}.table`, message: `Referenced table "${tableName}" is not in the schema` });
+      return;
+    }
+
+    let referenced;
+    if (column) {
+      referenced = target.fields.get(identifierKey(column));
+      if (!referenced) {
+        errors.push({ path: `${referencePath}.column`, message: `Referenced column "${column}" does not exist in table "${tableName}"` });
+        return;
+      }
+      if (!this.isUniqueColumn(target.table, referenced)) {
+        errors.push({ path: `${referencePath}.column`, message: `Referenced column "${tableName}.${column}" must be a primary key or unique` });
+      }
+    } else {
+      const keys = this.primaryKeyColumns(target.table);
+      if (keys.length !== 1) {
+        errors.push({ path: `${referencePath}.column`, message: `Table "${tableName}" has ${keys.length === 0 ? 'no primary key' : 'a composite primary key'}; name the referenced column` });
+        return;
+      }
+      referenced = target.fields.get(identifierKey(String(keys[0])));
+      if (!referenced) return;
+    }
+
+    const own = this.resolveType(String(field.type || ''));
+    const other = this.resolveType(String(referenced.type || ''));
+    if (own.known && other.known && own.type !== other.type) {
+      errors.push({ path: referencePath, message: `Type ${own.type} does not match the referenced column "${tableName}.${referenced.name}" (${other.type})` });
+    }
+  }
+
+  // A foreign key must point at a single-column primary key or unique constraint
+  isUniqueColumn(table, field) {
+    const key = identifierKey(field.name);
+    const single = columns => Array.isArray(columns) && columns.length === 1 && identifierKey(String(columns[0])) === key;
+
+    return Boolean(field.unique) ||
+      single(this.primaryKeyColumns(table)) ||
+      (table.uniqueConstraints || []).some(constraint => single(constraint?.columns)) ||
+      (table.indexes || []).some(index => index?.unique && !index.where && single(index.columns));
+  }
+
+  checkRelationship(table, relationship, relationshipPath, tables, errors) {
+    if (!relationship || typeof relationship !== 'object') {
+      errors.push({ path: relationshipPath, message: 'Relationship must be an object' });
+      return;
+    }
+
+    const { type, target: targetName, joinColumn, joinTable, cascade, fetch } = relationship;
+
+    if (!RELATIONSHIP_TYPES.includes(type)) {
+      errors.push({ path: `${relationshipPath}.type`, message: `Unknown relationship type "${type}"; use one of ${RELATIONSHIP_TYPES.join(', ')}` });
+    }
+
+    for (const [index, value] of (Array.isArray(cascade) ? cascade : [cascade]).entries()) {
+      if (value !== undefined && !CASCADE_TYPES.includes(String(value).toUpperCase())) {
+        errors.push({ path: `${relationshipPath}.cascade[${index}]`, message: `Unknown cascade type "${value}"; use one of ${CASCADE_TYPES.join(', ')}` });
+      }
+    }
+
+    if (fetch !== undefined && !FETCH_TYPES.includes(String(fetch).toUpperCase())) {
+      errors.push({ path: `${relationshipPath}.fetch`, message: `Unknown fetch type "${fetch}"; use LAZY or EAGER` });
+    }
+
+    const own = tables.get(identifierKey(String(table.name)));
+    const target = typeof targetName === 'string' ? tables.get(identifierKey(targetName)) : null;
+    if (!target) {
+      errors.push({ path: `${relationshipPath}.target`, message: targetName ? `Target table "${targetName}" is not in the schema` : 'Target table is missing' });
+      return;
+    }
+    if (!own) return;
+
+    if (type === 'one-to-one' || type === 'many-to-one') {
+      this.checkJoinColumn(own, target, joinColumn, relationshipPath, errors);
+    } else if (type === 'one-to-many') {
+      this.checkJoinColumn(target, own, joinColumn, relationshipPath, errors);
+    } else if (type === 'many-to-many' && joinTable?.name) {
+      const join = tables.get(identifierKey(joinTable.name));
+      if (!join) return;
+
+      for (const key of ['joinColumn', 'inverseJoinColumn']) {
+        if (joinTable[key] && !join.fields.has(identifierKey(joinTable[key]))) {
+          errors.push({ path: `${relationshipPath}.joinTable.${key}`, message: `Column "${joinTable[key]}" does not exist in join table "${joinTable.name}"` });
+        }
+      }
+    }
+  }
+
+  // The foreign key column lives in `holder` and must point at `referenced`
+  checkJoinColumn(holder, referenced, joinColumn, relationshipPath, errors) {
+    const holderName = holder.table.name;
+    const referencedKey = identifierKey(referenced.table.name);
+
+    if (joinColumn) {
+      const field = holder.fields.get(identifierKey(joinColumn));
+      if (!field) {
+        errors.push({ path: `${relationshipPath}.joinColumn`, message: `Join column "${joinColumn}" does not exist in table "${holderName}"` });
+      } else if (field.references?.table && identifierKey(field.references.table) !== referencedKey) {
+        errors.push({ path: `${relationshipPath}.joinColumn`, message: `Join column "${holderName}.${joinColumn}" references "${field.references.table}", not "${referenced.table.name}"` });
+      }
+      return;
+    }
+
+    const candidates = [...holder.fields.values()]
+      .filter(field => field.references?.table && identifierKey(field.references.table) === referencedKey);
+    if (candidates.length !== 1) {
+      errors.push({
+        path: `${relationshipPath}.joinColumn`,
+        message: candidates.length === 0
+          ? `No column of "${holderName}" references "${referenced.table.name}"; add \`references\` to the foreign key field or set joinColumn`
+          : `Several columns of "${holderName}" reference "${referenced.table.name}" (${candidates.map(field => field.name).join(', ')}); set joinColumn`
+      });
+    }
+  }
+
+  checkField(field, fieldPath, fieldNames, errors) {
+    if (!field || typeof field.name !== 'string' || !field.name.trim()) {
+      errors.push({ path: `${fieldPath}.name`, message: 'Field name is missing' });
+    } else {
+      this.checkName(field.name, `${fieldPath}.name`, 'Field', fieldNames, errors);
+    }
+
+    if (!field || typeof field.type !== 'string' || !field.type.trim()) {
+      errors.push({ path: `${fieldPath}.type`, message: 'Field type is missing' });
+      return;
+    }
+
+    const type = this.resolveType(field.type);
+    if (!type.known) {
+      const enums = this.enums?.size ? `; declared enums: ${[...this.enums.keys()].join(', ')}` : '';
+      errors.push({ path: `${fieldPath}.type`, message: `Unknown PostgreSQL type "${field.type}"${enums}` });
+      return;
+    }
+    if (type.invalidModifiers) {
+      errors.push({ path: `${fieldPath}.type`, message: `Invalid type modifiers in "${field.type}" for ${type.base}` });
+      return;
+    }
+
+    this.checkModifiers(field, type, fieldPath, errors);
+
+    if (field.autoIncrement && (!type.integer || type.array)) {
+      errors.push({ path: `${fieldPath}.autoIncrement`, message: `autoIncrement is only valid for SMALLINT, INTEGER and BIGINT, not ${type.type}` });
+    }
+  }
+
+  // length, precision and scale, given as properties or inline in the type, e.g. NUMERIC(12,2)
+  checkModifiers(field, type, fieldPath, errors) {
+    for (const key of ['length', 'precision', 'scale']) {
+      const value = field[key];
+      if (value === undefined || value === null) continue;
+
+      if (type[key] !== undefined && type[key] !== value) {
+        errors.push({ path: `${fieldPath}.${key}`, message: `${key} ${value} contradicts the type "${field.type}"` });
+      }
+    }
+
+    const length = field.length ?? type.length;
+    const precision = field.precision ?? type.precision;
+    const scale = field.scale ?? type.scale;
+    const isSet = value => value !== undefined && value !== null;
+
+    if (isSet(length)) {
+      if (type.modifier !== 'length') {
+        errors.push({ path: `${fieldPath}.length`, message: `length is only valid for VARCHAR, CHAR, BIT and VARBIT, not ${type.type}` });
+      } else if (!Number.isInteger(length) || length < 1) {
+        errors.push({ path: `${fieldPath}.length`, message: `length must be a positive integer, got ${JSON.stringify(length)}` });
+      }
+    }
+
+    if (isSet(precision)) {
+      const max = type.modifier === 'numeric' ? MAX_NUMERIC_PRECISION : MAX_FRACTION_PRECISION;
+      const min = type.modifier === 'numeric' ? 1 : 0;
+      if (type.modifier !== 'numeric' && type.modifier !== 'fraction') {
+        errors.push({ path: `${fieldPath}.precision`, message: `precision is only valid for NUMERIC and time types, not ${type.type}` });
+      } else if (!Number.isInteger(precision) || precision < min || precision > max) {
+        errors.push({ path: `${fieldPath}.precision`, message: `precision of ${type.base} must be an integer from ${min} to ${max}, got ${JSON.stringify(precision)}` });
+      }
+    }
+
+    if (isSet(scale)) {
+      if (type.modifier !== 'numeric') {
+        errors.push({ path: `${fieldPath}.scale`, message: `scale is only valid for NUMERIC, not ${type.type}` });
+      } else if (!isSet(precision)) {
+        errors.push({ path: `${fieldPath}.scale`, message: 'scale requires precision' });
+      } else if (!Number.isInteger(scale) || scale < 0 || (Number.isInteger(precision) && scale > precision)) {
+        errors.push({ path: `${fieldPath}.scale`, message: `scale must be an integer from 0 to the precision (${precision}), got ${JSON.stringify(scale)}` });
+      }
+    }
+  }
+
+  checkName(name, namePath, kind, seen, errors) {
+    const key = identifierKey(name);
+
+    if (seen.has(key)) {
+      errors.push({ path: namePath, message: `Duplicate ${kind.toLowerCase()} name "${name}" (already defined at ${seen.get(key)})` });
+    } else {
+      seen.set(key, namePath);
+    }
+
+    if (isReservedWord(name)) {
+      errors.push({ path: namePath, message: `${kind} name "${name}" is a reserved word in PostgreSQL; rename it or quote it as "\\"${name}\\""` });
+    }
+  }
+
+  // VARCHAR(100) and NUMERIC(10,2) carry their modifiers inline; serial types are integers
+  resolveType(typeName) {
+    return parseType(typeName, this.enums);
+  }
+}
@@ -0,0 +1,99 @@
+// src/utils/templateRenderer.js - Mustache-style templates for project-level code templates
+//
+// {{name}} and {{table.className}} insert values, {{.}} the current list item,
+// {{#fields}}...{{/fields}} repeats for every item (or renders once for a true value),
+// {{^fields}}...{{/fields}} renders when the value is missing, false or empty, {{! ... }} is a comment.
+// Nothing is HTML-escaped, and an unknown variable is an error instead of an empty string.
+
+const TAG = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+export class TemplateRenderer {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  render(template, context) {
+    return this.renderNodes(this.parse(template), [context]);
+  }
+
+  parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let position = 0;
+
+    for (const match of source.matchAll(TAG)) {
+      const [tag, kind, name] = match;
+      const current = stack[stack.length - 1];
+
+      // A section or comment tag alone on its line takes the whole line with it
+      let textEnd = match.index;
+      let next = match.index + tag.length;
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const rest = source.slice(next).match(/^[ \t]*(\r?\n|$)/);
+      if (kind && rest && lineStart >= position && /^[ \t]*$/.test(source.slice(lineStart, match.index))) {
+        textEnd = lineStart;
+        next += rest[0].length;
+      }
+
+      if (textEnd > position) current.children.push({ text: source.slice(position, textEnd) });
+      position = next;
+
+      if (kind === '!') continue;
+      if (!name) throw new Error(`Empty tag at line ${this.lineOf(source, match.index)}`);
+
+      if (kind === '#' || kind === '^') {
+        const section = { name, inverted: kind === '^', line: this.lineOf(source, match.index), children: [] };
+        current.children.push(section);
+        stack.push(section);
+      } else if (kind === '/') {
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Unexpected {{/${name}}} at line ${this.lineOf(source, match.index)}${stack.length > 1 ? `; {{#${current.name}}} is still open` : ''}`);
+        }
+        stack.pop();
+      } else {
+        current.children.push({ variable: name, line: this.lineOf(source, match.index) });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new Error(`{{#${open.name}}} opened at line ${open.line} is never closed`);
+    }
+    if (position < source.length) root.children.push({ text: source.slice(position) });
+    return root.children;
+  }
+
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      if (node.text !== undefined) return node.text;
+
+      if (node.variable !== undefined) {
+        const value = this.lookup(node.variable, scopes, node.line);
+        return value === null || value === undefined ? '' : String(value);
+      }
+
+      const value = this.lookup(node.name, scopes, node.line);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) return empty ? this.renderNodes(node.children, scopes) : '';
+      if (empty) return '';
+
+      const items = Array.isArray(value) ? value : [value];
+      return items.map(item => this.renderNodes(node.children, [...scopes, item])).join('');
+    }).join('');
+  }
+
+  // Innermost scope first, like Mustache; a dotted name resolves its first part that way
+  lookup(name, scopes, line) {
+    if (name === '.') return scopes[scopes.length - 1];
+
+    const [first, ...rest] = name.split('.');
+    const scope = [...scopes].reverse().find(item => item !== null && typeof item === 'object' && first in item);
+    if (!scope) throw new Error(`Unknown variable "${name}" at line ${line}`);
+
+    return rest.reduce((value, part) => (value === null || value === undefined ? value : value[part]), scope[first]);
+  }
+
+  lineOf(source, index) {
+    return source.slice(0, index).split('\n').length;
+  }
+}
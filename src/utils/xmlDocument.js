@@ -0,0 +1,195 @@
+// src/utils/xmlDocument.js - Minimal XML tree that keeps source offsets for in-place edits
+
+export class XmlDocument {
+  constructor(source) {
+    this.source = source;
+    this.root = { type: 'root', name: '#root', children: [], start: 0, end: source.length };
+    this.parse();
+  }
+
+  static parse(source) {
+    return new XmlDocument(source);
+  }
+
+  parse() {
+    const source = this.source;
+    const stack = [this.root];
+    let index = 0;
+
+    const current = () => stack[stack.length - 1];
+    const fail = (message, offset) => {
+      const line = source.slice(0, offset).split('\n').length;
+      throw new Error(`Malformed XML at line ${line}: ${message}`);
+    };
+
+    while (index < source.length) {
+      const lt = source.indexOf('<', index);
+      if (lt === -1) {
+        this.pushText(current(), index, source.length);
+        break;
+      }
+      if (lt > index) {
+        this.pushText(current(), index, lt);
+      }
+
+      if (source.startsWith('<!--', lt)) {
+        const close = source.indexOf('-->', lt + 4);
+        if (close === -1) fail('unterminated comment', lt);
+        current().children.push({ type: 'comment', start: lt, end: close + 3 });
+        index = close + 3;
+      } else if (source.startsWith('<![CDATA[', lt)) {
+        const close = source.indexOf(']]>', lt + 9);
+        if (close === -1) fail('unterminated CDATA section', lt);
+        current().children.push({ type: 'text', start: lt, end: close + 3, cdata: true });
+        index = close + 3;
+      } else if (source.startsWith('<?', lt)) {
+        const close = source.indexOf('?>', lt + 2);
+        if (close === -1) fail('unterminated processing instruction', lt);
+        current().children.push({ type: 'instruction', start: lt, end: close + 2 });
+        index = close + 2;
+      } else if (source.startsWith('<!', lt)) {
+        const close = source.indexOf('>', lt + 2);
+        if (close === -1) fail('unterminated declaration', lt);
+        current().children.push({ type: 'declaration', start: lt, end: close + 1 });
+        index = close + 1;
+      } else if (source[lt + 1] === '/') {
+        const close = source.indexOf('>', lt);
+        if (close === -1) fail('unterminated closing tag', lt);
+        const name = source.slice(lt + 2, close).trim();
+        const element = current();
+        if (element.type !== 'element' || element.name !== name) {
+          fail(`unexpected </${name}>`, lt);
+        }
+        element.closeStart = lt;
+        element.end = close + 1;
+        stack.pop();
+        index = close + 1;
+      } else {
+        const close = this.findTagEnd(lt);
+        if (close === -1) fail('unterminated tag', lt);
+        const selfClosing = source[close - 1] === '/';
+        const inner = source.slice(lt + 1, selfClosing ? close - 1 : close);
+        const name = inner.match(/^[^\s/>]+/)?.[0];
+        if (!name) fail('missing tag name', lt);
+
+        const element = {
+          type: 'element',
+          name,
+          attributes: inner.slice(name.length),
+          start: lt,
+          openEnd: close + 1,
+          closeStart: selfClosing ? close + 1 : null,
+          end: selfClosing ? close + 1 : null,
+          selfClosing,
+          children: [],
+          parent: current()
+        };
+        current().children.push(element);
+        if (!selfClosing) stack.push(element);
+        index = close + 1;
+      }
+    }
+
+    if (stack.length > 1) {
+      fail(`<${current().name}> is never closed`, current().start);
+    }
+  }
+
+  findTagEnd(from) {
+    let quote = null;
+    for (let i = from + 1; i < this.source.length; i++) {
+      const char = this.source[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  pushText(parent, start, end) {
+    parent.children.push({ type: 'text', start, end });
+  }
+
+  // Direct child elements, optionally filtered by name
+  elements(node, name = null) {
+    return (node?.children || []).filter(child =>
+      child.type === 'element' && (name === null || child.name === name)
+    );
+  }
+
+  element(node, ...path) {
+    let current = node;
+    for (const name of path) {
+      current = this.elements(current, name)[0];
+      if (!current) return null;
+    }
+    return current;
+  }
+
+  // Text content of a leaf element such as <version>1.0</version>
+  text(node) {
+    if (!node || node.selfClosing) return '';
+    return this.source.slice(node.openEnd, node.closeStart)
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .trim();
+  }
+
+  raw(node) {
+    return this.source.slice(node.start, node.end);
+  }
+
+  lineIndent(offset) {
+    const lineStart = this.source.lastIndexOf('\n', offset - 1) + 1;
+    const match = this.source.slice(lineStart, offset).match(/^[ \t]*/);
+    return match ? match[0] : '';
+  }
+
+  // Indentation unit used by the document (the step between a parent and its children)
+  detectIndentUnit(fallback = '    ') {
+    const stack = [...this.elements(this.root)];
+    while (stack.length > 0) {
+      const node = stack.shift();
+      const child = this.elements(node)[0];
+      if (child) {
+        const parentIndent = this.lineIndent(node.start);
+        const childIndent = this.lineIndent(child.start);
+        if (childIndent.length > parentIndent.length && childIndent.startsWith(parentIndent)) {
+          return childIndent.slice(parentIndent.length);
+        }
+        stack.push(...this.elements(node));
+      }
+    }
+    return fallback;
+  }
+
+  // Pretty-print an element subtree with the given indentation, keeping comments and attributes
+  serialize(node, indent, unit) {
+    const open = `<${node.name}${node.attributes.replace(/\s+$/, '')}`;
+    if (node.selfClosing) {
+      return `${indent}${open}/>`;
+    }
+
+    const children = node.children.filter(child =>
+      child.type !== 'text' || child.cdata || this.source.slice(child.start, child.end).trim() !== ''
+    );
+    const hasStructure = children.some(child => child.type === 'element' || child.type === 'comment');
+
+    if (!hasStructure) {
+      return `${indent}${open}>${this.source.slice(node.openEnd, node.closeStart).trim()}</${node.name}>`;
+    }
+
+    const lines = children.map(child => {
+      if (child.type === 'element') {
+        return this.serialize(child, indent + unit, unit);
+      }
+      return `${indent}${unit}${this.source.slice(child.start, child.end).trim()}`;
+    });
+
+    return `${indent}${open}>\n${lines.join('\n')}\n${indent}</${node.name}>`;
+  }
+}
@@ -0,0 +1,216 @@
+// src/utils/yamlMerger.js - Key-aware deep merge for application.yml files
+import { parseAllDocuments, isMap, isScalar } from 'yaml';
+
+export class YamlMerger {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Deep merge generated YAML into an existing file. Missing keys are inserted under the
+   * existing tree, existing values always win and every differing value is reported.
+   * Documents separated by `---` are matched by their Spring profile.
+   */
+  merge(existingContent, newContent) {
+    const notes = [];
+    const existingDocs = this.parse(existingContent, 'existing');
+    const incomingDocs = this.parse(newContent, 'generated');
+    const format = this.detectFormat(existingContent);
+
+    const changed = new Set();
+    const appended = [];
+
+    for (const incoming of incomingDocs) {
+      if (!isMap(incoming.contents)) {
+        if (incoming.contents !== null) {
+          notes.push('⚠️ Skipped a generated YAML document that is not a mapping');
+        }
+        continue;
+      }
+
+      const profile = this.profileOf(incoming);
+      const label = profile ? `[${profile}] ` : '';
+      const target = existingDocs.find(doc => this.profileOf(doc) === profile && (isMap(doc.contents) || doc.contents === null));
+
+      if (!target) {
+        appended.push(incoming);
+        notes.push(`Added document for ${profile ? `profile ${profile}` : 'the default profile'}`);
+        continue;
+      }
+
+      if (target.contents === null) {
+        target.contents = incoming.contents;
+        changed.add(target);
+        notes.push(`${label}Added ${incoming.contents.items.map(pair => this.keyOf(pair)).join(', ')}`);
+        continue;
+      }
+
+      const existingLeaves = this.flatten(target.contents);
+      const before = notes.length;
+      if (this.mergeMaps(target.contents, incoming.contents, '', existingLeaves, notes, label)) {
+        changed.add(target);
+      }
+      if (notes.length === before) {
+        notes.push(`${label}All generated keys already present`);
+      }
+    }
+
+    if (changed.size === 0 && appended.length === 0) {
+      return { content: existingContent, notes };
+    }
+
+    return {
+      content: this.serialize(existingContent, existingDocs, changed, appended, format),
+      notes
+    };
+  }
+
+  parse(content, origin) {
+    const docs = parseAllDocuments(content);
+    const list = Array.isArray(docs) ? docs : [];
+
+    for (const doc of list) {
+      if (doc.errors.length > 0) {
+        const error = doc.errors[0];
+        const line = error.linePos?.[0]?.line;
+        const message = error.message.split('\n')[0].replace(/:\s*$/, '');
+        throw new Error(origin === 'existing'
+          ? `Cannot parse existing YAML${line ? ` (line ${line})` : ''}: ${message}; the file was left unchanged`
+          : `Cannot parse generated YAML${line ? ` (line ${line})` : ''}: ${message}`);
+      }
+    }
+
+    return list;
+  }
+
+  // Returns true when the existing map was modified
+  mergeMaps(existingMap, incomingMap, path, existingLeaves, notes, label) {
+    let modified = false;
+
+    for (const pair of incomingMap.items) {
+      const key = this.keyOf(pair);
+      const fullPath = path ? `${path}.${key}` : key;
+      const current = existingMap.items.find(item => this.keyOf(item) === key);
+
+      if (current && !this.isEmpty(current.value)) {
+        if (isMap(current.value) && isMap(pair.value)) {
+          modified = this.mergeMaps(current.value, pair.value, fullPath, existingLeaves, notes, label) || modified;
+        } else if (this.valueOf(current.value) !== this.valueOf(pair.value)) {
+          notes.push(this.conflictNote(label, fullPath, current.value, pair.value));
+        }
+        continue;
+      }
+
+      // Keys may already exist in dotted form, e.g. `spring.datasource.url: ...`
+      const value = this.pruneExisting(pair.value, fullPath, existingLeaves, notes, label);
+      if (value === null) {
+        continue;
+      }
+
+      pair.value = value;
+      if (current) {
+        current.value = value;
+      } else {
+        existingMap.items.push(pair);
+      }
+      notes.push(`${label}Added ${fullPath}`);
+      modified = true;
+    }
+
+    return modified;
+  }
+
+  pruneExisting(node, path, existingLeaves, notes, label) {
+    if (isMap(node)) {
+      node.items = node.items.filter(pair => {
+        const value = this.pruneExisting(pair.value, `${path}.${this.keyOf(pair)}`, existingLeaves, notes, label);
+        if (value === null) return false;
+        pair.value = value;
+        return true;
+      });
+      return node.items.length > 0 ? node : null;
+    }
+
+    if (existingLeaves.has(path)) {
+      const current = existingLeaves.get(path);
+      if (this.valueOf(current) !== this.valueOf(node)) {
+        notes.push(this.conflictNote(label, path, current, node));
+      }
+      return null;
+    }
+
+    return node;
+  }
+
+  // Leaf nodes of a map keyed by their full dotted path
+  flatten(node, path = '', leaves = new Map()) {
+    if (isMap(node)) {
+      for (const pair of node.items) {
+        const key = this.keyOf(pair);
+        this.flatten(pair.value, path ? `${path}.${key}` : key, leaves);
+      }
+    } else if (path) {
+      leaves.set(path, node);
+    }
+    return leaves;
+  }
+
+  // Spring Boot 2.4+ `spring.config.activate.on-profile` or legacy `spring.profiles`
+  profileOf(doc) {
+    if (!isMap(doc.contents)) return null;
+
+    const leaves = this.flatten(doc.contents);
+    const node = leaves.get('spring.config.activate.on-profile') || leaves.get('spring.profiles');
+    if (!node) return null;
+
+    const value = node.toJSON ? node.toJSON() : node;
+    return Array.isArray(value) ? value.join(',') : String(value);
+  }
+
+  keyOf(pair) {
+    return isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+  }
+
+  isEmpty(node) {
+    return node === null || node === undefined || (isScalar(node) && node.value === null);
+  }
+
+  valueOf(node) {
+    if (node === null || node === undefined) return 'null';
+    if (isScalar(node)) return String(node.value);
+    return JSON.stringify(node.toJSON());
+  }
+
+  conflictNote(label, path, existingNode, generatedNode) {
+    return `⚠️ ${label}Conflict at ${path}: kept existing ${this.valueOf(existingNode)}, generated value was ${this.valueOf(generatedNode)}`;
+  }
+
+  // Match the existing file's indentation and sequence style when re-serializing
+  detectFormat(content) {
+    const indent = content.match(/^[^\s#][^\n]*:[ \t]*(?:#[^\n]*)?\n(?:[ \t]*(?:#[^\n]*)?\n)*( +)\S/m)?.[1].length || 2;
+    const indentSeq = !/^([ \t]*)[^\s#-][^\n]*:[ \t]*\n\1- /m.test(content);
+    return { indent, indentSeq, lineWidth: 0 };
+  }
+
+  // Only re-render the documents that changed; everything else is kept byte for byte
+  serialize(source, docs, changed, appended, format) {
+    let content = '';
+    let offset = 0;
+
+    docs.forEach((doc, index) => {
+      const end = index === docs.length - 1 ? source.length : doc.range[2];
+      content += changed.has(doc) ? doc.toString(format) : source.slice(offset, end);
+      offset = end;
+    });
+
+    for (const doc of appended) {
+      if (content.trim()) {
+        if (!content.endsWith('\n')) content += '\n';
+        doc.directives.docStart = true;
+      }
+      content += doc.toString(format);
+    }
+
+    return content;
+  }
+}
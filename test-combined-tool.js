@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
-import { McpService } from '/src/services/mcpService.js';
-import { FileService } from '/src/services/fileService.js';
-import { PostgreSQLTool } from '/src/tools/postgresqlTool.js';
-import { Logger } from '/src/utils/logger.js';
+import { McpService } from './src/services/mcpService.js';
+import { authConfigFromEnv } from './src/services/authService.js';
+import { FileService } from './src/services/fileService.js';
+import { SchemaService } from './src/services/schemaService.js';
+import { TemplateService } from './src/services/templateService.js';
+import { PostgreSQLTool } from './src/tools/postgresqlTool.js';
+import { Logger } from './src/utils/logger.js';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 
@@ -13,7 +16,11 @@ const config = {
   mcpServerUrl: process.env.MCP_SERVER_URL || 'http://localhost:8080/mcp',
   timeout: 30000,
   autoBackup: true,
-  backupDir: '.mcp-backups'
+  backupDir: '.mcp-backups',
+  mode: process.env.MCP_MODE || 'live',
+  fixturesDir: process.env.MCP_FIXTURES_DIR,
+  templateScripts: process.env.MCP_TEMPLATE_SCRIPTS === 'true',
+  ...authConfigFromEnv()
 };
 
 const logger = new Logger('debug');
@@ -23,7 +30,9 @@ async function testCombinedTool() {
   
   const mcpService = new McpService(config, logger);
   const fileService = new FileService(config, logger);
-  const postgresqlTool = new PostgreSQLTool(mcpService, fileService, logger);
+  const schemaService = new SchemaService(config, logger);
+  const templateService = new TemplateService(config, logger);
+  const postgresqlTool = new PostgreSQLTool(mcpService, fileService, schemaService, templateService, logger);
   
   try {
     // Test connection first